@@ -0,0 +1,325 @@
+/**
+ * BackupManager — Rolling snapshots of taskflow-data.json
+ *
+ * Keeps hourly, daily and weekly copies of the data file under
+ * <userData>/backups/<tier>/, pruned to a configurable retention, plus
+ * manual snapshots taken on demand and before a full restore. Snapshots can
+ * be compared against the current data and restored whole, or one project
+ * or task at a time. Restores go through the DataStore, so they show up in
+ * the operation log and can be undone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpLog = require('./op-log');
+const migrations = require('./migrations');
+
+const DEFAULT_RETENTION = { hourly: 24, daily: 7, weekly: 4, manual: 10 };
+const SCHEDULED_TIERS = ['hourly', 'daily', 'weekly'];
+const SNAPSHOT_FILE = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})_r(\d+)\.json$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function localDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function fileStamp(date) {
+  return `${localDate(date)}T${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+// The period a snapshot belongs to - one snapshot per tier per period
+function periodKey(tier, date) {
+  if (tier === 'hourly') return `${localDate(date)}T${pad(date.getHours())}`;
+  if (tier === 'daily') return localDate(date);
+  if (tier === 'weekly') {
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return localDate(monday);
+  }
+  return null;
+}
+
+function countData(data) {
+  const projects = (data && data.projects) || [];
+  let tasks = 0;
+  let completed = 0;
+  for (const project of projects) {
+    for (const task of project.tasks || []) {
+      tasks++;
+      if (task.status === 'done') completed++;
+    }
+  }
+  return { projectCount: projects.length, taskCount: tasks, completedCount: completed };
+}
+
+function findTaskLocation(data, taskId) {
+  for (const project of (data && data.projects) || []) {
+    const tasks = project.tasks || [];
+    for (let i = 0; i < tasks.length; i++) {
+      if (tasks[i].id === taskId) return { task: tasks[i], list: tasks, index: i, project, parent: null };
+      const subtasks = tasks[i].subtasks || [];
+      for (let j = 0; j < subtasks.length; j++) {
+        if (subtasks[j].id === taskId) return { task: subtasks[j], list: subtasks, index: j, project, parent: tasks[i] };
+      }
+    }
+  }
+  return null;
+}
+
+class BackupManager {
+  constructor(config) {
+    this.dataStore = config.dataStore;
+    this.dir = config.dir;
+  }
+
+  // --- Creating snapshots ---
+
+  /**
+   * Take any hourly/daily/weekly snapshots that are due, then prune.
+   * A tier is due when it has no snapshot for the current period yet and
+   * the data has changed since its latest snapshot.
+   */
+  runScheduled(retention = {}, now = new Date()) {
+    const keep = { ...DEFAULT_RETENTION, ...retention };
+    if (!fs.existsSync(this.dataStore.filePath)) return [];
+
+    const created = [];
+    for (const tier of SCHEDULED_TIERS) {
+      if (!(keep[tier] > 0)) continue;
+      const latest = this._listTier(tier)[0];
+      const revision = this.dataStore.getRevision();
+      if (latest && (periodKey(tier, latest.createdAt) === periodKey(tier, now) || latest.revision === revision)) {
+        continue;
+      }
+      created.push(this.createSnapshot(tier, now));
+    }
+
+    this.prune(keep);
+    return created;
+  }
+
+  createSnapshot(tier = 'manual', now = new Date()) {
+    const tierDir = path.join(this.dir, tier);
+    if (!fs.existsSync(tierDir)) {
+      fs.mkdirSync(tierDir, { recursive: true });
+    }
+
+    // Copy under the lock so the revision in the name matches the contents
+    return this.dataStore.withLock(() => {
+      const revision = this.dataStore.getRevision();
+      const fileName = `${fileStamp(now)}_r${revision}.json`;
+      fs.copyFileSync(this.dataStore.filePath, path.join(tierDir, fileName));
+      return { id: `${tier}/${fileName}`, tier, createdAt: now.toISOString(), revision };
+    });
+  }
+
+  prune(retention = {}) {
+    const keep = { ...DEFAULT_RETENTION, ...retention };
+    for (const tier of Object.keys(DEFAULT_RETENTION)) {
+      for (const snapshot of this._listTier(tier).slice(Math.max(0, keep[tier]))) {
+        try {
+          fs.unlinkSync(this._pathFor(snapshot.id));
+        } catch (err) {
+          console.error('Error pruning backup:', err);
+        }
+      }
+    }
+  }
+
+  // --- Listing and comparing ---
+
+  /**
+   * All snapshots, newest first, with task/project counts.
+   */
+  list() {
+    const snapshots = [];
+    for (const tier of Object.keys(DEFAULT_RETENTION)) {
+      for (const snapshot of this._listTier(tier)) {
+        let counts = { projectCount: null, taskCount: null, completedCount: null };
+        try {
+          counts = countData(this.load(snapshot.id));
+        } catch (err) {
+          console.error(`Error reading backup ${snapshot.id}:`, err);
+        }
+        snapshots.push({ ...snapshot, createdAt: snapshot.createdAt.toISOString(), ...counts });
+      }
+    }
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Snapshots from before a schema change are migrated so they compare and restore cleanly
+  load(snapshotId) {
+    const data = JSON.parse(fs.readFileSync(this._pathFor(snapshotId), 'utf-8'));
+    migrations.migrate(data);
+    return data;
+  }
+
+  /**
+   * What changed between a snapshot and the current data, grouped for
+   * display. `inSnapshot` marks the items that can be restored from it.
+   */
+  diff(snapshotId) {
+    const snapshot = this.load(snapshotId);
+    const current = this.dataStore.read() || {};
+    const changes = OpLog.diff(snapshot, current);
+
+    const projectName = (id) => {
+      const project = (current.projects || []).find(p => p.id === id) || (snapshot.projects || []).find(p => p.id === id);
+      return project ? project.name : null;
+    };
+
+    const projects = new Map();
+    const tasks = new Map();
+    const other = new Set();
+    const touchProject = (id, status, name) => {
+      const entry = projects.get(id) || { id, name: name || projectName(id), status, fields: [] };
+      if (status !== 'changed') entry.status = status;
+      projects.set(id, entry);
+      return entry;
+    };
+    const touchTask = (id, status, change) => {
+      const loc = findTaskLocation(current, id) || findTaskLocation(snapshot, id);
+      const entry = tasks.get(id) || {
+        id,
+        name: change.task?.name || change.taskName || (loc && loc.task.name),
+        projectId: loc ? loc.project.id : change.projectId,
+        projectName: projectName(loc ? loc.project.id : change.projectId),
+        parentId: loc && loc.parent ? loc.parent.id : null,
+        status,
+        fields: [],
+      };
+      if (status !== 'changed') entry.status = status;
+      tasks.set(id, entry);
+      return entry;
+    };
+
+    for (const change of changes) {
+      switch (change.type) {
+        case 'project-created': touchProject(change.projectId, 'added', change.project.name); break;
+        case 'project-deleted': touchProject(change.projectId, 'deleted', change.project.name); break;
+        case 'project-field': touchProject(change.projectId, 'changed').fields.push(change.field); break;
+        case 'task-created': touchTask(change.taskId, 'added', change); break;
+        case 'task-deleted': touchTask(change.taskId, 'deleted', change); break;
+        case 'task-moved': touchTask(change.taskId, 'changed', change).fields.push('project'); break;
+        case 'task-field': touchTask(change.taskId, 'changed', change).fields.push(change.field); break;
+        default: other.add(change.key);
+      }
+    }
+
+    const snapshotProjectIds = new Set((snapshot.projects || []).map(p => p.id));
+    return {
+      snapshot: { id: snapshotId, ...countData(snapshot) },
+      current: countData(current),
+      projects: [...projects.values()].map(p => ({ ...p, inSnapshot: snapshotProjectIds.has(p.id) })),
+      tasks: [...tasks.values()].map(t => ({ ...t, inSnapshot: !!findTaskLocation(snapshot, t.id) })),
+      other: [...other],
+    };
+  }
+
+  // --- Restoring ---
+
+  /**
+   * Restore from a snapshot.
+   *   scope 'all'     - replace all data (a manual snapshot is taken first)
+   *   scope 'project' - put back one project, including its tasks
+   *   scope 'task'    - put back one task (with its subtasks) or subtask
+   */
+  restore(snapshotId, scope = 'all', targetId = null) {
+    const snapshot = this.load(snapshotId);
+
+    return this.dataStore.withLock(() => {
+      const current = this.dataStore.read() || { projects: [] };
+      let next;
+      let label;
+
+      if (scope === 'all') {
+        this.createSnapshot('manual');
+        next = { ...snapshot, revision: current.revision };
+        label = 'Restored all data from backup';
+      } else if (scope === 'project') {
+        const project = (snapshot.projects || []).find(p => p.id === targetId);
+        if (!project) throw new Error('That project is not in this backup');
+        next = current;
+        const index = next.projects.findIndex(p => p.id === targetId);
+        if (index !== -1) {
+          next.projects[index] = project;
+        } else {
+          next.projects.splice(Math.min(snapshot.projects.indexOf(project), next.projects.length), 0, project);
+        }
+        label = `Restored project "${project.name}" from backup`;
+      } else if (scope === 'task') {
+        const source = findTaskLocation(snapshot, targetId);
+        if (!source) throw new Error('That task is not in this backup');
+        next = current;
+        this._restoreTask(next, source);
+        label = `Restored "${source.task.name}" from backup`;
+      } else {
+        throw new Error(`Unknown restore scope: ${scope}`);
+      }
+
+      const { revision } = this.dataStore.write(next, { meta: { label, restoredFrom: snapshotId } });
+      return { revision, label };
+    });
+  }
+
+  _restoreTask(data, source) {
+    const existing = findTaskLocation(data, source.task.id);
+    if (existing) {
+      existing.list[existing.index] = source.task;
+      return;
+    }
+
+    // Put it back where it was, falling back to the project and then the inbox
+    let list = null;
+    const project = data.projects.find(p => p.id === source.project.id);
+    if (source.parent) {
+      const parent = findTaskLocation(data, source.parent.id);
+      if (parent && !parent.parent) list = parent.task.subtasks || (parent.task.subtasks = []);
+    }
+    if (!list && project) list = project.tasks || (project.tasks = []);
+    if (!list) {
+      let inbox = data.projects.find(p => p.isInbox || p.id === 'inbox');
+      if (!inbox) {
+        inbox = { id: 'inbox', name: 'Inbox', color: '#6366f1', tasks: [], isInbox: true };
+        data.projects.unshift(inbox);
+      }
+      list = inbox.tasks;
+    }
+    list.splice(Math.min(source.index, list.length), 0, source.task);
+  }
+
+  // --- Files ---
+
+  _listTier(tier) {
+    const tierDir = path.join(this.dir, tier);
+    if (!fs.existsSync(tierDir)) return [];
+    const snapshots = [];
+    for (const fileName of fs.readdirSync(tierDir)) {
+      const match = fileName.match(SNAPSHOT_FILE);
+      if (!match) continue;
+      const [, date, hh, mm, ss, revision] = match;
+      snapshots.push({
+        id: `${tier}/${fileName}`,
+        tier,
+        createdAt: new Date(`${date}T${hh}:${mm}:${ss}`),
+        revision: Number(revision),
+      });
+    }
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  _pathFor(snapshotId) {
+    const [tier, fileName] = String(snapshotId).split('/');
+    if (!(tier in DEFAULT_RETENTION) || !SNAPSHOT_FILE.test(fileName || '')) {
+      throw new Error(`Invalid backup id: ${snapshotId}`);
+    }
+    return path.join(this.dir, tier, fileName);
+  }
+}
+
+BackupManager.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+module.exports = BackupManager;
@@ -0,0 +1,476 @@
+/**
+ * DataStore — Cross-process safe storage for taskflow-data.json
+ *
+ * Shared by the Electron main process and the MCP server. Handles: atomic
+ * temp-file-plus-rename writes, a lock file so only one process writes at a
+ * time, and a revision counter so a write based on stale data is merged with
+ * (or rejected by) whatever another process saved in the meantime.
+ *
+ * Every write is also recorded in an operation log (see op-log.js) tagged
+ * with its source, which backs undo/redo and per-task history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpLog = require('./op-log');
+
+const LOCK_TIMEOUT_MS = 5000;   // Default wait for the lock before giving up (see lockTimeoutMs)
+const LOCK_UNREADABLE_MS = 2000; // A lock with no readable pid this old was cut short by a crash
+const LOCK_RETRY_MS = 25;
+const SNAPSHOT_LIMIT = 20;      // Revisions kept in memory as merge bases
+
+// Blocks the whole thread; the Electron main process waits for the lock
+// with withLockAsync() instead, so its windows don't freeze
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM'; // Alive, but owned by someone else
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return false;
+    return a.every((item, i) => deepEqual(item, b[i]));
+  }
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
+
+function isIdArray(value) {
+  return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+class DataStore {
+  /**
+   * config: { filePath, source, logPath, lockTimeoutMs }. `lockTimeoutMs`
+   * caps how long to wait for another process's lock before throwing
+   * LOCK_TIMEOUT.
+   */
+  constructor(config) {
+    this.filePath = config.filePath;
+    this.lockPath = `${config.filePath}.lock`;
+    this.source = config.source || 'user';
+    this.lockTimeoutMs = config.lockTimeoutMs || LOCK_TIMEOUT_MS;
+    this.log = new OpLog({
+      filePath: config.logPath || path.join(path.dirname(config.filePath), 'taskflow-oplog.jsonl'),
+    });
+    this._snapshots = new Map(); // revision -> JSON string
+    this._lockDepth = 0;
+  }
+
+  // --- Reading ---
+
+  /**
+   * Read the data file. Returns null if it doesn't exist yet.
+   * The returned object carries a `revision` number; pass it back unchanged
+   * to write() so concurrent edits can be detected.
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    if (typeof data.revision !== 'number') data.revision = 0;
+    this._remember(data.revision, data);
+    return data;
+  }
+
+  getRevision() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      return typeof data.revision === 'number' ? data.revision : 0;
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  // --- Writing ---
+
+  /**
+   * Write data that was based on `data.revision`.
+   *
+   * If the file is still at that revision it is replaced. If another process
+   * wrote in between, the two edits are merged field by field against the
+   * base revision; overlapping edits to the same field throw a
+   * STALE_REVISION error instead of silently clobbering either side.
+   *
+   * Returns { revision, merged }. `merged` is true when the saved data
+   * differs from what was passed in, i.e. the caller should reload.
+   *
+   * Options: `force` skips the revision check, `source` overrides the
+   * store's default source in the operation log, `meta` adds fields to the
+   * log entry (label, undoOf, redoOf, revertOf).
+   */
+  write(data, options = {}) {
+    return this.withLock(() => {
+      const current = fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, 'utf-8'))
+        : null;
+      const currentRevision = current && typeof current.revision === 'number' ? current.revision : 0;
+      const baseRevision = typeof data.revision === 'number' ? data.revision : 0;
+
+      let next = data;
+      let merged = false;
+
+      if (current && !options.force && baseRevision !== currentRevision) {
+        const baseJson = this._snapshots.get(baseRevision);
+        if (!baseJson) {
+          throw DataStore._staleError(baseRevision, currentRevision, []);
+        }
+        const { value, conflicts } = DataStore.merge(JSON.parse(baseJson), data, current);
+        if (conflicts.length > 0) {
+          throw DataStore._staleError(baseRevision, currentRevision, conflicts);
+        }
+        next = value;
+        merged = !deepEqual({ ...value, revision: 0 }, { ...data, revision: 0 });
+      }
+
+      const revision = currentRevision + 1;
+      const toWrite = { ...next, revision };
+      this._writeFile(toWrite);
+      this._remember(revision, toWrite);
+      if (current) {
+        this._logChanges(OpLog.diff(current, toWrite), revision, options);
+      }
+
+      if (!merged) data.revision = revision;
+      return { revision, merged };
+    });
+  }
+
+  /**
+   * Read-modify-write under the lock. `mutator` receives the current data
+   * (or null if the file doesn't exist) and may return a replacement object.
+   */
+  update(mutator, options = {}) {
+    return this.withLock(() => {
+      const data = this.read();
+      const result = mutator(data) || data;
+      return this.write(result, options);
+    });
+  }
+
+  _logChanges(changes, revision, options) {
+    const meta = options.meta || {};
+    // Undo/redo markers are logged even when nothing applied, so the stacks advance
+    if (changes.length === 0 && !meta.undoOf && !meta.redoOf) return null;
+    try {
+      return this.log.append({
+        source: options.source || this.source,
+        revision,
+        label: meta.label || OpLog.describe(changes),
+        ...meta,
+        changes,
+      });
+    } catch (err) {
+      console.error('Error writing operation log:', err);
+      return null;
+    }
+  }
+
+  // --- History ---
+
+  /**
+   * Undo the most recent change made by `source` that hasn't been undone.
+   * Parts of it that were changed again since are left alone and reported
+   * in `skipped`. Returns null when there is nothing to undo.
+   */
+  undo(source = this.source) {
+    return this.withLock(() => {
+      const { undoable } = this.log.getUndoState(source);
+      const entry = undoable[undoable.length - 1];
+      if (!entry) return null;
+      return this._applyEntry(OpLog.invert(entry.changes), source, { undoOf: entry.id, label: entry.label });
+    });
+  }
+
+  redo(source = this.source) {
+    return this.withLock(() => {
+      const { redoable } = this.log.getUndoState(source);
+      const entry = redoable[redoable.length - 1];
+      if (!entry) return null;
+      return this._applyEntry(entry.changes, source, { redoOf: entry.id, label: entry.label });
+    });
+  }
+
+  /**
+   * Revert one change from one log entry, e.g. from the task history panel.
+   */
+  revert(entryId, changeIndex, source = this.source) {
+    return this.withLock(() => {
+      const entry = this.log.find(entryId);
+      const change = entry && entry.changes[changeIndex];
+      if (!change) {
+        throw new Error(`Change ${changeIndex} of ${entryId} not found in history`);
+      }
+      const result = this._applyEntry(OpLog.invert([change]), source, {
+        revertOf: { entryId, changeIndex },
+        label: `Reverted: ${OpLog.describe([change])}`,
+      });
+      if (result.applied === 0) {
+        const err = new Error('That change can no longer be reverted - it was edited again since');
+        err.code = 'REVERT_CONFLICT';
+        throw err;
+      }
+      return result;
+    });
+  }
+
+  getTaskHistory(taskId, limit) {
+    return this.log.getTaskHistory(taskId, limit);
+  }
+
+  getUndoState(source = this.source) {
+    const { undoable, redoable } = this.log.getUndoState(source);
+    return {
+      canUndo: undoable.length > 0,
+      canRedo: redoable.length > 0,
+      undoLabel: undoable.length > 0 ? undoable[undoable.length - 1].label : null,
+      redoLabel: redoable.length > 0 ? redoable[redoable.length - 1].label : null,
+    };
+  }
+
+  _applyEntry(changes, source, meta) {
+    const data = this.read() || {};
+    const { applied, skipped } = OpLog.apply(data, changes);
+    let revision = data.revision;
+    if (applied.length > 0) {
+      revision = this.write(data, { source, meta }).revision;
+    } else if (!meta.revertOf) {
+      this._logChanges([], revision, { source, meta });
+    }
+    return { revision, label: meta.label, applied: applied.length, skipped: skipped.length };
+  }
+
+  _writeFile(data) {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+
+    // Windows can briefly refuse the rename while another process has the file open
+    for (let attempt = 0; ; attempt++) {
+      try {
+        fs.renameSync(tmpPath, this.filePath);
+        return;
+      } catch (err) {
+        if (attempt >= 10 || !['EPERM', 'EBUSY', 'EACCES'].includes(err.code)) {
+          try { fs.unlinkSync(tmpPath); } catch (e) { /* already gone */ }
+          throw err;
+        }
+        sleepSync(LOCK_RETRY_MS * (attempt + 1));
+      }
+    }
+  }
+
+  _remember(revision, data) {
+    this._snapshots.delete(revision);
+    this._snapshots.set(revision, JSON.stringify({ ...data, revision }));
+    while (this._snapshots.size > SNAPSHOT_LIMIT) {
+      this._snapshots.delete(this._snapshots.keys().next().value);
+    }
+  }
+
+  // --- Cross-process lock ---
+
+  withLock(fn) {
+    if (this._lockDepth > 0) {
+      this._lockDepth++;
+      try {
+        return fn();
+      } finally {
+        this._lockDepth--;
+      }
+    }
+
+    this._acquireLock();
+    this._lockDepth = 1;
+    try {
+      return fn();
+    } finally {
+      this._lockDepth = 0;
+      this._releaseLock();
+    }
+  }
+
+  /**
+   * Like withLock(), but waits for the lock without blocking the thread.
+   * `fn` runs synchronously once the lock is held and may use any of the
+   * other methods. For the Electron main process, where a blocking wait
+   * would freeze every window.
+   */
+  async withLockAsync(fn) {
+    if (this._lockDepth > 0) return this.withLock(fn);
+
+    const deadline = Date.now() + this.lockTimeoutMs;
+    while (!this._tryLock()) {
+      this._checkDeadline(deadline);
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    this._lockDepth = 1;
+    try {
+      return fn();
+    } finally {
+      this._lockDepth = 0;
+      this._releaseLock();
+    }
+  }
+
+  _acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    while (!this._tryLock()) {
+      this._checkDeadline(deadline);
+      sleepSync(Math.min(LOCK_RETRY_MS, Math.max(1, deadline - Date.now())));
+    }
+  }
+
+  // Take the lock if it is free (or stale); false if someone else holds it
+  _tryLock() {
+    const dir = path.dirname(this.lockPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    try {
+      const fd = fs.openSync(this.lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    this._clearStaleLock();
+    return false;
+  }
+
+  _checkDeadline(deadline) {
+    if (Date.now() > deadline) {
+      const err = new Error(`Timed out waiting for lock on ${path.basename(this.filePath)}`);
+      err.code = 'LOCK_TIMEOUT';
+      throw err;
+    }
+  }
+
+  _releaseLock() {
+    try {
+      fs.unlinkSync(this.lockPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Error releasing data lock:', err);
+    }
+  }
+
+  // A lock is stale once the process that took it has exited. A live holder
+  // keeps it however long it takes; one with no readable pid (created but
+  // never written, e.g. a crash in between) is given a moment to be written.
+  _clearStaleLock() {
+    try {
+      const stat = fs.statSync(this.lockPath);
+      let holder = null;
+      try {
+        holder = JSON.parse(fs.readFileSync(this.lockPath, 'utf-8')).pid;
+      } catch (err) {
+        // Not written yet, or cut short by a crash
+      }
+      const stale = Number.isInteger(holder)
+        ? holder !== process.pid && !isRunning(holder)
+        : Date.now() - stat.mtimeMs > LOCK_UNREADABLE_MS;
+      if (stale) {
+        fs.unlinkSync(this.lockPath);
+      }
+    } catch (err) {
+      // Lock was released between our attempts
+    }
+  }
+
+  // --- Three-way merge ---
+
+  /**
+   * Merge two edits (`ours`, `theirs`) of a common `base`.
+   * Objects merge key by key, arrays of `{ id }` objects merge by id,
+   * anything else must be changed on at most one side.
+   * Returns { value, conflicts } where conflicts lists the paths edited on
+   * both sides; for those `value` holds our side.
+   */
+  static merge(base, ours, theirs) {
+    const conflicts = [];
+    const value = DataStore._merge3(base, ours, theirs, '', conflicts);
+    return { value, conflicts };
+  }
+
+  static _merge3(base, ours, theirs, at, conflicts) {
+    if (deepEqual(ours, theirs)) return ours;
+    if (deepEqual(base, ours)) return theirs;
+    if (deepEqual(base, theirs)) return ours;
+
+    if (isPlainObject(ours) && isPlainObject(theirs)) {
+      const b = isPlainObject(base) ? base : {};
+      const result = {};
+      const keys = new Set([...Object.keys(theirs), ...Object.keys(ours)]);
+      for (const key of keys) {
+        if (at === '' && key === 'revision') continue;
+        const merged = DataStore._merge3(b[key], ours[key], theirs[key], at ? `${at}.${key}` : key, conflicts);
+        if (merged !== undefined) result[key] = merged;
+      }
+      return result;
+    }
+
+    if (isIdArray(ours) && isIdArray(theirs)) {
+      const baseById = new Map((isIdArray(base) ? base : []).map(item => [item.id, item]));
+      const oursById = new Map(ours.map(item => [item.id, item]));
+      const theirsById = new Map(theirs.map(item => [item.id, item]));
+      const result = [];
+
+      for (const item of theirs) {
+        const itemPath = `${at}[${item.id}]`;
+        if (oursById.has(item.id)) {
+          result.push(DataStore._merge3(baseById.get(item.id), oursById.get(item.id), item, itemPath, conflicts));
+        } else if (!baseById.has(item.id)) {
+          result.push(item); // Added on their side
+        } else if (!deepEqual(baseById.get(item.id), item)) {
+          conflicts.push(itemPath); // We deleted it, they edited it
+        }
+        // Otherwise we deleted it and they left it alone
+      }
+
+      for (const item of ours) {
+        if (theirsById.has(item.id)) continue;
+        if (!baseById.has(item.id)) {
+          result.push(item); // Added on our side
+        } else if (!deepEqual(baseById.get(item.id), item)) {
+          conflicts.push(`${at}[${item.id}]`); // They deleted it, we edited it
+          result.push(item);
+        }
+      }
+
+      return result;
+    }
+
+    conflicts.push(at || '(root)');
+    return ours;
+  }
+
+  static _staleError(baseRevision, currentRevision, conflicts) {
+    const detail = conflicts.length > 0 ? `: conflicting edits to ${conflicts.slice(0, 5).join(', ')}` : '';
+    const err = new Error(`Data changed on disk (revision ${baseRevision} → ${currentRevision})${detail}`);
+    err.code = 'STALE_REVISION';
+    err.conflicts = conflicts;
+    return err;
+  }
+}
+
+module.exports = DataStore;
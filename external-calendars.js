@@ -0,0 +1,254 @@
+/**
+ * ExternalCalendars — Other calendars (.ics files or URLs) as busy time
+ *
+ * The calendars to read are in settings.externalCalendars:
+ *   [{ id, name, source, color, enabled }]
+ * where source is a file path or an http(s)/webcal/file URL. Fetched events
+ * are cached in a file next to the data file (not in it, so a refresh doesn't
+ * fill the operation log), which the app, the MCP server and anything else
+ * using the same data folder share. Imported events are read-only; they only
+ * mark time as busy on the timeline and for scheduling.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { parseCalendar, expandEvents, toLocalTime } = require('./ics-import');
+
+const FETCH_TIMEOUT_MS = 15000;
+const DEFAULT_REFRESH_MINUTES = 30;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function nextDate(date) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+function minutesToTime(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+class ExternalCalendars {
+  constructor(config) {
+    this.cachePath = config.cachePath || path.join(config.dir, 'taskflow-calendars.json');
+    this.cache = this._loadCache();
+  }
+
+  // Calendars switched on in the settings
+  static getSources(data) {
+    const calendars = (data && data.settings && data.settings.externalCalendars) || [];
+    return calendars.filter(c => c && c.id && c.source && c.enabled !== false);
+  }
+
+  static getRefreshMinutes(data) {
+    const minutes = data && data.settings && data.settings.externalCalendarRefreshMinutes;
+    return minutes > 0 ? minutes : DEFAULT_REFRESH_MINUTES;
+  }
+
+  // --- Cache ---
+
+  _loadCache() {
+    try {
+      if (fs.existsSync(this.cachePath)) {
+        const cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf-8'));
+        if (cache && cache.calendars) return cache;
+      }
+    } catch (err) {
+      console.error('Error loading calendar cache:', err);
+    }
+    return { calendars: {} };
+  }
+
+  // Pick up a refresh made by another process
+  reload() {
+    this.cache = this._loadCache();
+  }
+
+  _saveCache() {
+    const tmpPath = `${this.cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.cache));
+    fs.renameSync(tmpPath, this.cachePath);
+  }
+
+  // --- Fetching ---
+
+  static async fetchSource(source) {
+    const trimmed = source.trim();
+    if (/^file:\/\//i.test(trimmed)) {
+      return fs.promises.readFile(fileURLToPath(trimmed), 'utf-8');
+    }
+    if (!/^(https?|webcal):\/\//i.test(trimmed)) {
+      return fs.promises.readFile(trimmed, 'utf-8');
+    }
+
+    const url = trimmed.replace(/^webcal:/i, 'http:');
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { signal: controller.signal, headers: { Accept: 'text/calendar' } });
+      if (!response.ok) {
+        const err = new Error(`Calendar server returned ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+      return await response.text();
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error('Calendar server did not respond');
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch the given calendars again. With maxAgeMs, calendars fetched more
+   * recently than that are left alone. A failed fetch keeps the events from
+   * the last good one and records the error. Calendars no longer in `sources`
+   * are dropped from the cache. Returns { refreshed, errors }.
+   */
+  async refresh(sources, { maxAgeMs = 0 } = {}) {
+    this.reload();
+    const now = Date.now();
+    const refreshed = [];
+    const errors = [];
+    let changed = false;
+
+    for (const id of Object.keys(this.cache.calendars)) {
+      if (!sources.some(s => s.id === id)) {
+        delete this.cache.calendars[id];
+        changed = true;
+      }
+    }
+
+    for (const source of sources) {
+      const cached = this.cache.calendars[source.id];
+      if (maxAgeMs > 0 && cached && cached.source === source.source &&
+          now - new Date(cached.checkedAt).getTime() < maxAgeMs) {
+        continue;
+      }
+
+      const entry = cached && cached.source === source.source
+        ? cached
+        : { source: source.source, name: null, fetchedAt: null, events: [] };
+      entry.checkedAt = new Date().toISOString();
+      try {
+        const calendar = parseCalendar(await ExternalCalendars.fetchSource(source.source));
+        entry.name = calendar.name;
+        entry.events = calendar.events;
+        entry.fetchedAt = entry.checkedAt;
+        entry.error = null;
+        refreshed.push(source.id);
+      } catch (err) {
+        entry.error = err.message;
+        errors.push({ id: source.id, name: source.name, error: err.message });
+      }
+      this.cache.calendars[source.id] = entry;
+      changed = true;
+    }
+
+    if (changed) this._saveCache();
+    return { refreshed, errors };
+  }
+
+  // { [id]: { name, fetchedAt, checkedAt, error, eventCount } }
+  getStatus() {
+    const status = {};
+    for (const [id, entry] of Object.entries(this.cache.calendars)) {
+      status[id] = {
+        name: entry.name,
+        fetchedAt: entry.fetchedAt,
+        checkedAt: entry.checkedAt,
+        error: entry.error || null,
+        eventCount: entry.events.length,
+      };
+    }
+    return status;
+  }
+
+  // --- Busy blocks ---
+
+  /**
+   * Busy time from the cached calendars, per local day (in `timeZone`,
+   * settings.timezone, or the system zone) from fromDate to toDate:
+   * [{ calendarId, calendarName, color, title, location, date, allDay,
+   * start, end, startMinutes, endMinutes }]. Timed events are cut at
+   * midnight, so one spanning two days gives a block on each (end '24:00').
+   */
+  getBusyBlocks(sources, fromDate, toDate = fromDate, timeZone = null) {
+    const blocks = [];
+    for (const source of sources) {
+      const entry = this.cache.calendars[source.id];
+      if (!entry || entry.source !== source.source) continue;
+      const base = {
+        calendarId: source.id,
+        calendarName: source.name || entry.name || 'Calendar',
+        color: source.color || null,
+      };
+
+      for (const instance of expandEvents(entry.events, fromDate, toDate, timeZone)) {
+        const title = instance.summary || 'Busy';
+        if (instance.allDay) {
+          for (let date = instance.startDate; date < instance.endDate; date = nextDate(date)) {
+            if (date < fromDate || date > toDate) continue;
+            blocks.push({ ...base, title, location: instance.location, date, allDay: true, start: null, end: null, startMinutes: 0, endMinutes: 1440 });
+          }
+          continue;
+        }
+
+        const start = toLocalTime(instance.startMs, timeZone);
+        const end = toLocalTime(instance.endMs, timeZone);
+        for (let date = start.date; date <= end.date; date = nextDate(date)) {
+          if (date < fromDate) continue;
+          if (date > toDate) break;
+          const startMinutes = date === start.date ? start.minutes : 0;
+          const endMinutes = date === end.date ? end.minutes : 1440;
+          if (endMinutes <= startMinutes) continue;
+          blocks.push({
+            ...base, title, location: instance.location, date, allDay: false,
+            start: minutesToTime(startMinutes), end: minutesToTime(endMinutes), startMinutes, endMinutes,
+          });
+        }
+      }
+    }
+    return blocks.sort((a, b) => a.date.localeCompare(b.date) || a.startMinutes - b.startMinutes);
+  }
+
+  /**
+   * Timed busy intervals on a date, overlapping ones merged:
+   * [{ startMinutes, endMinutes, titles }]. All-day events don't block time.
+   */
+  static busyIntervals(blocks, date) {
+    const intervals = [];
+    const timed = blocks
+      .filter(b => b.date === date && !b.allDay)
+      .sort((a, b) => a.startMinutes - b.startMinutes);
+    for (const block of timed) {
+      const last = intervals[intervals.length - 1];
+      if (last && block.startMinutes <= last.endMinutes) {
+        last.endMinutes = Math.max(last.endMinutes, block.endMinutes);
+        last.titles.push(block.title);
+      } else {
+        intervals.push({ startMinutes: block.startMinutes, endMinutes: block.endMinutes, titles: [block.title] });
+      }
+    }
+    return intervals;
+  }
+
+  /**
+   * Earliest start at or after `fromMinutes` where `duration` minutes fit
+   * before `endMinutes` without touching a busy interval, or null.
+   */
+  static findFreeSlot(intervals, fromMinutes, duration, endMinutes = 1440) {
+    let start = fromMinutes;
+    for (const interval of intervals) {
+      if (interval.endMinutes <= start) continue;
+      if (start + duration <= interval.startMinutes) break;
+      start = interval.endMinutes;
+    }
+    return start + duration <= endMinutes ? start : null;
+  }
+}
+
+module.exports = ExternalCalendars;
@@ -0,0 +1,246 @@
+/**
+ * iCalendar (.ics) export of scheduled and due tasks
+ *
+ * Used by the Electron main process for "Export .ics" and the local calendar
+ * feed. Each open task becomes up to two events:
+ *   - its time block: scheduledDate + scheduledTime for estimatedMinutes
+ *     (an all-day event when there's no time)
+ *   - its deadline: an all-day, free ("transparent") event on dueDate, when
+ *     that's not already the scheduled day
+ * Times are floating local times, so recurring blocks stay at the same clock
+ * time across daylight saving changes. The project becomes the event's
+ * category and its colour the nearest RFC 7986 colour name. Recurring tasks
+ * carry an RRULE, so calendars show the whole series.
+ */
+
+const PRODID = '-//TaskFlow PM//Tasks//EN';
+const DEFAULT_DURATION_MINUTES = 30;
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// RFC 7986 COLOR takes a CSS colour name; project colours map to the nearest
+const CSS_COLORS = {
+  black: [0, 0, 0], gray: [128, 128, 128], silver: [192, 192, 192], white: [255, 255, 255],
+  red: [255, 0, 0], crimson: [220, 20, 60], tomato: [255, 99, 71], orange: [255, 165, 0],
+  gold: [255, 215, 0], yellow: [255, 255, 0], olive: [128, 128, 0], green: [0, 128, 0],
+  limegreen: [50, 205, 50], mediumseagreen: [60, 179, 113], teal: [0, 128, 128],
+  turquoise: [64, 224, 208], skyblue: [135, 206, 235], dodgerblue: [30, 144, 255],
+  royalblue: [65, 105, 225], blue: [0, 0, 255], navy: [0, 0, 128], slateblue: [106, 90, 205],
+  mediumpurple: [147, 112, 219], purple: [128, 0, 128], orchid: [218, 112, 214],
+  hotpink: [255, 105, 180], brown: [165, 42, 42], chocolate: [210, 105, 30],
+};
+
+// --- Formatting ---
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf-8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString('utf-8'));
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+// 'YYYY-MM-DD' + 'HH:MM' + minutes -> floating 'YYYYMMDDTHHMMSS'
+function formatLocalDateTime(dateStr, time, addMinutes = 0) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const [h, min] = time.split(':').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d, h, min + addMinutes));
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDay(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().split('T')[0];
+}
+
+function nearestColorName(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  const rgb = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  let best = null;
+  let bestDistance = Infinity;
+  for (const [name, [r, g, b]] of Object.entries(CSS_COLORS)) {
+    const distance = (rgb[0] - r) ** 2 + (rgb[1] - g) ** 2 + (rgb[2] - b) ** 2;
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// --- Recurrence ---
+
+/**
+ * RRULE value for a task's repeat rule, or null when it can't be expressed
+ * (repeating N days after completion depends on when it's done).
+ * `allDay` decides the form of UNTIL, which must match DTSTART.
+ */
+function recurrenceToRRule(rule, allDay = true) {
+  if (!rule || rule.type === 'after-completion') return null;
+  const parts = [];
+  const interval = rule.interval && rule.interval > 1 ? `;INTERVAL=${rule.interval}` : '';
+
+  if (rule.type === 'daily') {
+    parts.push(`FREQ=DAILY${interval}`);
+  } else if (rule.type === 'weekdays') {
+    parts.push('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  } else if (rule.type === 'weekly') {
+    const days = (rule.daysOfWeek || []).map(d => DAY_CODES[d]).filter(Boolean);
+    parts.push(`FREQ=WEEKLY${interval}${days.length ? `;BYDAY=${days.join(',')}` : ''};WKST=SU`);
+  } else if (rule.type === 'monthly' && rule.monthlyMode === 'weekday') {
+    parts.push(`FREQ=MONTHLY${interval};BYDAY=${rule.weekOfMonth}${DAY_CODES[rule.dayOfWeek]}`);
+  } else if (rule.type === 'monthly') {
+    const day = rule.dayOfMonth;
+    if (day > 28) {
+      // TaskFlow moves the 29th-31st to the last day of shorter months:
+      // the latest of 28..day that exists in the month
+      const days = [];
+      for (let d = 28; d <= day; d++) days.push(d);
+      parts.push(`FREQ=MONTHLY${interval};BYMONTHDAY=${days.join(',')};BYSETPOS=-1`);
+    } else {
+      parts.push(`FREQ=MONTHLY${interval};BYMONTHDAY=${day}`);
+    }
+  } else {
+    return null;
+  }
+
+  if (rule.until) {
+    parts.push(`UNTIL=${formatDate(rule.until)}${allDay ? '' : 'T235959'}`);
+  }
+  return parts.join(';');
+}
+
+// --- Calendar ---
+
+function buildEvent(lines, props) {
+  lines.push('BEGIN:VEVENT');
+  for (const [name, value] of props) {
+    if (value !== null && value !== undefined && value !== '') lines.push(`${name}:${value}`);
+  }
+  lines.push('END:VEVENT');
+}
+
+/**
+ * The whole calendar as an .ics string.
+ * Options: `projectIds` limits it to those projects, `includeCompleted`
+ * keeps done tasks (without repeats), `name` sets the calendar's title.
+ */
+function buildCalendar(data, options = {}) {
+  const now = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name || 'TaskFlow')}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+    'X-PUBLISHED-TTL:PT15M',
+  ];
+
+  for (const project of (data.projects || [])) {
+    if (options.projectIds && !options.projectIds.includes(project.id)) continue;
+    const category = project.isInbox ? 'Inbox' : project.name;
+    const color = nearestColorName(project.color);
+
+    for (const task of (project.tasks || [])) {
+      const done = task.status === 'done';
+      if (done && !options.includeCompleted) continue;
+      if (!task.scheduledDate && !task.dueDate) continue;
+
+      // A series keeps one UID across the task copies each completion creates
+      const uidBase = !done && task.recurrence && task.recurrence.seriesId ? task.recurrence.seriesId : task.id;
+      const rule = done ? null : task.recurrence;
+      const description = [
+        task.description,
+        task.estimatedMinutes ? `Estimate: ${task.estimatedMinutes} min` : '',
+        task.dueDate ? `Due: ${task.dueDate}` : '',
+      ].filter(Boolean).join('\n');
+      const common = [
+        ['CATEGORIES', escapeText(category)],
+        ['COLOR', color],
+        ['X-TASKFLOW-COLOR', project.color],
+        ['X-TASKFLOW-TASK-ID', task.id],
+        ['LAST-MODIFIED', task.updatedAt ? formatUtc(new Date(task.updatedAt)) : null],
+        ['STATUS', 'CONFIRMED'],
+      ];
+
+      if (task.scheduledDate) {
+        // The repeat rule follows the due date; a block on another day only
+        // repeats with it when the spacing is the same every time (daily)
+        const repeats = !task.dueDate || task.dueDate === task.scheduledDate || (rule && rule.type === 'daily');
+        const timed = !!task.scheduledTime;
+        const start = timed
+          ? ['DTSTART', formatLocalDateTime(task.scheduledDate, task.scheduledTime)]
+          : ['DTSTART;VALUE=DATE', formatDate(task.scheduledDate)];
+        const end = timed
+          ? ['DTEND', formatLocalDateTime(task.scheduledDate, task.scheduledTime, task.estimatedMinutes || DEFAULT_DURATION_MINUTES)]
+          : ['DTEND;VALUE=DATE', formatDate(nextDay(task.scheduledDate))];
+        buildEvent(lines, [
+          ['UID', `${uidBase}-block@taskflow-pm`],
+          ['DTSTAMP', now],
+          start,
+          end,
+          ['RRULE', repeats ? recurrenceToRRule(rule, !timed) : null],
+          ['SUMMARY', escapeText(done ? `✓ ${task.name}` : task.name)],
+          ['DESCRIPTION', description ? escapeText(description) : null],
+          ...common,
+          ['TRANSP', timed ? 'OPAQUE' : 'TRANSPARENT'],
+        ]);
+      }
+
+      if (task.dueDate && task.dueDate !== task.scheduledDate) {
+        buildEvent(lines, [
+          ['UID', `${uidBase}-due@taskflow-pm`],
+          ['DTSTAMP', now],
+          ['DTSTART;VALUE=DATE', formatDate(task.dueDate)],
+          ['DTEND;VALUE=DATE', formatDate(nextDay(task.dueDate))],
+          ['RRULE', recurrenceToRRule(rule, true)],
+          ['SUMMARY', escapeText(`Due: ${task.name}`)],
+          ['DESCRIPTION', task.description ? escapeText(task.description) : null],
+          ...common,
+          ['TRANSP', 'TRANSPARENT'],
+        ]);
+      }
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  recurrenceToRRule,
+  nearestColorName,
+};
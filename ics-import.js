@@ -0,0 +1,394 @@
+/**
+ * iCalendar (.ics) import — reads other calendars' events as busy time
+ *
+ * parseCalendar() turns an .ics file into plain event objects (safe to cache
+ * as JSON); expandEvents() lists the actual occurrences in a date range,
+ * following RRULEs, EXDATEs and moved or cancelled instances (RECURRENCE-ID).
+ * Times with a TZID are converted with Intl, so they land at the right local
+ * time across daylight saving changes; dates, floating times and zones Intl
+ * doesn't know (e.g. Windows names from Outlook) are read as local time, in
+ * the zone passed as `localZone` (settings.timezone) or else the system's.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_EXPANSION_YEARS = 30; // Stop following a rule this far past its start
+
+// --- Parsing ---
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// 'NAME;PARAM=a;PARAM2="x:y":value' -> { name, params, value }
+function parseLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  for (; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') inQuotes = !inQuotes;
+    else if (c === ':' && !inQuotes) break;
+  }
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+  const [name, ...paramParts] = head.split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+// '20260410T090000Z' -> { date: '2026-04-10', time: '09:00:00', tz: 'UTC' }
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, y, m, d, h, min, s, z] = match;
+  const date = `${y}-${m}-${d}`;
+  if (h === undefined || params.VALUE === 'DATE') return { date, time: null, tz: null };
+  return { date, time: `${h}:${min}:${s || '00'}`, tz: z ? 'UTC' : (params.TZID || null) };
+}
+
+// 'P1DT2H30M' -> minutes
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match;
+  const minutes = (+w || 0) * 7 * 1440 + (+d || 0) * 1440 + (+h || 0) * 60 + (+m || 0) + Math.floor((+s || 0) / 60);
+  return sign === '-' ? -minutes : minutes;
+}
+
+function parseRRule(value) {
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: null, byMonthDay: null, byMonth: null, bySetPos: null, wkst: 1 };
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (!val) continue;
+    switch (key.toUpperCase()) {
+      case 'FREQ': rule.freq = val.toUpperCase(); break;
+      case 'INTERVAL': rule.interval = Math.max(1, parseInt(val, 10) || 1); break;
+      case 'COUNT': rule.count = parseInt(val, 10) || null; break;
+      case 'UNTIL': rule.until = parseDateValue(val); break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(d => {
+          const m = /^([+-]?\d+)?([A-Z]{2})$/i.exec(d.trim());
+          return m ? { n: m[1] ? parseInt(m[1], 10) : null, day: DAY_CODES.indexOf(m[2].toUpperCase()) } : null;
+        }).filter(d => d && d.day >= 0);
+        break;
+      case 'BYMONTHDAY': rule.byMonthDay = val.split(',').map(Number).filter(Boolean); break;
+      case 'BYMONTH': rule.byMonth = val.split(',').map(Number).filter(Boolean); break;
+      case 'BYSETPOS': rule.bySetPos = val.split(',').map(Number).filter(Boolean); break;
+      case 'WKST': rule.wkst = Math.max(0, DAY_CODES.indexOf(val.toUpperCase())); break;
+    }
+  }
+  return ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq) ? rule : null;
+}
+
+/**
+ * The calendar's name and its events. Each event is
+ * { uid, summary, location, start, end, durationMinutes, allDay, rrule,
+ *   exdates, recurrenceId, status, transparent }, where start/end/exdates
+ * are { date, time, tz } as written in the file.
+ */
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const calendar = { name: null, events: [] };
+  const stack = [];
+  let event = null;
+
+  for (const raw of lines) {
+    if (!raw.trim()) continue;
+    const { name, params, value } = parseLine(raw);
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        event = { uid: null, summary: '', location: '', start: null, end: null, durationMinutes: null, rrule: null, exdates: [], recurrenceId: null, status: null, transparent: false };
+      }
+      continue;
+    }
+    if (name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && event) {
+        if (event.start) {
+          event.allDay = !event.start.time;
+          calendar.events.push(event);
+        }
+        event = null;
+      }
+      continue;
+    }
+
+    const current = stack[stack.length - 1];
+    if (current === 'VCALENDAR' && name === 'X-WR-CALNAME') {
+      calendar.name = unescapeText(value);
+    } else if (current === 'VEVENT' && event) {
+      // Properties of nested components (alarms) never reach here
+      switch (name) {
+        case 'UID': event.uid = value; break;
+        case 'SUMMARY': event.summary = unescapeText(value); break;
+        case 'LOCATION': event.location = unescapeText(value); break;
+        case 'DTSTART': event.start = parseDateValue(value, params); break;
+        case 'DTEND': event.end = parseDateValue(value, params); break;
+        case 'DURATION': event.durationMinutes = parseDuration(value); break;
+        case 'RRULE': event.rrule = parseRRule(value); break;
+        case 'EXDATE':
+          for (const v of value.split(',')) {
+            const exdate = parseDateValue(v, params);
+            if (exdate) event.exdates.push(exdate);
+          }
+          break;
+        case 'RECURRENCE-ID': event.recurrenceId = parseDateValue(value, params); break;
+        case 'STATUS': event.status = value.toUpperCase(); break;
+        case 'TRANSP': event.transparent = value.toUpperCase() === 'TRANSPARENT'; break;
+      }
+    }
+  }
+  return calendar;
+}
+
+// --- Time zones ---
+
+const zoneFormatters = new Map();
+
+function zoneFormatter(tz) {
+  if (!zoneFormatters.has(tz)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+      });
+    } catch (err) {
+      // Not an IANA zone - read as local time
+    }
+    zoneFormatters.set(tz, formatter);
+  }
+  return zoneFormatters.get(tz);
+}
+
+// How far ahead of UTC the zone's clocks are at `ms`
+function zoneOffset(formatter, ms) {
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(ms))) parts[type] = +value;
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// { date, time, tz } -> epoch ms. Date-only values are local midnight.
+function toEpoch({ date, time, tz }, localZone = null) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [h, min, s] = (time || '00:00:00').split(':').map(Number);
+  if (tz === 'UTC') return Date.UTC(y, m - 1, d, h, min, s);
+  const formatter = (time && tz && zoneFormatter(tz)) || (localZone && zoneFormatter(localZone));
+  if (!formatter) return new Date(y, m - 1, d, h, min, s).getTime();
+  const wall = Date.UTC(y, m - 1, d, h, min, s);
+  // Guess with the offset at the wall time, then correct once for a DST change in between
+  const guess = wall - zoneOffset(formatter, wall);
+  return wall - zoneOffset(formatter, guess);
+}
+
+// Local 'YYYY-MM-DD' and minutes since midnight at `ms`
+function toLocalTime(ms, localZone = null) {
+  const formatter = localZone && zoneFormatter(localZone);
+  if (!formatter) {
+    const date = new Date(ms);
+    return {
+      date: dateFromDayNumber(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS),
+      minutes: date.getHours() * 60 + date.getMinutes(),
+    };
+  }
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(ms))) parts[type] = +value;
+  return {
+    date: dateFromDayNumber(Date.UTC(parts.year, parts.month - 1, parts.day) / DAY_MS),
+    minutes: parts.hour * 60 + parts.minute,
+  };
+}
+
+// --- Recurrence ---
+
+function dayNumber(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function dateFromDayNumber(n) {
+  return new Date(n * DAY_MS).toISOString().split('T')[0];
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+// Days of month y-m (1-based) that a MONTHLY/YEARLY rule picks
+function monthDays(rule, y, m, startDay) {
+  const count = daysInMonth(y, m);
+  let days = null;
+  if (rule.byDay) {
+    days = [];
+    const firstWeekday = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+    for (const { n, day } of rule.byDay) {
+      const matching = [];
+      for (let d = 1 + ((day - firstWeekday + 7) % 7); d <= count; d += 7) matching.push(d);
+      if (n === null) days.push(...matching);
+      else if (n > 0 && matching[n - 1]) days.push(matching[n - 1]);
+      else if (n < 0 && matching[matching.length + n]) days.push(matching[matching.length + n]);
+    }
+  }
+  if (rule.byMonthDay) {
+    const byMonthDay = rule.byMonthDay.map(d => (d < 0 ? count + 1 + d : d)).filter(d => d >= 1 && d <= count);
+    days = days ? days.filter(d => byMonthDay.includes(d)) : byMonthDay;
+  }
+  if (!days) days = startDay <= count ? [startDay] : [];
+  days = [...new Set(days)].sort((a, b) => a - b);
+  if (rule.bySetPos) {
+    days = rule.bySetPos.map(p => (p > 0 ? days[p - 1] : days[days.length + p])).filter(Boolean);
+  }
+  return days;
+}
+
+function matchesRule(rule, n, startN, start) {
+  const date = new Date(n * DAY_MS);
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + 1;
+  const weekday = date.getUTCDay();
+  const [sy, sm, sd] = start.date.split('-').map(Number);
+
+  if (rule.byMonth && !rule.byMonth.includes(m)) return false;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      if ((n - startN) % rule.interval !== 0) return false;
+      if (rule.byDay && !rule.byDay.some(d => d.day === weekday)) return false;
+      if (rule.byMonthDay && !monthDays({ byMonthDay: rule.byMonthDay }, y, m, sd).includes(date.getUTCDate())) return false;
+      return true;
+    case 'WEEKLY': {
+      const weekStart = (k) => k - ((new Date(k * DAY_MS).getUTCDay() - rule.wkst + 7) % 7);
+      if (((weekStart(n) - weekStart(startN)) / 7) % rule.interval !== 0) return false;
+      const days = rule.byDay ? rule.byDay.map(d => d.day) : [new Date(startN * DAY_MS).getUTCDay()];
+      return days.includes(weekday);
+    }
+    case 'MONTHLY':
+      if (((y - sy) * 12 + (m - sm)) % rule.interval !== 0) return false;
+      return monthDays(rule, y, m, sd).includes(date.getUTCDate());
+    case 'YEARLY':
+      if ((y - sy) % rule.interval !== 0) return false;
+      if (!rule.byMonth && m !== sm) return false;
+      if (!rule.byDay && !rule.byMonthDay) return date.getUTCDate() === sd;
+      return monthDays(rule, y, m, sd).includes(date.getUTCDate());
+    default:
+      return false;
+  }
+}
+
+// Start dates (in the event's own calendar) of a recurring event, up to day number `lastN`
+function* occurrenceDates(event, lastN, localZone) {
+  const rule = event.rrule;
+  const startN = dayNumber(event.start.date);
+  const untilMs = rule.until
+    ? (rule.until.time
+      ? toEpoch(rule.until, localZone)
+      : toEpoch({ date: rule.until.date, time: '23:59:59', tz: event.start.tz }, localZone))
+    : Infinity;
+  const limit = Math.min(lastN, startN + MAX_EXPANSION_YEARS * 366);
+  let produced = 0;
+
+  for (let n = startN; n <= limit; n++) {
+    // DTSTART is always the first instance, even if the rule wouldn't pick it
+    if (n !== startN && !matchesRule(rule, n, startN, event.start)) continue;
+    const date = dateFromDayNumber(n);
+    if (toEpoch({ ...event.start, date }, localZone) > untilMs) return;
+    yield date;
+    produced++;
+    if (rule.count && produced >= rule.count) return;
+  }
+}
+
+function instanceKey(value, allDay, localZone) {
+  return allDay ? value.date : String(toEpoch(value, localZone));
+}
+
+function eventSpan(event, localZone) {
+  if (event.allDay) {
+    const days = event.end
+      ? Math.max(1, dayNumber(event.end.date) - dayNumber(event.start.date))
+      : Math.max(1, Math.round((event.durationMinutes || 1440) / 1440));
+    return { days };
+  }
+  const startMs = toEpoch(event.start, localZone);
+  const minutes = event.end
+    ? (toEpoch(event.end, localZone) - startMs) / 60000
+    : (event.durationMinutes !== null ? event.durationMinutes : 0);
+  return { minutes: Math.max(0, minutes) };
+}
+
+function makeInstance(event, startValue, span, localZone) {
+  if (event.allDay) {
+    const startN = dayNumber(startValue.date);
+    return {
+      uid: event.uid, summary: event.summary, location: event.location, allDay: true,
+      startDate: startValue.date, endDate: dateFromDayNumber(startN + span.days),
+    };
+  }
+  const startMs = toEpoch(startValue, localZone);
+  return {
+    uid: event.uid, summary: event.summary, location: event.location, allDay: false,
+    startMs, endMs: startMs + span.minutes * 60000,
+  };
+}
+
+/**
+ * Busy occurrences overlapping fromDate..toDate (local 'YYYY-MM-DD', inclusive,
+ * in `localZone`). Timed instances have { startMs, endMs }; all-day ones
+ * { startDate, endDate } (end exclusive). Cancelled and free ("transparent")
+ * events are left out.
+ */
+function expandEvents(events, fromDate, toDate = fromDate, localZone = null) {
+  const rangeStartMs = toEpoch({ date: fromDate, time: null, tz: null }, localZone);
+  const rangeEndMs = toEpoch({ date: dateFromDayNumber(dayNumber(toDate) + 1), time: null, tz: null }, localZone);
+  const lastN = dayNumber(toDate) + 1; // Events in other zones can start a day "later"
+
+  // Moved or cancelled instances of a series, by the start they replace
+  const overrides = new Map();
+  for (const event of events) {
+    if (!event.recurrenceId) continue;
+    if (!overrides.has(event.uid)) overrides.set(event.uid, new Set());
+    overrides.get(event.uid).add(instanceKey(event.recurrenceId, event.allDay, localZone));
+  }
+
+  const instances = [];
+  const keep = (instance) => {
+    const inRange = instance.allDay
+      ? instance.startDate <= toDate && instance.endDate > fromDate
+      : instance.startMs < rangeEndMs && instance.endMs > rangeStartMs;
+    if (inRange) instances.push(instance);
+  };
+
+  for (const event of events) {
+    if (event.status === 'CANCELLED' || event.transparent) continue;
+    const span = eventSpan(event, localZone);
+
+    if (!event.rrule || event.recurrenceId) {
+      keep(makeInstance(event, event.start, span, localZone));
+      continue;
+    }
+
+    const skip = new Set(event.exdates.map(d => instanceKey(d, event.allDay, localZone)));
+    const replaced = overrides.get(event.uid) || new Set();
+    for (const date of occurrenceDates(event, lastN, localZone)) {
+      const start = { ...event.start, date };
+      const key = instanceKey(start, event.allDay, localZone);
+      if (skip.has(key) || replaced.has(key)) continue;
+      keep(makeInstance(event, start, span, localZone));
+    }
+  }
+
+  return instances.sort((a, b) => (a.allDay === b.allDay ? (a.startMs || 0) - (b.startMs || 0) : a.allDay ? -1 : 1));
+}
+
+module.exports = {
+  parseCalendar,
+  expandEvents,
+  toEpoch,
+  toLocalTime,
+};
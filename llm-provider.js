@@ -0,0 +1,224 @@
+/**
+ * LLM providers for the focus-mode AI chat
+ *
+ * The provider is chosen in settings.llm:
+ *   { provider: 'none' | 'openai' | 'llamacpp' | 'ollama' | 'stub',
+ *     baseUrl, model, apiKey }
+ * 'openai' is any OpenAI-compatible /chat/completions endpoint (OpenAI,
+ * OpenRouter, LM Studio, vLLM...), 'llamacpp' is llama.cpp's built-in server
+ * (the same API, no key), 'ollama' is Ollama's /api/chat, and 'stub' answers
+ * without any network so the chat can be tried out and tested offline.
+ *
+ * Only the main process talks to providers, so API keys never reach the
+ * renderer's network stack. The system prompt carries the task being worked
+ * on; replies that suggest subtasks list them under a "Subtasks:" line, which
+ * parseSubtaskSuggestions() picks out for one-click adding.
+ */
+
+const REQUEST_TIMEOUT_MS = 60000;
+const RECENT_TIME_LOG = 5;
+const MAX_SUBTASK_SUGGESTIONS = 10;
+
+const PROVIDERS = {
+  openai: { label: 'OpenAI-compatible', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', needsKey: true },
+  llamacpp: { label: 'llama.cpp server', baseUrl: 'http://127.0.0.1:8080/v1', model: 'local' },
+  ollama: { label: 'Ollama', baseUrl: 'http://127.0.0.1:11434', model: 'llama3.1' },
+  stub: { label: 'Stub (offline)' },
+};
+
+function providerError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Settings with each provider's defaults filled in, or null when the chat
+// should fall back to the built-in tips
+function getLlmSettings(data) {
+  const llm = (data && data.settings && data.settings.llm) || {};
+  const defaults = PROVIDERS[llm.provider];
+  if (!defaults) return null;
+  return {
+    provider: llm.provider,
+    baseUrl: (llm.baseUrl || defaults.baseUrl || '').replace(/\/+$/, ''),
+    model: llm.model || defaults.model || '',
+    apiKey: llm.apiKey || '',
+  };
+}
+
+// --- HTTP ---
+
+async function postJson(url, body, headers = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      let detail = '';
+      try {
+        const parsed = JSON.parse(text);
+        detail = (parsed.error && (parsed.error.message || parsed.error)) || '';
+      } catch (e) {
+        detail = text.slice(0, 200);
+      }
+      throw providerError(`AI server returned ${response.status}${detail ? `: ${detail}` : ''}`, 'HTTP_ERROR');
+    }
+    return JSON.parse(text);
+  } catch (err) {
+    if (err.name === 'AbortError') throw providerError('AI server did not respond', 'TIMEOUT');
+    if (err.code) throw err;
+    if (err instanceof SyntaxError) throw providerError('AI server sent a reply that is not JSON', 'BAD_RESPONSE');
+    throw providerError(`Could not reach the AI server at ${url} (${err.cause ? err.cause.code || err.cause.message : err.message})`, 'UNREACHABLE');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// --- Providers ---
+
+function openAICompatible(config) {
+  return async (messages) => {
+    if (PROVIDERS[config.provider].needsKey && !config.apiKey) {
+      throw providerError('Add an API key in Settings → AI Assistant', 'NO_API_KEY');
+    }
+    const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+    const reply = await postJson(`${config.baseUrl}/chat/completions`, { model: config.model, messages }, headers);
+    const content = reply.choices && reply.choices[0] && reply.choices[0].message && reply.choices[0].message.content;
+    if (typeof content !== 'string') throw providerError('AI server sent an empty reply', 'BAD_RESPONSE');
+    return content.trim();
+  };
+}
+
+function ollama(config) {
+  return async (messages) => {
+    const reply = await postJson(`${config.baseUrl}/api/chat`, { model: config.model, messages, stream: false });
+    const content = reply.message && reply.message.content;
+    if (typeof content !== 'string') throw providerError('Ollama sent an empty reply', 'BAD_RESPONSE');
+    return content.trim();
+  };
+}
+
+// Canned but deterministic: echoes what it was asked and, when asked to break
+// the task down, suggests subtasks in the same shape a real model is asked for
+function stub() {
+  return async (messages) => {
+    const system = messages.find(m => m.role === 'system');
+    const last = [...messages].reverse().find(m => m.role === 'user');
+    const taskLine = system && system.content.split('\n').find(line => line.startsWith('Task: '));
+    const taskName = taskLine ? taskLine.slice('Task: '.length) : 'this task';
+    const question = last ? last.content : '';
+    if (/break|step|subtask/i.test(question)) {
+      return [
+        `Here's a way into "${taskName}":`,
+        '',
+        'Subtasks:',
+        `- Write down what done looks like for ${taskName}`,
+        '- Do the smallest first step',
+        '- Review and wrap up',
+      ].join('\n');
+    }
+    return `(stub) You asked: "${question}". Keep going on "${taskName}" — one small step at a time.`;
+  };
+}
+
+/**
+ * A provider for the given settings (see getLlmSettings), or null for none:
+ *   { name, label, model, chat(messages) → Promise<string> }
+ * chat() takes OpenAI-style [{ role, content }] and rejects with an error
+ * whose code is NO_API_KEY, HTTP_ERROR, TIMEOUT, UNREACHABLE or BAD_RESPONSE.
+ */
+function createProvider(config) {
+  if (!config || !PROVIDERS[config.provider]) return null;
+  let chat;
+  if (config.provider === 'ollama') chat = ollama(config);
+  else if (config.provider === 'stub') chat = stub();
+  else chat = openAICompatible(config);
+  return { name: config.provider, label: PROVIDERS[config.provider].label, model: config.model, chat };
+}
+
+// --- Prompts ---
+
+function formatLogEntry(entry, toLocalDate) {
+  const date = (entry.loggedAt && toLocalDate(entry.loggedAt)) || 'undated';
+  return `- ${date}: ${entry.minutes || 0} min${entry.notes ? ` — ${entry.notes}` : ''}`;
+}
+
+/**
+ * The system prompt for chatting about `task`: what it is, why it matters,
+ * where it's at (subtasks, recent time logged) and what's been learned so far.
+ * `toLocalDate(timestamp)` gives the day time was logged on the user's clock
+ * (shared/dates.js); without it the stored UTC day is used.
+ */
+function buildTaskPrompt(task, { projectName, parentName, toLocalDate = timestamp => timestamp.slice(0, 10) } = {}) {
+  const lines = [
+    'You are a focus coach inside TaskFlow, a task manager. The user is in focus mode working on one task.',
+    'Be brief and practical: a few sentences or a short list. Plain text only, no Markdown headings.',
+    'When you suggest breaking the task into subtasks, end your reply with a line "Subtasks:" followed by one "- " line per subtask, each a short concrete action.',
+    '',
+    `Task: ${task.name}`,
+  ];
+  if (projectName) lines.push(`Project: ${projectName}`);
+  if (parentName) lines.push(`Part of: ${parentName}`);
+  if (task.priority && task.priority !== 'none') lines.push(`Priority: ${task.priority}`);
+  if (task.dueDate) lines.push(`Due: ${task.dueDate}`);
+  if (task.estimatedMinutes) lines.push(`Estimate: ${task.estimatedMinutes} min`);
+  if (task.description) lines.push(`Description: ${task.description}`);
+  if (task.goal) lines.push(`Goal: ${task.goal}`);
+  if (task.context) lines.push('', 'Context:', task.context);
+
+  const subtasks = task.subtasks || [];
+  if (subtasks.length > 0) {
+    lines.push('', 'Current subtasks:');
+    for (const sub of subtasks) lines.push(`- [${sub.status === 'done' ? 'x' : ' '}] ${sub.name}`);
+  }
+
+  const learnings = task.learnings || [];
+  if (learnings.length > 0) {
+    lines.push('', 'Learnings so far:');
+    for (const learning of learnings) lines.push(`- ${typeof learning === 'string' ? learning : learning.text}`);
+  }
+
+  const timeLog = task.timeLog || [];
+  if (timeLog.length > 0) {
+    const total = timeLog.reduce((sum, e) => sum + (e.minutes || 0), 0);
+    lines.push('', `Time logged: ${total} min in ${timeLog.length} entr${timeLog.length === 1 ? 'y' : 'ies'}. Most recent:`);
+    for (const entry of timeLog.slice(-RECENT_TIME_LOG)) lines.push(formatLogEntry(entry, toLocalDate));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Subtask names suggested in a reply: the "- " or "1." lines after a
+ * "Subtasks:" line. Replies without that line suggest nothing.
+ */
+function parseSubtaskSuggestions(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const start = lines.findIndex(line => /^\s*(\*\*)?subtasks:?(\*\*)?:?\s*$/i.test(line));
+  if (start === -1) return [];
+  const names = [];
+  for (const line of lines.slice(start + 1)) {
+    if (!line.trim()) {
+      if (names.length > 0) break;
+      continue;
+    }
+    const match = line.match(/^\s*(?:[-*•]|\d+[.)])\s+(?:\[[ xX]\]\s*)?(.+)$/);
+    if (!match) break;
+    const name = match[1].replace(/\*\*/g, '').trim();
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names.slice(0, MAX_SUBTASK_SUGGESTIONS);
+}
+
+module.exports = {
+  PROVIDERS,
+  getLlmSettings,
+  createProvider,
+  buildTaskPrompt,
+  parseSubtaskSuggestions,
+};
@@ -1,13 +1,47 @@
 const { app, BrowserWindow, ipcMain, dialog, screen, globalShortcut, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
 const NotionSync = require('./notion-sync');
+const NotionSyncService = require('./notion-sync-service');
+const DataStore = require('./data-store');
+const BackupManager = require('./backup-manager');
+const migrations = require('./migrations');
+const { buildCalendar } = require('./ics-calendar');
+const ExternalCalendars = require('./external-calendars');
+const llm = require('./llm-provider');
+const RestApi = require('./rest-api');
+const { TaskEventBus } = require('./task-events');
+const WebhookDispatcher = require('./webhooks');
 
 let mainWindow;
 let pillWindow = null;
 let captureWindow = null;
 let floatingBarWindow = null;
 const dataPath = path.join(app.getPath('userData'), 'taskflow-data.json');
+const notionStatePath = path.join(app.getPath('userData'), 'taskflow-notion-state.json');
+const dataStore = new DataStore({ filePath: dataPath });
+let dataWatcher = null;
+let dataWatchTimer = null;
+let historyWatchTimer = null;
+let calendarsWatchTimer = null;
+let lastSeenRevision = 0;
+const notionSyncService = new NotionSyncService({ dataStore, statePath: notionStatePath, origin: 'app' });
+const NOTION_AUTO_SYNC_MIN_GAP_MS = 4 * 60 * 1000; // Auto-sync skips a run if any process synced this recently
+const backupManager = new BackupManager({ dataStore, dir: path.join(app.getPath('userData'), 'backups') });
+let backupTimer = null;
+const BACKUP_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+let icsFeedServer = null;
+const ICS_FEED_DEFAULT_PORT = 8375;
+let restApiServer = null;
+const REST_API_DEFAULT_PORT = 8376;
+const externalCalendars = new ExternalCalendars({ dir: app.getPath('userData') });
+let calendarRefreshTimer = null;
+const CALENDAR_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const webhooks = new WebhookDispatcher({ dir: app.getPath('userData') });
+let taskEvents = null;
+let webhookTimer = null;
+const WEBHOOK_CHECK_INTERVAL_MS = 30 * 1000;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -34,112 +68,49 @@ function createWindow() {
 
 function loadData() {
   try {
-    if (fs.existsSync(dataPath)) {
-      const data = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+    const data = dataStore.read();
+    if (data) {
       return migrateData(data);
     }
   } catch (error) {
+    if (error.code === 'SCHEMA_TOO_NEW') throw error;
     console.error('Error loading data:', error);
   }
   return getDefaultData();
 }
 
+// Runs the shared migration registry (migrations.js). Throws SCHEMA_TOO_NEW
+// for data written by a newer TaskFlow - callers must not fall back to
+// defaults in that case, or the next save would overwrite the user's data.
 function migrateData(data) {
-  let needsSave = false;
-
-  // Migration: Add categories if missing
-  if (!data.categories) {
-    data.categories = [
-      { id: 'cat-work', name: 'Work', color: '#6366f1', order: 0, collapsed: false },
-      { id: 'cat-personal', name: 'Personal', color: '#10b981', order: 1, collapsed: false },
-      { id: 'cat-side', name: 'Side Projects', color: '#f59e0b', order: 2, collapsed: false }
-    ];
-    needsSave = true;
-  }
-
-  // Migration: Add favorites array if missing
-  if (!data.favorites) {
-    data.favorites = [];
-    needsSave = true;
-  }
-
-  // Migration: Ensure projects have new fields and assign to default category
-  if (data.projects) {
-    for (const project of data.projects) {
-      if (!project.isInbox) {
-        // Add categoryId if missing - default to Personal
-        if (!project.categoryId) {
-          project.categoryId = 'cat-personal';
-          needsSave = true;
-        }
-        // Add status if missing - use open-ended statuses: active/paused/blocked
-        if (!project.status || project.status === 'completed') {
-          project.status = 'active';
-          needsSave = true;
-        }
-        // Add goal field if missing
-        if (project.goal === undefined) {
-          project.goal = '';
-          needsSave = true;
-        }
-      }
-      // Migrate tasks: ensure blockedBy is an array and add blocks field
-      if (project.tasks) {
-        for (const task of project.tasks) {
-          // Convert old blockedBy (string) to blockedBy (array)
-          if (task.blockedBy && typeof task.blockedBy === 'string') {
-            // Keep the old string value but don't convert - it was a description
-            task.blockedByReason = task.blockedBy;
-            task.blockedBy = [];
-            needsSave = true;
-          }
-          if (!Array.isArray(task.blockedBy)) {
-            task.blockedBy = [];
-            needsSave = true;
-          }
-          if (!Array.isArray(task.blocks)) {
-            task.blocks = [];
-            needsSave = true;
-          }
-        }
-      }
-    }
+  const { changed, fromVersion, toVersion } = migrations.migrate(data);
+  if (changed) {
+    // Not awaited, as loading is synchronous: a load before this lands
+    // migrates the same way, and the two saves merge cleanly
+    saveData(data, { source: 'system', meta: { label: `Data migration v${fromVersion} → v${toVersion}` } });
   }
-
-  // Migration: Add updatedAt to tasks that don't have it
-  if (data.projects) {
-    for (const project of data.projects) {
-      if (project.tasks) {
-        for (const task of project.tasks) {
-          if (!task.updatedAt) {
-            task.updatedAt = task.completedAt || task.createdAt || new Date().toISOString();
-            needsSave = true;
-          }
-        }
-      }
-    }
-  }
-
-  // Save if migrations occurred
-  if (needsSave) {
-    saveData(data);
-  }
-
   return data;
 }
 
-function saveData(data) {
+// Waits for the data lock without blocking, so a long write elsewhere (MCP,
+// Notion sync) doesn't freeze the windows. Never rejects.
+async function saveData(data, options = {}) {
   try {
-    fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
-    return true;
+    const { revision, merged } = await dataStore.withLockAsync(() => dataStore.write(data, options));
+    return { success: true, revision, merged };
   } catch (error) {
+    if (error.code === 'STALE_REVISION') {
+      // Another process (e.g. the MCP server) edited the same fields
+      return { success: false, conflict: true, error: error.message };
+    }
     console.error('Error saving data:', error);
-    return false;
+    return { success: false, error: error.message };
   }
 }
 
 function getDefaultData() {
   return {
+    schemaVersion: migrations.SCHEMA_VERSION,
     projects: [],
     categories: [
       { id: 'cat-work', name: 'Work', color: '#6366f1', order: 0, collapsed: false },
@@ -160,9 +131,259 @@ function getDefaultData() {
   };
 }
 
+// Data file watcher - tells the renderer when another process (MCP server,
+// quick capture, Notion sync) writes taskflow-data.json, or when a sync
+// anywhere adds to the sync history. Watches the folder because atomic saves
+// replace the file rather than modifying it.
+function watchDataFile() {
+  const dir = path.dirname(dataPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  lastSeenRevision = dataStore.getRevision();
+
+  try {
+    dataWatcher = fs.watch(dir, (eventType, filename) => {
+      if (filename === path.basename(notionSyncService.historyPath)) {
+        clearTimeout(historyWatchTimer);
+        historyWatchTimer = setTimeout(notifySyncHistoryChanged, 150);
+        return;
+      }
+      if (filename === path.basename(externalCalendars.cachePath)) {
+        clearTimeout(calendarsWatchTimer);
+        calendarsWatchTimer = setTimeout(notifyCalendarsChanged, 150);
+        return;
+      }
+      if (filename && filename !== path.basename(dataPath)) return;
+      clearTimeout(dataWatchTimer);
+      dataWatchTimer = setTimeout(checkDataFileChanged, 150);
+    });
+    dataWatcher.on('error', (err) => console.error('Data file watcher error:', err));
+  } catch (err) {
+    console.error('Failed to watch data file:', err);
+  }
+}
+
+function checkDataFileChanged() {
+  processTaskEvents();
+  const revision = dataStore.getRevision();
+  if (revision === lastSeenRevision) return;
+  lastSeenRevision = revision;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('data-changed', { revision });
+  }
+}
+
+function notifySyncHistoryChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('notion-sync-history-changed');
+  }
+}
+
+// Refreshing (here or by the MCP server) rewrites the cache file, which the
+// watcher turns into this
+function notifyCalendarsChanged() {
+  externalCalendars.reload();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('external-calendars-changed');
+  }
+}
+
+// External calendars - each is fetched again once it's older than the refresh interval
+async function refreshExternalCalendars({ force = false } = {}) {
+  const data = loadData();
+  const maxAgeMs = force ? 0 : ExternalCalendars.getRefreshMinutes(data) * 60 * 1000;
+  try {
+    return await externalCalendars.refresh(ExternalCalendars.getSources(data), { maxAgeMs });
+  } catch (err) {
+    console.error('Calendar refresh failed:', err);
+    return { refreshed: [], errors: [{ error: err.message }] };
+  }
+}
+
+// Task events - read from the operation log whenever the data file changes
+// (whoever wrote it) and on a timer, which also retries failed webhooks
+function startTaskEvents() {
+  taskEvents = new TaskEventBus({ log: dataStore.log, cursor: webhooks.getEventCursor() });
+  taskEvents.on('event', (event, data) => {
+    webhooks.enqueue(event, WebhookDispatcher.getWebhooks(data));
+  });
+  processTaskEvents();
+  webhookTimer = setInterval(processTaskEvents, WEBHOOK_CHECK_INTERVAL_MS);
+}
+
+function processTaskEvents() {
+  if (!taskEvents) return;
+  try {
+    const data = loadData();
+    taskEvents.poll(data);
+    webhooks.setEventCursor(taskEvents.cursor);
+    if (webhooks.getPendingCount() > 0) {
+      webhooks.deliverDue(WebhookDispatcher.getWebhooks(data))
+        .then(records => { if (records.length > 0) notifyWebhookDeliveries(); })
+        .catch(err => console.error('Webhook delivery failed:', err));
+    }
+  } catch (err) {
+    console.error('Task event processing failed:', err);
+  }
+}
+
+function notifyWebhookDeliveries() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('webhook-deliveries-changed');
+  }
+}
+
+// Rolling backups - checked every few minutes, each tier snapshots once per period
+async function runScheduledBackups() {
+  try {
+    const data = dataStore.read();
+    const retention = (data && data.settings && data.settings.backupRetention) || {};
+    await dataStore.withLockAsync(() => backupManager.runScheduled(retention));
+  } catch (err) {
+    console.error('Scheduled backup failed:', err);
+  }
+}
+
+// Calendar feed - a live .ics of scheduled and due tasks on localhost, for
+// Thunderbird, GNOME Calendar etc. to subscribe to. The random token in the
+// path keeps other local users and web pages from reading it.
+function getIcsFeedSettings() {
+  const data = loadData();
+  const feed = (data.settings && data.settings.icsFeed) || {};
+  return { enabled: !!feed.enabled, port: feed.port || ICS_FEED_DEFAULT_PORT, token: feed.token || null };
+}
+
+function icsFeedUrl(port, token) {
+  return `http://127.0.0.1:${port}/${token}/taskflow.ics`;
+}
+
+function handleIcsFeedRequest(token, req, res) {
+  const url = new URL(req.url, 'http://127.0.0.1');
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || url.pathname !== `/${token}/taskflow.ics`) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+  try {
+    // ?project=<id> narrows the feed to one project
+    const projectId = url.searchParams.get('project');
+    const body = buildCalendar(loadData(), { projectIds: projectId ? [projectId] : null });
+    res.writeHead(200, {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch (err) {
+    console.error('Error serving calendar feed:', err);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Could not build the calendar');
+  }
+}
+
+function stopIcsFeed() {
+  if (!icsFeedServer) return Promise.resolve();
+  const server = icsFeedServer;
+  icsFeedServer = null;
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections(); // Calendar apps keep connections open
+  });
+}
+
+// (Re)start the feed from the saved settings. Returns { success, running, url } or { success: false, error }.
+async function applyIcsFeedSettings() {
+  await stopIcsFeed();
+  const feed = getIcsFeedSettings();
+  if (!feed.enabled || !feed.token) return { success: true, running: false };
+
+  const server = http.createServer((req, res) => handleIcsFeedRequest(feed.token, req, res));
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(feed.port, '127.0.0.1', resolve);
+    });
+  } catch (err) {
+    const error = err.code === 'EADDRINUSE' ? `Port ${feed.port} is already in use` : err.message;
+    console.error('Calendar feed failed to start:', error);
+    return { success: false, running: false, error };
+  }
+  server.on('error', err => console.error('Calendar feed error:', err));
+  server.feedUrl = icsFeedUrl(feed.port, feed.token);
+  icsFeedServer = server;
+  return { success: true, running: true, url: server.feedUrl };
+}
+
+// Local REST API - tasks, projects, tags, recaps and time logs as JSON on
+// localhost for scripts and other tools; every request needs the token.
+function getRestApiSettings() {
+  const data = loadData();
+  const api = (data.settings && data.settings.restApi) || {};
+  return { enabled: !!api.enabled, port: api.port || REST_API_DEFAULT_PORT, token: api.token || null };
+}
+
+function stopRestApi() {
+  if (!restApiServer) return Promise.resolve();
+  const server = restApiServer;
+  restApiServer = null;
+  return new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+// (Re)start the API from the saved settings. Returns { success, running, url } or { success: false, error }.
+async function applyRestApiSettings() {
+  await stopRestApi();
+  const settings = getRestApiSettings();
+  if (!settings.enabled || !settings.token) return { success: true, running: false };
+
+  const api = new RestApi({ loadData, saveData, token: settings.token });
+  const server = http.createServer((req, res) => api.handle(req, res));
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(settings.port, '127.0.0.1', resolve);
+    });
+  } catch (err) {
+    const error = err.code === 'EADDRINUSE' ? `Port ${settings.port} is already in use` : err.message;
+    console.error('Local API failed to start:', error);
+    return { success: false, running: false, error };
+  }
+  server.on('error', err => console.error('Local API error:', err));
+  server.apiUrl = `http://127.0.0.1:${settings.port}${RestApi.BASE_PATH}`;
+  restApiServer = server;
+  return { success: true, running: true, url: server.apiUrl };
+}
+
+// Refuse to open data written by a newer TaskFlow instead of risking it
+function checkDataVersion() {
+  try {
+    loadData();
+    return true;
+  } catch (error) {
+    if (error.code !== 'SCHEMA_TOO_NEW') throw error;
+    dialog.showErrorBox('TaskFlow needs an update', `${error.message}\n\nData file: ${dataPath}`);
+    return false;
+  }
+}
+
 app.whenReady().then(() => {
+  if (!checkDataVersion()) {
+    app.quit();
+    return;
+  }
   createWindow();
   registerGlobalShortcut();
+  watchDataFile();
+  runScheduledBackups();
+  backupTimer = setInterval(runScheduledBackups, BACKUP_CHECK_INTERVAL_MS);
+  applyIcsFeedSettings();
+  applyRestApiSettings();
+  refreshExternalCalendars();
+  calendarRefreshTimer = setInterval(refreshExternalCalendars, CALENDAR_CHECK_INTERVAL_MS);
+  startTaskEvents();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -174,6 +395,12 @@ app.whenReady().then(() => {
 app.on('will-quit', () => {
   // Unregister all shortcuts when quitting
   globalShortcut.unregisterAll();
+  if (dataWatcher) dataWatcher.close();
+  clearInterval(backupTimer);
+  clearInterval(calendarRefreshTimer);
+  clearInterval(webhookTimer);
+  stopIcsFeed();
+  stopRestApi();
 });
 
 app.on('window-all-closed', () => {
@@ -187,8 +414,79 @@ ipcMain.handle('load-data', () => {
   return loadData();
 });
 
-ipcMain.handle('save-data', (event, data) => {
-  return saveData(data);
+// The renderer can label its own saves in the operation log, but not mark them as undo/redo/revert
+function rendererSaveMeta(meta) {
+  if (!meta || typeof meta !== 'object') return undefined;
+  const picked = {};
+  for (const key of ['label', 'tool', 'rollover']) {
+    if (meta[key] !== undefined) picked[key] = meta[key];
+  }
+  return picked;
+}
+
+ipcMain.handle('save-data', async (event, data, meta) => {
+  const result = await saveData(data, { meta: rendererSaveMeta(meta) });
+  // The renderer already has this revision - don't echo it back as a change
+  if (result.success) lastSeenRevision = result.revision;
+  return result;
+});
+
+// Wraps history/backup handlers, run under the data lock (waited for without
+// blocking). Anything they write goes through the store, so the watcher tells
+// the renderer to merge the result.
+async function runStoreAction(action) {
+  try {
+    return { success: true, ...await dataStore.withLockAsync(action) };
+  } catch (error) {
+    console.error('Data store action failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Operation log: undo/redo (of the user's own changes) and per-task history
+
+ipcMain.handle('history-undo', () => {
+  return runStoreAction(() => {
+    const result = dataStore.undo('user');
+    return result ? { done: true, ...result } : { done: false };
+  });
+});
+
+ipcMain.handle('history-redo', () => {
+  return runStoreAction(() => {
+    const result = dataStore.redo('user');
+    return result ? { done: true, ...result } : { done: false };
+  });
+});
+
+ipcMain.handle('history-get-task', (event, taskId) => {
+  return runStoreAction(() => ({ entries: dataStore.getTaskHistory(taskId) }));
+});
+
+ipcMain.handle('history-revert', (event, { entryId, changeIndex }) => {
+  return runStoreAction(() => dataStore.revert(entryId, changeIndex, 'user'));
+});
+
+// Backups
+ipcMain.handle('backup-list', () => {
+  return runStoreAction(() => ({ snapshots: backupManager.list() }));
+});
+
+ipcMain.handle('backup-create', () => {
+  return runStoreAction(() => {
+    const snapshot = backupManager.createSnapshot('manual');
+    const data = dataStore.read();
+    backupManager.prune((data && data.settings && data.settings.backupRetention) || {});
+    return { snapshot };
+  });
+});
+
+ipcMain.handle('backup-diff', (event, snapshotId) => {
+  return runStoreAction(() => ({ diff: backupManager.diff(snapshotId) }));
+});
+
+ipcMain.handle('backup-restore', (event, { snapshotId, scope, targetId }) => {
+  return runStoreAction(() => backupManager.restore(snapshotId, scope, targetId));
 });
 
 ipcMain.handle('export-data', async (event, data) => {
@@ -205,6 +503,134 @@ ipcMain.handle('export-data', async (event, data) => {
   return false;
 });
 
+// Markdown or CSV text built by the renderer from shared/task-transfer.js
+ipcMain.handle('export-tasks', async (event, { content, format, defaultName }) => {
+  const csv = format === 'csv';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Tasks',
+    defaultPath: `${defaultName || 'taskflow-tasks'}.${csv ? 'csv' : 'md'}`,
+    filters: [csv ? { name: 'CSV Files', extensions: ['csv'] } : { name: 'Markdown Files', extensions: ['md'] }]
+  });
+
+  if (!result.canceled && result.filePath) {
+    fs.writeFileSync(result.filePath, content);
+    return true;
+  }
+  return false;
+});
+
+ipcMain.handle('export-ics', async (event, options = {}) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Calendar',
+    defaultPath: 'taskflow.ics',
+    filters: [{ name: 'iCalendar Files', extensions: ['ics'] }]
+  });
+
+  if (!result.canceled && result.filePath) {
+    fs.writeFileSync(result.filePath, buildCalendar(loadData(), options));
+    return true;
+  }
+  return false;
+});
+
+ipcMain.handle('ics-feed-apply', () => {
+  return applyIcsFeedSettings();
+});
+
+ipcMain.handle('ics-feed-status', () => {
+  return icsFeedServer ? { running: true, url: icsFeedServer.feedUrl } : { running: false };
+});
+
+ipcMain.handle('rest-api-apply', () => {
+  return applyRestApiSettings();
+});
+
+ipcMain.handle('rest-api-status', () => {
+  return restApiServer ? { running: true, url: restApiServer.apiUrl } : { running: false };
+});
+
+ipcMain.handle('calendars-busy-blocks', async (event, { fromDate, toDate }) => {
+  const { getTimeZone } = await import('./shared/dates.js');
+  const data = loadData();
+  return externalCalendars.getBusyBlocks(ExternalCalendars.getSources(data), fromDate, toDate || fromDate, getTimeZone(data.settings));
+});
+
+ipcMain.handle('calendars-refresh', () => {
+  return refreshExternalCalendars({ force: true });
+});
+
+ipcMain.handle('calendars-status', () => {
+  return externalCalendars.getStatus();
+});
+
+ipcMain.handle('webhooks-status', () => {
+  const data = loadData();
+  const pending = {};
+  for (const webhook of (data.settings && data.settings.webhooks) || []) {
+    pending[webhook.id] = webhooks.getPendingCount(webhook.id);
+  }
+  return { pending, log: webhooks.getLog() };
+});
+
+ipcMain.handle('webhooks-test', (event, webhookId) => {
+  const webhook = ((loadData().settings || {}).webhooks || []).find(w => w.id === webhookId);
+  if (!webhook) return { ok: false, error: 'Webhook not found' };
+  return webhooks.sendTest(webhook);
+});
+
+ipcMain.handle('webhooks-retry', () => {
+  return webhooks.retryNow(WebhookDispatcher.getWebhooks(loadData()));
+});
+
+ipcMain.handle('webhooks-clear-log', () => {
+  webhooks.clearLog();
+  return true;
+});
+
+// Focus-mode AI chat. The renderer sends the conversation so far; the task's
+// details go in the system prompt from the saved data, so they're current.
+ipcMain.handle('ai-chat', async (event, { taskId, messages }) => {
+  const data = loadData();
+  const provider = llm.createProvider(llm.getLlmSettings(data));
+  if (!provider) return { success: false, error: 'No AI provider is set up' };
+
+  let found = null;
+  for (const project of data.projects || []) {
+    for (const task of project.tasks || []) {
+      if (task.id === taskId) found = { task, project };
+      for (const sub of task.subtasks || []) {
+        if (sub.id === taskId) found = { task: sub, project, parent: task };
+      }
+    }
+  }
+  if (!found) return { success: false, error: 'Task not found' };
+
+  const { toLocalDate, getTimeZone } = await import('./shared/dates.js');
+  const timeZone = getTimeZone(data.settings);
+  const system = llm.buildTaskPrompt(found.task, {
+    projectName: found.project.isInbox ? null : found.project.name,
+    parentName: found.parent ? found.parent.name : null,
+    toLocalDate: timestamp => toLocalDate(timestamp, timeZone)
+  });
+  try {
+    const content = await provider.chat([{ role: 'system', content: system }, ...messages]);
+    return { success: true, content, subtasks: llm.parseSubtaskSuggestions(content) };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
+ipcMain.handle('ai-test', async () => {
+  const provider = llm.createProvider(llm.getLlmSettings(loadData()));
+  if (!provider) return { success: false, error: 'No AI provider is set up' };
+  try {
+    await provider.chat([{ role: 'user', content: 'Reply with the word OK.' }]);
+    return { success: true, label: provider.label, model: provider.model };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code };
+  }
+});
+
 ipcMain.handle('import-data', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     title: 'Import Data',
@@ -214,15 +640,36 @@ ipcMain.handle('import-data', async () => {
 
   if (!result.canceled && result.filePaths.length > 0) {
     try {
-      const data = fs.readFileSync(result.filePaths[0], 'utf-8');
-      return JSON.parse(data);
+      const data = JSON.parse(fs.readFileSync(result.filePaths[0], 'utf-8'));
+      // Exports from older versions are brought up to date before they replace anything
+      migrations.migrate(data);
+      return data;
     } catch (error) {
+      if (error.code === 'SCHEMA_TOO_NEW') {
+        dialog.showErrorBox('Cannot import data', error.message);
+      }
       return null;
     }
   }
   return null;
 });
 
+// The file is only read here; the renderer previews it and merges what the user accepts
+ipcMain.handle('import-tasks-file', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Tasks',
+    filters: [
+      { name: 'Task Lists', extensions: ['md', 'markdown', 'txt', 'csv', 'tsv'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+  const filePath = result.filePaths[0];
+  return { fileName: path.basename(filePath), text: fs.readFileSync(filePath, 'utf-8') };
+});
+
 // File operations
 ipcMain.handle('open-path', async (event, filePath) => {
   const { shell } = require('electron');
@@ -368,51 +815,68 @@ ipcMain.handle('notion-setup', async (event, { apiKey, parentPageId }) => {
   }
 });
 
-ipcMain.handle('notion-save-config', (event, config) => {
+ipcMain.handle('notion-save-config', async (event, config) => {
   const data = loadData();
   if (!data.notionSync) data.notionSync = {};
   if (config.apiKey !== undefined) data.notionSync.apiKey = config.apiKey;
   if (config.parentPageId !== undefined) data.notionSync.parentPageId = config.parentPageId;
   if (config.databaseId !== undefined) data.notionSync.databaseId = config.databaseId;
-  if (config.lastSyncAt !== undefined) data.notionSync.lastSyncAt = config.lastSyncAt;
   if (config.idMap !== undefined) data.notionSync.idMap = config.idMap;
-  saveData(data);
+  await saveData(data);
   return { success: true };
 });
 
 ipcMain.handle('notion-get-config', () => {
   const data = loadData();
   const ns = data.notionSync || {};
+  const status = notionSyncService.getStatus();
   return {
     connected: !!(ns.apiKey && ns.databaseId),
     databaseId: ns.databaseId || null,
-    lastSyncAt: ns.lastSyncAt || null,
+    lastSyncAt: status.lastSuccessAt,
     hasApiKey: !!ns.apiKey,
+    conflictCount: new NotionSync({ statePath: notionStatePath }).conflicts.length,
+    lastError: status.lastError,
   };
 });
 
-ipcMain.handle('notion-sync', async () => {
-  const data = loadData();
-  const ns = data.notionSync;
-  if (!ns || !ns.apiKey || !ns.databaseId) {
-    return { success: false, error: 'Notion not configured. Run setup first.' };
-  }
-
-  try {
-    const sync = new NotionSync({
-      apiKey: ns.apiKey,
-      databaseId: ns.databaseId,
-      idMap: ns.idMap || {},
-    });
+// Runs under the sync lock shared with the MCP server and the headless daemon.
+// Auto-sync passes { auto: true } and is skipped if another process just synced.
+ipcMain.handle('notion-sync', (event, options = {}) => {
+  return notionSyncService.runOnce({
+    trigger: options.auto ? 'auto' : 'manual',
+    minIntervalMs: options.auto ? NOTION_AUTO_SYNC_MIN_GAP_MS : 0,
+  });
+});
 
-    const summary = await sync.syncAll(data);
+ipcMain.handle('notion-sync-history', () => {
+  return { history: notionSyncService.getHistory(20), status: notionSyncService.getStatus() };
+});
 
-    // Save updated data + idMap + lastSyncAt
-    data.notionSync.idMap = sync.idMap;
-    data.notionSync.lastSyncAt = new Date().toISOString();
-    saveData(data);
+ipcMain.handle('notion-get-conflicts', () => {
+  return new NotionSync({ statePath: notionStatePath }).conflicts;
+});
 
-    return { success: true, summary };
+ipcMain.handle('notion-resolve-conflict', async (event, { taskId, choices }) => {
+  try {
+    // Hold the sync lock so a sync elsewhere can't overwrite the state file meanwhile
+    return await notionSyncService.withSyncLock(async () => {
+      const data = loadData();
+      const sync = new NotionSync({ statePath: notionStatePath });
+      let task;
+      try {
+        task = sync.resolveConflict(data, taskId, choices);
+      } catch (err) {
+        if (err.code === 'NOT_FOUND') sync.saveState();
+        throw err;
+      }
+      const saved = await saveData(data, { meta: { label: `Resolve Notion conflict: ${task.name}` } });
+      if (!saved.success) {
+        return { success: false, error: saved.error };
+      }
+      sync.saveState();
+      return { success: true, task };
+    });
   } catch (err) {
     return { success: false, error: err.message };
   }
@@ -429,7 +893,7 @@ function createCaptureWindow() {
 
   captureWindow = new BrowserWindow({
     width: 650,
-    height: 380,
+    height: 420,
     x: Math.round((screenWidth - 650) / 2),
     y: Math.round(screenHeight * 0.2),
     frame: false,
@@ -637,16 +1101,45 @@ function registerGlobalShortcut() {
 }
 
 // Capture window IPC handlers
-ipcMain.on('capture-save', (event, data) => {
-  // Create the task with brain dump context
+
+// Projects and tags for resolving @project and #tag in the capture line, and
+// the timezone its dates count from
+ipcMain.handle('capture-get-options', async () => {
+  const { getTimeZone } = await import('./shared/dates.js');
   const appData = loadData();
+  return {
+    projects: appData.projects.filter(p => !p.isInbox).map(p => ({ id: p.id, name: p.name })),
+    tags: (appData.tags || []).map(t => ({ id: t.id, name: t.name })),
+    timeZone: getTimeZone(appData.settings)
+  };
+});
 
-  // Find or create inbox
-  let inbox = appData.projects.find(p => p.isInbox || p.id === 'inbox');
-  if (!inbox) {
-    inbox = { id: 'inbox', name: 'Inbox', color: '#6366f1', tasks: [], isInbox: true };
-    appData.projects.unshift(inbox);
+// Create the task with brain dump context and whatever the capture line
+// parsed, in `appData`; a time with no date means `todayStr`
+function addCapturedTask(appData, data, todayStr) {
+  // Parsed @project, falling back to the inbox
+  let project = data.projectId ? appData.projects.find(p => p.id === data.projectId) : null;
+  if (!project) {
+    project = appData.projects.find(p => p.isInbox || p.id === 'inbox');
   }
+  if (!project) {
+    project = { id: 'inbox', name: 'Inbox', color: '#6366f1', tasks: [], isInbox: true };
+    appData.projects.unshift(project);
+  }
+
+  // Parsed #tags are names - reuse existing tags, create the rest
+  if (!appData.tags) appData.tags = [];
+  const tagIds = (data.tags || []).map(name => {
+    let tag = appData.tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (!tag) {
+      tag = { id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`, name, color: '#6366f1' };
+      appData.tags.push(tag);
+    }
+    return tag.id;
+  });
+
+  const scheduledTime = data.scheduledTime || null;
+  const dueDate = data.dueDate || null;
 
   // Create the task with context field
   const task = {
@@ -655,21 +1148,45 @@ ipcMain.on('capture-save', (event, data) => {
     description: '',
     context: data.context || '',  // Brain dump context
     status: 'todo',
-    priority: 'none',
-    dueDate: null,
-    tags: [],
+    priority: data.priority || 'none',
+    dueDate: dueDate,
+    scheduledTime: scheduledTime,
+    scheduledDate: scheduledTime ? (dueDate || todayStr) : null,
+    estimatedMinutes: data.estimatedMinutes || null,
+    tags: tagIds,
     subtasks: [],
     createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
     completedAt: null
   };
 
-  inbox.tasks.push(task);
-  saveData(appData);
+  project.tasks.push(task);
+  return task;
+}
+
+// Answers { success, error }; on failure the capture window stays open with the text
+ipcMain.handle('capture-save', async (event, data) => {
+  const { localToday, getTimeZone } = await import('./shared/dates.js');
+  let task;
+  let result;
+  // A conflicting edit or a busy lock elsewhere gets one retry on freshly read data
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const appData = loadData();
+    // Today on the user's clock
+    task = addCapturedTask(appData, data, localToday(getTimeZone(appData.settings)));
+    result = await saveData(appData);
+    if (result.success) break;
+  }
+  if (!result.success) {
+    console.error('Quick capture was not saved:', result.error);
+    return { success: false, error: result.error };
+  }
 
   // Notify main window to refresh
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.webContents.send('task-captured', task);
   }
+  return { success: true };
 });
 
 ipcMain.on('capture-close', () => {
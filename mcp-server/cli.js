@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+// TaskFlow from the terminal. Uses the MCP server's data layer, so it reads
+// and writes the same file as the app and Claude, under the same lock.
+//
+//   taskflow add "Email Bob tomorrow 3pm !high #Work @Acme ~30m"
+//   taskflow ls today --tag work
+//   taskflow start bob          (a task ID, the end of one, or part of a name)
+//   taskflow log 25m --note "First draft"
+//   taskflow done bob
+//   taskflow recap today
+//   taskflow plan --accept
+//
+// Every command takes --json for machine-readable output.
+
+import { parseArgs } from "util";
+import {
+  dataStore,
+  loadData,
+  saveData,
+  generateId,
+  getAllTasks,
+  findTask,
+  spawnNextOccurrence,
+  formatTaskForDisplay,
+  loadBusyBlocks,
+  getToday,
+  getLocalDate,
+  getNowMinutes,
+} from "./data.js";
+import ExternalCalendars from "../external-calendars.js";
+import { parseQuickCapture } from "../shared/quick-parse.js";
+import { validateTaskInput, createTaskFromInput } from "../shared/task-input.js";
+import { prepareSchedule, planSchedule, planDates, getSchedulingSettings } from "../shared/scheduler.js";
+import { createCalibrator } from "../shared/estimates.js";
+import { addDays } from "../shared/dates.js";
+
+// Shows up as its own source in task history
+dataStore.source = "cli";
+
+const PRIORITY_ORDER = { urgent: 0, high: 1, medium: 2, low: 3, none: 4 };
+
+const USAGE = `Usage: taskflow <command> [options]
+
+Commands:
+  add <text>              Add a task ("Call Bob tomorrow 3pm !high #Work @Project ~30m")
+  ls [today|overdue]      List open tasks (--project, --tag, --status, --done for finished ones too)
+  done <task>             Complete a task
+  start <task>            Mark a task as one you're working on
+  log <time> [task]       Log time, e.g. 25m, 1h30m (defaults to the task you're working on)
+  recap [day]             What got done: today, yesterday or YYYY-MM-DD
+  plan                    Preview a schedule for today (--days N, --accept to apply it)
+
+A <task> is its ID, the end of its ID as shown by ls, or part of its name.
+Add --json to any command for JSON output.`;
+
+class CliError extends Error {}
+
+// ── Helpers ─────────────────────────────────────────────────────
+
+// How ls shows IDs; long generated IDs are cut to their random tail
+function shortId(id) {
+  return id.length > 8 ? id.slice(-6) : id;
+}
+
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h > 0 ? (m > 0 ? `${h}h ${m}m` : `${h}h`) : `${m}m`;
+}
+
+// 25m, 1h, 1h30m, 1.5h or a bare number of minutes
+function parseDuration(text) {
+  const match = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m?)?$/i.exec(String(text || "").trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  const minutes = Math.round((parseFloat(match[1] || "0") * 60) + parseInt(match[2] || "0", 10));
+  return minutes > 0 ? minutes : null;
+}
+
+function tagNames(data, task) {
+  return (task.tags || []).map((id) => data.tags?.find((t) => t.id === id)?.name).filter(Boolean);
+}
+
+function taskJson(data, task, project, parentTask = null) {
+  return {
+    id: task.id,
+    name: task.name,
+    status: task.status || "todo",
+    priority: task.priority || "none",
+    dueDate: task.dueDate || null,
+    scheduledDate: task.scheduledDate || null,
+    scheduledTime: task.scheduledTime || null,
+    estimatedMinutes: task.estimatedMinutes || null,
+    tags: tagNames(data, task),
+    projectId: project.id,
+    projectName: project.name,
+    parentId: parentTask ? parentTask.id : null,
+  };
+}
+
+function taskLine(data, task, project) {
+  return `${shortId(task.id).padEnd(8)}${formatTaskForDisplay(task, project, data.tags || []).slice(2)}`;
+}
+
+/**
+ * Find the task a command refers to: an exact ID, the end of an ID (as ls
+ * shows them), or part of the name of an open task. Ambiguous references
+ * are an error listing the candidates.
+ */
+function resolveTask(data, ref) {
+  if (!ref) throw new CliError("Which task? Give its ID or part of its name");
+  const exact = findTask(data, ref);
+  if (exact) return exact;
+
+  const all = [];
+  for (const project of data.projects) {
+    for (const task of project.tasks) {
+      all.push({ task, project });
+      for (const subtask of task.subtasks || []) all.push({ task: subtask, parentTask: task, project });
+    }
+  }
+
+  let matches = ref.length >= 4 ? all.filter((r) => r.task.id.endsWith(ref)) : [];
+  if (matches.length === 0) {
+    const needle = ref.toLowerCase();
+    const open = all.filter((r) => r.task.status !== "done");
+    matches = open.filter((r) => r.task.name.toLowerCase() === needle);
+    if (matches.length === 0) matches = open.filter((r) => r.task.name.toLowerCase().includes(needle));
+  }
+
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new CliError(`No task matches "${ref}"`);
+  const listed = matches.slice(0, 10).map((r) => `  ${taskLine(data, r.task, r.project)}`).join("\n");
+  throw new CliError(`"${ref}" matches ${matches.length} tasks:\n${listed}`);
+}
+
+function findProject(data, ref) {
+  const needle = ref.toLowerCase();
+  const project = data.projects.find((p) => p.id === ref || p.name.toLowerCase() === needle);
+  if (!project) throw new CliError(`No project named "${ref}"`);
+  return project;
+}
+
+/**
+ * Read-modify-write under the data file lock, the one the app and the MCP
+ * server write under, so nothing can land between the read and the save.
+ */
+function mutate(label, fn) {
+  return dataStore.withLock(() => {
+    const data = loadData();
+    const result = fn(data);
+    if (!saveData(data, { label })) throw new CliError("Couldn't save the data file");
+    return result;
+  });
+}
+
+// ── Commands ────────────────────────────────────────────────────
+
+function add(positionals, options) {
+  const text = positionals.join(" ").trim();
+  if (!text) throw new CliError("Nothing to add. Usage: taskflow add <text>");
+
+  return mutate("Added task from the command line", (data) => {
+    const parsed = parseQuickCapture(text, { projects: data.projects, tags: data.tags || [], today: getToday(data) });
+    const input = {
+      name: parsed.name || text,
+      dueDate: parsed.dueDate || undefined,
+      scheduledTime: parsed.scheduledTime || undefined,
+      priority: parsed.priority || undefined,
+      estimatedMinutes: parsed.estimatedMinutes || undefined,
+      tags: parsed.tags,
+      project: options.project || parsed.project?.name,
+    };
+    const invalid = validateTaskInput(input);
+    if (invalid) throw new CliError(invalid);
+
+    const { task, project } = createTaskFromInput(data, input, { generateId, today: getToday(data) });
+    return {
+      json: taskJson(data, task, project),
+      text: `Added: ${taskLine(data, task, project)}`,
+    };
+  });
+}
+
+function ls(positionals, options) {
+  const view = positionals[0] || null;
+  if (view && view !== "today" && view !== "overdue") {
+    throw new CliError(`Unknown list "${view}". Use today or overdue, or leave it out for everything open`);
+  }
+  const data = loadData();
+  const today = getToday(data);
+
+  let tasks = getAllTasks(data);
+  if (options.project) {
+    const project = findProject(data, options.project);
+    tasks = tasks.filter((t) => t.projectId === project.id);
+  }
+  if (options.tag) {
+    const tag = (data.tags || []).find((t) => t.name.toLowerCase() === options.tag.toLowerCase().replace(/^#/, ""));
+    tasks = tag ? tasks.filter((t) => (t.tags || []).includes(tag.id)) : [];
+  }
+  if (options.status) {
+    tasks = tasks.filter((t) => (t.status || "todo") === options.status);
+  } else if (!options.done) {
+    tasks = tasks.filter((t) => t.status !== "done");
+  }
+  if (view === "today") {
+    tasks = tasks.filter((t) => t.scheduledDate === today || t.dueDate === today);
+  } else if (view === "overdue") {
+    tasks = tasks.filter((t) => t.dueDate && t.dueDate < today && t.status !== "done");
+  }
+
+  tasks.sort((a, b) => {
+    const byTime = (a.scheduledTime || "99:99").localeCompare(b.scheduledTime || "99:99");
+    if (view === "today" && byTime !== 0) return byTime;
+    const byPriority = (PRIORITY_ORDER[a.priority] ?? 4) - (PRIORITY_ORDER[b.priority] ?? 4);
+    if (byPriority !== 0) return byPriority;
+    return (a.dueDate || "9999").localeCompare(b.dueDate || "9999");
+  });
+
+  const projectOf = (t) => data.projects.find((p) => p.id === t.projectId);
+  return {
+    json: tasks.map((t) => taskJson(data, t, projectOf(t))),
+    text: tasks.length > 0
+      ? tasks.map((t) => taskLine(data, t, projectOf(t))).join("\n")
+      : "No tasks.",
+  };
+}
+
+function done(positionals) {
+  return mutate("Completed task from the command line", (data) => {
+    const result = resolveTask(data, positionals.join(" "));
+    const wasDone = result.task.status === "done";
+    result.task.status = "done";
+    result.task.completedAt = new Date().toISOString();
+    const nextTask = wasDone ? null : spawnNextOccurrence(data, result);
+    // Finished tasks drop off the working-on list, as they do in the app
+    if (data.workingOnTaskIds) data.workingOnTaskIds = data.workingOnTaskIds.filter((id) => id !== result.task.id);
+
+    let text = `Completed: ${result.task.name}`;
+    if (nextTask) text += `\nNext one: ${nextTask.dueDate || nextTask.scheduledDate} (${shortId(nextTask.id)})`;
+    return {
+      json: { task: taskJson(data, result.task, result.project, result.parentTask), nextTask: nextTask ? taskJson(data, nextTask, result.project) : null },
+      text,
+    };
+  });
+}
+
+function start(positionals) {
+  return mutate("Started task from the command line", (data) => {
+    const result = resolveTask(data, positionals.join(" "));
+    if (result.task.status === "done") throw new CliError(`"${result.task.name}" is already done`);
+    const ids = data.workingOnTaskIds || (data.workingOnTaskId ? [data.workingOnTaskId] : []);
+    if (!ids.includes(result.task.id)) ids.push(result.task.id);
+    data.workingOnTaskIds = ids;
+    delete data.workingOnTaskId;
+    return {
+      json: { task: taskJson(data, result.task, result.project, result.parentTask), workingOnTaskIds: ids },
+      text: `Working on: ${result.task.name}`,
+    };
+  });
+}
+
+function log(positionals, options) {
+  const minutes = parseDuration(positionals[0]);
+  if (!minutes) throw new CliError("How long? e.g. taskflow log 25m [task]");
+
+  return mutate("Logged time from the command line", (data) => {
+    let result;
+    if (positionals.length > 1) {
+      result = resolveTask(data, positionals.slice(1).join(" "));
+    } else {
+      const active = (data.workingOnTaskIds || []).map((id) => findTask(data, id)).filter((r) => r && r.task.status !== "done");
+      if (active.length === 0) throw new CliError("Not working on anything. Name the task: taskflow log 25m <task>");
+      if (active.length > 1) {
+        throw new CliError(`Working on ${active.length} tasks; name one:\n${active.map((r) => `  ${taskLine(data, r.task, r.project)}`).join("\n")}`);
+      }
+      result = active[0];
+    }
+
+    const { task } = result;
+    if (!task.timeLog) task.timeLog = [];
+    const entry = { id: generateId(), minutes, notes: options.note || "", loggedAt: new Date().toISOString() };
+    task.timeLog.push(entry);
+    const totalMinutes = task.timeLog.reduce((sum, e) => sum + (e.minutes || 0), 0);
+    return {
+      json: { task: taskJson(data, task, result.project, result.parentTask), entry, totalMinutes },
+      text: `Logged ${formatMinutes(minutes)} on ${task.name} (${formatMinutes(totalMinutes)} total)`,
+    };
+  });
+}
+
+function recap(positionals) {
+  const day = positionals[0] || "today";
+  const data = loadData();
+  const today = getToday(data);
+  const date = day === "today" ? today : day === "yesterday" ? addDays(today, -1) : day;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new CliError("Recap which day? today, yesterday or YYYY-MM-DD");
+
+  const onDate = (iso) => !!iso && getLocalDate(data, iso) === date;
+  const completed = [];
+  const time = [];
+  const learnings = [];
+  for (const project of data.projects) {
+    for (const task of project.tasks) {
+      for (const item of [task, ...(task.subtasks || [])]) {
+        if (item.status === "done" && onDate(item.completedAt)) {
+          completed.push({ id: item.id, name: item.name, projectName: project.name });
+        }
+        for (const entry of item.timeLog || []) {
+          if (onDate(entry.loggedAt)) time.push({ taskId: item.id, name: item.name, minutes: entry.minutes || 0, notes: entry.notes || "" });
+        }
+        for (const learning of item.learnings || []) {
+          if (onDate(learning.addedAt)) learnings.push({ taskId: item.id, name: item.name, text: learning.text });
+        }
+      }
+    }
+  }
+  const entries = (data.recapLog || []).filter((e) => e.date === date)
+    .map((e) => ({ type: e.type, content: e.content }));
+  const totalMinutes = time.reduce((sum, t) => sum + t.minutes, 0);
+
+  const lines = [`Recap for ${date}`, "", `Done (${completed.length})`];
+  lines.push(...(completed.length > 0 ? completed.map((t) => `  ✓ ${t.name} [${t.projectName}]`) : ["  Nothing completed"]));
+  lines.push("", `Time logged: ${formatMinutes(totalMinutes)}`);
+  lines.push(...time.map((t) => `  ${formatMinutes(t.minutes).padEnd(7)} ${t.name}${t.notes ? ` — ${t.notes}` : ""}`));
+  if (learnings.length > 0) {
+    lines.push("", "Learned", ...learnings.map((l) => `  - ${l.text} (${l.name})`));
+  }
+  if (entries.length > 0) {
+    lines.push("", "Notes", ...entries.map((e) => `  - ${e.type}: ${e.content}`));
+  }
+
+  return { json: { date, completed, time, totalMinutes, learnings, entries }, text: lines.join("\n") };
+}
+
+// Same planner as Plan My Day and the auto_schedule tool
+function buildPlan(data, dates, busyBlocks, now) {
+  const today = getToday(data);
+  const nowMinutes = dates[0] === today ? getNowMinutes(data, now) : null;
+  const tasks = getAllTasks(data);
+  const { minutesFor } = createCalibrator(data, { enabled: getSchedulingSettings(data.settings).calibrateEstimates });
+  const { candidates, occupied } = prepareSchedule(tasks, dates, data.settings, { nowMinutes, minutesFor });
+  const busy = {};
+  for (const date of dates) busy[date] = ExternalCalendars.busyIntervals(busyBlocks, date);
+  return planSchedule({ candidates, allTasks: tasks, occupied, busy, dates, settings: data.settings, nowMinutes, minutesFor });
+}
+
+async function plan(positionals, options) {
+  const now = new Date();
+  // Calendars may be fetched over the network, so that happens before taking the lock
+  const preview = loadData();
+  const startDate = options.date || getToday(preview);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) throw new CliError("--date must be YYYY-MM-DD");
+  const days = Math.min(Math.max(parseInt(options.days || "1", 10) || 1, 1), 7);
+
+  const dates = planDates(startDate, days, preview.settings);
+  const busyBlocks = await loadBusyBlocks(preview, dates[0], dates[dates.length - 1]);
+
+  const describe = (result, accepted) => {
+    const lines = [];
+    for (const date of dates) {
+      const items = result.placements.filter((p) => p.date === date);
+      if (items.length === 0) continue;
+      if (dates.length > 1) lines.push(date);
+      lines.push(...items.map((p) => `  ${p.start}-${p.end}  ${p.name} (${formatMinutes(p.minutes)})${p.late ? "  ! after due date" : ""}`));
+    }
+    if (lines.length === 0) lines.push(result.unplaced.length > 0 ? "Nothing fits in the free time." : "Nothing to schedule.");
+    if (result.unplaced.length > 0) {
+      lines.push("", `Not scheduled (${result.unplaced.length})`, ...result.unplaced.map((u) => `  ${u.name}: ${u.reason}`));
+    }
+    if (result.placements.length > 0) {
+      lines.push("", accepted ? `Scheduled ${result.placements.length} tasks.` : "Nothing has changed yet. Run taskflow plan --accept to apply.");
+    }
+    return {
+      json: { dates, accepted, placements: result.placements, unplaced: result.unplaced },
+      text: lines.join("\n"),
+    };
+  };
+
+  if (!options.accept) return describe(buildPlan(preview, dates, busyBlocks, now), false);
+
+  return mutate("Planned the day from the command line", (data) => {
+    const result = buildPlan(data, dates, busyBlocks, now);
+    for (const p of result.placements) {
+      const task = findTask(data, p.taskId).task;
+      task.scheduledDate = p.date;
+      task.scheduledTime = p.start;
+      if (!task.estimatedMinutes) task.estimatedMinutes = p.minutes;
+    }
+    return describe(result, true);
+  });
+}
+
+const COMMANDS = { add, ls, list: ls, done, start, log, recap, plan };
+
+// ── Main ────────────────────────────────────────────────────────
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+        project: { type: "string", short: "p" },
+        tag: { type: "string", short: "t" },
+        status: { type: "string" },
+        done: { type: "boolean" },
+        note: { type: "string", short: "n" },
+        days: { type: "string" },
+        date: { type: "string" },
+        accept: { type: "boolean" },
+      },
+    });
+  } catch (err) {
+    console.error(`taskflow: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [name, ...rest] = positionals;
+  if (!name || options.help || name === "help") {
+    console.log(USAGE);
+    return 0;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`taskflow: unknown command "${name}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const result = await command(rest, options);
+    console.log(options.json ? JSON.stringify(result.json, null, 2) : result.text);
+    return 0;
+  } catch (err) {
+    if (!(err instanceof CliError) && err.code !== "SCHEMA_TOO_NEW") console.error(err.stack);
+    if (options.json) {
+      console.log(JSON.stringify({ error: err.message }, null, 2));
+    } else {
+      console.error(`taskflow: ${err.message}`);
+    }
+    return 1;
+  }
+}
+
+process.exitCode = await main();
@@ -1,6 +1,10 @@
-import fs from "fs";
 import path from "path";
 import os from "os";
+import DataStore from "../data-store.js";
+import migrations from "../migrations.js";
+import ExternalCalendars from "../external-calendars.js";
+import { spawnNextOccurrence as spawnNext } from "../shared/task-input.js";
+import { getTimeZone, localToday, toLocalDate, minutesInZone } from "../shared/dates.js";
 
 // Data file path - same location as Electron app
 export const DATA_FILE = path.join(
@@ -9,26 +13,48 @@ export const DATA_FILE = path.join(
   "taskflow-data.json"
 );
 
+// Shared with the Electron app: atomic writes, cross-process lock, revision checks
+export const dataStore = new DataStore({ filePath: DATA_FILE, source: "mcp" });
+
+// Imported calendars (busy time), cached next to the data file like the app does
+export const externalCalendars = new ExternalCalendars({ dir: path.dirname(DATA_FILE) });
+
+// Busy blocks from the user's calendars for fromDate..toDate. Calendars older
+// than the refresh interval are fetched first, so this works with the app closed.
+export async function loadBusyBlocks(data, fromDate, toDate = fromDate) {
+  const sources = ExternalCalendars.getSources(data);
+  if (sources.length === 0) return [];
+  await externalCalendars.refresh(sources, { maxAgeMs: ExternalCalendars.getRefreshMinutes(data) * 60 * 1000 });
+  return externalCalendars.getBusyBlocks(sources, fromDate, toDate, getTimeZone(data.settings));
+}
+
+// Runs the same migration registry as the app. Data from a newer TaskFlow
+// throws SCHEMA_TOO_NEW so no tool can save over it.
 export function loadData() {
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      return JSON.parse(fs.readFileSync(DATA_FILE, "utf-8"));
+    const data = dataStore.read();
+    if (data) {
+      const { changed, fromVersion, toVersion } = migrations.migrate(data);
+      if (changed) {
+        dataStore.write(data, { source: "system", meta: { label: `Data migration v${fromVersion} → v${toVersion}` } });
+      }
+      return data;
     }
   } catch (error) {
+    if (error.code === "SCHEMA_TOO_NEW") throw error;
     console.error("Error loading data:", error);
   }
-  return { projects: [], tags: [], settings: {} };
+  return { schemaVersion: migrations.SCHEMA_VERSION, projects: [], tags: [], settings: {} };
 }
 
-export function saveData(data) {
+// `meta` is recorded on the operation log entry (e.g. { tool: "update_task" })
+export function saveData(data, meta) {
   try {
-    const dir = path.dirname(DATA_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+    dataStore.write(data, { meta });
     return true;
   } catch (error) {
+    // Conflicting edit from the app - let the caller retry against fresh data
+    if (error.code === "STALE_REVISION") throw error;
     console.error("Error saving data:", error);
     return false;
   }
@@ -73,6 +99,26 @@ export function findTask(data, taskId) {
   return null;
 }
 
+// "Today", the day a timestamp falls on and the time of day, on the user's
+// clock (settings.timezone, else this machine's) so they match the app
+export function getToday(data) {
+  return localToday(getTimeZone(data.settings));
+}
+
+export function getLocalDate(data, timestamp) {
+  return toLocalDate(timestamp, getTimeZone(data.settings));
+}
+
+export function getNowMinutes(data, now = new Date()) {
+  return minutesInZone(now, getTimeZone(data.settings));
+}
+
+// When a recurring task is completed, add its next instance right after it.
+// `result` is what findTask returns. Returns the new task, or null.
+export function spawnNextOccurrence(data, result) {
+  return spawnNext(result, { generateId, today: getToday(data) });
+}
+
 export function formatTaskForDisplay(task, project, tags) {
   const tagNames = task.tags
     ?.map((tagId) => {
@@ -14,6 +14,7 @@ import {
   withLock,
   getAllTasks,
   formatTaskForDisplay,
+  getToday,
 } from "./data.js";
 
 // Tool modules
@@ -113,7 +114,7 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   }
 
   if (request.params.uri === "taskflow://summary") {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(data);
     const active = tasks.filter((t) => t.status !== "done");
     const todayTasks = active.filter((t) => t.dueDate === today);
     const overdue = active.filter((t) => t.dueDate && t.dueDate < today);
@@ -145,12 +146,23 @@ ${data.projects
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   return withLock(async () => {
     const { name, arguments: args } = request.params;
-
-    // Try each module's handleTool until one handles it (returns non-null)
-    for (const mod of toolModules) {
-      const result = await mod.handleTool(name, args, { loadData, saveData });
-      if (result !== null && result !== undefined) {
-        return result;
+    // Tag operation log entries with the tool that made them
+    const saveForTool = (data) => saveData(data, { tool: name });
+
+    // Try each module's handleTool until one handles it (returns non-null).
+    // If the app saved conflicting changes while the tool ran, the write is
+    // rejected untouched - run the tool once more against the fresh data.
+    for (let attempt = 0; ; attempt++) {
+      try {
+        for (const mod of toolModules) {
+          const result = await mod.handleTool(name, args, { loadData, saveData: saveForTool });
+          if (result !== null && result !== undefined) {
+            return result;
+          }
+        }
+        break;
+      } catch (error) {
+        if (error.code !== "STALE_REVISION" || attempt >= 1) throw error;
       }
     }
 
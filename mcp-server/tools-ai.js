@@ -1,4 +1,4 @@
-import { getAllTasks, findTask } from "./data.js";
+import { getAllTasks, findTask, getToday, getNowMinutes } from "./data.js";
 
 export function getToolDefinitions() {
   return [
@@ -353,7 +353,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "suggest_parallel_tasks": {
       const data = loadData();
-      const targetDate = args?.date || new Date().toISOString().split("T")[0];
+      const targetDate = args?.date || getToday(data);
       const tasks = getAllTasks(data).filter(t =>
         t.status !== "done" && t.status !== "waiting"
       );
@@ -425,7 +425,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_parallel_schedule": {
       const data = loadData();
-      const targetDate = args?.date || new Date().toISOString().split("T")[0];
+      const targetDate = args?.date || getToday(data);
       const tasks = getAllTasks(data).filter(t =>
         t.status !== "done" &&
         (t.scheduledDate === targetDate || t.dueDate === targetDate)
@@ -507,7 +507,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
       const { task } = result;
       const fullText = `${task.name} ${task.description || ''} ${task.context || ''}`.toLowerCase();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
 
       let suggestedPriority = "medium";
       const reasons = [];
@@ -575,7 +575,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "suggest_next_task": {
       const data = loadData();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const tasks = getAllTasks(data).filter(t =>
         t.status !== "done" && t.status !== "waiting"
       );
@@ -591,10 +591,9 @@ export function handleTool(name, args, { loadData, saveData }) {
 
         // Scheduled now/soon
         if (task.scheduledDate === today && task.scheduledTime) {
-          const now = new Date();
           const [h, m] = task.scheduledTime.split(":").map(Number);
           const scheduledMins = h * 60 + m;
-          const currentMins = now.getHours() * 60 + now.getMinutes();
+          const currentMins = getNowMinutes(data);
 
           if (currentMins >= scheduledMins && currentMins <= scheduledMins + (task.estimatedMinutes || 60)) {
             score += 100;
@@ -698,7 +697,7 @@ export function handleTool(name, args, { loadData, saveData }) {
         return { content: [{ type: "text", text: "No unprocessed inbox items. All tasks have been organized." }] };
       }
 
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
 
       // Score and prioritize
       const prioritized = inboxTasks.map(task => {
@@ -1,10 +1,17 @@
-import { getAllTasks } from "./data.js";
+import { getAllTasks, getToday, getLocalDate } from "./data.js";
+import { addDays } from "../shared/dates.js";
+import { focusStats, formatHour } from "../shared/focus-stats.js";
+import { estimateAccuracy, describeFactor, MIN_SAMPLES } from "../shared/estimates.js";
+
+function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
 
 export function getToolDefinitions() {
   return [
     {
       name: "get_productivity_stats",
-      description: "Get productivity statistics for a date range.",
+      description: "Get productivity statistics for a date range, including focus sessions: deep-work hours per day, best times of day to focus, and estimate vs actual time per task.",
       inputSchema: {
         type: "object",
         properties: {
@@ -63,6 +70,14 @@ export function getToolDefinitions() {
         },
       },
     },
+    {
+      name: "get_estimate_accuracy",
+      description: "Compare estimates with logged time on completed tasks, per project, tag and complexity (e.g. 'you underestimate #Work tasks by 1.6x'). Groups with enough tasks pad estimates in suggest_day_schedule, auto_schedule and the Today view's capacity.",
+      inputSchema: {
+        type: "object",
+        properties: {},
+      },
+    },
   ];
 }
 
@@ -70,21 +85,21 @@ export function handleTool(name, args, { loadData, saveData }) {
   switch (name) {
     case "get_productivity_stats": {
       const data = loadData();
-      const today = new Date();
-      const startDate = args?.startDate || new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
-      const endDate = args?.endDate || today.toISOString().split("T")[0];
+      const today = getToday(data);
+      const startDate = args?.startDate || addDays(today, -7);
+      const endDate = args?.endDate || today;
 
       const tasks = getAllTasks(data);
       const completed = tasks.filter(t => {
         if (t.status !== "done" || !t.completedAt) return false;
-        const completedDate = t.completedAt.split("T")[0];
+        const completedDate = getLocalDate(data, t.completedAt);
         return completedDate >= startDate && completedDate <= endDate;
       });
 
       // Daily breakdown
       const dailyStats = {};
       completed.forEach(t => {
-        const date = t.completedAt.split("T")[0];
+        const date = getLocalDate(data, t.completedAt);
         if (!dailyStats[date]) {
           dailyStats[date] = { count: 0, minutes: 0 };
         }
@@ -125,6 +140,29 @@ export function handleTool(name, args, { loadData, saveData }) {
           output += `- ${projectName}: ${stats.count} tasks (${Math.floor(stats.minutes / 60)}h ${stats.minutes % 60}m)\n`;
         });
 
+      const focus = focusStats(data.focusSessions, tasks, startDate, endDate);
+      output += `\n### Focus\n`;
+      if (focus.sessionCount === 0) {
+        output += `No focus sessions recorded in this period.\n`;
+      } else {
+        output += `- **Focus Time:** ${formatMinutes(focus.totalMinutes)} in ${focus.sessionCount} sessions (${focus.pomodoros} pomodoros, ${focus.interruptions} interruptions)\n`;
+        output += `- **Best Times:** ${focus.bestHours.map((h) => `${formatHour(h.hour)} (${formatMinutes(h.minutes)})`).join(", ")}\n\n`;
+
+        output += `#### Deep Work per Day\n`;
+        Object.entries(focus.byDay)
+          .filter(([, minutes]) => minutes > 0)
+          .forEach(([date, minutes]) => {
+            output += `- ${date}: ${(minutes / 60).toFixed(1)}h\n`;
+          });
+
+        if (focus.estimates.length > 0) {
+          output += `\n#### Estimate vs Actual\n`;
+          focus.estimates.slice(0, 10).forEach((e) => {
+            output += `- ${e.name}: ${formatMinutes(e.actualMinutes)} actual vs ${formatMinutes(e.estimatedMinutes)} estimated (${Math.round(e.ratio * 100)}%)\n`;
+          });
+        }
+      }
+
       return { content: [{ type: "text", text: output }] };
     }
 
@@ -193,7 +231,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       const days = args?.days || 14;
       const today = new Date();
       const cutoff = new Date(today.getTime() - days * 24 * 60 * 60 * 1000);
-      const todayStr = today.toISOString().split("T")[0];
+      const todayStr = getToday(data);
 
       const tasks = getAllTasks(data);
 
@@ -269,7 +307,7 @@ export function handleTool(name, args, { loadData, saveData }) {
         completed.slice(0, 15).forEach(t => {
           const energy = t.energyRating ? [" ", "😩", "😐", "💪"][t.energyRating] : "";
           const summary = t.completionSummary ? ` — ${t.completionSummary.slice(0, 100)}` : "";
-          output += `- ${t.name}${energy}${summary} (${t.completedAt.split("T")[0]})\n`;
+          output += `- ${t.name}${energy}${summary} (${getLocalDate(data, t.completedAt)})\n`;
         });
         output += "\n";
       }
@@ -329,14 +367,14 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_project_analytics": {
       const data = loadData();
-      const today = new Date();
-      const startDate = args?.startDate || new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
-      const endDate = args?.endDate || today.toISOString().split("T")[0];
+      const today = getToday(data);
+      const startDate = args?.startDate || addDays(today, -30);
+      const endDate = args?.endDate || today;
 
       const projectAnalytics = data.projects.map(project => {
         const completed = project.tasks.filter(t => {
           if (t.status !== "done" || !t.completedAt) return false;
-          const date = t.completedAt.split("T")[0];
+          const date = getLocalDate(data, t.completedAt);
           return date >= startDate && date <= endDate;
         });
 
@@ -375,6 +413,34 @@ export function handleTool(name, args, { loadData, saveData }) {
       return { content: [{ type: "text", text: output }] };
     }
 
+    case "get_estimate_accuracy": {
+      const data = loadData();
+      const accuracy = estimateAccuracy(data);
+      if (!accuracy.overall) {
+        return { content: [{ type: "text", text: "No completed tasks with both an estimate and logged time yet." }] };
+      }
+
+      const line = (label, stats) =>
+        `- ${label}: you ${describeFactor(stats.factor)} (${stats.factor.toFixed(2)}x, ${stats.count} task${stats.count === 1 ? "" : "s"}, ` +
+        `${formatMinutes(stats.actualMinutes)} logged vs ${formatMinutes(stats.estimatedMinutes)} estimated)` +
+        `${stats.count < MIN_SAMPLES ? " — too few to pad estimates" : ""}\n`;
+      const section = (title, groups, labelOf) => {
+        const entries = Object.entries(groups).sort((a, b) => b[1].count - a[1].count);
+        if (entries.length === 0) return "";
+        return `\n### ${title}\n` + entries.map(([key, stats]) => line(labelOf(key, stats), stats)).join("");
+      };
+
+      let output = `## Estimate Accuracy\n\n`;
+      output += `Logged time ÷ estimate (median). Above 1x means tasks take longer than estimated.\n\n`;
+      output += line("All tasks", accuracy.overall);
+      output += section("By Project", accuracy.byProject, (id, stats) => stats.name);
+      output += section("By Tag", accuracy.byTag, (id, stats) => `#${stats.name}`);
+      output += section("By Complexity", accuracy.byComplexity, (level) => `Complexity ${level}`);
+      output += `\nGroups with ${MIN_SAMPLES}+ tasks pad estimates when scheduling (Settings → Scheduling to turn off).`;
+
+      return { content: [{ type: "text", text: output }] };
+    }
+
     default:
       return null;
   }
@@ -1,5 +1,38 @@
 import fs from "fs";
-import { generateId, getAllTasks, findTask } from "./data.js";
+import { generateId, getAllTasks, findTask, spawnNextOccurrence, getToday } from "./data.js";
+import { describeRecurrence } from "../shared/recurrence.js";
+import {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  EXECUTION_TYPES,
+  validateTaskInput,
+  createTaskFromInput,
+  applyTaskUpdate,
+} from "../shared/task-input.js";
+
+const RECURRENCE_SCHEMA = {
+  type: "object",
+  description:
+    "Repeat rule. Completing the task creates the next instance (subtasks reset). " +
+    "type: daily | weekdays | weekly | monthly | after-completion. interval: every N days/weeks/months (default 1). " +
+    "weekly: daysOfWeek [0-6], 0 = Sunday (default: the due date's weekday). " +
+    "monthly: monthlyMode 'date' (dayOfMonth) or 'weekday' (weekOfMonth 1-4 or -1 for last, dayOfWeek) - defaults come from the due date. " +
+    "after-completion: next one is due N days after it's completed. until: optional last date (YYYY-MM-DD). Pass null to stop repeating.",
+  properties: {
+    type: { type: "string", enum: ["daily", "weekdays", "weekly", "monthly", "after-completion"] },
+    interval: { type: "number" },
+    daysOfWeek: { type: "array", items: { type: "number" } },
+    monthlyMode: { type: "string", enum: ["date", "weekday"] },
+    dayOfMonth: { type: "number" },
+    weekOfMonth: { type: "number" },
+    dayOfWeek: { type: "number" },
+    until: { type: "string" },
+  },
+};
+
+function nextOccurrenceNote(nextTask) {
+  return nextTask ? `\nNext occurrence: ${nextTask.dueDate || nextTask.scheduledDate} (ID: ${nextTask.id})` : "";
+}
 
 export function getToolDefinitions() {
   return [
@@ -45,7 +78,7 @@ export function getToolDefinitions() {
           },
           priority: {
             type: "string",
-            enum: ["none", "low", "medium", "high", "urgent"],
+            enum: TASK_PRIORITIES,
             description: "Task priority",
           },
           dueDate: {
@@ -71,14 +104,15 @@ export function getToolDefinitions() {
           },
           status: {
             type: "string",
-            enum: ["todo", "ready", "in-progress", "waiting", "done"],
+            enum: TASK_STATUSES,
             description: "Initial status. Default: todo",
           },
           executionType: {
             type: "string",
-            enum: ["ai", "manual", "hybrid"],
+            enum: EXECUTION_TYPES,
             description: "How the task should be executed: 'ai' = Claude can do autonomously, 'manual' = requires human action, 'hybrid' = collaborative. Default: manual",
           },
+          recurrence: RECURRENCE_SCHEMA,
         },
         required: ["name"],
       },
@@ -104,7 +138,7 @@ export function getToolDefinitions() {
     },
     {
       name: "complete_task",
-      description: "Mark a task as complete.",
+      description: "Mark a task as complete. For a recurring task this also creates the next occurrence.",
       inputSchema: {
         type: "object",
         properties: {
@@ -131,12 +165,12 @@ export function getToolDefinitions() {
           context: { type: "string", description: "Brain dump / context for AI processing" },
           status: {
             type: "string",
-            enum: ["todo", "ready", "in-progress", "waiting", "done"],
+            enum: TASK_STATUSES,
             description: "Task status",
           },
           priority: {
             type: "string",
-            enum: ["none", "low", "medium", "high", "urgent"],
+            enum: TASK_PRIORITIES,
           },
           dueDate: { type: "string", description: "Due date (YYYY-MM-DD) or null to clear" },
           scheduledDate: { type: "string", description: "Scheduled date (YYYY-MM-DD) or null to clear. Use this to add a task to Today." },
@@ -144,10 +178,16 @@ export function getToolDefinitions() {
           estimatedMinutes: { type: "number", description: "Estimated duration in minutes" },
           executionType: {
             type: "string",
-            enum: ["ai", "manual", "hybrid"],
+            enum: EXECUTION_TYPES,
             description: "Who executes: ai (Claude alone), manual (human), hybrid (together)",
           },
           assignedTo: { type: "string", description: "Assigned to: 'claude', 'vin', or null to clear" },
+          tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Tag names, replacing the current tags",
+          },
+          recurrence: RECURRENCE_SCHEMA,
         },
         required: ["taskId"],
       },
@@ -541,76 +581,18 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "create_task": {
       const data = loadData();
-      if (!args?.name) {
-        return { content: [{ type: "text", text: "Error: Task name is required" }] };
-      }
-
-      // Find or create project
-      let project = null;
-      if (args.project) {
-        project = data.projects.find(
-          (p) => p.name.toLowerCase() === args.project.toLowerCase()
-        );
-        if (!project) {
-          project = {
-            id: generateId(),
-            name: args.project,
-            description: "",
-            color: "#6366f1",
-            tasks: [],
-            createdAt: new Date().toISOString(),
-          };
-          data.projects.push(project);
-        }
-      } else {
-        project = data.projects.find((p) => p.isInbox || p.id === "inbox");
-        if (!project) {
-          project = { id: "inbox", name: "Inbox", color: "#6366f1", tasks: [], isInbox: true };
-          data.projects.unshift(project);
-        }
-      }
-
-      // Resolve tag IDs
-      const tagIds = [];
-      if (args.tags) {
-        for (const tagName of args.tags) {
-          let tag = data.tags.find(
-            (t) => t.name.toLowerCase() === tagName.toLowerCase()
-          );
-          if (!tag) {
-            tag = { id: generateId(), name: tagName, color: "#6366f1" };
-            data.tags.push(tag);
-          }
-          tagIds.push(tag.id);
-        }
+      const invalid = validateTaskInput(args);
+      if (invalid) {
+        return { content: [{ type: "text", text: `Error: ${invalid}` }] };
       }
 
-      const today = new Date().toISOString().split("T")[0];
-      const task = {
-        id: generateId(),
-        name: args.name,
-        description: args.description || "",
-        context: args.context || "",
-        status: args.status || "todo",
-        priority: args.priority || "none",
-        dueDate: args.dueDate || null,
-        scheduledTime: args.scheduledTime || null,
-        scheduledDate: args.scheduledDate || args.dueDate || (args.scheduledTime ? today : null),
-        estimatedMinutes: args.estimatedMinutes || null,
-        executionType: args.executionType || "manual",
-        tags: tagIds,
-        subtasks: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        completedAt: null,
-      };
-
-      // If scheduled but no due date, set due date to scheduled date
-      if (task.scheduledDate && !task.dueDate) {
-        task.dueDate = task.scheduledDate;
+      let created;
+      try {
+        created = createTaskFromInput(data, args, { generateId, today: getToday(data) });
+      } catch (err) {
+        return { content: [{ type: "text", text: `Error: ${err.message}` }] };
       }
-
-      project.tasks.push(task);
+      const { task, project } = created;
       saveData(data);
 
       let response = `Created task: "${task.name}"\nID: ${task.id}\nProject: ${project.name}`;
@@ -620,6 +602,9 @@ export function handleTool(name, args, { loadData, saveData }) {
           response += ` (${task.estimatedMinutes}m)`;
         }
       }
+      if (task.recurrence) {
+        response += `\nRepeats: ${describeRecurrence(task.recurrence)}`;
+      }
 
       return {
         content: [
@@ -681,12 +666,14 @@ export function handleTool(name, args, { loadData, saveData }) {
         return { content: [{ type: "text", text: `Error: Task ${args.taskId} not found` }] };
       }
 
+      const wasDone = result.task.status === "done";
       result.task.status = "done";
       result.task.completedAt = new Date().toISOString();
+      const nextTask = wasDone ? null : spawnNextOccurrence(data, result);
       saveData(data);
 
       return {
-        content: [{ type: "text", text: `Completed: "${result.task.name}"` }],
+        content: [{ type: "text", text: `Completed: "${result.task.name}"${nextOccurrenceNote(nextTask)}` }],
       };
     }
 
@@ -695,6 +682,10 @@ export function handleTool(name, args, { loadData, saveData }) {
       if (!args?.taskId) {
         return { content: [{ type: "text", text: "Error: taskId is required" }] };
       }
+      const invalid = validateTaskInput(args, { partial: true });
+      if (invalid) {
+        return { content: [{ type: "text", text: `Error: ${invalid}` }] };
+      }
 
       const result = findTask(data, args.taskId);
       if (!result) {
@@ -702,32 +693,19 @@ export function handleTool(name, args, { loadData, saveData }) {
       }
 
       const { task } = result;
-      const changes = [];
-      if (args.name) { task.name = args.name; changes.push("name"); }
-      if (args.description !== undefined) { task.description = args.description; changes.push("description"); }
-      if (args.context !== undefined) { task.context = args.context; changes.push("context"); }
-      if (args.status) {
-        task.status = args.status;
-        if (args.status === "done") {
-          task.completedAt = new Date().toISOString();
-        } else {
-          task.completedAt = null;
-        }
-        changes.push("status → " + args.status);
+      const wasDone = task.status === "done";
+      let changes;
+      try {
+        changes = applyTaskUpdate(task, args, { data, generateId });
+      } catch (err) {
+        return { content: [{ type: "text", text: `Error: ${err.message}` }] };
       }
-      if (args.priority) { task.priority = args.priority; changes.push("priority → " + args.priority); }
-      if (args.dueDate !== undefined) { task.dueDate = args.dueDate || null; changes.push("dueDate → " + (args.dueDate || "cleared")); }
-      if (args.scheduledDate !== undefined) { task.scheduledDate = args.scheduledDate || null; changes.push("scheduledDate → " + (args.scheduledDate || "cleared")); }
-      if (args.scheduledTime !== undefined) { task.scheduledTime = args.scheduledTime || null; changes.push("scheduledTime → " + (args.scheduledTime || "cleared")); }
-      if (args.estimatedMinutes !== undefined) { task.estimatedMinutes = args.estimatedMinutes; changes.push("estimate → " + args.estimatedMinutes + "min"); }
-      if (args.executionType) { task.executionType = args.executionType; changes.push("type → " + args.executionType); }
-      if (args.assignedTo !== undefined) { task.assignedTo = args.assignedTo || null; changes.push("assigned → " + (args.assignedTo || "unassigned")); }
-      task.updatedAt = new Date().toISOString();
+      const nextTask = task.status === "done" && !wasDone ? spawnNextOccurrence(data, result) : null;
 
       saveData(data);
 
       return {
-        content: [{ type: "text", text: `Updated task: "${task.name}" (${changes.join(", ")})` }],
+        content: [{ type: "text", text: `Updated task: "${task.name}" (${changes.join(", ")})${nextOccurrenceNote(nextTask)}` }],
       };
     }
 
@@ -807,6 +785,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
         const { task } = result;
         const updates = args.updates;
+        const wasDone = task.status === "done";
 
         if (updates.status) task.status = updates.status;
         if (updates.priority) task.priority = updates.priority;
@@ -818,7 +797,8 @@ export function handleTool(name, args, { loadData, saveData }) {
           task.completedAt = new Date().toISOString();
         }
 
-        results.push(task.name);
+        const nextTask = task.status === "done" && !wasDone ? spawnNextOccurrence(data, result) : null;
+        results.push(nextTask ? `${task.name} (next occurrence ${nextTask.dueDate || nextTask.scheduledDate})` : task.name);
       }
 
       saveData(data);
@@ -1066,7 +1046,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_focus_task": {
       const data = loadData();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const tasks = getAllTasks(data).filter((t) => t.status !== "done");
 
       if (tasks.length === 0) {
@@ -1178,7 +1158,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       }
 
       subtask.scheduledTime = args.scheduledTime;
-      subtask.scheduledDate = args.scheduledDate || new Date().toISOString().split("T")[0];
+      subtask.scheduledDate = args.scheduledDate || getToday(data);
       if (args.estimatedMinutes) {
         subtask.estimatedMinutes = args.estimatedMinutes;
       }
@@ -1217,7 +1197,7 @@ export function handleTool(name, args, { loadData, saveData }) {
     case "get_claude_tasks": {
       const data = loadData();
       const todayOnly = args?.todayOnly || false;
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const claudeTasks = [];
 
       for (const project of data.projects) {
@@ -1350,7 +1330,7 @@ export function handleTool(name, args, { loadData, saveData }) {
     case "sync_claude_queue": {
       const data = loadData();
       const todayOnly = args?.todayOnly || false;
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const claudeTasks = [];
 
       // Collect Claude tasks
@@ -1,11 +1,255 @@
-// Notion integration tools - placeholder for future implementation
-// No Notion tools exist in the current codebase, so this module is a stub.
+// Notion integration tools - run the same NotionSync as the app against the
+// saved connection, so syncing works without the desktop app open. Everything
+// that touches Notion holds the sync lock shared with the app and the daemon.
+
+import DataStore from "../data-store.js";
+import NotionSync from "../notion-sync.js";
+import NotionSyncService from "../notion-sync-service.js";
+import { dataStore } from "./data.js";
+
+const notionService = new NotionSyncService({ dataStore, origin: "mcp" });
 
 export function getToolDefinitions() {
-  return [];
+  return [
+    {
+      name: "notion_sync_now",
+      description: "Run a full two-way sync with the connected Notion database. Changes on both sides are merged field by field; fields edited differently on both sides are reported as conflicts for the user to resolve in the app.",
+      inputSchema: {
+        type: "object",
+        properties: {},
+      },
+    },
+    {
+      name: "notion_sync_status",
+      description: "Show the Notion connection, when it last synced, how many tasks are linked, and any unresolved conflicts.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          checkConnection: {
+            type: "boolean",
+            description: "Also call the Notion API to check the saved key still works. Default: false",
+          },
+        },
+      },
+    },
+    {
+      name: "notion_link_task",
+      description: "Link an existing TaskFlow task to an existing page in the Notion database, so they sync from now on.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: {
+            type: "string",
+            description: "The TaskFlow task ID",
+          },
+          pageId: {
+            type: "string",
+            description: "The Notion page ID or URL",
+          },
+          prefer: {
+            type: "string",
+            enum: ["local", "notion"],
+            description: "Which side's fields win when linking: 'local' overwrites the page, 'notion' overwrites the task. Default: local",
+          },
+          replace: {
+            type: "boolean",
+            description: "If the task is already linked to another page, archive that page and link this one instead. Default: false",
+          },
+        },
+        required: ["taskId", "pageId"],
+      },
+    },
+    {
+      name: "notion_pull_page_as_task",
+      description: "Create a TaskFlow task from a page in the Notion database (including its checklist as subtasks) and link the two.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          pageId: {
+            type: "string",
+            description: "The Notion page ID or URL",
+          },
+          projectId: {
+            type: "string",
+            description: "Project to put the task in. Default: the page's Project, or the Inbox",
+          },
+        },
+        required: ["pageId"],
+      },
+    },
+  ];
+}
+
+// The saved connection, or an error result to return as-is
+function openSync(data) {
+  try {
+    return { sync: notionService.createSync(notionService.getConfig(data)) };
+  } catch (err) {
+    return { error: { content: [{ type: "text", text: "Error: Notion is not connected. Connect it from Settings in the TaskFlow app first." }] } };
+  }
 }
 
-export function handleTool(name, args, { loadData, saveData }) {
-  // No tools handled by this module yet
-  return null;
+// Save data changed by Notion so the operation log attributes them to it
+function saveNotionChanges(data, tool) {
+  dataStore.write(data, { source: "notion", meta: { tool } });
+}
+
+// Save what a tool changed locally once its Notion requests are done. If the
+// app saved a conflicting edit meanwhile, re-running the tool would repeat
+// those requests (archiving or relinking pages again), so its changes are
+// merged onto the fresh data instead - the tool's values win where both
+// sides changed a field - and saved once more.
+function saveLocalChanges(base, data, save) {
+  try {
+    save(data);
+  } catch (err) {
+    if (err.code !== "STALE_REVISION") throw err;
+    const fresh = dataStore.read();
+    const { value } = DataStore.merge(base, data, fresh);
+    save({ ...value, revision: fresh.revision });
+  }
+}
+
+function errorResult(message) {
+  return { content: [{ type: "text", text: `Error: ${message}` }] };
+}
+
+function formatConflictValue(value) {
+  if (value === null || value === undefined || value === "") return "(empty)";
+  if (Array.isArray(value)) {
+    return value.map((v) => (typeof v === "string" ? v : `${v.done ? "[x]" : "[ ]"} ${v.name}`)).join(", ") || "(empty)";
+  }
+  return String(value);
+}
+
+export async function handleTool(name, args, { loadData, saveData }) {
+  switch (name) {
+    case "notion_sync_now": {
+      const result = await notionService.runOnce({ trigger: "manual" });
+      if (!result.success) return errorResult(result.error);
+      const summary = result.summary;
+
+      let output = `## Notion Sync Complete\n\n`;
+      output += `- **Pushed (new):** ${summary.created}\n`;
+      output += `- **Updated in Notion:** ${summary.updated}\n`;
+      output += `- **Pulled from Notion:** ${summary.pulled}\n`;
+      output += `- **Deleted:** ${summary.deleted}\n`;
+      if (summary.conflicts) {
+        output += `- **Conflicts to resolve:** ${summary.conflicts} (see notion_sync_status)\n`;
+      }
+      if (summary.errors.length > 0) {
+        output += `\n### Errors\n`;
+        summary.errors.forEach((e) => { output += `- ${e}\n`; });
+      }
+      return { content: [{ type: "text", text: output }] };
+    }
+
+    case "notion_sync_status": {
+      const data = loadData();
+      const ns = data.notionSync || {};
+      if (!ns.apiKey || !ns.databaseId) {
+        return { content: [{ type: "text", text: "Notion is not connected. Connect it from Settings in the TaskFlow app." }] };
+      }
+      const { sync } = openSync(data);
+
+      const taskIds = new Set(data.projects.flatMap((p) => p.tasks.map((t) => t.id)));
+      const linked = Object.keys(sync.idMap).filter((id) => taskIds.has(id)).length;
+      const status = notionService.getStatus();
+
+      let output = `## Notion Sync Status\n\n`;
+      output += `- **Database:** ${ns.databaseId}\n`;
+      output += `- **Last sync:** ${status.lastSuccessAt || "never"}\n`;
+      output += `- **Linked tasks:** ${linked} of ${taskIds.size}\n`;
+
+      if (status.running) output += `- **Syncing now:** ${status.running}\n`;
+      if (status.lastRun) {
+        output += `- **Last run:** ${status.lastRun.at} by ${status.lastRun.origin} (${status.lastRun.success ? "ok" : "failed"})\n`;
+      }
+      if (status.lastError) {
+        output += `- **Last error:** ${status.lastError.error} (${status.lastError.at})\n`;
+      }
+
+      if (args?.checkConnection) {
+        const result = await sync.testConnection();
+        output += `- **Connection:** ${result.success ? `OK (${result.name})` : `failed - ${result.error}`}\n`;
+      }
+
+      if (sync.conflicts.length === 0) {
+        output += `\nNo unresolved conflicts.\n`;
+      } else {
+        output += `\n### Unresolved Conflicts (${sync.conflicts.length})\n`;
+        output += `Changed differently in TaskFlow and Notion since the last sync. The user picks a value per field in the app (Settings > Notion Sync > Resolve Conflicts).\n\n`;
+        for (const conflict of sync.conflicts) {
+          output += `**${conflict.taskName}** (${conflict.taskId}) - since ${conflict.detectedAt.split("T")[0]}\n`;
+          for (const f of conflict.fields) {
+            output += `- ${f.field}: TaskFlow "${formatConflictValue(f.local)}" vs Notion "${formatConflictValue(f.remote)}"\n`;
+          }
+          output += `\n`;
+        }
+      }
+      return { content: [{ type: "text", text: output }] };
+    }
+
+    case "notion_link_task": {
+      if (!args?.taskId || !args?.pageId) {
+        return { content: [{ type: "text", text: "Error: taskId and pageId are required" }] };
+      }
+      const pageId = NotionSync.parsePageId(args.pageId);
+      if (!pageId) {
+        return { content: [{ type: "text", text: "Error: pageId must be a Notion page ID or URL" }] };
+      }
+      try {
+        return await notionService.withSyncLock(async () => {
+          const data = loadData();
+          const { sync, error } = openSync(data);
+          if (error) return error;
+          const base = structuredClone(data);
+
+          const prefer = args.prefer === "notion" ? "notion" : "local";
+          const task = await sync.linkTask(data, args.taskId, pageId, { prefer, replace: !!args.replace });
+          data.notionSync.idMap = sync.idMap;
+          saveLocalChanges(base, data, prefer === "notion" ? (d) => saveNotionChanges(d, name) : saveData);
+          sync.saveState();
+
+          const direction = prefer === "notion" ? "Task updated from the Notion page" : "Notion page updated from the task";
+          return { content: [{ type: "text", text: `Linked "${task.name}" to Notion page ${pageId}. ${direction}.` }] };
+        });
+      } catch (err) {
+        return errorResult(err.message);
+      }
+    }
+
+    case "notion_pull_page_as_task": {
+      if (!args?.pageId) {
+        return { content: [{ type: "text", text: "Error: pageId is required" }] };
+      }
+      const pageId = NotionSync.parsePageId(args.pageId);
+      if (!pageId) {
+        return { content: [{ type: "text", text: "Error: pageId must be a Notion page ID or URL" }] };
+      }
+      try {
+        return await notionService.withSyncLock(async () => {
+          const data = loadData();
+          const { sync, error } = openSync(data);
+          if (error) return error;
+          const base = structuredClone(data);
+
+          const task = await sync.pullPageAsTask(data, pageId, { projectId: args.projectId || null });
+          data.notionSync.idMap = sync.idMap;
+          saveLocalChanges(base, data, (d) => saveNotionChanges(d, name));
+          sync.saveState();
+
+          const project = data.projects.find((p) => p.id === task.projectId);
+          let output = `Created task "${task.name}" (${task.id}) in ${project ? project.name : "Inbox"} from Notion page ${pageId}.`;
+          if (task.subtasks.length > 0) output += ` ${task.subtasks.length} subtasks.`;
+          return { content: [{ type: "text", text: output }] };
+        });
+      } catch (err) {
+        return errorResult(err.message);
+      }
+    }
+
+    default:
+      return null;
+  }
 }
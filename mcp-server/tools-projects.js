@@ -1,4 +1,5 @@
 import { generateId, getAllTasks, findTask } from "./data.js";
+import { newProject } from "../shared/task-input.js";
 
 export function getToolDefinitions() {
   return [
@@ -220,14 +221,7 @@ export function handleTool(name, args, { loadData, saveData }) {
         return { content: [{ type: "text", text: `Project "${args.name}" already exists` }] };
       }
 
-      const project = {
-        id: generateId(),
-        name: args.name,
-        description: args.description || "",
-        color: args.color || "#6366f1",
-        tasks: [],
-        createdAt: new Date().toISOString(),
-      };
+      const project = newProject({ name: args.name, description: args.description, color: args.color }, generateId);
 
       data.projects.push(project);
       saveData(data);
@@ -764,16 +758,14 @@ export function handleTool(name, args, { loadData, saveData }) {
         return { content: [{ type: "text", text: `Error: Parent project ${args.parentProjectId} not found` }] };
       }
 
-      const subproject = {
-        id: generateId(),
+      const subproject = newProject({
         name: args.name,
-        description: args.description || "",
+        description: args.description,
         color: args.color || parent.color,
+        categoryId: parent.categoryId,
         parentProjectId: args.parentProjectId,
         level: (parent.level || 0) + 1,
-        tasks: [],
-        createdAt: new Date().toISOString()
-      };
+      }, generateId);
 
       data.projects.push(subproject);
       saveData(data);
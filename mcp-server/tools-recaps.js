@@ -1,4 +1,5 @@
-import { generateId, getAllTasks } from "./data.js";
+import { generateId, getAllTasks, getToday, getLocalDate } from "./data.js";
+import { addDays, weekRange, monthRange } from "../shared/dates.js";
 
 export function getToolDefinitions() {
   return [
@@ -166,13 +167,13 @@ export function handleTool(name, args, { loadData, saveData }) {
   switch (name) {
     case "daily_recap": {
       const data = loadData();
-      const targetDate = args?.date || new Date().toISOString().split("T")[0];
+      const targetDate = args?.date || getToday(data);
       const tasks = getAllTasks(data);
 
       // Tasks completed on this date
       const completedToday = tasks.filter((t) => {
         if (!t.completedAt) return false;
-        return t.completedAt.split("T")[0] === targetDate;
+        return getLocalDate(data, t.completedAt) === targetDate;
       });
 
       // Time logged on this date
@@ -181,7 +182,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       tasks.forEach((t) => {
         if (t.timeLog) {
           t.timeLog.forEach((entry) => {
-            if (entry.loggedAt.split("T")[0] === targetDate) {
+            if (getLocalDate(data, entry.loggedAt) === targetDate) {
               totalMinutesLogged += entry.minutes;
               timeEntries.push({ task: t.name, ...entry });
             }
@@ -194,7 +195,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       tasks.forEach((t) => {
         if (t.learnings) {
           t.learnings.forEach((l) => {
-            if (l.addedAt.split("T")[0] === targetDate) {
+            if (getLocalDate(data, l.addedAt) === targetDate) {
               todaysLearnings.push({ task: t.name, learning: l.text });
             }
           });
@@ -240,19 +241,15 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "weekly_review": {
       const data = loadData();
-      const today = new Date();
-      const weekAgo = new Date(today);
-      weekAgo.setDate(weekAgo.getDate() - 7);
-
-      const todayStr = today.toISOString().split("T")[0];
-      const weekAgoStr = weekAgo.toISOString().split("T")[0];
+      const todayStr = getToday(data);
+      const weekAgoStr = addDays(todayStr, -7);
 
       const tasks = getAllTasks(data);
 
       // Completed this week
       const completedThisWeek = tasks.filter((t) => {
         if (!t.completedAt) return false;
-        const completed = t.completedAt.split("T")[0];
+        const completed = getLocalDate(data, t.completedAt);
         return completed >= weekAgoStr && completed <= todayStr;
       });
 
@@ -265,7 +262,7 @@ export function handleTool(name, args, { loadData, saveData }) {
           const projectName = project?.name || "Inbox";
 
           t.timeLog.forEach((entry) => {
-            const logDate = entry.loggedAt.split("T")[0];
+            const logDate = getLocalDate(data, entry.loggedAt);
             if (logDate >= weekAgoStr && logDate <= todayStr) {
               totalMinutes += entry.minutes;
               projectTime[projectName] = (projectTime[projectName] || 0) + entry.minutes;
@@ -279,7 +276,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       tasks.forEach((t) => {
         if (t.learnings) {
           t.learnings.forEach((l) => {
-            const learnDate = l.addedAt.split("T")[0];
+            const learnDate = getLocalDate(data, l.addedAt);
             if (learnDate >= weekAgoStr && learnDate <= todayStr) {
               weekLearnings.push({ task: t.name, learning: l.text });
             }
@@ -348,7 +345,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "plan_my_day": {
       const data = loadData();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const tasks = getAllTasks(data).filter((t) => t.status !== "done");
 
       const overdue = tasks.filter((t) => t.dueDate && t.dueDate < today);
@@ -491,7 +488,7 @@ export function handleTool(name, args, { loadData, saveData }) {
         id: generateId(),
         type: args.type,
         content: args.content,
-        date: args.date || new Date().toISOString().split("T")[0],
+        date: args.date || getToday(data),
         relatedTaskId: args.relatedTaskId || null,
         tags: args.tags || [],
         createdAt: new Date().toISOString(),
@@ -516,7 +513,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_recap_log": {
       const data = loadData();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const startDate = args?.startDate || today;
       const endDate = args?.endDate || startDate;
       const filterType = args?.type || "all";
@@ -584,27 +581,20 @@ export function handleTool(name, args, { loadData, saveData }) {
         return { content: [{ type: "text", text: "Error: period is required (daily, weekly, or monthly)" }] };
       }
 
-      const today = new Date();
-      const refDate = args.date ? new Date(args.date + "T12:00:00") : today;
+      const refDateStr = args.date || getToday(data);
+      const refDate = new Date(refDateStr + "T12:00:00");
       let startDate, endDate, periodLabel;
 
       if (args.period === "daily") {
-        startDate = refDate.toISOString().split("T")[0];
+        startDate = refDateStr;
         endDate = startDate;
         periodLabel = startDate;
       } else if (args.period === "weekly") {
-        // Get week start (Sunday) and end (Saturday)
-        const dayOfWeek = refDate.getDay();
-        const weekStart = new Date(refDate);
-        weekStart.setDate(refDate.getDate() - dayOfWeek);
-        const weekEnd = new Date(weekStart);
-        weekEnd.setDate(weekStart.getDate() + 6);
-        startDate = weekStart.toISOString().split("T")[0];
-        endDate = weekEnd.toISOString().split("T")[0];
+        // Week start (Sunday) and end (Saturday)
+        ({ start: startDate, end: endDate } = weekRange(refDateStr));
         periodLabel = `Week of ${startDate}`;
       } else if (args.period === "monthly") {
-        startDate = new Date(refDate.getFullYear(), refDate.getMonth(), 1).toISOString().split("T")[0];
-        endDate = new Date(refDate.getFullYear(), refDate.getMonth() + 1, 0).toISOString().split("T")[0];
+        ({ start: startDate, end: endDate } = monthRange(refDateStr));
         const monthName = refDate.toLocaleDateString("en-US", { month: "long", year: "numeric" });
         periodLabel = monthName;
       }
@@ -618,7 +608,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       const tasks = getAllTasks(data);
       const completedTasks = tasks.filter((t) => {
         if (!t.completedAt) return false;
-        const completed = t.completedAt.split("T")[0];
+        const completed = getLocalDate(data, t.completedAt);
         return completed >= startDate && completed <= endDate;
       });
 
@@ -636,7 +626,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       tasks.forEach((t) => {
         if (t.timeLog) {
           t.timeLog.forEach((entry) => {
-            const logDate = entry.loggedAt.split("T")[0];
+            const logDate = getLocalDate(data, entry.loggedAt);
             if (logDate >= startDate && logDate <= endDate) {
               totalMinutes += entry.minutes;
             }
@@ -713,7 +703,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       tasks.forEach((t) => {
         if (t.learnings) {
           t.learnings.forEach((l) => {
-            const learnDate = l.addedAt.split("T")[0];
+            const learnDate = getLocalDate(data, l.addedAt);
             if (learnDate >= startDate && learnDate <= endDate) {
               learnings.push({ task: t.name, learning: l.text });
             }
@@ -787,7 +777,7 @@ export function handleTool(name, args, { loadData, saveData }) {
         output += `### ${recap.periodLabel}\n`;
         output += `- **ID:** ${recap.id}\n`;
         output += `- **Period:** ${recap.period} (${recap.startDate} to ${recap.endDate})\n`;
-        output += `- **Saved:** ${recap.savedAt.split("T")[0]}\n`;
+        output += `- **Saved:** ${getLocalDate(data, recap.savedAt)}\n`;
         output += `- **Stats:** ${recap.stats.tasksCompleted} tasks, ${recap.stats.accomplishments} accomplishments, ${recap.stats.decisions} decisions\n`;
         output += `\n`;
       });
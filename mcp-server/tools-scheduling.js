@@ -1,4 +1,31 @@
-import { getAllTasks, findTask } from "./data.js";
+import { getAllTasks, findTask, loadBusyBlocks, getToday, getNowMinutes } from "./data.js";
+import { addDays } from "../shared/dates.js";
+import ExternalCalendars from "../external-calendars.js";
+import {
+  prepareSchedule, planSchedule, planDates, getSchedulingSettings, getWorkingHours,
+  capacityReport, capacityWarning, describeDay,
+} from "../shared/scheduler.js";
+import { createCalibrator } from "../shared/estimates.js";
+
+const PLAN_TTL_MS = 30 * 60 * 1000;
+const DAYS_OFF_LOOKAHEAD = 14;
+
+// Previewed auto_schedule plans waiting for accept_schedule, by planId
+const pendingPlans = new Map();
+
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// The busy interval a slot would run into, if any
+function findClash(intervals, start, duration) {
+  return intervals.find((i) => start < i.endMinutes && start + duration > i.startMinutes) || null;
+}
 
 export function getToolDefinitions() {
   return [
@@ -44,7 +71,7 @@ export function getToolDefinitions() {
     },
     {
       name: "bulk_schedule_today",
-      description: "Schedule multiple tasks for today with time slots. Efficient batch scheduling.",
+      description: "Schedule multiple tasks for today with time slots. Efficient batch scheduling. A slot that runs into a meeting from the user's imported calendars is moved to the next free time.",
       inputSchema: {
         type: "object",
         properties: {
@@ -89,7 +116,7 @@ export function getToolDefinitions() {
     },
     {
       name: "get_planning_context",
-      description: "Get comprehensive context for day planning: overdue tasks, unscheduled high-priority items, yesterday's incomplete tasks, and available time slots.",
+      description: "Get comprehensive context for day planning: overdue tasks, unscheduled high-priority items, yesterday's incomplete tasks, the day's working hours and capacity against what's scheduled, and upcoming holidays and vacations.",
       inputSchema: {
         type: "object",
         properties: {
@@ -102,7 +129,7 @@ export function getToolDefinitions() {
     },
     {
       name: "suggest_day_schedule",
-      description: "Generate a time-blocked schedule for the day based on task priorities, durations, and available time.",
+      description: "Generate a time-blocked schedule for the day based on task priorities, durations, and available time. Meetings from the user's imported calendars are kept free, and estimates are padded by how long similar tasks actually took. Warns when the day is a day off or the schedule goes over its capacity.",
       inputSchema: {
         type: "object",
         properties: {
@@ -112,11 +139,11 @@ export function getToolDefinitions() {
           },
           startHour: {
             type: "number",
-            description: "Hour to start scheduling (0-23). Defaults to 9.",
+            description: "Hour to start scheduling (0-23). Defaults to the start of that day's working hours.",
           },
           endHour: {
             type: "number",
-            description: "Hour to end scheduling (0-23). Defaults to 18.",
+            description: "Hour to end scheduling (0-23). Defaults to the end of that day's working hours.",
           },
           taskIds: {
             type: "array",
@@ -126,10 +153,50 @@ export function getToolDefinitions() {
         },
       },
     },
+    {
+      name: "auto_schedule",
+      description: "Plan unscheduled tasks into the free time of a day or week: within working hours, around meetings from the user's imported calendars and tasks already scheduled. Respects estimates, priority, due dates, blockedBy dependencies, focus windows and keeps AI tasks on their own track. Returns a preview with a planId; nothing changes until accept_schedule is called with it.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          date: {
+            type: "string",
+            description: "First day to plan in YYYY-MM-DD format. Defaults to today.",
+          },
+          days: {
+            type: "number",
+            description: "Number of working days to plan (1-7). Defaults to 1.",
+          },
+          taskIds: {
+            type: "array",
+            items: { type: "string" },
+            description: "Optional: Exactly these tasks. If not provided, picks overdue, due, high-priority and in-progress tasks.",
+          },
+          replan: {
+            type: "boolean",
+            description: "Re-plan the rest of today: moves today's not-yet-started tasks after now and makes room for in-progress tasks running over their estimate.",
+          },
+        },
+      },
+    },
+    {
+      name: "accept_schedule",
+      description: "Apply a plan previewed by auto_schedule. Tasks changed since the preview are left alone.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          planId: {
+            type: "string",
+            description: "planId returned by auto_schedule",
+          },
+        },
+        required: ["planId"],
+      },
+    },
   ];
 }
 
-export function handleTool(name, args, { loadData, saveData }) {
+export async function handleTool(name, args, { loadData, saveData }) {
   switch (name) {
     case "set_scheduled_time": {
       const data = loadData();
@@ -149,7 +216,7 @@ export function handleTool(name, args, { loadData, saveData }) {
       }
 
       const { task } = result;
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
 
       task.scheduledTime = args.scheduledTime;
       task.scheduledDate = args.scheduledDate || today;
@@ -198,10 +265,14 @@ export function handleTool(name, args, { loadData, saveData }) {
         return { content: [{ type: "text", text: "Error: schedule array is required" }] };
       }
 
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const results = [];
       const errors = [];
 
+      // Meetings, plus the slots handed out so far so moved tasks don't land on each other
+      const busy = ExternalCalendars.busyIntervals(await loadBusyBlocks(data, today), today);
+      const taken = [];
+
       for (const item of args.schedule) {
         if (!item.taskId || !item.scheduledTime) {
           errors.push(`Invalid schedule item: missing taskId or scheduledTime`);
@@ -215,7 +286,26 @@ export function handleTool(name, args, { loadData, saveData }) {
         }
 
         const { task } = result;
-        task.scheduledTime = item.scheduledTime;
+        const duration = item.estimatedMinutes || task.estimatedMinutes || 30;
+        let scheduledTime = item.scheduledTime;
+        let note = "";
+        const clash = findClash(busy, toMinutes(scheduledTime), duration);
+        if (clash) {
+          const blocked = ExternalCalendars.busyIntervals(
+            [...busy, ...taken].map((i) => ({ ...i, date: today, title: "" })),
+            today
+          );
+          const start = ExternalCalendars.findFreeSlot(blocked, toMinutes(scheduledTime), duration);
+          if (start === null) {
+            errors.push(`${task.name}: ${scheduledTime} clashes with ${clash.titles.join(", ")} and there's no free ${duration}m later today`);
+            continue;
+          }
+          note = ` (moved from ${scheduledTime}: clashes with ${clash.titles.join(", ")})`;
+          scheduledTime = toTime(start);
+        }
+        taken.push({ startMinutes: toMinutes(scheduledTime), endMinutes: toMinutes(scheduledTime) + duration });
+
+        task.scheduledTime = scheduledTime;
         task.scheduledDate = today;
         if (item.estimatedMinutes) {
           task.estimatedMinutes = item.estimatedMinutes;
@@ -224,7 +314,7 @@ export function handleTool(name, args, { loadData, saveData }) {
           task.dueDate = today;
         }
 
-        results.push(`${task.scheduledTime} - ${task.name}${item.estimatedMinutes ? ` (${item.estimatedMinutes}m)` : ''}`);
+        results.push(`${task.scheduledTime} - ${task.name}${item.estimatedMinutes ? ` (${item.estimatedMinutes}m)` : ''}${note}`);
       }
 
       saveData(data);
@@ -280,11 +370,9 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_planning_context": {
       const data = loadData();
-      const targetDate = args?.date || new Date().toISOString().split("T")[0];
+      const targetDate = args?.date || getToday(data);
       const tasks = getAllTasks(data);
-      const yesterday = new Date(targetDate);
-      yesterday.setDate(yesterday.getDate() - 1);
-      const yesterdayStr = yesterday.toISOString().split("T")[0];
+      const yesterdayStr = addDays(targetDate, -1);
 
       // Overdue tasks
       const overdue = tasks.filter(t =>
@@ -309,9 +397,18 @@ export function handleTool(name, args, { loadData, saveData }) {
         t.scheduledDate === targetDate && t.scheduledTime && t.status !== "done"
       ).sort((a, b) => a.scheduledTime.localeCompare(b.scheduledTime));
 
-      // Calculate available time (9-18 = 9 hours = 540 min)
-      let scheduledMinutes = alreadyScheduled.reduce((sum, t) => sum + (t.estimatedMinutes || 30), 0);
-      const availableMinutes = 540 - scheduledMinutes;
+      // Everything scheduled that day, timed or not, against its capacity
+      const scheduling = getSchedulingSettings(data.settings);
+      const [day] = capacityReport(tasks, [targetDate], data.settings);
+      const availableMinutes = Math.max(0, day.capacity - day.planned);
+      const warning = capacityWarning(day);
+
+      // Holidays and vacations coming up, so work can be planned around them
+      const lookaheadEnd = addDays(targetDate, DAYS_OFF_LOOKAHEAD);
+      const daysOff = [
+        ...scheduling.holidays.map(h => ({ start: h.date, end: h.date, name: h.name || "Holiday" })),
+        ...scheduling.vacations.map(v => ({ start: v.start, end: v.end || v.start, name: v.name || "Vacation" })),
+      ].filter(d => d.end > targetDate && d.start <= lookaheadEnd).sort((a, b) => a.start.localeCompare(b.start));
 
       let output = `## Planning Context for ${targetDate}\n\n`;
 
@@ -348,17 +445,29 @@ export function handleTool(name, args, { loadData, saveData }) {
       }
 
       output += `### Time Budget\n`;
-      output += `- Scheduled: ${Math.floor(scheduledMinutes / 60)}h ${scheduledMinutes % 60}m\n`;
+      output += `- Working hours: ${describeDay(day, scheduling)}\n`;
+      output += `- Scheduled: ${Math.floor(day.planned / 60)}h ${day.planned % 60}m\n`;
       output += `- Available: ${Math.floor(availableMinutes / 60)}h ${availableMinutes % 60}m\n`;
+      if (warning) output += `- ⚠️ ${warning}\n`;
+
+      if (daysOff.length > 0) {
+        output += `\n### 🏖️ Days Off in the Next ${DAYS_OFF_LOOKAHEAD} Days\n`;
+        daysOff.forEach(d => {
+          output += `- ${d.start === d.end ? d.start : `${d.start} to ${d.end}`}: ${d.name}\n`;
+        });
+      }
 
       return { content: [{ type: "text", text: output }] };
     }
 
     case "suggest_day_schedule": {
       const data = loadData();
-      const targetDate = args?.date || new Date().toISOString().split("T")[0];
-      const startHour = args?.startHour ?? 9;
-      const endHour = args?.endHour ?? 18;
+      const targetDate = args?.date || getToday(data);
+      const scheduling = getSchedulingSettings(data.settings);
+      // On a day off, fall back to the default hours so a schedule can still be asked for
+      const [hours] = getWorkingHours(scheduling, targetDate);
+      const startMinutes = args?.startHour != null ? args.startHour * 60 : (hours ? hours.start : toMinutes(scheduling.workStart));
+      const endMinutes = args?.endHour != null ? args.endHour * 60 : (hours ? hours.end : toMinutes(scheduling.workEnd));
       const tasks = getAllTasks(data);
 
       // Get tasks to schedule
@@ -382,44 +491,87 @@ export function handleTool(name, args, { loadData, saveData }) {
           .slice(0, 10);
       }
 
-      // Build schedule
+      // Pad estimates by how long similar tasks took before
+      const calibrator = createCalibrator(data, { enabled: scheduling.calibrateEstimates });
+
+      // Build schedule around the day's meetings
+      const busyBlocks = await loadBusyBlocks(data, targetDate);
+      const busy = ExternalCalendars.busyIntervals(busyBlocks, targetDate);
       const schedule = [];
-      let currentMinutes = startHour * 60;
-      const endMinutes = endHour * 60;
+      const skipped = [];
+      let currentMinutes = startMinutes;
 
       for (const task of toSchedule) {
-        const duration = task.estimatedMinutes || 30;
+        const duration = calibrator.minutesFor(task, 30);
         if (currentMinutes + duration > endMinutes) break;
 
-        const hour = Math.floor(currentMinutes / 60);
-        const minute = currentMinutes % 60;
-        const time = `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+        // A task that doesn't fit before the next meeting waits for a later gap
+        const start = ExternalCalendars.findFreeSlot(busy, currentMinutes, duration, endMinutes);
+        if (start === null) {
+          skipped.push(task);
+          continue;
+        }
 
         schedule.push({
           taskId: task.id,
           name: task.name,
-          scheduledTime: time,
-          estimatedMinutes: duration,
+          scheduledTime: toTime(start),
+          estimatedMinutes: task.estimatedMinutes || 30,
+          blockMinutes: duration,
         });
 
-        currentMinutes += duration + 15; // 15 min buffer between tasks
+        currentMinutes = start + duration + 15; // 15 min buffer between tasks
       }
 
       let output = `## Suggested Schedule for ${targetDate}\n\n`;
-      output += `Working hours: ${startHour}:00 - ${endHour}:00\n\n`;
+      output += `Working hours: ${toTime(startMinutes)} - ${toTime(endMinutes)}\n\n`;
+
+      // The day's load once this schedule is applied, against its capacity
+      const suggested = new Set(schedule.map((s) => s.taskId));
+      const [day] = capacityReport(
+        tasks.map((t) => (suggested.has(t.id) ? { ...t, scheduledDate: targetDate } : t)),
+        [targetDate],
+        data.settings,
+      );
+      const warning = capacityWarning(day);
+      if (warning) {
+        output += `⚠️ ${warning}${day.dayOff ? "" : ". Consider moving some tasks to another day"}.\n\n`;
+      } else if (day.dayOff) {
+        output += `⚠️ ${targetDate} is a day off (${day.dayOff.name}).\n\n`;
+      }
+
+      const meetings = busyBlocks.filter((b) => b.date === targetDate);
+      if (meetings.length > 0) {
+        output += `### Busy (from your calendars)\n`;
+        meetings.forEach((b) => {
+          output += `- ${b.allDay ? "All day" : `${b.start}-${b.end}`}: ${b.title} (${b.calendarName})\n`;
+        });
+        output += `\n`;
+      }
 
       if (schedule.length === 0) {
-        output += "No tasks to schedule.\n";
+        output += skipped.length > 0
+          ? `No free time between meetings for: ${skipped.map((t) => t.name).join(", ")}\n`
+          : "No tasks to schedule.\n";
       } else {
         let totalMinutes = 0;
         schedule.forEach(item => {
-          output += `**${item.scheduledTime}** - ${item.name} (${item.estimatedMinutes}m)\n`;
+          const padded = item.blockMinutes !== item.estimatedMinutes
+            ? `${item.blockMinutes}m, estimated ${item.estimatedMinutes}m × ${calibrator.factorFor(findTask(data, item.taskId).task)}`
+            : `${item.estimatedMinutes}m`;
+          output += `**${item.scheduledTime}** - ${item.name} (${padded})\n`;
           output += `  ID: ${item.taskId}\n\n`;
-          totalMinutes += item.estimatedMinutes;
+          totalMinutes += item.blockMinutes;
         });
 
         output += `---\n`;
         output += `**Total:** ${schedule.length} tasks, ${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m\n\n`;
+        if (schedule.some((s) => s.blockMinutes !== s.estimatedMinutes)) {
+          output += `Blocks are padded by your past estimate accuracy (see get_estimate_accuracy).\n\n`;
+        }
+        if (skipped.length > 0) {
+          output += `**Didn't fit between meetings:** ${skipped.map((t) => t.name).join(", ")}\n\n`;
+        }
         output += `### To apply this schedule:\n`;
         output += `Use bulk_schedule_today with:\n`;
         output += "```json\n" + JSON.stringify({
@@ -434,6 +586,130 @@ export function handleTool(name, args, { loadData, saveData }) {
       return { content: [{ type: "text", text: output }] };
     }
 
+    case "auto_schedule": {
+      const data = loadData();
+      const now = new Date();
+      const today = getToday(data);
+      const start = args?.date || today;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(start)) {
+        return { content: [{ type: "text", text: "Error: date must be in YYYY-MM-DD format" }] };
+      }
+      const days = Math.min(Math.max(Math.round(args?.days || 1), 1), 7);
+      const dates = planDates(start, days, data.settings);
+      const nowMinutes = start === today ? getNowMinutes(data, now) : null;
+      const tasks = getAllTasks(data);
+
+      if (args?.taskIds) {
+        const missing = args.taskIds.filter((id) => !findTask(data, id));
+        if (missing.length > 0) {
+          return { content: [{ type: "text", text: `Error: Task(s) not found: ${missing.join(", ")}` }] };
+        }
+      }
+
+      const { minutesFor } = createCalibrator(data, { enabled: getSchedulingSettings(data.settings).calibrateEstimates });
+      const { candidates, occupied, overruns } = prepareSchedule(tasks, dates, data.settings, {
+        nowMinutes,
+        replan: !!args?.replan && start === today,
+        taskIds: args?.taskIds,
+        minutesFor,
+      });
+      const busyBlocks = await loadBusyBlocks(data, dates[0], dates[dates.length - 1]);
+      const busy = {};
+      for (const date of dates) busy[date] = ExternalCalendars.busyIntervals(busyBlocks, date);
+      const plan = planSchedule({ candidates, allTasks: tasks, occupied, busy, dates, settings: data.settings, nowMinutes, minutesFor });
+
+      const scheduling = getSchedulingSettings(data.settings);
+      let output = `## Auto-Schedule Preview: ${dates.length > 1 ? `${dates[0]} to ${dates[dates.length - 1]}` : dates[0]}\n\n`;
+      const hours = capacityReport(tasks, dates, data.settings).map((day) => describeDay(day, scheduling));
+      output += new Set(hours).size === 1
+        ? `Working hours: ${hours[0]}`
+        : `Working hours: ${dates.map((date, i) => `${date} ${hours[i]}`).join(", ")}`;
+      if (scheduling.focusWindows.length > 0) {
+        output += ` · Focus: ${scheduling.focusWindows.map((w) => `${w.start}-${w.end}`).join(", ")}`;
+      }
+      output += `\n\n`;
+      if (overruns.length > 0) {
+        output += `Running over: ${overruns.map((t) => t.name).join(", ")} (assumed to need 15 more minutes)\n\n`;
+      }
+
+      if (plan.placements.length === 0) {
+        output += candidates.length === 0 ? "Nothing to schedule.\n" : "Nothing fits in the free time.\n";
+      } else {
+        for (const date of dates) {
+          const items = plan.placements.filter((p) => p.date === date);
+          if (items.length === 0) continue;
+          if (dates.length > 1) output += `### ${date}\n`;
+          items.forEach((p) => {
+            const estimate = findTask(data, p.taskId).task.estimatedMinutes;
+            const padded = estimate && estimate !== p.minutes ? `, estimated ${estimate}m` : "";
+            output += `**${p.start}-${p.end}** - ${p.name} (${p.minutes}m${padded}${p.track === "ai" ? ", AI track" : ""})${p.late ? " ⚠ after due date" : ""}\n`;
+            output += `  ID: ${p.taskId}\n`;
+          });
+          output += `\n`;
+        }
+      }
+
+      if (plan.unplaced.length > 0) {
+        output += `### Not scheduled (${plan.unplaced.length})\n`;
+        plan.unplaced.forEach((u) => output += `- ${u.name}: ${u.reason}\n`);
+        output += `\n`;
+      }
+
+      if (plan.placements.length > 0) {
+        for (const [id, p] of pendingPlans) {
+          if (Date.now() - p.createdAt > PLAN_TTL_MS) pendingPlans.delete(id);
+        }
+        const planId = `plan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        const before = {};
+        for (const p of plan.placements) {
+          const task = findTask(data, p.taskId).task;
+          before[p.taskId] = { scheduledDate: task.scheduledDate || null, scheduledTime: task.scheduledTime || null };
+        }
+        pendingPlans.set(planId, { placements: plan.placements, before, createdAt: Date.now() });
+        output += `---\nNothing has changed yet. To apply, call accept_schedule with planId: ${planId}`;
+      }
+
+      return { content: [{ type: "text", text: output }] };
+    }
+
+    case "accept_schedule": {
+      const pending = pendingPlans.get(args?.planId);
+      if (!pending || Date.now() - pending.createdAt > PLAN_TTL_MS) {
+        pendingPlans.delete(args?.planId);
+        return { content: [{ type: "text", text: `Error: Plan ${args?.planId} not found or expired. Run auto_schedule again.` }] };
+      }
+
+      const data = loadData();
+      const applied = [];
+      const skipped = [];
+      for (const p of pending.placements) {
+        const task = findTask(data, p.taskId)?.task;
+        const before = pending.before[p.taskId];
+        if (!task || task.status === "done") {
+          skipped.push(`${p.name}: no longer open`);
+          continue;
+        }
+        if ((task.scheduledDate || null) !== before.scheduledDate || (task.scheduledTime || null) !== before.scheduledTime) {
+          skipped.push(`${p.name}: rescheduled since the preview`);
+          continue;
+        }
+        task.scheduledDate = p.date;
+        task.scheduledTime = p.start;
+        if (!task.estimatedMinutes) task.estimatedMinutes = p.minutes;
+        applied.push(`${p.date} ${p.start} - ${task.name}`);
+      }
+
+      if (applied.length > 0) saveData(data);
+      pendingPlans.delete(args.planId);
+
+      let output = `## Schedule Applied\n\n`;
+      output += applied.length > 0 ? `### Scheduled (${applied.length})\n${applied.map((a) => `- ${a}`).join("\n")}\n` : "Nothing was scheduled.\n";
+      if (skipped.length > 0) {
+        output += `\n### Skipped (${skipped.length})\n${skipped.map((s) => `- ${s}`).join("\n")}\n`;
+      }
+      return { content: [{ type: "text", text: output }] };
+    }
+
     default:
       return null;
   }
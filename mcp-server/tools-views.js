@@ -1,4 +1,14 @@
-import { getAllTasks, findTask, formatTaskForDisplay } from "./data.js";
+import { getAllTasks, findTask, formatTaskForDisplay, getToday, getLocalDate } from "./data.js";
+import { addDays, monthRange, getTimeZone } from "../shared/dates.js";
+import { queryTasks, getSmartLists, findSmartList } from "../shared/task-query.js";
+import { createSearchIndex, segmentsToText } from "../shared/search-index.js";
+
+const QUERY_LIMIT = 50;
+const SEARCH_LIMIT = 20;
+const SEARCH_KINDS = { tasks: ["task"], recaps: ["recap-entry", "saved-recap"], all: null };
+
+// Kept for the life of the server; each search re-indexes only what changed on disk
+const searchIndex = createSearchIndex();
 
 export function getToolDefinitions() {
   return [
@@ -98,6 +108,50 @@ export function getToolDefinitions() {
         },
       },
     },
+    {
+      name: "query_tasks",
+      description: "Find tasks with the smart-list query language, or run a saved smart list. Terms (all must match): project:Acme, tag:Urgent or #Urgent, status:todo,ready, priority>=high, due<+7d, scheduled:today, created>-30d, completed:yesterday, due:none, estimate<=30, is:overdue|today|open|done|recurring|blocked, has:due|scheduled|time|estimate|tags|description|subtasks, and plain words for name/description. Prefix '-' to exclude (-status:waiting); quote values with spaces. Dates: YYYY-MM-DD, today, tomorrow, yesterday, +Nd/-Nw/+Nm. Finished tasks are left out unless asked for (status:done, is:done). With neither query nor list, lists the saved smart lists.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "Query, e.g. 'project:Acme priority>=high due<+7d tag:Urgent -status:waiting'",
+          },
+          list: {
+            type: "string",
+            description: "Name of a saved smart list to run instead of a query",
+          },
+          limit: {
+            type: "number",
+            description: `Maximum number of tasks to show. Default: ${QUERY_LIMIT}`,
+          },
+        },
+      },
+    },
+    {
+      name: "search",
+      description: "Full-text search across task names, descriptions, context, work notes, learnings, time-log notes, subtasks, recap entries and saved recaps. Words are stemmed (schedule finds scheduling, scheduled), every word must match and the last also matches as a prefix. Results are ranked, with a highlighted snippet of where each matched.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "Words to search for",
+          },
+          type: {
+            type: "string",
+            enum: ["all", "tasks", "recaps"],
+            description: "What to search. Default: all",
+          },
+          limit: {
+            type: "number",
+            description: `Maximum number of results. Default: ${SEARCH_LIMIT}`,
+          },
+        },
+        required: ["query"],
+      },
+    },
   ];
 }
 
@@ -105,7 +159,7 @@ export function handleTool(name, args, { loadData, saveData }) {
   switch (name) {
     case "get_today_tasks": {
       const data = loadData();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const tasks = getAllTasks(data).filter(
         (t) => t.dueDate === today && t.status !== "done"
       );
@@ -127,7 +181,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_overdue_tasks": {
       const data = loadData();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
       const tasks = getAllTasks(data).filter(
         (t) => t.dueDate && t.dueDate < today && t.status !== "done"
       );
@@ -150,12 +204,8 @@ export function handleTool(name, args, { loadData, saveData }) {
     case "get_upcoming_tasks": {
       const data = loadData();
       const days = args?.days || 7;
-      const today = new Date();
-      const future = new Date(today);
-      future.setDate(future.getDate() + days);
-
-      const todayStr = today.toISOString().split("T")[0];
-      const futureStr = future.toISOString().split("T")[0];
+      const todayStr = getToday(data);
+      const futureStr = addDays(todayStr, days);
 
       const tasks = getAllTasks(data).filter(
         (t) => t.dueDate && t.dueDate >= todayStr && t.dueDate <= futureStr && t.status !== "done"
@@ -217,9 +267,94 @@ export function handleTool(name, args, { loadData, saveData }) {
       return { content: [{ type: "text", text: output }] };
     }
 
+    case "query_tasks": {
+      const data = loadData();
+      const today = getToday(data);
+
+      if (!args?.query && !args?.list) {
+        const lists = getSmartLists(data);
+        if (lists.length === 0) {
+          return { content: [{ type: "text", text: "No saved smart lists. Pass a query to search tasks." }] };
+        }
+        let output = `## Smart Lists (${lists.length})\n\n`;
+        for (const list of lists) {
+          const { matches } = queryTasks(data, list.query, { today, timeZone: getTimeZone(data.settings) });
+          output += `- ${list.name}: \`${list.query}\` (${matches.length} tasks)${list.pinned === false ? "" : " [pinned]"}\n`;
+        }
+        return { content: [{ type: "text", text: output }] };
+      }
+
+      let query = args.query;
+      let title = `\`${query}\``;
+      if (args.list) {
+        const list = findSmartList(data, args.list);
+        if (!list) {
+          return { content: [{ type: "text", text: `Error: No smart list named "${args.list}"` }] };
+        }
+        query = list.query;
+        title = `${list.name} — \`${list.query}\``;
+      }
+
+      const { matches, error } = queryTasks(data, query, { today, timeZone: getTimeZone(data.settings) });
+      if (error) {
+        return { content: [{ type: "text", text: `Error: ${error}` }] };
+      }
+      if (matches.length === 0) {
+        return { content: [{ type: "text", text: `No tasks match ${title}.` }] };
+      }
+
+      const limit = args.limit || QUERY_LIMIT;
+      let output = `## ${title} (${matches.length})\n\n`;
+      for (const { task, project } of matches.slice(0, limit)) {
+        output += formatTaskForDisplay(task, project, data.tags) + `\n  ID: ${task.id}\n`;
+      }
+      if (matches.length > limit) {
+        output += `\n...and ${matches.length - limit} more\n`;
+      }
+      return { content: [{ type: "text", text: output }] };
+    }
+
+    case "search": {
+      if (!args?.query?.trim()) {
+        return { content: [{ type: "text", text: "Error: query is required" }] };
+      }
+      const type = args.type || "all";
+      if (!(type in SEARCH_KINDS)) {
+        return { content: [{ type: "text", text: `Error: type must be one of ${Object.keys(SEARCH_KINDS).join(", ")}` }] };
+      }
+
+      searchIndex.update(loadData());
+      const results = searchIndex.search(args.query, { kinds: SEARCH_KINDS[type], limit: 0 });
+      if (results.length === 0) {
+        return { content: [{ type: "text", text: `Nothing matches "${args.query}".` }] };
+      }
+
+      const limit = args.limit || SEARCH_LIMIT;
+      let output = `## Search: \`${args.query}\` (${results.length})\n\n`;
+      for (const result of results.slice(0, limit)) {
+        output += `- [${result.kind}] ${segmentsToText(result.titleSegments)}`;
+        if (result.kind === "task") {
+          output += ` — ${result.projectName || "Inbox"}, ${result.status}${result.dueDate ? `, due ${result.dueDate}` : ""}`;
+        } else if (result.kind === "saved-recap") {
+          output += ` — ${result.startDate === result.endDate ? result.startDate : `${result.startDate} to ${result.endDate}`}`;
+        }
+        output += "\n";
+        if (result.snippet) {
+          output += `  ${result.snippetField}: ${segmentsToText(result.snippet)}\n`;
+        }
+        if (result.kind === "task") {
+          output += `  ID: ${result.taskId}\n`;
+        }
+      }
+      if (results.length > limit) {
+        output += `\n...and ${results.length - limit} more\n`;
+      }
+      return { content: [{ type: "text", text: output }] };
+    }
+
     case "get_ready_tasks": {
       const data = loadData();
-      const today = new Date().toISOString().split("T")[0];
+      const today = getToday(data);
 
       // Focus queue mode - prioritized top tasks
       if (args?.highPriorityOnly) {
@@ -317,7 +452,7 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_scheduled_tasks": {
       const data = loadData();
-      const targetDate = args?.date || new Date().toISOString().split("T")[0];
+      const targetDate = args?.date || getToday(data);
       const tasks = getAllTasks(data);
 
       const scheduledTasks = tasks
@@ -359,32 +494,27 @@ export function handleTool(name, args, { loadData, saveData }) {
 
     case "get_calendar_view": {
       const data = loadData();
-      const today = new Date();
-      const startDate = args?.startDate || new Date(today.getFullYear(), today.getMonth(), 1).toISOString().split("T")[0];
-      const endDate = args?.endDate || new Date(today.getFullYear(), today.getMonth() + 1, 0).toISOString().split("T")[0];
+      const month = monthRange(getToday(data));
+      const startDate = args?.startDate || month.start;
+      const endDate = args?.endDate || month.end;
 
       const tasks = getAllTasks(data);
 
       // Build day-by-day view
       const days = {};
-      let currentDate = new Date(startDate);
-      const end = new Date(endDate);
-
-      while (currentDate <= end) {
-        const dateStr = currentDate.toISOString().split("T")[0];
+      for (let dateStr = startDate; dateStr <= endDate; dateStr = addDays(dateStr, 1)) {
         days[dateStr] = {
           completed: [],
           due: [],
           timeLogged: 0,
         };
-        currentDate.setDate(currentDate.getDate() + 1);
       }
 
       // Fill in data
       tasks.forEach((t) => {
         // Completed tasks
         if (t.completedAt) {
-          const completed = t.completedAt.split("T")[0];
+          const completed = getLocalDate(data, t.completedAt);
           if (days[completed]) {
             days[completed].completed.push(t.name);
           }
@@ -398,7 +528,7 @@ export function handleTool(name, args, { loadData, saveData }) {
         // Time logged
         if (t.timeLog) {
           t.timeLog.forEach((entry) => {
-            const logDate = entry.loggedAt.split("T")[0];
+            const logDate = getLocalDate(data, entry.loggedAt);
             if (days[logDate]) {
               days[logDate].timeLogged += entry.minutes;
             }
@@ -0,0 +1,135 @@
+/**
+ * Schema migrations for taskflow-data.json
+ *
+ * Shared by the Electron main process and the MCP server. The data file
+ * carries a `schemaVersion`; files written before versioning existed count as
+ * version 0. On load, every migration newer than the file's version runs in
+ * order and the version is bumped. Data written by a newer TaskFlow (a
+ * version above SCHEMA_VERSION) is refused rather than risk losing fields
+ * this build doesn't understand.
+ *
+ * To change the schema: append a migration with the next version number and
+ * add a fixture of the old shape under test/fixtures/schema/. Never edit or
+ * reorder a migration that has shipped. Migrations must tolerate data that
+ * is already partly in the new shape.
+ */
+
+const DEFAULT_CATEGORIES = [
+  { id: 'cat-work', name: 'Work', color: '#6366f1', order: 0, collapsed: false },
+  { id: 'cat-personal', name: 'Personal', color: '#10b981', order: 1, collapsed: false },
+  { id: 'cat-side', name: 'Side Projects', color: '#f59e0b', order: 2, collapsed: false }
+];
+
+function forEachTask(data, fn) {
+  for (const project of data.projects || []) {
+    for (const task of project.tasks || []) {
+      fn(task, project);
+    }
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add project categories and favorites',
+    up(data) {
+      if (!data.categories) {
+        data.categories = DEFAULT_CATEGORIES.map(c => ({ ...c }));
+      }
+      if (!data.favorites) {
+        data.favorites = [];
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Give projects a category, an open-ended status and a goal',
+    up(data) {
+      for (const project of data.projects || []) {
+        if (project.isInbox) continue;
+        // Default to Personal
+        if (!project.categoryId) project.categoryId = 'cat-personal';
+        // Statuses are active/paused/blocked - projects no longer "complete"
+        if (!project.status || project.status === 'completed') project.status = 'active';
+        if (project.goal === undefined) project.goal = '';
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Task dependencies: blockedBy and blocks become arrays of task ids',
+    up(data) {
+      forEachTask(data, (task) => {
+        // The old string blockedBy was a description, not a task id
+        if (task.blockedBy && typeof task.blockedBy === 'string') {
+          task.blockedByReason = task.blockedBy;
+          task.blockedBy = [];
+        }
+        if (!Array.isArray(task.blockedBy)) task.blockedBy = [];
+        if (!Array.isArray(task.blocks)) task.blocks = [];
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Add updatedAt to tasks (used by Notion sync)',
+    up(data) {
+      forEachTask(data, (task) => {
+        if (!task.updatedAt) {
+          task.updatedAt = task.completedAt || task.createdAt || new Date().toISOString();
+        }
+      });
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getSchemaVersion(data) {
+  return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Throw a SCHEMA_TOO_NEW error if `data` was written by a newer TaskFlow.
+ */
+function assertSupportedVersion(data) {
+  const version = getSchemaVersion(data);
+  if (version > SCHEMA_VERSION) {
+    const err = new Error(
+      `This data file uses schema version ${version}, but this version of TaskFlow only understands up to ${SCHEMA_VERSION}. ` +
+      'Update TaskFlow to open it.'
+    );
+    err.code = 'SCHEMA_TOO_NEW';
+    err.schemaVersion = version;
+    throw err;
+  }
+}
+
+/**
+ * Bring `data` up to SCHEMA_VERSION in place.
+ * Returns { data, changed, fromVersion, toVersion, applied } where `applied`
+ * lists the versions that ran. Callers should save when `changed` is true.
+ */
+function migrate(data) {
+  assertSupportedVersion(data);
+
+  const fromVersion = getSchemaVersion(data);
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    migration.up(data);
+    data.schemaVersion = migration.version;
+    applied.push(migration.version);
+  }
+
+  return { data, changed: applied.length > 0, fromVersion, toVersion: getSchemaVersion(data), applied };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  DEFAULT_CATEGORIES,
+  getSchemaVersion,
+  assertSupportedVersion,
+  migrate
+};
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Headless Notion sync — keeps TaskFlow and Notion in step without the app open
+ *
+ *   node notion-sync-daemon.js [--once] [--interval <minutes>] [--data-dir <dir>]
+ *
+ * Uses the Notion connection saved by the app and the same data file (by
+ * default in the app's own data folder). Syncs every --interval minutes
+ * (default 5); after a failed run it backs off exponentially (1, 2, 4 … up
+ * to 60 minutes) until a run succeeds. Rate-limited requests are retried by
+ * NotionSync itself. Every run is recorded in the sync history the app shows.
+ */
+
+const path = require('path');
+const os = require('os');
+const DataStore = require('./data-store');
+const NotionSyncService = require('./notion-sync-service');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// The folder Electron gives the app as userData on each platform
+function defaultDataDir() {
+  const home = os.homedir();
+  let appData;
+  if (process.platform === 'win32') {
+    appData = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    appData = path.join(home, 'Library', 'Application Support');
+  } else {
+    appData = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  return path.join(appData, 'taskflow-pm');
+}
+
+function parseArgs(argv) {
+  const options = {
+    once: false,
+    intervalMinutes: DEFAULT_INTERVAL_MINUTES,
+    dataDir: defaultDataDir(),
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--once') {
+      options.once = true;
+    } else if (arg === '--interval') {
+      options.intervalMinutes = parseFloat(argv[++i]);
+      if (!(options.intervalMinutes > 0)) throw new Error('--interval must be a number of minutes');
+    } else if (arg === '--data-dir') {
+      options.dataDir = argv[++i];
+      if (!options.dataDir) throw new Error('--data-dir needs a folder');
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function describe(result) {
+  if (result.skipped) return result.error || 'Skipped';
+  if (!result.success) return `Failed: ${result.error}`;
+  const s = result.summary;
+  let text = `Synced: ${s.created} pushed, ${s.updated} updated, ${s.pulled} pulled, ${s.deleted} deleted`;
+  if (s.conflicts) text += `, ${s.conflicts} conflicts to resolve`;
+  if (s.errors.length > 0) text += ` (${s.errors.length} errors)`;
+  return text;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 2;
+    return;
+  }
+  if (options.help) {
+    console.log('Usage: node notion-sync-daemon.js [--once] [--interval <minutes>] [--data-dir <dir>]');
+    return;
+  }
+
+  const dataStore = new DataStore({ filePath: path.join(options.dataDir, 'taskflow-data.json'), source: 'notion' });
+  const service = new NotionSyncService({ dataStore, origin: 'daemon' });
+  const intervalMs = options.intervalMinutes * 60 * 1000;
+
+  if (options.once) {
+    const result = await service.runOnce({ trigger: 'scheduled' });
+    log(describe(result));
+    process.exitCode = result.success || result.skipped ? 0 : 1;
+    return;
+  }
+
+  log(`Syncing ${options.dataDir} with Notion every ${options.intervalMinutes} min`);
+  let failures = 0;
+  let timer = null;
+  let stopping = false;
+  let running = null;
+
+  async function tick() {
+    running = service.runOnce({ trigger: 'scheduled' });
+    const result = await running;
+    running = null;
+    log(describe(result));
+
+    if (!result.success && !result.skipped) failures++;
+    else if (!result.skipped) failures = 0;
+    if (stopping) return;
+
+    const delay = NotionSyncService.backoffDelay(failures, intervalMs);
+    if (failures > 0) log(`Retrying in ${Math.round(delay / 60000)} min`);
+    timer = setTimeout(tick, delay);
+  }
+
+  // Let a sync in progress finish so its results are saved
+  async function stop() {
+    if (stopping) return;
+    stopping = true;
+    clearTimeout(timer);
+    if (running) await running;
+    log('Stopped');
+  }
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  tick();
+}
+
+main();
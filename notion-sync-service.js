@@ -0,0 +1,261 @@
+/**
+ * NotionSyncService — Runs a Notion sync against the data file
+ *
+ * Shared by the Electron app, the MCP server and the headless daemon
+ * (notion-sync-daemon.js). A sync lock file next to the data file makes sure
+ * only one process syncs at a time; the result is saved through the
+ * DataStore so edits made during the sync are merged rather than lost; and
+ * every run is appended to a sync history file that the app shows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NotionSync = require('./notion-sync');
+const migrations = require('./migrations');
+
+const SYNC_LOCK_STALE_MS = 15 * 60 * 1000; // A sync lock older than this was left by a crashed process
+const HISTORY_LIMIT = 200;                  // Runs kept in the history file
+const BACKOFF_BASE_MS = 60 * 1000;          // First retry after a failed run
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+class NotionSyncService {
+  constructor(config) {
+    this.dataStore = config.dataStore;
+    const dir = path.dirname(this.dataStore.filePath);
+    this.statePath = config.statePath || path.join(dir, 'taskflow-notion-state.json');
+    this.historyPath = config.historyPath || path.join(dir, 'taskflow-sync-history.jsonl');
+    this.lockPath = config.lockPath || path.join(dir, 'taskflow-notion-sync.lock');
+    this.origin = config.origin || 'app'; // Who ran the sync: app, mcp or daemon
+  }
+
+  // --- Running a sync ---
+
+  /**
+   * Sync once. Returns { success, summary } or { success: false, error }.
+   * `skipped: true` means nothing ran: another process holds the sync lock, or
+   * (with minIntervalMs) a sync finished successfully less than that long ago.
+   */
+  async runOnce({ trigger = 'manual', minIntervalMs = 0 } = {}) {
+    const startedAt = Date.now();
+    try {
+      return await this.withSyncLock(async () => {
+        if (minIntervalMs > 0) {
+          const last = this.getHistory(1)[0];
+          if (last && last.success && startedAt - new Date(last.at).getTime() < minIntervalMs) {
+            return { success: true, skipped: true };
+          }
+        }
+
+        // If someone edits the same field in the app mid-sync the save is
+        // rejected; sync again from the fresh data (the second run is cheap)
+        for (let attempt = 0; ; attempt++) {
+          const data = this.loadData();
+          const before = JSON.stringify(data);
+          const sync = this.createSync(this.getConfig(data));
+          const summary = await sync.syncAll(data);
+
+          // A run that changed nothing leaves the data file (and its revision)
+          // alone; when it ran is kept in the sync history
+          data.notionSync.idMap = sync.idMap;
+          if (JSON.stringify(data) !== before) {
+            try {
+              // Waits without blocking: in the app this runs on the main process
+              await this.dataStore.withLockAsync(() => this.dataStore.write(data, { source: 'notion' }));
+            } catch (err) {
+              if (err.code === 'STALE_REVISION' && attempt === 0) continue;
+              throw err;
+            }
+          }
+          // Only once the merged tasks are on disk do they become the new base
+          sync.saveState();
+
+          this._record({ trigger, startedAt, success: true, summary });
+          return { success: true, summary };
+        }
+      });
+    } catch (err) {
+      if (err.code === 'SYNC_BUSY') {
+        return { success: false, skipped: true, error: err.message };
+      }
+      if (err.code !== 'NOT_CONFIGURED') {
+        this._record({ trigger, startedAt, success: false, error: err.message, status: err.status });
+      }
+      return { success: false, error: err.message, code: err.code, status: err.status };
+    }
+  }
+
+  // Data file contents, upgraded like the app and MCP server do
+  loadData() {
+    const data = this.dataStore.read();
+    if (!data) {
+      const err = new Error('No TaskFlow data file yet. Open the app once first.');
+      err.code = 'NOT_CONFIGURED';
+      throw err;
+    }
+    const { changed, fromVersion, toVersion } = migrations.migrate(data);
+    if (changed) {
+      this.dataStore.write(data, { source: 'system', meta: { label: `Data migration v${fromVersion} → v${toVersion}` } });
+    }
+    return data;
+  }
+
+  getConfig(data) {
+    const ns = data.notionSync;
+    if (!ns || !ns.apiKey || !ns.databaseId) {
+      const err = new Error('Notion not configured. Run setup first.');
+      err.code = 'NOT_CONFIGURED';
+      throw err;
+    }
+    return ns;
+  }
+
+  createSync(ns) {
+    return new NotionSync({
+      apiKey: ns.apiKey,
+      databaseId: ns.databaseId,
+      idMap: ns.idMap || {},
+      statePath: this.statePath,
+    });
+  }
+
+  // Delay before the next scheduled run after `failures` failed runs in a row
+  static backoffDelay(failures, intervalMs) {
+    if (failures <= 0) return intervalMs;
+    return Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+  }
+
+  // --- Sync lock ---
+
+  /**
+   * Run `fn` holding the sync lock. Unlike the data file lock this is held
+   * for the whole (slow, networked) sync, so a busy lock fails straight away
+   * with SYNC_BUSY instead of waiting.
+   */
+  async withSyncLock(fn) {
+    this._acquireSyncLock();
+    try {
+      return await fn();
+    } finally {
+      try {
+        fs.unlinkSync(this.lockPath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Error releasing sync lock:', err);
+      }
+    }
+  }
+
+  _acquireSyncLock() {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, origin: this.origin, lockedAt: new Date().toISOString() }));
+        fs.closeSync(fd);
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const holder = this._readLock();
+      if (holder && !this._isStale(holder)) {
+        const err = new Error(`A Notion sync is already running (${holder.origin || 'another process'})`);
+        err.code = 'SYNC_BUSY';
+        throw err;
+      }
+      try { fs.unlinkSync(this.lockPath); } catch (e) { /* released meanwhile */ }
+    }
+    const err = new Error('A Notion sync is already running');
+    err.code = 'SYNC_BUSY';
+    throw err;
+  }
+
+  _readLock() {
+    try {
+      const holder = JSON.parse(fs.readFileSync(this.lockPath, 'utf-8'));
+      holder.mtimeMs = fs.statSync(this.lockPath).mtimeMs;
+      return holder;
+    } catch (err) {
+      return null; // Released meanwhile, or half-written by a crashed process
+    }
+  }
+
+  _isStale(holder) {
+    if (Date.now() - holder.mtimeMs > SYNC_LOCK_STALE_MS) return true;
+    try {
+      process.kill(holder.pid, 0); // Throws if no such process
+      return false;
+    } catch (err) {
+      return err.code === 'ESRCH';
+    }
+  }
+
+  // --- Sync history ---
+
+  _record({ trigger, startedAt, success, summary, error, status }) {
+    const entry = {
+      at: new Date().toISOString(),
+      origin: this.origin,
+      trigger,
+      durationMs: Date.now() - startedAt,
+      success,
+    };
+    if (summary) {
+      entry.summary = {
+        created: summary.created,
+        updated: summary.updated,
+        pulled: summary.pulled,
+        deleted: summary.deleted,
+        conflicts: summary.conflicts || 0,
+      };
+      if (summary.errors.length > 0) entry.errors = summary.errors.slice(0, 10);
+    }
+    if (error) entry.error = error;
+    if (status) entry.status = status;
+
+    try {
+      const lines = this._readHistoryLines();
+      lines.push(JSON.stringify(entry));
+      const tmpPath = `${this.historyPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, lines.slice(-HISTORY_LIMIT).join('\n') + '\n');
+      fs.renameSync(tmpPath, this.historyPath);
+    } catch (err) {
+      console.error('Error writing sync history:', err);
+    }
+  }
+
+  _readHistoryLines() {
+    if (!fs.existsSync(this.historyPath)) return [];
+    return fs.readFileSync(this.historyPath, 'utf-8').split('\n').filter(Boolean);
+  }
+
+  // Most recent runs first
+  getHistory(limit = 20) {
+    const entries = [];
+    const lines = this._readHistoryLines();
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch (err) {
+        // Skip a line cut short by a crash
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * { running, lastRun, lastSuccessAt, lastError } — lastError is the most
+   * recent failure, and only while no run has succeeded since.
+   */
+  getStatus() {
+    const history = this.getHistory(HISTORY_LIMIT);
+    const lastSuccess = history.find(e => e.success);
+    const lastFailure = history.find(e => !e.success);
+    const holder = fs.existsSync(this.lockPath) ? this._readLock() : null;
+    return {
+      running: holder && !this._isStale(holder) ? holder.origin || 'another process' : null,
+      lastRun: history[0] || null,
+      lastSuccessAt: lastSuccess ? lastSuccess.at : null,
+      lastError: lastFailure && (!lastSuccess || lastFailure.at > lastSuccess.at) ? lastFailure : null,
+    };
+  }
+}
+
+module.exports = NotionSyncService;
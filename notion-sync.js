@@ -1,56 +1,119 @@
 /**
  * NotionSync — Bidirectional sync between TaskFlow PM and Notion
  *
- * Handles: API communication, field mapping, conflict resolution (latest modified wins),
- * database creation, and full sync algorithm.
+ * Handles: API communication, field mapping, field-level three-way merge against the
+ * last-synced snapshot of each task, database creation, and full sync algorithm.
+ *
+ * Snapshots and unresolved conflicts live in a state file next to the data file
+ * (config.statePath) rather than in the data itself, so they stay out of the op log.
  */
 
+const fs = require('fs');
+
 const NOTION_API = 'https://api.notion.com/v1';
 const NOTION_VERSION = '2022-06-28';
-const RATE_LIMIT_MS = 250; // Minimum delay between API calls
+const RATE_LIMIT_MS = 334; // Minimum delay between API calls (Notion allows an average of 3 per second)
+const MAX_RETRIES = 4;     // Attempts after a rate-limited (429) or unavailable (5xx) response
+const RETRY_BASE_MS = 1000;
+
+// Task fields merged one by one. completedDate, project, tags and subtasks are
+// normalised (day, name, sorted names, { name, done }) so both sides compare equal.
+const SYNC_FIELDS = [
+  'name', 'description', 'status', 'priority', 'dueDate', 'scheduledDate', 'scheduledTime',
+  'estimatedMinutes', 'executionType', 'assignedTo', 'waitingReason', 'context', 'complexity',
+  'workNotes', 'completedDate', 'project', 'tags', 'subtasks',
+];
+
+// Notion rounds last_edited_time down to the minute, so a page edited just before
+// the previous sync finished can look older than it is
+const EDIT_TIME_SLACK_MS = 60 * 1000;
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function sortedNames(names) {
+  return [...(names || [])].sort((a, b) => a.localeCompare(b));
+}
 
 class NotionSync {
   constructor(config) {
     this.apiKey = config.apiKey;
     this.databaseId = config.databaseId;
     this.idMap = config.idMap || {};
+    this.statePath = config.statePath || null;
     this._lastRequestTime = 0;
+
+    const state = this._loadState();
+    this.snapshots = state.snapshots || {}; // taskId -> { fields, syncedAt }
+    this.conflicts = state.conflicts || []; // [{ taskId, pageId, taskName, detectedAt, fields: [{ field, base, local, remote }] }]
+  }
+
+  // --- Sync state (last-synced snapshots and open conflicts) ---
+
+  _loadState() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+    } catch (err) {
+      console.error('Error reading Notion sync state:', err);
+      return {};
+    }
+  }
+
+  saveState() {
+    if (!this.statePath) return;
+    const tmpPath = `${this.statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ snapshots: this.snapshots, conflicts: this.conflicts }, null, 2));
+    fs.renameSync(tmpPath, this.statePath);
   }
 
   // --- Core API wrapper ---
 
   async notionFetch(method, path, body = null) {
-    // Rate limiting
-    const now = Date.now();
-    const elapsed = now - this._lastRequestTime;
-    if (elapsed < RATE_LIMIT_MS) {
-      await new Promise(r => setTimeout(r, RATE_LIMIT_MS - elapsed));
-    }
-    this._lastRequestTime = Date.now();
-
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Notion-Version': NOTION_VERSION,
-        'Content-Type': 'application/json',
-      },
-    };
-    if (body) {
-      options.body = JSON.stringify(body);
-    }
+    for (let attempt = 0; ; attempt++) {
+      // Rate limiting
+      const now = Date.now();
+      const elapsed = now - this._lastRequestTime;
+      if (elapsed < RATE_LIMIT_MS) {
+        await new Promise(r => setTimeout(r, RATE_LIMIT_MS - elapsed));
+      }
+      this._lastRequestTime = Date.now();
+
+      const options = {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Notion-Version': NOTION_VERSION,
+          'Content-Type': 'application/json',
+        },
+      };
+      if (body) {
+        options.body = JSON.stringify(body);
+      }
 
-    const response = await fetch(`${NOTION_API}${path}`, options);
+      const response = await fetch(`${NOTION_API}${path}`, options);
 
-    if (!response.ok) {
-      const errorBody = await response.json().catch(() => ({}));
-      const err = new Error(errorBody.message || `Notion API error ${response.status}`);
-      err.status = response.status;
-      err.code = errorBody.code;
-      throw err;
-    }
+      // Back off and retry when rate limited or Notion is briefly unavailable,
+      // waiting as long as Retry-After asks when it's given
+      const retryable = response.status === 429 || response.status >= 500;
+      if (retryable && attempt < MAX_RETRIES) {
+        const retryAfter = parseFloat(response.headers?.get?.('retry-after'));
+        const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : RETRY_BASE_MS * 2 ** attempt;
+        await new Promise(r => setTimeout(r, delay));
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        const err = new Error(errorBody.message || `Notion API error ${response.status}`);
+        err.status = response.status;
+        err.code = errorBody.code;
+        throw err;
+      }
 
-    return response.json();
+      return response.json();
+    }
   }
 
   // --- Setup functions ---
@@ -306,10 +369,99 @@ class NotionSync {
     return fields;
   }
 
+  // --- Merge views ---
+
+  // The synced fields of a local task, in the shape a round trip through Notion produces
+  taskSyncFields(task, projectName, tagNames) {
+    return {
+      name: task.name || 'Untitled',
+      description: task.description || '',
+      status: NotionSync.STATUS_TO_NOTION[task.status] ? task.status : 'todo',
+      priority: NotionSync.PRIORITY_TO_NOTION[task.priority] ? task.priority : 'none',
+      dueDate: task.dueDate || null,
+      scheduledDate: task.scheduledDate || null,
+      scheduledTime: task.scheduledTime || null,
+      estimatedMinutes: task.estimatedMinutes || null,
+      executionType: NotionSync.EXECUTION_TO_NOTION[task.executionType] ? task.executionType : 'manual',
+      assignedTo: NotionSync.ASSIGNED_TO_NOTION[task.assignedTo] ? task.assignedTo : null,
+      waitingReason: task.waitingReason || null,
+      context: task.context || '',
+      complexity: task.complexity || null,
+      workNotes: task.workNotes || '',
+      completedDate: task.completedAt ? task.completedAt.split('T')[0] : null,
+      project: projectName || null,
+      tags: sortedNames(tagNames),
+      subtasks: (task.subtasks || []).map(st => ({ name: st.name || 'Subtask', done: st.status === 'done' })),
+    };
+  }
+
+  // The synced fields of a Notion page. subtasks is null when they weren't fetched.
+  pageSyncFields(page, notionSubtasks = null) {
+    const fields = this.notionToTaskFields(page.properties || {});
+    return {
+      name: fields.name || 'Untitled',
+      description: fields.description || '',
+      status: fields.status || 'todo',
+      priority: fields.priority || 'none',
+      dueDate: fields.dueDate,
+      scheduledDate: fields.scheduledDate,
+      scheduledTime: fields.scheduledTime,
+      estimatedMinutes: fields.estimatedMinutes,
+      executionType: fields.executionType || 'manual',
+      assignedTo: fields.assignedTo,
+      waitingReason: fields.waitingReason,
+      context: fields.context,
+      complexity: fields.complexity,
+      workNotes: fields.workNotes,
+      completedDate: fields.completedAt ? fields.completedAt.split('T')[0] : null,
+      project: fields._projectName,
+      tags: sortedNames(fields._tagNames),
+      subtasks: notionSubtasks ? notionSubtasks.map(st => ({ name: st.name, done: st.checked })) : null,
+    };
+  }
+
+  // Notion properties for a set of sync fields
+  syncFieldsToProperties(taskId, fields) {
+    const task = {
+      ...fields,
+      id: taskId,
+      completedAt: fields.completedDate ? `${fields.completedDate}T00:00:00.000Z` : null,
+    };
+    return this.taskToNotionProperties(task, fields.project, fields.tags);
+  }
+
+  /**
+   * Three-way merge of one task. A field changed on one side only takes that
+   * side's value; a field changed differently on both sides is a conflict and
+   * keeps its base value in the new snapshot until the user resolves it.
+   * Returns { pull, push, conflicts, snapshot } — pull/push are field names.
+   */
+  static mergeFields(base, local, remote) {
+    const result = { pull: [], push: [], conflicts: [], snapshot: {} };
+    for (const field of SYNC_FIELDS) {
+      const b = base[field] ?? null;
+      const l = local[field] ?? null;
+      const r = remote[field] ?? null;
+      if (sameValue(l, r)) {
+        result.snapshot[field] = l;
+      } else if (sameValue(l, b)) {
+        result.pull.push(field);
+        result.snapshot[field] = r;
+      } else if (sameValue(r, b)) {
+        result.push.push(field);
+        result.snapshot[field] = l;
+      } else {
+        result.conflicts.push({ field, base: b, local: l, remote: r });
+        result.snapshot[field] = b;
+      }
+    }
+    return result;
+  }
+
   // --- Subtask sync (to_do blocks in page body) ---
 
   async pushSubtasks(pageId, subtasks) {
-    if (!subtasks || subtasks.length === 0) return;
+    if (!subtasks) return;
 
     // First, delete existing to_do blocks
     const blocks = await this.notionFetch('GET', `/blocks/${pageId}/children?page_size=100`);
@@ -319,7 +471,7 @@ class NotionSync {
       }
     }
 
-    // Then create new to_do blocks
+    // Then create new to_do blocks (none when the subtasks were all removed)
     const children = subtasks.map(st => ({
       object: 'block',
       type: 'to_do',
@@ -370,7 +522,7 @@ class NotionSync {
   }
 
   async syncAll(data) {
-    const summary = { created: 0, updated: 0, deleted: 0, errors: [], pulled: 0 };
+    const summary = { created: 0, updated: 0, deleted: 0, errors: [], pulled: 0, conflicts: 0 };
 
     // 1. Fetch all Notion pages
     let notionPages;
@@ -423,6 +575,13 @@ class NotionSync {
     // Track which Notion pages we've processed
     const processedNotionIds = new Set();
 
+    // Conflicts are re-detected on every sync; remember when each was first seen
+    const previousConflicts = {};
+    for (const conflict of this.conflicts) {
+      previousConflicts[conflict.taskId] = conflict;
+    }
+    this.conflicts = [];
+
     // 3. Categorize and process
 
     // --- Process local tasks ---
@@ -435,30 +594,16 @@ class NotionSync {
         const page = notionById[notionPageId];
 
         try {
-          const localTime = new Date(task.updatedAt || task.createdAt).getTime();
-          const notionTime = new Date(page.last_edited_time).getTime();
-
-          if (localTime > notionTime) {
-            // Local is newer → push to Notion
-            const tagNames = (task.tags || []).map(id => tagLookup[id]).filter(Boolean);
-            const props = this.taskToNotionProperties(task, projectMap[task.id], tagNames);
-            await this.notionFetch('PATCH', `/pages/${notionPageId}`, { properties: props });
-            await this.pushSubtasks(notionPageId, task.subtasks);
-            summary.updated++;
-          } else if (notionTime > localTime) {
-            // Notion is newer → pull to local
-            const fields = this.notionToTaskFields(page.properties);
-            this._applyFieldsToTask(task, fields, data);
-            // Pull subtasks
-            const notionSubtasks = await this.pullSubtasks(notionPageId);
-            this._mergeSubtasks(task, notionSubtasks);
-            // Handle project change
-            this._handleProjectChange(task, fields._projectName, data, taskProjectIdMap[task.id]);
-            summary.pulled++;
-          }
-          // If equal timestamps, skip (no change)
+          await this._mergeTask(task, page, {
+            projectName: projectMap[task.id],
+            projectId: taskProjectIdMap[task.id],
+            tagNames: (task.tags || []).map(id => tagLookup[id]).filter(Boolean),
+            previousConflict: previousConflicts[task.id],
+          }, data, summary);
         } catch (err) {
           summary.errors.push(`Update "${task.name}": ${err.message}`);
+          // Keep showing a conflict we couldn't re-check this time
+          if (previousConflicts[task.id]) this.conflicts.push(previousConflicts[task.id]);
         }
 
       } else if (notionPageId && !notionById[notionPageId]) {
@@ -467,6 +612,7 @@ class NotionSync {
         try {
           this._deleteLocalTask(task.id, data);
           delete this.idMap[task.id];
+          delete this.snapshots[task.id];
           summary.deleted++;
         } catch (err) {
           summary.errors.push(`Delete local "${task.name}": ${err.message}`);
@@ -484,6 +630,8 @@ class NotionSync {
             const tagNames = (task.tags || []).map(id => tagLookup[id]).filter(Boolean);
             const props = this.taskToNotionProperties(task, projectMap[task.id], tagNames);
             await this.notionFetch('PATCH', `/pages/${existingPage.id}`, { properties: props });
+            await this.pushSubtasks(existingPage.id, task.subtasks || []);
+            this._recordSnapshot(task.id, this.taskSyncFields(task, projectMap[task.id], tagNames));
             summary.updated++;
           } catch (err) {
             summary.errors.push(`Remap "${task.name}": ${err.message}`);
@@ -502,6 +650,7 @@ class NotionSync {
             if (task.subtasks && task.subtasks.length > 0) {
               await this.pushSubtasks(newPage.id, task.subtasks);
             }
+            this._recordSnapshot(task.id, this.taskSyncFields(task, projectMap[task.id], tagNames));
             summary.created++;
           } catch (err) {
             summary.errors.push(`Create Notion "${task.name}": ${err.message}`);
@@ -521,6 +670,7 @@ class NotionSync {
         try {
           await this.notionFetch('PATCH', `/pages/${page.id}`, { archived: true });
           delete this.idMap[localId];
+          delete this.snapshots[localId];
           summary.deleted++;
         } catch (err) {
           summary.errors.push(`Trash Notion page: ${err.message}`);
@@ -557,49 +707,290 @@ class NotionSync {
           properties: { 'TaskFlow ID': { rich_text: this._richText(newTask.id) } }
         });
 
+        this._recordSnapshot(newTask.id, this.pageSyncFields(page, notionSubtasks));
         summary.pulled++;
       } catch (err) {
         summary.errors.push(`Pull from Notion: ${err.message}`);
       }
     }
 
+    // Snapshots of tasks that no longer exist on either side
+    for (const taskId of Object.keys(this.snapshots)) {
+      if (!this.idMap[taskId]) delete this.snapshots[taskId];
+    }
+
     return summary;
   }
 
-  // --- Helper: Apply Notion fields to a local task ---
-
-  _applyFieldsToTask(task, fields, data) {
-    if (fields.name !== undefined) task.name = fields.name;
-    if (fields.description !== undefined) task.description = fields.description;
-    if (fields.status !== undefined) task.status = fields.status;
-    if (fields.priority !== undefined) task.priority = fields.priority;
-    if (fields.dueDate !== undefined) task.dueDate = fields.dueDate;
-    if (fields.scheduledDate !== undefined) task.scheduledDate = fields.scheduledDate;
-    if (fields.scheduledTime !== undefined) task.scheduledTime = fields.scheduledTime;
-    if (fields.estimatedMinutes !== undefined) task.estimatedMinutes = fields.estimatedMinutes;
-    if (fields.executionType !== undefined) task.executionType = fields.executionType;
-    if (fields.assignedTo !== undefined) task.assignedTo = fields.assignedTo;
-    if (fields.waitingReason !== undefined) task.waitingReason = fields.waitingReason;
-    if (fields.context !== undefined) task.context = fields.context;
-    if (fields.complexity !== undefined) task.complexity = fields.complexity;
-    if (fields.workNotes !== undefined) task.workNotes = fields.workNotes;
-    if (fields.completedAt !== undefined) task.completedAt = fields.completedAt;
+  // --- Helper: Three-way merge of a task that exists on both sides ---
 
-    // Resolve tags
-    if (fields._tagNames && fields._tagNames.length > 0) {
-      task.tags = fields._tagNames.map(name => {
-        let tag = (data.tags || []).find(t => t.name.toLowerCase() === name.toLowerCase());
-        if (!tag) {
-          tag = { id: this._generateId(), name, color: '#6366f1' };
-          data.tags.push(tag);
-        }
-        return tag.id;
+  async _mergeTask(task, page, { projectName, projectId, tagNames, previousConflict }, data, summary) {
+    const pageId = page.id;
+    const snapshot = this.snapshots[task.id];
+    const local = this.taskSyncFields(task, projectName, tagNames);
+
+    // Reading subtasks costs a request per page, so skip it for pages untouched since the last sync
+    const editedAt = new Date(page.last_edited_time).getTime();
+    const needSubtasks = !snapshot || editedAt >= new Date(snapshot.syncedAt).getTime() - EDIT_TIME_SLACK_MS;
+    const remote = this.pageSyncFields(page, needSubtasks ? await this.pullSubtasks(pageId) : null);
+    if (!remote.subtasks) remote.subtasks = snapshot.fields.subtasks;
+
+    // Without a snapshot (synced before snapshots existed) fall back to the newer side winning
+    let base = snapshot && snapshot.fields;
+    if (!base) {
+      const localTime = new Date(task.updatedAt || task.createdAt).getTime();
+      base = localTime > editedAt ? remote : local;
+    }
+
+    const merge = NotionSync.mergeFields(base, local, remote);
+
+    if (merge.pull.length > 0) {
+      this._applySyncFields(task, merge.pull, remote, data, projectId);
+      summary.pulled++;
+    }
+
+    if (merge.push.length > 0) {
+      const pushed = { ...remote };
+      for (const field of merge.push) pushed[field] = local[field];
+      if (merge.push.some(field => field !== 'subtasks')) {
+        await this.notionFetch('PATCH', `/pages/${pageId}`, { properties: this.syncFieldsToProperties(task.id, pushed) });
+      }
+      if (merge.push.includes('subtasks')) {
+        await this.pushSubtasks(pageId, task.subtasks || []);
+      }
+      summary.updated++;
+    }
+
+    if (merge.conflicts.length > 0) {
+      this.conflicts.push({
+        taskId: task.id,
+        pageId,
+        taskName: task.name,
+        detectedAt: previousConflict ? previousConflict.detectedAt : new Date().toISOString(),
+        fields: merge.conflicts,
       });
+      summary.conflicts++;
+    }
+
+    this._recordSnapshot(task.id, merge.snapshot);
+  }
+
+  _recordSnapshot(taskId, fields) {
+    this.snapshots[taskId] = { fields, syncedAt: new Date().toISOString() };
+  }
+
+  // --- Single pages (linking and importing one page at a time) ---
+
+  // Accepts a page ID with or without dashes, or a Notion page URL
+  static parsePageId(input) {
+    const cleaned = String(input || '').trim().replace(/[?#].*$/, '');
+    const match = cleaned.match(/([a-f0-9]{32})\/?$/i) || cleaned.match(/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})\/?$/i);
+    if (!match) return null;
+    const hex = match[1].replace(/-/g, '').toLowerCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  // A live page from the synced database
+  async fetchPage(pageId) {
+    const page = await this.notionFetch('GET', `/pages/${pageId}`);
+    const parentId = (page.parent?.database_id || '').replace(/-/g, '');
+    if (page.archived || parentId !== String(this.databaseId || '').replace(/-/g, '')) {
+      const err = new Error('That page is not in the TaskFlow database');
+      err.code = 'NOT_IN_DATABASE';
+      throw err;
+    }
+    return page;
+  }
+
+  /**
+   * Link an existing local task to an existing page in the database.
+   * prefer 'local' overwrites the page with the task, 'notion' the other way round.
+   * A task already linked to another page needs replace: true, which archives that page.
+   */
+  async linkTask(data, taskId, pageId, { prefer = 'local', replace = false } = {}) {
+    const found = this._findLocalTask(data, taskId);
+    if (!found) {
+      const err = new Error(`Task ${taskId} not found`);
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    const { task, project } = found;
+    const page = await this.fetchPage(pageId);
+
+    const currentPageId = this.idMap[taskId];
+    if (currentPageId && currentPageId !== page.id) {
+      if (!replace) {
+        const err = new Error(`Task is already linked to Notion page ${currentPageId}`);
+        err.code = 'ALREADY_LINKED';
+        throw err;
+      }
+      await this.notionFetch('PATCH', `/pages/${currentPageId}`, { archived: true });
+    }
+
+    // A page backs one task; the task it used to back gets a new page on the next sync
+    for (const [otherId, otherPageId] of Object.entries(this.idMap)) {
+      if (otherPageId === page.id && otherId !== taskId) {
+        delete this.idMap[otherId];
+        delete this.snapshots[otherId];
+      }
+    }
+    this.idMap[taskId] = page.id;
+
+    if (prefer === 'notion') {
+      const remote = this.pageSyncFields(page, await this.pullSubtasks(page.id));
+      this._applySyncFields(task, SYNC_FIELDS, remote, data, project.id);
+      await this.notionFetch('PATCH', `/pages/${page.id}`, {
+        properties: { 'TaskFlow ID': { rich_text: this._richText(task.id) } }
+      });
+      this._recordSnapshot(task.id, remote);
+    } else {
+      const tagNames = this._tagNames(task, data);
+      await this.notionFetch('PATCH', `/pages/${page.id}`, { properties: this.taskToNotionProperties(task, project.name, tagNames) });
+      await this.pushSubtasks(page.id, task.subtasks || []);
+      this._recordSnapshot(task.id, this.taskSyncFields(task, project.name, tagNames));
+    }
+
+    this.conflicts = this.conflicts.filter(c => c.taskId !== taskId);
+    return task;
+  }
+
+  /**
+   * Create a local task from one page in the database and link the two.
+   * The task goes into projectId when given, else the page's Project (or the Inbox).
+   */
+  async pullPageAsTask(data, pageId, { projectId = null } = {}) {
+    const targetProject = projectId ? (data.projects || []).find(p => p.id === projectId) : null;
+    if (projectId && !targetProject) {
+      const err = new Error(`Project ${projectId} not found`);
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+
+    const page = await this.fetchPage(pageId);
+    const linkedTaskId = Object.keys(this.idMap).find(id => this.idMap[id] === page.id);
+    if (linkedTaskId && this._findLocalTask(data, linkedTaskId)) {
+      const err = new Error(`That page is already linked to task ${linkedTaskId}`);
+      err.code = 'ALREADY_LINKED';
+      throw err;
+    }
+
+    const fields = this.notionToTaskFields(page.properties);
+    const task = this._createLocalTask(fields, data);
+    if (targetProject && targetProject.id !== task.projectId) {
+      const created = data.projects.find(p => p.id === task.projectId);
+      created.tasks.splice(created.tasks.indexOf(task), 1);
+      task.projectId = targetProject.id;
+      targetProject.tasks.push(task);
     }
 
+    const notionSubtasks = await this.pullSubtasks(page.id);
+    this._mergeSubtasks(task, notionSubtasks);
+    await this.notionFetch('PATCH', `/pages/${page.id}`, {
+      properties: { 'TaskFlow ID': { rich_text: this._richText(task.id) } }
+    });
+
+    if (linkedTaskId) delete this.idMap[linkedTaskId];
+    this.idMap[task.id] = page.id;
+    // Recorded as Notion had it, so a different project chosen here is pushed on the next sync
+    this._recordSnapshot(task.id, this.pageSyncFields(page, notionSubtasks));
+    return task;
+  }
+
+  _findLocalTask(data, taskId) {
+    for (const project of (data.projects || [])) {
+      const task = (project.tasks || []).find(t => t.id === taskId);
+      if (task) return { task, project };
+    }
+    return null;
+  }
+
+  _tagNames(task, data) {
+    return (task.tags || []).map(id => (data.tags || []).find(t => t.id === id)?.name).filter(Boolean);
+  }
+
+  // --- Conflict resolution ---
+
+  /**
+   * Settle a conflict with the user's choice per field ({ field: value }; fields
+   * left out keep the local value). The choice is written to the local task and
+   * the snapshot takes Notion's value as its base, so the next sync pushes it.
+   * Returns the updated task.
+   */
+  resolveConflict(data, taskId, choices = {}) {
+    const index = this.conflicts.findIndex(c => c.taskId === taskId);
+    if (index === -1) {
+      const err = new Error('That conflict has already been resolved');
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    const conflict = this.conflicts[index];
+
+    const found = this._findLocalTask(data, taskId);
+    if (!found) {
+      this.conflicts.splice(index, 1);
+      const err = new Error('The task no longer exists');
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+
+    const values = {};
+    for (const { field, local } of conflict.fields) {
+      const value = Object.prototype.hasOwnProperty.call(choices, field) ? choices[field] : local;
+      if ((field === 'tags' || field === 'subtasks') && !Array.isArray(value)) {
+        const err = new Error(`${field} must be a list`);
+        err.code = 'INVALID';
+        throw err;
+      }
+      values[field] = field === 'tags' ? sortedNames(value) : value;
+    }
+
+    const { task, project } = found;
+    this._applySyncFields(task, Object.keys(values), values, data, project.id);
+
+    const snapshot = this.snapshots[taskId] || { fields: {}, syncedAt: new Date().toISOString() };
+    for (const { field, remote } of conflict.fields) {
+      snapshot.fields[field] = remote;
+    }
+    this.snapshots[taskId] = snapshot;
+    this.conflicts.splice(index, 1);
+    return task;
+  }
+
+  // --- Helper: Write merged sync fields onto a local task ---
+
+  _applySyncFields(task, fields, values, data, currentProjectId) {
+    for (const field of fields) {
+      const value = values[field];
+      if (field === 'completedDate') {
+        // Notion only keeps the day; keep the local time of day when it matches
+        if (!value) task.completedAt = null;
+        else if (!(task.completedAt || '').startsWith(value)) task.completedAt = `${value}T00:00:00.000Z`;
+      } else if (field === 'project') {
+        this._handleProjectChange(task, value, data, currentProjectId);
+      } else if (field === 'tags') {
+        task.tags = this._resolveTagIds(value, data);
+      } else if (field === 'subtasks') {
+        if (value.length === 0) task.subtasks = [];
+        else this._mergeSubtasks(task, value.map(st => ({ name: st.name, checked: !!st.done })));
+      } else {
+        task[field] = value;
+      }
+    }
     task.updatedAt = new Date().toISOString();
   }
 
+  _resolveTagIds(tagNames, data) {
+    if (!data.tags) data.tags = [];
+    return (tagNames || []).map(name => {
+      let tag = data.tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+      if (!tag) {
+        tag = { id: this._generateId(), name, color: '#6366f1' };
+        data.tags.push(tag);
+      }
+      return tag.id;
+    });
+  }
+
   // --- Helper: Create a new local task from Notion fields ---
 
   _createLocalTask(fields, data) {
@@ -663,14 +1054,7 @@ class NotionSync {
 
     // Resolve tags
     if (fields._tagNames && fields._tagNames.length > 0) {
-      task.tags = fields._tagNames.map(name => {
-        let tag = (data.tags || []).find(t => t.name.toLowerCase() === name.toLowerCase());
-        if (!tag) {
-          tag = { id: this._generateId(), name, color: '#6366f1' };
-          data.tags.push(tag);
-        }
-        return tag.id;
-      });
+      task.tags = this._resolveTagIds(fields._tagNames, data);
     }
 
     return task;
@@ -0,0 +1,587 @@
+/**
+ * OpLog — Append-only operation log for taskflow-data.json
+ *
+ * Every write through DataStore is diffed against what was on disk and the
+ * resulting changes are appended as one JSON line to taskflow-oplog.jsonl
+ * next to the data file. Each entry records who made it (user, mcp, notion),
+ * so the app can show per-task history, undo/redo across restarts, and
+ * revert any single change.
+ *
+ * Change records are small and self-contained so they can be inverted:
+ *   task-field     { taskId, taskName, parentId, field, before, after }
+ *   task-created   { taskId, projectId, parentId, index, task }
+ *   task-deleted   { taskId, projectId, parentId, index, task }
+ *   task-moved     { taskId, taskName, from: { projectId, parentId }, to: { projectId, parentId } }
+ *   project-field  { projectId, field, before, after }
+ *   project-created / project-deleted { projectId, index, project }
+ *   item-added / item-removed { key, id, index, item }   (other arrays of { id })
+ *   item-changed   { key, id, before, after }
+ *   data-field     { key, before, after }
+ *
+ * Secrets kept in the data (API keys, tokens, webhook secrets) are written
+ * to the log as '[redacted]', and applying a change keeps whatever secret
+ * the data has now. The log is compacted to its newest entries once it
+ * grows past maxBytes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Fields that change on every edit or message (the focus-mode AI chat) and
+// would only add noise to the log and task history. They're still kept in
+// the task and project snapshots of creations and deletions.
+const IGNORED_FIELDS = new Set(['updatedAt', 'aiChat']);
+const IGNORED_KEYS = new Set(['revision', 'projects']);
+
+// Secret values by top-level key, as paths into its value ('*' = every array item)
+const SECRET_PATHS = {
+  settings: [['llm', 'apiKey'], ['restApi', 'token'], ['icsFeed', 'token'], ['webhooks', '*', 'secret']],
+  notionSync: [['apiKey']],
+};
+const REDACTED = '[redacted]';
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIdArray(value) {
+  return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Compare two records, ignoring the timestamp bumped on every edit. A chat
+// added since counts as an edit, so undoing a creation doesn't delete it.
+function sameRecord(a, b) {
+  const strip = (obj) => {
+    if (!isPlainObject(obj)) return obj;
+    const copy = { ...obj };
+    delete copy.updatedAt;
+    return copy;
+  };
+  return sameValue(strip(a), strip(b));
+}
+
+// Visit each secret along `secretPath` in `value`, with the matching value in `current`
+function walkSecrets(value, current, secretPath, visit) {
+  const [head, ...rest] = secretPath;
+  if (head === '*') {
+    if (!Array.isArray(value)) return;
+    value.forEach((item, i) => {
+      const match = Array.isArray(current)
+        ? current.find(c => isPlainObject(c) && isPlainObject(item) && c.id !== undefined && c.id === item.id) || current[i]
+        : undefined;
+      walkSecrets(item, match, rest, visit);
+    });
+    return;
+  }
+  if (!isPlainObject(value)) return;
+  const inCurrent = isPlainObject(current) ? current[head] : undefined;
+  if (rest.length === 0) {
+    if (head in value) visit(value, head, inCurrent);
+  } else {
+    walkSecrets(value[head], inCurrent, rest, visit);
+  }
+}
+
+// Copy of a top-level value with its secrets replaced by REDACTED
+function redactSecrets(key, value) {
+  const copy = clone(value);
+  for (const secretPath of SECRET_PATHS[key] || []) {
+    walkSecrets(copy, undefined, secretPath, (obj, field) => {
+      if (obj[field]) obj[field] = REDACTED;
+    });
+  }
+  return copy;
+}
+
+// Copy of a logged value with its redacted secrets filled in from `current`
+function restoreSecrets(key, value, current) {
+  const copy = clone(value);
+  for (const secretPath of SECRET_PATHS[key] || []) {
+    walkSecrets(copy, current, secretPath, (obj, field, secret) => {
+      if (obj[field] !== REDACTED) return;
+      if (secret === undefined) delete obj[field];
+      else obj[field] = clone(secret);
+    });
+  }
+  return copy;
+}
+
+function generateEntryId() {
+  return `op-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+// Map every task and subtask id to where it lives
+function indexTasks(data) {
+  const index = new Map();
+  for (const project of (data && data.projects) || []) {
+    (project.tasks || []).forEach((task, i) => {
+      index.set(task.id, { task, projectId: project.id, parentId: null, index: i });
+      (task.subtasks || []).forEach((subtask, j) => {
+        index.set(subtask.id, { task: subtask, projectId: project.id, parentId: task.id, index: j });
+      });
+    });
+  }
+  return index;
+}
+
+class OpLog {
+  constructor(config) {
+    this.filePath = config.filePath;
+    this.maxBytes = config.maxBytes || DEFAULT_MAX_BYTES;
+    // Parsed entries and how far into the file they go, so reads only parse what was appended
+    this._cache = null;
+  }
+
+  // --- Log file ---
+
+  append(entry) {
+    const full = {
+      id: generateEntryId(),
+      at: new Date().toISOString(),
+      ...entry,
+    };
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(this.filePath, JSON.stringify(full) + '\n');
+    if (this.getSize() > this.maxBytes) this.compact();
+    return full;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.filePath)) {
+      this._cache = null;
+      return [];
+    }
+    const { ino, size } = fs.statSync(this.filePath);
+    // Start over when the file was replaced or got shorter
+    if (!this._cache || this._cache.ino !== ino || this._cache.offset > size) {
+      this._cache = { ino, offset: 0, entries: [] };
+    }
+    if (this._cache.offset < size) {
+      const { entries, offset } = this.readFrom(this._cache.offset);
+      this._cache.entries.push(...entries);
+      this._cache.offset = offset;
+    }
+    return this._cache.entries.slice();
+  }
+
+  /**
+   * Drop the oldest entries so the log is back to half of maxBytes. Undo
+   * and history only reach as far back as what is kept.
+   */
+  compact() {
+    const lines = this.readAll().map(entry => JSON.stringify(entry) + '\n');
+    let bytes = 0;
+    let start = lines.length;
+    while (start > 0 && bytes + Buffer.byteLength(lines[start - 1]) <= this.maxBytes / 2) {
+      bytes += Buffer.byteLength(lines[--start]);
+    }
+    const tempPath = this.filePath + '.tmp';
+    fs.writeFileSync(tempPath, lines.slice(start).join(''));
+    fs.renameSync(tempPath, this.filePath);
+    this._cache = null;
+  }
+
+  /**
+   * Entries appended since byte `offset`, and the offset to read from next.
+   * A line still being written is left for the next read. If the log got
+   * shorter (deleted or replaced) reading starts again from its end.
+   */
+  readFrom(offset) {
+    if (!fs.existsSync(this.filePath)) return { entries: [], offset: 0 };
+    const size = fs.statSync(this.filePath).size;
+    if (offset > size) return { entries: [], offset: size };
+    if (offset === size) return { entries: [], offset };
+
+    const buffer = Buffer.alloc(size - offset);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    const entries = [];
+    for (const line of buffer.subarray(0, end).toString('utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // Torn line from a crash mid-append - skip it
+      }
+    }
+    return { entries, offset: offset + end };
+  }
+
+  getSize() {
+    return fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+  }
+
+  find(entryId) {
+    return this.readAll().find(entry => entry.id === entryId) || null;
+  }
+
+  // --- Undo / redo ---
+
+  /**
+   * Replay the log for one source and return the entries that can currently
+   * be undone and redone (most recent last). A new ordinary entry clears the
+   * redo stack, exactly like an in-memory undo stack would.
+   */
+  getUndoState(source) {
+    const undoable = [];
+    const redoable = [];
+
+    for (const entry of this.readAll()) {
+      if (entry.source !== source) continue;
+
+      if (entry.undoOf) {
+        const idx = undoable.findIndex(e => e.id === entry.undoOf);
+        if (idx !== -1) redoable.push(undoable.splice(idx, 1)[0]);
+      } else if (entry.redoOf) {
+        const idx = redoable.findIndex(e => e.id === entry.redoOf);
+        if (idx !== -1) undoable.push(redoable.splice(idx, 1)[0]);
+      } else if (!entry.revertOf) {
+        undoable.push(entry);
+        redoable.length = 0;
+      }
+    }
+
+    return { undoable, redoable };
+  }
+
+  // --- Per-task history ---
+
+  /**
+   * Entries touching a task (or one of its subtasks), newest first. Each
+   * carries only the relevant changes, tagged with their index in the entry
+   * so a single one can be reverted.
+   */
+  getTaskHistory(taskId, limit = 100) {
+    const history = [];
+    for (const entry of this.readAll()) {
+      const changes = [];
+      entry.changes.forEach((change, changeIndex) => {
+        if (OpLog.touchesTask(change, taskId)) {
+          changes.push({ ...change, changeIndex });
+        }
+      });
+      if (changes.length > 0) {
+        history.push({ ...entry, changes });
+      }
+    }
+    return history.reverse().slice(0, limit);
+  }
+
+  static touchesTask(change, taskId) {
+    if (change.taskId === taskId) return true;
+    if (change.parentId === taskId) return true;
+    if ((change.type === 'project-created' || change.type === 'project-deleted') && change.project) {
+      return (change.project.tasks || []).some(t => t.id === taskId);
+    }
+    return false;
+  }
+
+  // --- Diffing ---
+
+  /**
+   * Compute the list of changes that turn `before` into `after`.
+   */
+  static diff(before, after) {
+    const changes = [];
+    before = before || {};
+    after = after || {};
+
+    const beforeProjects = (before.projects || []);
+    const afterProjects = (after.projects || []);
+    const beforeProjectIds = new Map(beforeProjects.map((p, i) => [p.id, { project: p, index: i }]));
+    const afterProjectIds = new Map(afterProjects.map((p, i) => [p.id, { project: p, index: i }]));
+
+    // Projects
+    beforeProjects.forEach((project, index) => {
+      if (!afterProjectIds.has(project.id)) {
+        changes.push({ type: 'project-deleted', projectId: project.id, index, project: clone(project) });
+      }
+    });
+    afterProjects.forEach((project, index) => {
+      const old = beforeProjectIds.get(project.id);
+      if (!old) {
+        changes.push({ type: 'project-created', projectId: project.id, index, project: clone(project) });
+        return;
+      }
+      const fields = new Set([...Object.keys(old.project), ...Object.keys(project)]);
+      for (const field of fields) {
+        if (field === 'tasks' || IGNORED_FIELDS.has(field)) continue;
+        if (!sameValue(old.project[field], project[field])) {
+          changes.push({
+            type: 'project-field', projectId: project.id, field,
+            before: clone(old.project[field]), after: clone(project[field]),
+          });
+        }
+      }
+    });
+
+    // Tasks and subtasks, skipping those that came or went with their project/parent
+    const beforeTasks = indexTasks(before);
+    const afterTasks = indexTasks(after);
+    const goneWithParent = (loc, otherTasks, otherProjects) =>
+      !otherProjects.has(loc.projectId) || (loc.parentId && !otherTasks.has(loc.parentId));
+
+    for (const [taskId, loc] of beforeTasks) {
+      if (afterTasks.has(taskId)) continue;
+      if (goneWithParent(loc, afterTasks, afterProjectIds)) continue;
+      changes.push({
+        type: 'task-deleted', taskId, projectId: loc.projectId, parentId: loc.parentId,
+        index: loc.index, task: clone(loc.task),
+      });
+    }
+
+    for (const [taskId, loc] of afterTasks) {
+      const old = beforeTasks.get(taskId);
+      if (!old) {
+        if (goneWithParent(loc, beforeTasks, beforeProjectIds)) continue;
+        changes.push({
+          type: 'task-created', taskId, projectId: loc.projectId, parentId: loc.parentId,
+          index: loc.index, task: clone(loc.task),
+        });
+        continue;
+      }
+
+      if (old.projectId !== loc.projectId || old.parentId !== loc.parentId) {
+        changes.push({
+          type: 'task-moved', taskId, taskName: loc.task.name,
+          from: { projectId: old.projectId, parentId: old.parentId },
+          to: { projectId: loc.projectId, parentId: loc.parentId },
+        });
+      }
+
+      const fields = new Set([...Object.keys(old.task), ...Object.keys(loc.task)]);
+      for (const field of fields) {
+        if (IGNORED_FIELDS.has(field)) continue;
+        // Subtask edits are recorded against the subtasks themselves
+        if (field === 'subtasks' && !loc.parentId && isIdArray(old.task.subtasks) && isIdArray(loc.task.subtasks)) continue;
+        if (!sameValue(old.task[field], loc.task[field])) {
+          changes.push({
+            type: 'task-field', taskId, taskName: loc.task.name, parentId: loc.parentId, field,
+            before: clone(old.task[field]), after: clone(loc.task[field]),
+          });
+        }
+      }
+    }
+
+    // Everything else at the top level (tags, categories, settings, ...)
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      if (IGNORED_KEYS.has(key)) continue;
+      const b = before[key];
+      const a = after[key];
+      if (sameValue(b, a)) continue;
+
+      if (isIdArray(b) && isIdArray(a)) {
+        const bById = new Map(b.map((item, i) => [item.id, { item, index: i }]));
+        const aById = new Map(a.map((item, i) => [item.id, { item, index: i }]));
+        b.forEach((item, index) => {
+          if (!aById.has(item.id)) changes.push({ type: 'item-removed', key, id: item.id, index, item: clone(item) });
+        });
+        a.forEach((item, index) => {
+          const old = bById.get(item.id);
+          if (!old) {
+            changes.push({ type: 'item-added', key, id: item.id, index, item: clone(item) });
+          } else if (!sameValue(old.item, item)) {
+            changes.push({ type: 'item-changed', key, id: item.id, before: clone(old.item), after: clone(item) });
+          }
+        });
+        // Pure reorders are not recorded
+      } else {
+        const redactedBefore = redactSecrets(key, b);
+        const redactedAfter = redactSecrets(key, a);
+        // A change to nothing but a secret is left out
+        if (sameValue(redactedBefore, redactedAfter)) continue;
+        changes.push({ type: 'data-field', key, before: redactedBefore, after: redactedAfter });
+      }
+    }
+
+    return changes;
+  }
+
+  // --- Applying ---
+
+  static invert(changes) {
+    return changes.slice().reverse().map(change => {
+      switch (change.type) {
+        case 'task-field':
+        case 'project-field':
+        case 'item-changed':
+        case 'data-field':
+          return { ...change, before: change.after, after: change.before };
+        case 'task-created': return { ...change, type: 'task-deleted' };
+        case 'task-deleted': return { ...change, type: 'task-created' };
+        case 'task-moved': return { ...change, from: change.to, to: change.from };
+        case 'project-created': return { ...change, type: 'project-deleted' };
+        case 'project-deleted': return { ...change, type: 'project-created' };
+        case 'item-added': return { ...change, type: 'item-removed' };
+        case 'item-removed': return { ...change, type: 'item-added' };
+        default: return change;
+      }
+    });
+  }
+
+  /**
+   * Apply changes to `data` in place. A change is skipped when the data no
+   * longer matches its starting point (e.g. the field was edited again, or
+   * a task about to be removed was edited since), so an old change never
+   * clobbers a newer one.
+   * Returns { applied, skipped } as arrays of changes.
+   */
+  static apply(data, changes) {
+    const applied = [];
+    const skipped = [];
+    for (const change of changes) {
+      if (OpLog._applyOne(data, change)) {
+        applied.push(change);
+      } else {
+        skipped.push(change);
+      }
+    }
+    return { applied, skipped };
+  }
+
+  static _applyOne(data, change) {
+    if (!data.projects) data.projects = [];
+    const findProject = id => data.projects.find(p => p.id === id);
+    const container = (projectId, parentId) => {
+      const project = findProject(projectId);
+      if (!project) return null;
+      if (!parentId) return project.tasks || (project.tasks = []);
+      const parent = (project.tasks || []).find(t => t.id === parentId);
+      if (!parent) return null;
+      return parent.subtasks || (parent.subtasks = []);
+    };
+    const insertAt = (list, index, value) => {
+      const i = typeof index === 'number' ? Math.min(index, list.length) : list.length;
+      list.splice(i, 0, value);
+    };
+    const setField = (obj, field, value) => {
+      if (value === undefined) delete obj[field];
+      else obj[field] = clone(value);
+    };
+
+    switch (change.type) {
+      case 'task-field': {
+        const loc = indexTasks(data).get(change.taskId);
+        if (!loc || !sameValue(loc.task[change.field], change.before)) return false;
+        setField(loc.task, change.field, change.after);
+        return true;
+      }
+      case 'task-created': {
+        if (indexTasks(data).has(change.taskId)) return false;
+        const list = container(change.projectId, change.parentId);
+        if (!list) return false;
+        insertAt(list, change.index, clone(change.task));
+        return true;
+      }
+      case 'task-deleted': {
+        const list = container(change.projectId, change.parentId);
+        const i = list ? list.findIndex(t => t.id === change.taskId) : -1;
+        // Only remove the task if it hasn't been edited since
+        if (i === -1 || !sameRecord(list[i], change.task)) return false;
+        list.splice(i, 1);
+        return true;
+      }
+      case 'task-moved': {
+        const from = container(change.from.projectId, change.from.parentId);
+        const to = container(change.to.projectId, change.to.parentId);
+        const i = from ? from.findIndex(t => t.id === change.taskId) : -1;
+        if (i === -1 || !to) return false;
+        const [task] = from.splice(i, 1);
+        to.push(task);
+        return true;
+      }
+      case 'project-field': {
+        const project = findProject(change.projectId);
+        if (!project || !sameValue(project[change.field], change.before)) return false;
+        setField(project, change.field, change.after);
+        return true;
+      }
+      case 'project-created': {
+        if (findProject(change.projectId)) return false;
+        insertAt(data.projects, change.index, clone(change.project));
+        return true;
+      }
+      case 'project-deleted': {
+        const i = data.projects.findIndex(p => p.id === change.projectId);
+        if (i === -1 || !sameRecord(data.projects[i], change.project)) return false;
+        data.projects.splice(i, 1);
+        return true;
+      }
+      case 'item-added': {
+        const list = data[change.key] || (data[change.key] = []);
+        if (!Array.isArray(list) || list.some(item => item.id === change.id)) return false;
+        insertAt(list, change.index, clone(change.item));
+        return true;
+      }
+      case 'item-removed': {
+        const list = data[change.key];
+        const i = Array.isArray(list) ? list.findIndex(item => item.id === change.id) : -1;
+        if (i === -1 || !sameValue(list[i], change.item)) return false;
+        list.splice(i, 1);
+        return true;
+      }
+      case 'item-changed': {
+        const list = data[change.key];
+        const i = Array.isArray(list) ? list.findIndex(item => item.id === change.id) : -1;
+        if (i === -1 || !sameValue(list[i], change.before)) return false;
+        list[i] = clone(change.after);
+        return true;
+      }
+      case 'data-field': {
+        const current = data[change.key];
+        if (!sameValue(redactSecrets(change.key, current), change.before)) return false;
+        setField(data, change.key, restoreSecrets(change.key, change.after, current));
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  // --- Descriptions ---
+
+  /**
+   * Short human-readable summary of a set of changes, e.g. for undo toasts.
+   */
+  static describe(changes) {
+    if (!changes || changes.length === 0) return 'No changes';
+    const first = changes[0];
+    const name = first.taskName || first.task?.name || first.project?.name || first.item?.name;
+    let text;
+    switch (first.type) {
+      case 'task-field': text = `Changed ${first.field} on "${name}"`; break;
+      case 'task-created': text = `Created "${name}"`; break;
+      case 'task-deleted': text = `Deleted "${name}"`; break;
+      case 'task-moved': text = `Moved "${name}"`; break;
+      case 'project-field': text = `Changed project ${first.field}`; break;
+      case 'project-created': text = `Created project "${name}"`; break;
+      case 'project-deleted': text = `Deleted project "${name}"`; break;
+      case 'item-added': text = `Added ${first.key} item`; break;
+      case 'item-removed': text = `Removed ${first.key} item`; break;
+      case 'item-changed': text = `Changed ${first.key} item`; break;
+      default: text = `Changed ${first.key}`;
+    }
+    return changes.length > 1 ? `${text} (+${changes.length - 1} more)` : text;
+  }
+}
+
+module.exports = OpLog;
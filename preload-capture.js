@@ -1,6 +1,7 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('captureApi', {
-  save: (data) => ipcRenderer.send('capture-save', data),
+  getOptions: () => ipcRenderer.invoke('capture-get-options'),
+  save: (data) => ipcRenderer.invoke('capture-save', data),
   close: () => ipcRenderer.send('capture-close')
 });
@@ -2,9 +2,52 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('api', {
   loadData: () => ipcRenderer.invoke('load-data'),
-  saveData: (data) => ipcRenderer.invoke('save-data', data),
+  saveData: (data, meta) => ipcRenderer.invoke('save-data', data, meta),
   exportData: (data) => ipcRenderer.invoke('export-data', data),
   importData: () => ipcRenderer.invoke('import-data'),
+  exportTasks: (options) => ipcRenderer.invoke('export-tasks', options),
+  importTasksFile: () => ipcRenderer.invoke('import-tasks-file'),
+  // Calendar (.ics) export and feed
+  exportIcs: (options) => ipcRenderer.invoke('export-ics', options),
+  icsFeedApply: () => ipcRenderer.invoke('ics-feed-apply'),
+  icsFeedStatus: () => ipcRenderer.invoke('ics-feed-status'),
+  // Local REST API
+  restApiApply: () => ipcRenderer.invoke('rest-api-apply'),
+  restApiStatus: () => ipcRenderer.invoke('rest-api-status'),
+  // External calendars (busy time)
+  getBusyBlocks: (fromDate, toDate) => ipcRenderer.invoke('calendars-busy-blocks', { fromDate, toDate }),
+  refreshCalendars: () => ipcRenderer.invoke('calendars-refresh'),
+  getCalendarsStatus: () => ipcRenderer.invoke('calendars-status'),
+  // Focus-mode AI chat
+  aiChat: (taskId, messages) => ipcRenderer.invoke('ai-chat', { taskId, messages }),
+  aiTest: () => ipcRenderer.invoke('ai-test'),
+  // Webhooks
+  getWebhooksStatus: () => ipcRenderer.invoke('webhooks-status'),
+  testWebhook: (webhookId) => ipcRenderer.invoke('webhooks-test', webhookId),
+  retryWebhooks: () => ipcRenderer.invoke('webhooks-retry'),
+  clearWebhookLog: () => ipcRenderer.invoke('webhooks-clear-log'),
+  onWebhookDeliveriesChanged: (callback) => {
+    ipcRenderer.removeAllListeners('webhook-deliveries-changed');
+    ipcRenderer.on('webhook-deliveries-changed', () => callback());
+  },
+  onCalendarsChanged: (callback) => {
+    ipcRenderer.removeAllListeners('external-calendars-changed');
+    ipcRenderer.on('external-calendars-changed', () => callback());
+  },
+  onDataChanged: (callback) => {
+    ipcRenderer.removeAllListeners('data-changed');
+    ipcRenderer.on('data-changed', (event, info) => callback(info));
+  },
+  // History (operation log) APIs
+  historyUndo: () => ipcRenderer.invoke('history-undo'),
+  historyRedo: () => ipcRenderer.invoke('history-redo'),
+  getTaskHistory: (taskId) => ipcRenderer.invoke('history-get-task', taskId),
+  revertHistoryChange: (entryId, changeIndex) => ipcRenderer.invoke('history-revert', { entryId, changeIndex }),
+  // Backup APIs
+  listBackups: () => ipcRenderer.invoke('backup-list'),
+  createBackup: () => ipcRenderer.invoke('backup-create'),
+  diffBackup: (snapshotId) => ipcRenderer.invoke('backup-diff', snapshotId),
+  restoreBackup: (snapshotId, scope, targetId) => ipcRenderer.invoke('backup-restore', { snapshotId, scope, targetId }),
   // Focus Pill APIs
   showPill: () => ipcRenderer.invoke('show-pill'),
   hidePill: () => ipcRenderer.invoke('hide-pill'),
@@ -48,5 +91,12 @@ contextBridge.exposeInMainWorld('api', {
   notionSetup: (config) => ipcRenderer.invoke('notion-setup', config),
   notionSaveConfig: (config) => ipcRenderer.invoke('notion-save-config', config),
   notionGetConfig: () => ipcRenderer.invoke('notion-get-config'),
-  notionSync: () => ipcRenderer.invoke('notion-sync')
+  notionSync: (options) => ipcRenderer.invoke('notion-sync', options),
+  notionGetSyncHistory: () => ipcRenderer.invoke('notion-sync-history'),
+  onNotionSyncHistoryChanged: (callback) => {
+    ipcRenderer.removeAllListeners('notion-sync-history-changed');
+    ipcRenderer.on('notion-sync-history-changed', () => callback());
+  },
+  notionGetConflicts: () => ipcRenderer.invoke('notion-get-conflicts'),
+  notionResolveConflict: (taskId, choices) => ipcRenderer.invoke('notion-resolve-conflict', { taskId, choices })
 });
@@ -1,4 +1,8 @@
-// renderer/analytics.js — Dashboard, analytics, bulk selection
+// renderer/analytics.js — Dashboard, analytics, focus analytics, bulk selection
+
+import { focusStats, formatHour } from '../shared/focus-stats.js';
+import { addDays } from '../shared/dates.js';
+import { estimateAccuracy, describeFactor, MIN_SAMPLES } from '../shared/estimates.js';
 
 export function renderDashboard() {
   const container = document.getElementById('tasks-container');
@@ -210,9 +214,10 @@ export function renderAnalyticsView() {
   });
 
   // Calculate daily completions for chart
+  const today = this.getLocalDateString();
+  const firstDay = addDays(today, -periodDays);
   const dailyCompletions = {};
-  for (let d = new Date(startDate); d <= now; d.setDate(d.getDate() + 1)) {
-    const dateStr = this.getLocalDateString(d);
+  for (let dateStr = firstDay; dateStr <= today; dateStr = addDays(dateStr, 1)) {
     dailyCompletions[dateStr] = 0;
   }
 
@@ -223,24 +228,25 @@ export function renderAnalyticsView() {
     }
   });
 
-  // Calculate total focus time
-  let totalFocusMinutes = 0;
-  completedInPeriod.forEach(t => {
-    totalFocusMinutes += t.estimatedMinutes || 30;
-  });
+  // Focus time: recorded focus sessions, or estimates of completed tasks before there were any
+  const focus = focusStats(this.data.focusSessions, allTasks, firstDay, today);
+  let totalFocusMinutes = focus.totalMinutes;
+  if (!(this.data.focusSessions || []).length) {
+    completedInPeriod.forEach(t => {
+      totalFocusMinutes += t.estimatedMinutes || 30;
+    });
+  }
 
   // Calculate streak
   let currentStreak = 0;
-  const today = this.getLocalDateString();
-  let checkDate = new Date(now);
+  let dateStr = today;
   while (true) {
-    const dateStr = this.getLocalDateString(checkDate);
     if (dailyCompletions[dateStr] && dailyCompletions[dateStr] > 0) {
       currentStreak++;
-      checkDate.setDate(checkDate.getDate() - 1);
+      dateStr = addDays(dateStr, -1);
     } else if (dateStr === today) {
       // Today hasn't been completed yet, check yesterday
-      checkDate.setDate(checkDate.getDate() - 1);
+      dateStr = addDays(dateStr, -1);
     } else {
       break;
     }
@@ -337,6 +343,10 @@ export function renderAnalyticsView() {
       </div>
     </div>
 
+    ${renderFocusAnalytics(this, focus)}
+
+    ${renderEstimateAccuracy(this)}
+
     <div class="analytics-chart-section">
       <div class="analytics-chart-header">
         <h3>By Project</h3>
@@ -356,6 +366,130 @@ export function renderAnalyticsView() {
   });
 }
 
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+// Deep work per day, best times of day and estimate vs actual, from focus sessions
+function renderFocusAnalytics(app, focus) {
+  if (focus.sessionCount === 0) {
+    return `
+      <div class="analytics-chart-section">
+        <div class="analytics-chart-header"><h3>Focus</h3></div>
+        <p class="analytics-empty">No focus sessions in this period. Start the timer in Focus Mode to record them.</p>
+      </div>
+    `;
+  }
+
+  const days = Object.keys(focus.byDay).slice(-14);
+  const maxDay = Math.max(...days.map(d => focus.byDay[d]), 1);
+  const dayBars = days.map(date => {
+    const minutes = focus.byDay[date];
+    const dayLabel = new Date(date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short' });
+    return `
+      <div class="analytics-bar" title="${date}: ${formatMinutes(minutes)}">
+        <span class="analytics-bar-value">${minutes ? (minutes / 60).toFixed(1) : ''}</span>
+        <div class="analytics-bar-fill analytics-focus-fill" style="height: ${(minutes / maxDay) * 100}%"></div>
+        <span class="analytics-bar-label">${dayLabel}</span>
+      </div>
+    `;
+  }).join('');
+
+  // Hours of the day that had any focus, plus the usual working hours
+  const hours = focus.byHour
+    .map((minutes, hour) => ({ hour, minutes }))
+    .filter(h => h.minutes > 0 || (h.hour >= 8 && h.hour <= 18));
+  const first = hours[0].hour;
+  const last = hours[hours.length - 1].hour;
+  const maxHour = Math.max(...focus.byHour, 1);
+  const best = new Set(focus.bestHours.map(h => h.hour));
+  const hourBars = focus.byHour.slice(first, last + 1).map((minutes, i) => `
+    <div class="analytics-bar" title="${formatHour(first + i)}: ${formatMinutes(minutes)}">
+      <div class="analytics-bar-fill analytics-focus-fill ${best.has(first + i) ? 'best' : ''}" style="height: ${(minutes / maxHour) * 100}%"></div>
+      <span class="analytics-bar-label">${formatHour(first + i)}</span>
+    </div>
+  `).join('');
+
+  const estimateRows = focus.estimates.slice(0, 8).map(e => `
+    <div class="analytics-estimate-row">
+      <span class="analytics-estimate-name">${app.escapeHtml(e.name)}</span>
+      <span class="analytics-estimate-values">${formatMinutes(e.actualMinutes)} of ${formatMinutes(e.estimatedMinutes)}</span>
+      <span class="analytics-estimate-ratio ${e.ratio > 1.2 ? 'over' : e.ratio < 0.8 ? 'under' : ''}">${Math.round(e.ratio * 100)}%</span>
+    </div>
+  `).join('');
+
+  return `
+    <div class="analytics-chart-section">
+      <div class="analytics-chart-header">
+        <h3>Deep Work (hours per day)</h3>
+        <span class="analytics-focus-summary">${focus.sessionCount} sessions · ${focus.pomodoros} pomodoros · ${focus.interruptions} interruptions</span>
+      </div>
+      <div class="analytics-bar-chart">
+        ${dayBars}
+      </div>
+    </div>
+
+    <div class="analytics-chart-section">
+      <div class="analytics-chart-header">
+        <h3>Best Times to Focus</h3>
+        <span class="analytics-focus-summary">${focus.bestHours.map(h => formatHour(h.hour)).join(', ')}</span>
+      </div>
+      <div class="analytics-bar-chart analytics-hour-chart">
+        ${hourBars}
+      </div>
+    </div>
+
+    <div class="analytics-chart-section">
+      <div class="analytics-chart-header">
+        <h3>Estimate vs Actual</h3>
+      </div>
+      ${estimateRows || '<p class="analytics-empty">No estimated tasks were focused on in this period</p>'}
+    </div>
+  `;
+}
+
+// How estimates compare with logged time, across all completed tasks
+function renderEstimateAccuracy(app) {
+  const accuracy = estimateAccuracy(app.data);
+  if (!accuracy.overall) {
+    return `
+      <div class="analytics-chart-section">
+        <div class="analytics-chart-header"><h3>Estimate Accuracy</h3></div>
+        <p class="analytics-empty">Complete tasks that have an estimate and logged time (focus sessions count) to see how your estimates hold up.</p>
+      </div>
+    `;
+  }
+
+  const row = (label, stats) => `
+    <div class="analytics-estimate-row ${stats.count < MIN_SAMPLES ? 'few-samples' : ''}" title="${stats.count} task${stats.count === 1 ? '' : 's'}${stats.count < MIN_SAMPLES ? ` — needs ${MIN_SAMPLES} before it pads estimates` : ''}">
+      <span class="analytics-estimate-name">${label}</span>
+      <span class="analytics-estimate-values">You ${describeFactor(stats.factor)} · ${stats.count} task${stats.count === 1 ? '' : 's'}</span>
+      <span class="analytics-estimate-ratio ${stats.factor > 1.2 ? 'over' : stats.factor < 0.8 ? 'under' : ''}">${stats.factor.toFixed(1)}x</span>
+    </div>
+  `;
+  const groupRows = (title, groups, labelOf) => {
+    const entries = Object.entries(groups).sort((a, b) => b[1].count - a[1].count);
+    if (entries.length === 0) return '';
+    return `<div class="analytics-estimate-group">${title}</div>` +
+      entries.map(([key, stats]) => row(labelOf(key, stats), stats)).join('');
+  };
+
+  return `
+    <div class="analytics-chart-section">
+      <div class="analytics-chart-header">
+        <h3>Estimate Accuracy</h3>
+        <span class="analytics-focus-summary">Logged time ÷ estimate, median per group</span>
+      </div>
+      ${row('All tasks', accuracy.overall)}
+      ${groupRows('By project', accuracy.byProject, (id, stats) => app.escapeHtml(stats.name))}
+      ${groupRows('By tag', accuracy.byTag, (id, stats) => `#${app.escapeHtml(stats.name)}`)}
+      ${groupRows('By complexity', accuracy.byComplexity, (level) => `Complexity ${level}`)}
+    </div>
+  `;
+}
+
 // ================================================
 // ENHANCED MASTER LIST - Bulk Selection & Grouping
 // ================================================
@@ -431,9 +565,10 @@ export function executeBulkAction(action) {
     case 'complete':
       taskIds.forEach(id => {
         const task = this.findTask(id);
-        if (task) {
+        if (task && task.status !== 'done') {
           task.status = 'done';
           task.completedAt = new Date().toISOString();
+          this.spawnNextOccurrence(task);
         }
       });
       this.showToast(`Completed ${taskIds.length} tasks`);
@@ -14,6 +14,18 @@ import * as inboxView from './inbox-view.js';
 import * as modals from './modals.js';
 import * as analytics from './analytics.js';
 import * as integrations from './integrations.js';
+import * as history from './history.js';
+import * as backups from './backups.js';
+import * as recurring from './recurring.js';
+import * as ics from './ics.js';
+import * as localApi from './local-api.js';
+import * as externalCalendars from './external-calendars.js';
+import * as webhooks from './webhooks.js';
+import * as autoSchedule from './auto-schedule.js';
+import * as taskTransfer from './task-transfer.js';
+import * as smartLists from './smart-lists.js';
+import * as search from './search.js';
+import * as rollover from './rollover.js';
 
 class TaskFlowApp {
   constructor() {
@@ -27,7 +39,7 @@ class TaskFlowApp {
 
     // Calendar state
     this.calendar = {
-      currentDate: new Date(),
+      currentDate: null,  // 'YYYY-MM-DD' in the configured timezone, today until navigated
       selectedDate: null,
       viewMode: 'month'  // month, week, day
     };
@@ -40,9 +52,6 @@ class TaskFlowApp {
       expandedUpNextIds: new Set()
     };
 
-    // Undo stack (in-memory, max 30 actions)
-    this.undoStack = [];
-
     // Floating bar state
     this.floatingBarVisible = false;
 
@@ -63,8 +72,9 @@ class TaskFlowApp {
       completedCount: 0,
       pomodoroCount: 0,
       streak: 0,
+      session: null, // Focus session being recorded (see endFocusSession)
       settingsPanelOpen: false,
-      aiMessages: []
+      aiTaskId: null
     };
 
     // Timeline view mode: 'single' or 'dual'
@@ -89,7 +99,7 @@ class TaskFlowApp {
 
   async init() {
     try {
-      this.data = await window.api.loadData();
+      await this.reloadData();
     } catch (err) {
       console.error('Failed to load data:', err);
       this.data = { projects: [], tags: [], settings: {} };
@@ -124,6 +134,11 @@ class TaskFlowApp {
       this.handleTaskCaptured(task);
     });
 
+    // Merge in changes other processes (MCP server, sync) write to the data file
+    window.api.onDataChanged?.(() => {
+      this.applyExternalChanges();
+    });
+
     // Listen for floating bar task completion
     window.api.onFloatingBarComplete?.((taskId) => {
       this.handleFloatingBarComplete(taskId);
@@ -138,6 +153,13 @@ class TaskFlowApp {
     // Check Notion connection on startup and start auto-sync
     this.loadNotionConfig();
     this.startNotionAutoSync();
+
+    this.initExternalCalendars();
+    this.initWebhooks();
+    this.initAutoSchedule();
+
+    // Keep a focus session that's still running when the window closes
+    window.addEventListener('beforeunload', () => this.endFocusSession());
   }
 
   handleFloatingBarComplete(taskId) {
@@ -151,11 +173,7 @@ class TaskFlowApp {
   }
 
   handleTaskCaptured(task) {
-    window.api.loadData().then(data => {
-      this.data = data;
-      this.rebuildTaskIndex();
-      this.render();
-    });
+    this.applyExternalChanges();
   }
 
   updateFloatingBar() {
@@ -183,25 +201,6 @@ class TaskFlowApp {
     window.api.updateFloatingBar(taskData);
   }
 
-  // ── Undo System ────────────────────────────────────────────────
-
-  pushUndo(description, undoFn) {
-    this.undoStack.push({ description, undoFn, timestamp: Date.now() });
-    if (this.undoStack.length > 30) this.undoStack.shift();
-  }
-
-  undo() {
-    const action = this.undoStack.pop();
-    if (!action) {
-      this.showToast('Nothing to undo');
-      return;
-    }
-    action.undoFn();
-    this.saveData();
-    this.render();
-    this.showToast(`Undid: ${action.description}`);
-  }
-
   // ── Font Scale ─────────────────────────────────────────────────
 
   changeFontScale(delta) {
@@ -255,6 +254,9 @@ class TaskFlowApp {
       const tagItem = document.querySelector(`.tag-item[data-id="${view.replace('tag-', '')}"]`);
       if (tagItem) tagItem.classList.add('active');
     }
+    document.querySelectorAll('.smart-list-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.view === view);
+    });
 
     // Hide all views first
     document.getElementById('task-list-view').classList.remove('active');
@@ -283,6 +285,12 @@ class TaskFlowApp {
       document.querySelector('.sort-select').style.display = 'none';
       document.querySelector('.filter-select').style.display = 'none';
       this.renderRecapsView();
+    } else if (view === 'search') {
+      document.getElementById('task-list-view').classList.add('active');
+      document.querySelector('.view-options').style.display = 'none';
+      document.querySelector('.sort-select').style.display = 'none';
+      document.querySelector('.filter-select').style.display = 'none';
+      this.renderSearchView();
     } else if (view === 'inbox') {
       document.getElementById('task-list-view').classList.add('active');
       document.querySelector('.view-options').style.display = 'none';
@@ -349,7 +357,8 @@ class TaskFlowApp {
       'command-center': 'Command Center',
       'master-list': 'Master List',
       'dashboard': 'Dashboard',
-      'recaps': 'Daily Recaps'
+      'recaps': 'Daily Recaps',
+      'search': 'Search'
     };
 
     const subtitles = {
@@ -359,7 +368,8 @@ class TaskFlowApp {
       'command-center': 'Your AI-powered mission control',
       'master-list': 'All tasks in one compact view',
       'dashboard': 'Project health at a glance',
-      'recaps': 'Track your progress and learnings'
+      'recaps': 'Track your progress and learnings',
+      'search': 'Tasks, notes, learnings and recaps'
     };
 
     if (titles[this.currentView]) {
@@ -373,6 +383,10 @@ class TaskFlowApp {
       const tag = this.data.tags.find(t => t.id === this.currentView.replace('tag-', ''));
       titleEl.textContent = tag ? `#${tag.name}` : 'Tag';
       subtitleEl.textContent = '';
+    } else if (this.currentView.startsWith('smart-')) {
+      const list = (this.data.smartLists || []).find(l => l.id === this.currentView.replace('smart-', ''));
+      titleEl.textContent = list ? list.name : 'Smart List';
+      subtitleEl.textContent = list ? list.query : '';
     }
   }
 
@@ -418,6 +432,10 @@ class TaskFlowApp {
       document.getElementById('task-list-view')?.classList.add('active');
       hideHeaderControls();
       this.renderMasterList();
+    } else if (this.currentView === 'search') {
+      document.getElementById('task-list-view')?.classList.add('active');
+      hideHeaderControls();
+      this.renderSearchView();
     } else if (this.currentView === 'inbox') {
       document.getElementById('task-list-view')?.classList.add('active');
       hideHeaderControls();
@@ -454,6 +472,12 @@ class TaskFlowApp {
     const waitingCount = allTasks.filter(t => t.status === 'waiting').length;
     const waitingCountEl = document.getElementById('waiting-count');
     if (waitingCountEl) waitingCountEl.textContent = waitingCount;
+
+    // Pinned smart list counts
+    for (const list of this.data.smartLists || []) {
+      const countEl = document.querySelector(`[data-smart-list-count="${list.id}"]`);
+      if (countEl) countEl.textContent = this.countSmartList(list);
+    }
   }
 
   // ── Tags ───────────────────────────────────────────────────────
@@ -625,7 +649,19 @@ Object.assign(TaskFlowApp.prototype,
   recaps,
   inboxView,
   analytics,
-  integrations
+  integrations,
+  history,
+  backups,
+  recurring,
+  ics,
+  localApi,
+  externalCalendars,
+  webhooks,
+  autoSchedule,
+  taskTransfer,
+  smartLists,
+  search,
+  rollover
 );
 
 // Initialize drag and drop for board view
@@ -0,0 +1,338 @@
+// renderer/auto-schedule.js — Plan My Day: auto-schedule preview, accept, and re-planning on overruns
+
+import { prepareSchedule, planSchedule, planDates, findOverruns, getSchedulingSettings, toMinutes, capacityReport, describeDay, WEEKDAY_NAMES } from '../shared/scheduler.js';
+import { createCalibrator } from '../shared/estimates.js';
+
+const OVERRUN_CHECK_MS = 60 * 1000;
+
+async function computePlan(app) {
+  const { range, replan } = app.autoSchedule;
+  const today = app.getLocalDateString();
+  const settings = app.data.settings;
+  const dates = planDates(today, range === 'week' ? 5 : 1, settings);
+  const allTasks = app.getAllTasks();
+  const now = app.getNowMinutes();
+  const { minutesFor } = createCalibrator(app.data, { enabled: getSchedulingSettings(settings).calibrateEstimates });
+
+  const { candidates, occupied, overruns } = prepareSchedule(allTasks, dates, settings, {
+    nowMinutes: now,
+    replan,
+    includeIds: app.todayView.workingOnTaskIds || [],
+    minutesFor,
+  });
+
+  let blocks = [];
+  try {
+    blocks = await window.api.getBusyBlocks(dates[0], dates[dates.length - 1]) || [];
+  } catch (err) {
+    console.error('Failed to load calendar events:', err);
+  }
+  const busy = {};
+  for (const date of dates) {
+    busy[date] = blocks
+      .filter(b => b.date === date && !b.allDay)
+      .map(b => ({ startMinutes: b.startMinutes, endMinutes: b.endMinutes }));
+  }
+
+  const plan = planSchedule({ candidates, allTasks, occupied, busy, dates, settings, nowMinutes: now, minutesFor });
+  // What each task looked like, so accepting skips ones edited in the meantime
+  const before = {};
+  for (const p of plan.placements) {
+    const task = app.findTask(p.taskId);
+    before[p.taskId] = `${task?.scheduledDate || ''}|${task?.scheduledTime || ''}`;
+  }
+  app.autoSchedule.plan = { ...plan, dates, overruns, before, candidateCount: candidates.length };
+}
+
+function formatDay(app, dateStr) {
+  if (dateStr === app.getLocalDateString()) return 'Today';
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+}
+
+function renderPlan(app) {
+  const { plan, range } = app.autoSchedule;
+  const body = document.getElementById('auto-schedule-body');
+  const acceptBtn = document.getElementById('auto-schedule-accept');
+  document.querySelectorAll('.auto-schedule-range button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.range === range);
+  });
+  if (!body) return;
+
+  const scheduling = getSchedulingSettings(app.data.settings);
+  const days = capacityReport(app.getAllTasks(), plan.dates, app.data.settings);
+  const hours = days.map(day => app.escapeHtml(describeDay(day, scheduling)));
+  let html = '<p class="auto-schedule-hours">';
+  if (new Set(hours).size === 1) {
+    html += days[0].dayOff ? hours[0] : `Working hours ${hours[0]}`;
+  } else {
+    html += days.map((day, i) => `${formatDay(app, day.date)} ${hours[i]}`).join(' · ');
+  }
+  if (scheduling.focusWindows.length > 0) {
+    html += ` · focus ${scheduling.focusWindows.map(w => `${w.start}–${w.end}`).join(', ')}`;
+  }
+  html += '</p>';
+
+  if (plan.overruns.length > 0) {
+    html += `<div class="auto-schedule-note">Running over: ${plan.overruns.map(t => app.escapeHtml(t.name)).join(', ')}. The rest of today is planned around it.</div>`;
+  }
+
+  if (plan.placements.length === 0) {
+    html += `<div class="auto-schedule-empty">${plan.candidateCount === 0 ? 'Nothing to schedule.' : 'Nothing fits in the free time left.'}</div>`;
+  }
+
+  for (const date of plan.dates) {
+    const items = plan.placements.filter(p => p.date === date);
+    if (items.length === 0) continue;
+    html += `<div class="auto-schedule-day"><h4>${formatDay(app, date)}</h4>`;
+    html += items.map(p => {
+      const estimate = app.findTask(p.taskId)?.estimatedMinutes;
+      return `
+      <div class="auto-schedule-item ${p.track === 'ai' ? 'track-ai' : ''}">
+        <span class="auto-schedule-time">${p.start}–${p.end}</span>
+        <span class="auto-schedule-name">${app.escapeHtml(p.name)}</span>
+        ${estimate && estimate !== p.minutes ? `<span class="auto-schedule-reason" title="Padded by how long similar tasks took">est. ${estimate}m</span>` : ''}
+        ${p.track === 'ai' ? '<span class="auto-schedule-badge">AI</span>' : ''}
+        ${p.late ? '<span class="auto-schedule-late" title="Scheduled after its due date">Late</span>' : ''}
+      </div>
+    `;
+    }).join('');
+    html += '</div>';
+  }
+
+  if (plan.unplaced.length > 0) {
+    html += '<div class="auto-schedule-day auto-schedule-unplaced"><h4>Not scheduled</h4>';
+    html += plan.unplaced.map(u => `
+      <div class="auto-schedule-item">
+        <span class="auto-schedule-name">${app.escapeHtml(u.name)}</span>
+        <span class="auto-schedule-reason">${app.escapeHtml(u.reason)}</span>
+      </div>
+    `).join('');
+    html += '</div>';
+  }
+
+  body.innerHTML = html;
+  if (acceptBtn) acceptBtn.disabled = plan.placements.length === 0;
+}
+
+/**
+ * Work out a schedule for today (or the working week) and show it for
+ * review. Nothing changes until the plan is accepted. With `replan`, today's
+ * not-yet-started tasks are moved after now, e.g. when one runs over.
+ */
+export async function openAutoSchedule(options = {}) {
+  this.autoSchedule = {
+    range: options.range || this.autoSchedule?.range || 'day',
+    replan: !!options.replan,
+    plan: null,
+  };
+  document.getElementById('auto-schedule-title').textContent = options.replan ? 'Re-plan the Rest of Today' : 'Plan My Day';
+  document.getElementById('auto-schedule-body').innerHTML = '<div class="auto-schedule-empty">Planning…</div>';
+  this.openModal('auto-schedule-modal');
+  await computePlan(this);
+  renderPlan(this);
+}
+
+export async function setAutoScheduleRange(range) {
+  if (!this.autoSchedule || this.autoSchedule.range === range) return;
+  this.autoSchedule.range = range;
+  await computePlan(this);
+  renderPlan(this);
+}
+
+export async function acceptAutoSchedule() {
+  const plan = this.autoSchedule?.plan;
+  if (!plan) return;
+
+  let applied = 0;
+  let skipped = 0;
+  for (const p of plan.placements) {
+    const task = this.findTask(p.taskId);
+    if (!task || task.status === 'done' || `${task.scheduledDate || ''}|${task.scheduledTime || ''}` !== plan.before[p.taskId]) {
+      skipped++;
+      continue;
+    }
+    task.scheduledDate = p.date;
+    task.scheduledTime = p.start;
+    if (!task.estimatedMinutes) task.estimatedMinutes = p.minutes;
+    applied++;
+  }
+
+  if (applied > 0) await this.saveData();
+  this.closeModal('auto-schedule-modal');
+  this.autoSchedule.plan = null;
+  this._overrunsOffered = new Set(findOverruns(this.getAllTasks(), this.getLocalDateString(), this.getNowMinutes(), this.data.settings).map(t => t.id));
+  document.getElementById('today-replan-banner')?.classList.add('hidden');
+  this.render();
+  this.showToast(`Scheduled ${applied} task${applied === 1 ? '' : 's'}${skipped > 0 ? ` (${skipped} changed meanwhile, skipped)` : ''}`);
+}
+
+// --- Settings ---
+
+export function updateSchedulingSettings() {
+  const scheduling = getSchedulingSettings(this.data.settings);
+  const set = (id, value) => {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+  };
+  set('scheduling-work-start', scheduling.workStart);
+  set('scheduling-work-end', scheduling.workEnd);
+  set('scheduling-buffer', scheduling.bufferMinutes);
+  set('scheduling-focus-windows', scheduling.focusWindows.map(w => `${w.start}-${w.end}`).join(', '));
+  set('scheduling-capacity', scheduling.capacityMinutes || '');
+  set('scheduling-days-off', formatDaysOff(scheduling));
+  const calibrate = document.getElementById('scheduling-calibrate');
+  if (calibrate) calibrate.checked = scheduling.calibrateEstimates;
+
+  // One row per weekday, Monday first: on/off plus its hours (the defaults above unless changed)
+  const weekdays = document.getElementById('scheduling-weekdays');
+  if (weekdays) {
+    weekdays.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => {
+      const own = scheduling.dayHours[day];
+      const on = scheduling.workDays.includes(day);
+      return `
+        <div class="scheduling-weekday" data-day="${day}">
+          <label><input type="checkbox" class="scheduling-weekday-on" ${on ? 'checked' : ''}> ${WEEKDAY_NAMES[day].slice(0, 3)}</label>
+          <input type="time" class="scheduling-weekday-start" value="${own?.start || scheduling.workStart}" ${on ? '' : 'disabled'}>
+          <span>to</span>
+          <input type="time" class="scheduling-weekday-end" value="${own?.end || scheduling.workEnd}" ${on ? '' : 'disabled'}>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// Holidays and vacations as lines of "2026-12-25 Christmas" or "2026-08-03 to 2026-08-14 Summer trip"
+function formatDaysOff(scheduling) {
+  return [
+    ...scheduling.holidays.map(h => ({ start: h.date, line: `${h.date} ${h.name || ''}` })),
+    ...scheduling.vacations.map(v => ({ start: v.start, line: `${v.start} to ${v.end} ${v.name || ''}` })),
+  ].sort((a, b) => a.start.localeCompare(b.start)).map(d => d.line.trim()).join('\n');
+}
+
+// The reverse of formatDaysOff, or null if a line doesn't read
+function parseDaysOff(text) {
+  const holidays = [];
+  const vacations = [];
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(/^(\d{4}-\d{2}-\d{2})(?:\s+(?:to|-)\s+(\d{4}-\d{2}-\d{2}))?\s*(.*)$/);
+    if (!match) return null;
+    const [, start, end, name] = match;
+    if (end && end < start) return null;
+    if (end && end !== start) vacations.push({ start, end, name });
+    else holidays.push({ date: start, name });
+  }
+  return { holidays, vacations };
+}
+
+// Save one weekday's row from the settings grid
+export function setSchedulingWeekday(day) {
+  const row = document.querySelector(`.scheduling-weekday[data-day="${day}"]`);
+  if (!row) return;
+  const scheduling = getSchedulingSettings(this.data.settings);
+  const on = row.querySelector('.scheduling-weekday-on').checked;
+  const start = row.querySelector('.scheduling-weekday-start').value;
+  const end = row.querySelector('.scheduling-weekday-end').value;
+  if (on && (!start || !end || toMinutes(end) <= toMinutes(start))) {
+    this.showToast('Work hours must end after they start');
+    this.updateSchedulingSettings();
+    return;
+  }
+
+  const workDays = scheduling.workDays.filter(d => d !== day);
+  if (on) workDays.push(day);
+  const dayHours = { ...scheduling.dayHours };
+  delete dayHours[day];
+  if (on && (start !== scheduling.workStart || end !== scheduling.workEnd)) dayHours[day] = { start, end };
+
+  if (!this.data.settings) this.data.settings = {};
+  this.data.settings.scheduling = { ...(this.data.settings.scheduling || {}), workDays: workDays.sort((a, b) => a - b), dayHours };
+  this.saveData();
+  this.updateSchedulingSettings();
+  this.renderTodayCapacity();
+}
+
+// Parse "09:00-11:00, 14:00-15:30" into focus windows, or null if it doesn't read
+function parseFocusWindows(text) {
+  const windows = [];
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => `${h.padStart(2, '0')}:${m}`);
+    if (toMinutes(end) <= toMinutes(start) || toMinutes(end) > 24 * 60) return null;
+    windows.push({ start, end });
+  }
+  return windows;
+}
+
+export function setSchedulingSetting(key, value) {
+  const scheduling = getSchedulingSettings(this.data.settings);
+  if (key === 'focusWindows') {
+    const windows = parseFocusWindows(value);
+    if (!windows) {
+      this.showToast('Focus windows look like 09:00-11:00, 14:00-15:30', 3000);
+      this.updateSchedulingSettings();
+      return;
+    }
+    value = windows;
+  } else if (key === 'calibrateEstimates') {
+    value = !!value;
+  } else if (key === 'bufferMinutes') {
+    value = Math.min(60, Math.max(0, parseInt(value, 10) || 0));
+  } else if (key === 'capacityMinutes') {
+    // Blank means the length of each day's working hours
+    value = parseInt(value, 10) > 0 ? Math.min(24 * 60, parseInt(value, 10)) : null;
+  } else if (key === 'daysOff') {
+    const daysOff = parseDaysOff(value);
+    if (!daysOff) {
+      this.showToast('Days off look like 2026-12-25 Christmas, or 2026-08-03 to 2026-08-14 Vacation', 4000);
+      this.updateSchedulingSettings();
+      return;
+    }
+    value = daysOff;
+  } else if (!value) {
+    this.updateSchedulingSettings();
+    return;
+  }
+
+  // Days off are saved as two lists, holidays and vacations
+  const changes = key === 'daysOff' ? value : { [key]: value };
+  const next = { ...scheduling, ...changes };
+  if (toMinutes(next.workEnd) <= toMinutes(next.workStart)) {
+    this.showToast('Work hours must end after they start');
+    this.updateSchedulingSettings();
+    return;
+  }
+  if (!this.data.settings) this.data.settings = {};
+  this.data.settings.scheduling = { ...(this.data.settings.scheduling || {}), ...changes };
+  this.saveData();
+  this.updateSchedulingSettings();
+  this.renderTodayCapacity();
+}
+
+// --- Overruns ---
+
+/**
+ * Offer to re-plan when an in-progress task runs past the end of its
+ * scheduled slot. Each overrun is offered once.
+ */
+export function checkScheduleOverruns() {
+  const banner = document.getElementById('today-replan-banner');
+  if (!banner) return;
+  if (!this._overrunsOffered) this._overrunsOffered = new Set();
+
+  const overruns = findOverruns(this.getAllTasks(), this.getLocalDateString(), this.getNowMinutes(), this.data.settings)
+    .filter(t => !this._overrunsOffered.has(t.id));
+  if (overruns.length === 0) return;
+
+  overruns.forEach(t => this._overrunsOffered.add(t.id));
+  const task = overruns[0];
+  const over = this.getNowMinutes() - toMinutes(task.scheduledTime) - (task.estimatedMinutes || getSchedulingSettings(this.data.settings).defaultMinutes);
+  document.getElementById('replan-banner-text').textContent =
+    `"${task.name}" is running ${over > 0 ? `${over}m ` : ''}over its slot`;
+  banner.classList.remove('hidden');
+}
+
+export function initAutoSchedule() {
+  this.checkScheduleOverruns();
+  setInterval(() => this.checkScheduleOverruns(), OVERRUN_CHECK_MS);
+}
@@ -0,0 +1,163 @@
+// renderer/backups.js — Backup retention settings, snapshot list, compare and restore
+
+const DEFAULT_BACKUP_RETENTION = { hourly: 24, daily: 7, weekly: 4 };
+
+const TIER_LABELS = {
+  hourly: 'Hourly',
+  daily: 'Daily',
+  weekly: 'Weekly',
+  manual: 'Manual'
+};
+
+export function updateBackupRetentionInputs() {
+  const retention = { ...DEFAULT_BACKUP_RETENTION, ...(this.data.settings?.backupRetention || {}) };
+  for (const tier of Object.keys(DEFAULT_BACKUP_RETENTION)) {
+    const input = document.getElementById(`backup-keep-${tier}`);
+    if (input) input.value = retention[tier];
+  }
+}
+
+export function setBackupRetention(tier, value) {
+  const count = Math.max(0, parseInt(value, 10) || 0);
+  if (!this.data.settings) this.data.settings = {};
+  this.data.settings.backupRetention = {
+    ...DEFAULT_BACKUP_RETENTION,
+    ...(this.data.settings.backupRetention || {}),
+    [tier]: count
+  };
+  this.saveData();
+  this.showToast(count === 0 ? `${TIER_LABELS[tier]} backups turned off` : `Keeping ${count} ${tier} backups`);
+}
+
+export async function openBackups() {
+  this.closeModal('settings-modal');
+  document.getElementById('backup-diff').innerHTML = '';
+  this.openModal('backups-modal');
+  await this.renderBackupList();
+}
+
+export async function createBackupNow() {
+  const result = await window.api.createBackup();
+  if (!result || !result.success) {
+    this.showToast(`Backup failed: ${result ? result.error : 'unknown error'}`, 3000);
+    return;
+  }
+  this.showToast('Backup created');
+  await this.renderBackupList();
+}
+
+export async function renderBackupList() {
+  const container = document.getElementById('backup-list');
+  container.innerHTML = '<div class="backup-empty">Loading…</div>';
+
+  const result = await window.api.listBackups();
+  if (!result || !result.success) {
+    container.innerHTML = `<div class="backup-empty">Could not load backups${result ? `: ${this.escapeHtml(result.error)}` : ''}</div>`;
+    return;
+  }
+  if (result.snapshots.length === 0) {
+    container.innerHTML = '<div class="backup-empty">No backups yet — the first one is taken within a few minutes of starting the app</div>';
+    return;
+  }
+
+  container.innerHTML = result.snapshots.map(s => `
+    <div class="backup-item" data-snapshot-id="${this.escapeHtml(s.id)}">
+      <span class="backup-tier backup-tier-${s.tier}">${TIER_LABELS[s.tier] || s.tier}</span>
+      <div class="backup-item-info">
+        <span class="backup-item-date">${new Date(s.createdAt).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</span>
+        <span class="backup-item-counts">${s.taskCount ?? '?'} tasks · ${s.projectCount ?? '?'} projects</span>
+      </div>
+      <button class="btn btn-small btn-ghost backup-compare-btn">Compare</button>
+      <button class="btn btn-small btn-secondary backup-restore-btn">Restore All</button>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.backup-item').forEach(item => {
+    const snapshotId = item.dataset.snapshotId;
+    item.querySelector('.backup-compare-btn').addEventListener('click', () => {
+      container.querySelectorAll('.backup-item').forEach(el => el.classList.toggle('selected', el === item));
+      this.renderBackupDiff(snapshotId);
+    });
+    item.querySelector('.backup-restore-btn').addEventListener('click', () => {
+      if (confirm('Replace all current data with this backup? A backup of the current data is taken first, and you can undo with Ctrl+Z.')) {
+        this.restoreFromBackup(snapshotId, 'all');
+      }
+    });
+  });
+}
+
+export async function renderBackupDiff(snapshotId) {
+  const container = document.getElementById('backup-diff');
+  container.innerHTML = '<div class="backup-empty">Comparing…</div>';
+
+  const result = await window.api.diffBackup(snapshotId);
+  if (!result || !result.success) {
+    container.innerHTML = `<div class="backup-empty">Could not compare${result ? `: ${this.escapeHtml(result.error)}` : ''}</div>`;
+    return;
+  }
+
+  const { diff } = result;
+  const statusLabels = {
+    added: 'added since',
+    deleted: 'deleted since',
+    changed: 'changed since'
+  };
+
+  const renderRow = (item, scope) => `
+    <div class="backup-diff-row">
+      <span class="backup-diff-status backup-diff-${item.status}">${statusLabels[item.status]}</span>
+      <span class="backup-diff-name">
+        ${this.escapeHtml(item.name || item.id)}
+        ${scope === 'task' && item.projectName ? `<span class="backup-diff-meta">${this.escapeHtml(item.projectName)}</span>` : ''}
+        ${item.fields.length > 0 ? `<span class="backup-diff-meta">${this.escapeHtml([...new Set(item.fields)].join(', '))}</span>` : ''}
+      </span>
+      ${item.inSnapshot ? `<button class="btn btn-small btn-ghost backup-restore-item-btn" data-scope="${scope}" data-id="${this.escapeHtml(item.id)}">Restore</button>` : ''}
+    </div>
+  `;
+
+  const nothingChanged = diff.projects.length === 0 && diff.tasks.length === 0 && diff.other.length === 0;
+
+  container.innerHTML = `
+    <div class="backup-diff-summary">
+      Backup: ${diff.snapshot.taskCount} tasks · ${diff.snapshot.projectCount} projects
+      &nbsp;→&nbsp; Now: ${diff.current.taskCount} tasks · ${diff.current.projectCount} projects
+    </div>
+    ${nothingChanged ? '<div class="backup-empty">No differences from current data</div>' : ''}
+    ${diff.projects.length > 0 ? `
+      <h4>Projects</h4>
+      ${diff.projects.map(p => renderRow(p, 'project')).join('')}
+    ` : ''}
+    ${diff.tasks.length > 0 ? `
+      <h4>Tasks</h4>
+      ${diff.tasks.map(t => renderRow(t, 'task')).join('')}
+    ` : ''}
+    ${diff.other.length > 0 ? `
+      <div class="backup-diff-other">Also changed: ${this.escapeHtml(diff.other.join(', '))}</div>
+    ` : ''}
+  `;
+
+  container.querySelectorAll('.backup-restore-item-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await this.restoreFromBackup(snapshotId, btn.dataset.scope, btn.dataset.id);
+      await this.renderBackupDiff(snapshotId);
+    });
+  });
+}
+
+export async function restoreFromBackup(snapshotId, scope, targetId = null) {
+  const result = await window.api.restoreBackup(snapshotId, scope, targetId);
+  if (!result || !result.success) {
+    this.showToast(`Restore failed: ${result ? result.error : 'unknown error'}`, 3000);
+    return;
+  }
+
+  if (scope === 'all') {
+    await this.reloadData();
+    this.applyFontScale();
+    this.render();
+    await this.renderBackupList();
+  } else {
+    await this.applyExternalChanges();
+  }
+  this.showToast(result.label);
+}
@@ -1,18 +1,39 @@
 // renderer/calendar-view.js — Calendar views, timeline, scheduling
 
+import { getSchedulingSettings, capacityReport, capacityWarning, describeDay } from '../shared/scheduler.js';
+import { addDays, dayOfWeek, weekRange, monthRange } from '../shared/dates.js';
+
+// Grid dates are 'YYYY-MM-DD' strings counted from today in the configured
+// timezone, so they line up with task dates wherever the system clock is
+function dateParts(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month: month - 1, day };
+}
+
+// Same day in another month, clamped to that month's length
+function addMonths(dateStr, months) {
+  const { year, month, day } = dateParts(dateStr);
+  const index = year * 12 + month + months;
+  const first = `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}-01`;
+  const { end } = monthRange(first);
+  return addDays(first, Math.min(day, dateParts(end).day) - 1);
+}
+
 export function navigateCalendar(direction) {
-  this.calendar.currentDate.setMonth(this.calendar.currentDate.getMonth() + direction);
+  this.calendar.currentDate = addMonths(this.calendar.currentDate || this.getLocalDateString(), direction);
   this.renderCalendar();
 }
 
 export function goToTodayCalendar() {
-  this.calendar.currentDate = new Date();
+  this.calendar.currentDate = this.getLocalDateString();
   this.calendar.selectedDate = this.getLocalDateString();
   this.renderCalendar();
   this.renderCalendarDetail(this.calendar.selectedDate);
 }
 
 export function renderCalendar() {
+  if (!this.calendar.currentDate) this.calendar.currentDate = this.getLocalDateString();
+
   // Bind view toggle buttons
   this.bindCalendarViewToggle();
 
@@ -50,8 +71,7 @@ export function bindCalendarViewToggle() {
 }
 
 export function renderCalendarMonthView() {
-  const year = this.calendar.currentDate.getFullYear();
-  const month = this.calendar.currentDate.getMonth();
+  const { year, month } = dateParts(this.calendar.currentDate);
 
   // Update title
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
@@ -59,25 +79,20 @@ export function renderCalendarMonthView() {
   document.getElementById('calendar-month').textContent = `${monthNames[month]} ${year}`;
 
   // Get first and last day of month
-  const firstDay = new Date(year, month, 1);
-  const lastDay = new Date(year, month + 1, 0);
-  const startDate = new Date(firstDay);
-  startDate.setDate(startDate.getDate() - firstDay.getDay());
-
-  const endDate = new Date(lastDay);
-  endDate.setDate(endDate.getDate() + (6 - lastDay.getDay()));
+  const { start: firstDay, end: lastDay } = monthRange(this.calendar.currentDate);
+  const startDate = addDays(firstDay, -dayOfWeek(firstDay));
+  const endDate = addDays(lastDay, 6 - dayOfWeek(lastDay));
 
   const grid = document.getElementById('calendar-grid');
   grid.innerHTML = '';
 
   const today = this.getLocalDateString();
   const tasks = this.getAllTasks(true);
+  const recurring = this.getRecurringInstances(startDate, endDate);
 
   // Build day data
-  const currentDate = new Date(startDate);
-  while (currentDate <= endDate) {
-    const dateStr = this.getLocalDateString(currentDate);
-    const isCurrentMonth = currentDate.getMonth() === month;
+  for (let dateStr = startDate; dateStr <= endDate; dateStr = addDays(dateStr, 1)) {
+    const isCurrentMonth = dateParts(dateStr).month === month;
     const isToday = dateStr === today;
     const isSelected = dateStr === this.calendar.selectedDate;
 
@@ -85,6 +100,7 @@ export function renderCalendarMonthView() {
     const dueTasks = tasks.filter(t => t.dueDate === dateStr && t.status !== 'done');
     const completedTasks = tasks.filter(t => t.completedAt && this.isoToLocalDate(t.completedAt) === dateStr);
     const overdueTasks = tasks.filter(t => t.dueDate === dateStr && t.dueDate < today && t.status !== 'done');
+    const repeats = recurring.filter(r => r.date === dateStr);
 
     const dayEl = document.createElement('div');
     dayEl.className = 'calendar-day';
@@ -104,17 +120,21 @@ export function renderCalendarMonthView() {
     if (completedTasks.length > 0) {
       indicatorsHtml += '<span class="day-indicator completed"></span>';
     }
+    if (repeats.length > 0) {
+      indicatorsHtml += '<span class="day-indicator repeat"></span>';
+    }
 
     let statsHtml = '';
-    if (completedTasks.length > 0 || dueTasks.length > 0) {
+    if (completedTasks.length > 0 || dueTasks.length > 0 || repeats.length > 0) {
       const parts = [];
       if (completedTasks.length > 0) parts.push(`${completedTasks.length} done`);
       if (dueTasks.length > 0) parts.push(`${dueTasks.length} due`);
+      if (repeats.length > 0) parts.push(`${repeats.length} repeating`);
       statsHtml = `<span class="day-stats">${parts.join(', ')}</span>`;
     }
 
     dayEl.innerHTML = `
-      <span class="day-number">${currentDate.getDate()}</span>
+      <span class="day-number">${dateParts(dateStr).day}</span>
       <div class="day-indicators">${indicatorsHtml}</div>
       ${statsHtml}
     `;
@@ -127,24 +147,21 @@ export function renderCalendarMonthView() {
     });
 
     grid.appendChild(dayEl);
-    currentDate.setDate(currentDate.getDate() + 1);
   }
 }
 
 export function renderCalendarWeekView() {
-  const weekStart = new Date(this.calendar.currentDate);
-  weekStart.setDate(weekStart.getDate() - weekStart.getDay()); // Start on Sunday
-
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekEnd.getDate() + 6);
+  const { start: weekStart, end: weekEnd } = weekRange(this.calendar.currentDate); // Sunday to Saturday
+  const first = dateParts(weekStart);
+  const last = dateParts(weekEnd);
 
   // Update title
   const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const startMonth = monthNames[weekStart.getMonth()];
-  const endMonth = monthNames[weekEnd.getMonth()];
+  const startMonth = monthNames[first.month];
+  const endMonth = monthNames[last.month];
   const title = startMonth === endMonth
-    ? `${startMonth} ${weekStart.getDate()} - ${weekEnd.getDate()}, ${weekEnd.getFullYear()}`
-    : `${startMonth} ${weekStart.getDate()} - ${endMonth} ${weekEnd.getDate()}, ${weekEnd.getFullYear()}`;
+    ? `${startMonth} ${first.day} - ${last.day}, ${last.year}`
+    : `${startMonth} ${first.day} - ${endMonth} ${last.day}, ${last.year}`;
   document.getElementById('calendar-month').textContent = title;
 
   const headerContainer = document.getElementById('week-header');
@@ -153,22 +170,38 @@ export function renderCalendarWeekView() {
   const tasks = this.getAllTasks(true);
   const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
+  // Scheduled time against each day's capacity, flagged when it doesn't fit
+  const scheduling = getSchedulingSettings(this.data.settings);
+  const weekDates = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  const capacity = capacityReport(this.getAllTasks(), weekDates, this.data.settings);
+
   // Build header with day columns
   let headerHtml = '<div class="week-time-column"></div>';
   for (let i = 0; i < 7; i++) {
-    const date = new Date(weekStart);
-    date.setDate(date.getDate() + i);
-    const dateStr = this.getLocalDateString(date);
+    const dateStr = weekDates[i];
     const isToday = dateStr === today;
+    const day = capacity[i];
+    const warning = capacityWarning(day);
+    const title = warning ? `${describeDay(day, scheduling)}\n${warning}` : describeDay(day, scheduling);
     headerHtml += `
-      <div class="week-day-header ${isToday ? 'today' : ''}" data-date="${dateStr}">
+      <div class="week-day-header ${isToday ? 'today' : ''} ${day.dayOff ? 'day-off' : ''} ${warning ? 'over-capacity' : ''}" data-date="${dateStr}" title="${this.escapeHtml(title)}">
         <span class="week-day-name">${dayNames[i]}</span>
-        <span class="week-day-date">${date.getDate()}</span>
+        <span class="week-day-date">${dateParts(dateStr).day}</span>
+        ${day.planned > 0 ? `<span class="week-day-load">${Math.round(day.planned / 6) / 10}h / ${Math.round(day.capacity / 6) / 10}h</span>` : ''}
       </div>
     `;
   }
   headerContainer.innerHTML = headerHtml;
 
+  // Meetings from other calendars: all-day ones under the day name, timed ones on the grid
+  const busyBlocks = this.getBusyBlocks(weekStart, weekEnd);
+  busyBlocks.filter(b => b.allDay).forEach(block => {
+    const header = headerContainer.querySelector(`.week-day-header[data-date="${block.date}"]`);
+    if (header) {
+      header.insertAdjacentHTML('beforeend', `<span class="busy-allday" style="--busy-color: ${block.color || ''}" title="${busyBlockTitle(this, block)}">${this.escapeHtml(block.title)}</span>`);
+    }
+  });
+
   // Build time grid (6am - 10pm, 15-minute slots)
   let gridHtml = '';
   for (let hour = 6; hour <= 22; hour++) {
@@ -179,9 +212,7 @@ export function renderCalendarWeekView() {
       gridHtml += `<div class="week-time-slot">${displayTime}</div>`;
 
       for (let day = 0; day < 7; day++) {
-        const date = new Date(weekStart);
-        date.setDate(date.getDate() + day);
-        const dateStr = this.getLocalDateString(date);
+        const dateStr = weekDates[day];
         const isToday = dateStr === today;
 
         gridHtml += `
@@ -195,11 +226,24 @@ export function renderCalendarWeekView() {
   }
   gridContainer.innerHTML = gridHtml;
 
+  busyBlocks.filter(b => !b.allDay).forEach(block => {
+    const place = placeBusyBlock(block);
+    const cell = place && gridContainer.querySelector(`[data-date="${block.date}"][data-time="${place.time}"]`);
+    if (cell) {
+      cell.insertAdjacentHTML('beforeend', `
+        <div class="week-busy-block" style="height: ${place.slots * 20}px; --busy-color: ${block.color || ''}" title="${busyBlockTitle(this, block)}">
+          <span class="week-task-name">${this.escapeHtml(block.title)}</span>
+        </div>
+      `);
+    }
+  });
+
+  // Future instances of recurring tasks are drawn as faded blocks
+  const recurring = this.getRecurringInstances(weekStart, weekEnd);
+
   // Render scheduled tasks on the grid
   for (let day = 0; day < 7; day++) {
-    const date = new Date(weekStart);
-    date.setDate(date.getDate() + day);
-    const dateStr = this.getLocalDateString(date);
+    const dateStr = weekDates[day];
 
     const dayTasks = tasks.filter(t =>
       (t.scheduledDate === dateStr || t.dueDate === dateStr) &&
@@ -207,13 +251,15 @@ export function renderCalendarWeekView() {
       t.status !== 'done'
     );
 
-    dayTasks.forEach(task => {
+    const repeats = recurring.filter(r => r.date === dateStr && r.task.scheduledTime).map(r => r.task);
+
+    [...dayTasks, ...repeats].forEach((task, index) => {
       const cell = gridContainer.querySelector(`[data-date="${dateStr}"][data-time="${task.scheduledTime}"]`);
       if (cell) {
         const duration = task.estimatedMinutes || 30;
         const slots = Math.ceil(duration / 15);
         const taskEl = document.createElement('div');
-        taskEl.className = `week-task-block priority-${task.priority || 'none'}`;
+        taskEl.className = `week-task-block priority-${task.priority || 'none'}${index >= dayTasks.length ? ' recurring-instance' : ''}`;
         taskEl.style.height = `${slots * 20}px`;
         taskEl.innerHTML = `<span class="week-task-name">${this.escapeHtml(task.name)}</span>`;
         taskEl.dataset.taskId = task.id;
@@ -246,8 +292,9 @@ export function renderCalendarWeekView() {
 }
 
 export function renderCalendarDayView() {
-  const currentDate = new Date(this.calendar.currentDate);
-  const dateStr = this.getLocalDateString(currentDate);
+  const dateStr = this.calendar.currentDate;
+  const { month, day } = dateParts(dateStr);
+  const weekday = dayOfWeek(dateStr);
   const today = this.getLocalDateString();
   const isToday = dateStr === today;
 
@@ -255,7 +302,7 @@ export function renderCalendarDayView() {
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                       'July', 'August', 'September', 'October', 'November', 'December'];
-  const title = `${dayNames[currentDate.getDay()]}, ${monthNames[currentDate.getMonth()]} ${currentDate.getDate()}`;
+  const title = `${dayNames[weekday]}, ${monthNames[month]} ${day}`;
   document.getElementById('calendar-month').textContent = title;
 
   const headerContainer = document.getElementById('day-header');
@@ -266,8 +313,8 @@ export function renderCalendarDayView() {
   // Day header
   headerContainer.innerHTML = `
     <div class="day-header-content ${isToday ? 'today' : ''}">
-      <span class="day-header-date">${currentDate.getDate()}</span>
-      <span class="day-header-label">${isToday ? 'Today' : dayNames[currentDate.getDay()]}</span>
+      <span class="day-header-date">${day}</span>
+      <span class="day-header-label">${isToday ? 'Today' : dayNames[weekday]}</span>
     </div>
   `;
 
@@ -277,6 +324,15 @@ export function renderCalendarDayView() {
   );
   const scheduledTasks = dayTasks.filter(t => t.scheduledTime);
   const unscheduledTasks = dayTasks.filter(t => !t.scheduledTime);
+  const repeats = this.getRecurringInstances(dateStr, dateStr).map(r => r.task);
+  const busyBlocks = this.getBusyBlocks(dateStr);
+
+  const allDayBusy = busyBlocks.filter(b => b.allDay);
+  if (allDayBusy.length > 0) {
+    headerContainer.querySelector('.day-header-content').insertAdjacentHTML('beforeend', allDayBusy.map(block =>
+      `<span class="busy-allday" style="--busy-color: ${block.color || ''}" title="${busyBlockTitle(this, block)}">${this.escapeHtml(block.title)}</span>`
+    ).join(''));
+  }
 
   // Build timeline (6am - 10pm, 15-minute slots)
   let timelineHtml = '';
@@ -296,14 +352,29 @@ export function renderCalendarDayView() {
   }
   timelineContainer.innerHTML = timelineHtml;
 
-  // Render scheduled tasks
-  scheduledTasks.forEach(task => {
+  // Meetings from other calendars sit behind the tasks and can't be moved
+  busyBlocks.filter(b => !b.allDay).forEach(block => {
+    const place = placeBusyBlock(block);
+    const slot = place && timelineContainer.querySelector(`.day-time-slot[data-time="${place.time}"]`);
+    if (slot) {
+      slot.insertAdjacentHTML('beforeend', `
+        <div class="day-busy-block" style="height: ${place.slots * 24 - 4}px; --busy-color: ${block.color || ''}" title="${busyBlockTitle(this, block)}">
+          <div class="day-task-name">${this.escapeHtml(block.title)}</div>
+          <div class="day-task-time">${block.start}–${block.end} · ${this.escapeHtml(block.calendarName)}</div>
+        </div>
+      `);
+    }
+  });
+
+  // Render scheduled tasks, then faded future instances of recurring ones
+  const timedRepeats = repeats.filter(t => t.scheduledTime);
+  [...scheduledTasks, ...timedRepeats].forEach((task, index) => {
     const slot = timelineContainer.querySelector(`.day-time-slot[data-time="${task.scheduledTime}"]`);
     if (slot) {
       const duration = task.estimatedMinutes || 30;
       const slots = Math.ceil(duration / 15);
       const taskEl = document.createElement('div');
-      taskEl.className = `day-task-block priority-${task.priority || 'none'}`;
+      taskEl.className = `day-task-block priority-${task.priority || 'none'}${index >= scheduledTasks.length ? ' recurring-instance' : ''}`;
       taskEl.style.height = `${slots * 24 - 4}px`;
       taskEl.innerHTML = `
         <div class="day-task-name">${this.escapeHtml(task.name)}</div>
@@ -316,7 +387,8 @@ export function renderCalendarDayView() {
   });
 
   // Render unscheduled tasks
-  if (unscheduledTasks.length > 0) {
+  const untimedRepeats = repeats.filter(t => !t.scheduledTime);
+  if (unscheduledTasks.length > 0 || untimedRepeats.length > 0) {
     unscheduledContainer.innerHTML = `
       <div class="day-unscheduled-header">
         <span>Unscheduled (${unscheduledTasks.length})</span>
@@ -331,11 +403,19 @@ export function renderCalendarDayView() {
             <span class="day-task-duration">${task.estimatedMinutes || 30}m</span>
           </div>
         `).join('')}
+        ${untimedRepeats.map(task => `
+          <div class="day-unscheduled-task recurring-instance priority-${task.priority || 'none'}"
+               data-task-id="${task.id}"
+               title="${this.escapeHtml(this.formatRecurrence(task))}">
+            <span class="day-task-name">↻ ${this.escapeHtml(task.name)}</span>
+            <span class="day-task-duration">${task.estimatedMinutes || 30}m</span>
+          </div>
+        `).join('')}
       </div>
     `;
 
     // Bind drag events for unscheduled tasks
-    unscheduledContainer.querySelectorAll('.day-unscheduled-task').forEach(item => {
+    unscheduledContainer.querySelectorAll('.day-unscheduled-task[draggable="true"]').forEach(item => {
       item.addEventListener('dragstart', (e) => {
         e.dataTransfer.setData('text/plain', item.dataset.taskId);
         item.classList.add('dragging');
@@ -343,6 +423,9 @@ export function renderCalendarDayView() {
       item.addEventListener('dragend', () => item.classList.remove('dragging'));
       item.addEventListener('click', () => this.openDetailPanel(item.dataset.taskId));
     });
+    unscheduledContainer.querySelectorAll('.day-unscheduled-task.recurring-instance').forEach(item => {
+      item.addEventListener('click', () => this.openDetailPanel(item.dataset.taskId));
+    });
   } else {
     unscheduledContainer.innerHTML = '';
   }
@@ -382,11 +465,12 @@ export function renderCalendarDetail(dateStr) {
 
   const dueTasks = tasks.filter(t => t.dueDate === dateStr);
   const completedTasks = tasks.filter(t => t.completedAt && this.isoToLocalDate(t.completedAt) === dateStr);
+  const repeats = this.getRecurringInstances(dateStr, dateStr).map(r => r.task);
 
   const date = new Date(dateStr + 'T00:00:00');
   const dateLabel = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
 
-  if (dueTasks.length === 0 && completedTasks.length === 0) {
+  if (dueTasks.length === 0 && completedTasks.length === 0 && repeats.length === 0) {
     detail.innerHTML = `
       <div class="calendar-detail-header">
         <span class="calendar-detail-date">${dateLabel}</span>
@@ -448,9 +532,46 @@ export function renderCalendarDetail(dateStr) {
     html += '</div></div>';
   }
 
+  if (repeats.length > 0) {
+    html += `
+      <div class="calendar-section">
+        <div class="calendar-section-title">Repeats</div>
+        <div class="calendar-task-list">
+    `;
+    repeats.forEach(t => {
+      const project = this.data.projects.find(p => p.tasks.some(pt => pt.id === t.id));
+      html += `
+        <div class="calendar-task-item recurring-instance" title="${this.escapeHtml(this.formatRecurrence(t))}">
+          <span class="calendar-task-status due"></span>
+          <span class="calendar-task-name">↻ ${this.escapeHtml(t.name)}</span>
+          ${project && !project.isInbox ? `<span class="calendar-task-project">${this.escapeHtml(project.name)}</span>` : ''}
+        </div>
+      `;
+    });
+    html += '</div></div>';
+  }
+
   detail.innerHTML = html;
 }
 
+// Where a busy block goes on a 15-minute grid starting at firstHour:
+// { time, slots } or null when it's outside the hours shown
+function placeBusyBlock(block, firstHour = 6, lastHour = 22) {
+  const gridStart = firstHour * 60;
+  const gridEnd = (lastHour + 1) * 60;
+  const start = Math.max(block.startMinutes, gridStart);
+  const end = Math.min(block.endMinutes, gridEnd);
+  if (end <= start) return null;
+  const slotStart = Math.floor(start / 15) * 15;
+  const time = `${String(Math.floor(slotStart / 60)).padStart(2, '0')}:${String(slotStart % 60).padStart(2, '0')}`;
+  return { time, slots: Math.max(1, Math.ceil((end - slotStart) / 15)) };
+}
+
+function busyBlockTitle(app, block) {
+  const when = block.allDay ? 'All day' : `${block.start}–${block.end}`;
+  return app.escapeHtml(`${block.title} · ${when} · ${block.calendarName}${block.location ? ` · ${block.location}` : ''}`).replace(/"/g, '&quot;');
+}
+
 export function renderDualTrackTimeline() {
   const timelineBody = document.getElementById('timeline-body');
   const emptyState = document.getElementById('cc-schedule-empty');
@@ -460,9 +581,9 @@ export function renderDualTrackTimeline() {
   if (!timelineBody || !timeline) return;
 
   const today = this.getLocalDateString();
-  const now = new Date();
-  const currentHour = now.getHours();
-  const currentMinute = now.getMinutes();
+  const nowMinutes = this.getNowMinutes();
+  const currentHour = Math.floor(nowMinutes / 60);
+  const currentMinute = nowMinutes % 60;
 
   // Get all tasks for today (scheduled or due)
   const allTodayTasks = this.getAllTasks().filter(t =>
@@ -472,6 +593,14 @@ export function renderDualTrackTimeline() {
   // Get focus queue for task picker
   const focusQueue = this.getFocusTaskQueue();
 
+  // Meetings from other calendars, drawn read-only behind the tasks
+  const busyBlocks = this.getBusyBlocks(today);
+  const busyByTime = {};
+  busyBlocks.filter(b => !b.allDay).forEach(block => {
+    const place = placeBusyBlock(block);
+    if (place) (busyByTime[place.time] = busyByTime[place.time] || []).push({ block, place });
+  });
+
   // Always show timeline - users can click to schedule even if empty
   timeline.style.display = 'block';
   emptyState?.classList.remove('visible');
@@ -510,10 +639,18 @@ export function renderDualTrackTimeline() {
       // Single track mode - all tasks in one column
       const slotTasks = allTodayTasks.filter(inSlot);
 
+      const slotBusy = (busyByTime[timeSlot] || []).map(({ block, place }) => `
+        <div class="timeline-busy" style="height: ${place.slots * 36 - 4}px; --busy-color: ${block.color || ''}" title="${busyBlockTitle(this, block)}">
+          <span class="timeline-busy-name">${this.escapeHtml(block.title)}</span>
+          <span class="timeline-busy-time">${block.start}–${block.end}</span>
+        </div>
+      `).join('');
+
       html += `
         <div class="${rowClass}" data-hour="${hour}" data-minute="${minute}" data-time="${timeSlot}">
           <div class="timeline-time">${displayTime}</div>
           <div class="timeline-track drop-zone" data-time="${timeSlot}" data-track="schedule">
+            ${slotBusy}
             ${this.renderTimelineTasks(slotTasks, 'schedule', isPast, isCurrent, currentMinute)}
           </div>
         </div>
@@ -521,6 +658,13 @@ export function renderDualTrackTimeline() {
     }
   }
 
+  const allDayBusy = busyBlocks.filter(b => b.allDay);
+  if (allDayBusy.length > 0) {
+    html = `<div class="timeline-allday-busy">${allDayBusy.map(block =>
+      `<span class="busy-allday" style="--busy-color: ${block.color || ''}" title="${busyBlockTitle(this, block)}">${this.escapeHtml(block.title)}</span>`
+    ).join('')}</div>` + html;
+  }
+
   timelineBody.innerHTML = html;
 
   // Position NOW indicator
@@ -1,23 +1,55 @@
 // renderer/data.js — Data management, CRUD, projects, categories, tags, dependencies
 
+import { buildNextOccurrence } from '../shared/recurrence.js';
+import { reconcile } from '../shared/reconcile.js';
+
 // ──────────────────────────────────────────────
 // Data Persistence
 // ──────────────────────────────────────────────
 
-export async function saveData() {
+// `meta` labels the save in the operation log, e.g. { tool: 'rollover', label: '...' }
+export async function saveData(meta = null) {
+  const snapshot = JSON.stringify(this.data);
+  this._pendingSaves = (this._pendingSaves || 0) + 1;
   try {
-    await window.api.saveData(this.data);
+    const result = await window.api.saveData(this.data, meta);
+    if (result && result.success && !result.merged) {
+      this.data.revision = result.revision;
+      this._syncedJson = snapshot;
+    } else if (result && (result.merged || result.conflict)) {
+      // Another process (e.g. Claude via MCP) changed the file underneath us.
+      // Merged against what was sent, so edits made since are kept; on a
+      // conflict the other side's values win for what was sent.
+      const remote = await window.api.loadData();
+      mergeRemote(this, JSON.parse(snapshot), remote);
+      this.render();
+      if (result.conflict) {
+        this.showToast('Your change conflicted with an edit made elsewhere — loaded the latest data', 4000);
+      }
+    } else if (result && !result.success) {
+      throw new Error(result.error);
+    }
     this.rebuildTaskIndex();
   } catch (err) {
     console.error('Failed to save data:', err);
     this.showToast('Failed to save data', 3000);
+  } finally {
+    this._pendingSaves--;
+    if (this._pendingSaves === 0 && this._externalChangePending) {
+      this.applyExternalChanges();
+    }
   }
 }
 
+export async function reloadData() {
+  this.data = await window.api.loadData();
+  this._syncedJson = JSON.stringify(this.data);
+  this.rebuildTaskIndex();
+}
+
 export async function refreshData() {
   try {
-    this.data = await window.api.loadData();
-    this.rebuildTaskIndex();
+    await this.reloadData();
     this.render();
     this.showToast('Data refreshed');
   } catch (err) {
@@ -26,6 +58,66 @@ export async function refreshData() {
   }
 }
 
+// Called when the data file changed on disk (MCP tool, quick capture, sync).
+// Merges the new data into this.data in place: fields edited locally since the
+// last save are kept, task objects keep their identity so open panels and the
+// focus queue stay valid, and the current selection is restored after render.
+export async function applyExternalChanges() {
+  if (this._pendingSaves > 0) {
+    // The in-flight save will merge on the main side; re-check once it lands
+    this._externalChangePending = true;
+    return;
+  }
+  this._externalChangePending = false;
+
+  let remote;
+  try {
+    remote = await window.api.loadData();
+  } catch (err) {
+    console.error('Failed to load external changes:', err);
+    return;
+  }
+  if (!remote || (remote.revision || 0) <= (this.data.revision || 0)) return;
+
+  mergeRemote(this, this._syncedJson ? JSON.parse(this._syncedJson) : {}, remote);
+
+  // Keep Today's active list in step with the persisted one
+  this.todayView.workingOnTaskIds = (this.data.workingOnTaskIds || []).filter(id => this.findTask(id));
+
+  const selectedId = this.selectedTaskId;
+  const detailTaskId = this.selectedTask?.id;
+  this.render();
+
+  if (selectedId) {
+    const el = this.getVisibleTasks().find(e => (e.dataset.taskId || e.dataset.id) === selectedId);
+    if (el) this.selectTask(selectedId, el);
+  }
+
+  const panel = document.getElementById('detail-panel');
+  if (detailTaskId && panel?.classList.contains('open')) {
+    if (!this.findTask(detailTaskId)) {
+      this.closeDetailPanel();
+    } else if (panel.contains(document.activeElement)) {
+      // Don't rebuild the panel under the user's cursor
+      this.selectedTask = this.findTask(detailTaskId);
+    } else {
+      this.openDetailPanel(detailTaskId);
+    }
+  }
+}
+
+// Merge `remote` into app.data (see shared/reconcile.js) and take its revision
+function mergeRemote(app, base, remote) {
+  const dropped = reconcile(app.data, base, remote);
+  app.data.revision = remote.revision;
+  app._syncedJson = JSON.stringify(remote);
+  app.rebuildTaskIndex();
+  if (dropped.length > 0) {
+    const what = dropped.length === 1 ? `"${dropped[0].name || 'An item'}" was` : `${dropped.length} items you edited were`;
+    app.showToast(`${what} deleted elsewhere — your unsaved changes to it were dropped`, 5000);
+  }
+}
+
 export async function exportData() {
   await window.api.exportData(this.data);
   this.closeModal('settings-modal');
@@ -34,6 +126,8 @@ export async function exportData() {
 export async function importData() {
   const data = await window.api.importData();
   if (data) {
+    // Imported data replaces everything, so base it on the current revision
+    data.revision = this.data.revision;
     this.data = data;
     await this.saveData();
     this.applyFontScale();
@@ -67,6 +161,7 @@ export function createTask(taskData) {
     // Parallel execution field
     executionType: taskData.executionType || 'manual',  // 'ai' | 'manual' | 'hybrid'
     tags: taskData.tags || [],
+    recurrence: taskData.recurrence || null,  // Repeat rule, see shared/recurrence.js
     subtasks: [],
     parentId: taskData.parentId || null,
     createdAt: new Date().toISOString(),
@@ -101,6 +196,7 @@ export function createTask(taskData) {
 export function updateTask(taskId, updates) {
   const task = this.findTask(taskId);
   if (task) {
+    const wasDone = task.status === 'done';
     Object.assign(task, updates);
     task.updatedAt = new Date().toISOString();
     if (updates.status === 'done' && !task.completedAt) {
@@ -108,11 +204,35 @@ export function updateTask(taskId, updates) {
     } else if (updates.status !== 'done') {
       task.completedAt = null;
     }
+    if (task.status === 'done' && !wasDone) {
+      this.spawnNextOccurrence(task);
+    }
     this.saveData();
   }
   return task;
 }
 
+// When a recurring task is completed, add its next instance right after it.
+// recurrenceNextId stops re-completing (after an un-check) from adding another.
+export function spawnNextOccurrence(task) {
+  if (!task.recurrence || task.parentId) return null;
+  if (task.recurrenceNextId && this.findTask(task.recurrenceNextId)) return null;
+
+  const nextTask = buildNextOccurrence(task, this.getLocalDateString(), () => this.generateId());
+  if (!nextTask) return null;
+
+  for (const project of this.data.projects) {
+    const index = project.tasks.indexOf(task);
+    if (index !== -1) {
+      project.tasks.splice(index + 1, 0, nextTask);
+      break;
+    }
+  }
+  task.recurrenceNextId = nextTask.id;
+  this._taskIndex.set(nextTask.id, nextTask);
+  return nextTask;
+}
+
 export function updateSubtask(parentTaskId, subtaskId, updates) {
   const parentTask = this.findTask(parentTaskId);
   if (parentTask && parentTask.subtasks) {
@@ -211,6 +331,7 @@ export function rebuildTaskIndex() {
       }
     }
   }
+  this.updateSearchIndex();
 }
 
 export function findTask(taskId) {
@@ -276,16 +397,15 @@ export function getFilteredTasks() {
       } else if (this.currentView.startsWith('tag-')) {
         const tagId = this.currentView.replace('tag-', '');
         tasks = this.getAllTasks().filter(t => t.tags.includes(tagId));
+      } else if (this.currentView.startsWith('smart-')) {
+        tasks = this.getSmartListTasks(this.currentView.replace('smart-', ''));
       }
   }
 
-  // Apply search filter
-  if (this.searchQuery) {
-    const query = this.searchQuery.toLowerCase();
-    tasks = tasks.filter(t =>
-      t.name.toLowerCase().includes(query) ||
-      t.description.toLowerCase().includes(query)
-    );
+  // Apply search filter: full-text, so it also finds notes, learnings and word
+  // forms, plus plain substring matches in the name or description
+  if (this.searchQuery.trim()) {
+    tasks = this.filterTasksBySearch(tasks, this.searchQuery);
   }
 
   // Apply status filter
@@ -16,6 +16,11 @@ export function bindEvents() {
     this.searchQuery = e.target.value;
     this.renderTasks();
   });
+  document.getElementById('search-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.value.trim()) {
+      this.openSearchView(e.target.value);
+    }
+  });
 
   // Sort and filter
   document.getElementById('sort-select').addEventListener('change', (e) => {
@@ -36,6 +41,7 @@ export function bindEvents() {
 
   // Add tag button
   document.getElementById('add-tag-btn').addEventListener('click', () => this.openTagModal());
+  document.getElementById('add-smart-list-btn').addEventListener('click', () => this.openSmartListModal());
 
   // Refresh data button
   document.getElementById('refresh-data-btn').addEventListener('click', () => this.refreshData());
@@ -60,13 +66,111 @@ export function bindEvents() {
   document.getElementById('settings-btn').addEventListener('click', () => {
     this.loadNotionConfig();
     this.updateFontSizeDisplay();
+    this.updateBackupRetentionInputs();
+    this.updateTimeZoneSetting();
+    this.updateSchedulingSettings();
+    this.updateRolloverSettings();
+    this.updateAISettings();
+    this.updateIcsFeedSettings();
+    this.updateRestApiSettings();
+    this.renderExternalCalendarSettings();
+    this.renderWebhookSettings();
+    this.renderSmartListSettings();
     this.openModal('settings-modal');
   });
 
+  // Backups
+  document.getElementById('backups-open-btn')?.addEventListener('click', () => this.openBackups());
+  document.getElementById('backup-now-btn')?.addEventListener('click', () => this.createBackupNow());
+  ['hourly', 'daily', 'weekly'].forEach(tier => {
+    document.getElementById(`backup-keep-${tier}`)?.addEventListener('change', (e) => {
+      this.setBackupRetention(tier, e.target.value);
+    });
+  });
+
+  document.getElementById('timezone-select')?.addEventListener('change', (e) => this.setTimeZone(e.target.value));
+
+  // Scheduling (Plan My Day)
+  [
+    ['scheduling-work-start', 'workStart'],
+    ['scheduling-work-end', 'workEnd'],
+    ['scheduling-buffer', 'bufferMinutes'],
+    ['scheduling-focus-windows', 'focusWindows'],
+    ['scheduling-capacity', 'capacityMinutes'],
+    ['scheduling-days-off', 'daysOff']
+  ].forEach(([id, key]) => {
+    document.getElementById(id)?.addEventListener('change', (e) => this.setSchedulingSetting(key, e.target.value));
+  });
+  document.getElementById('scheduling-calibrate')?.addEventListener('change', (e) => {
+    this.setSchedulingSetting('calibrateEstimates', e.target.checked);
+  });
+  document.getElementById('scheduling-weekdays')?.addEventListener('change', (e) => {
+    const row = e.target.closest('.scheduling-weekday');
+    if (row) this.setSchedulingWeekday(Number(row.dataset.day));
+  });
+
+  // Rollover policy and review
+  document.getElementById('rollover-mode')?.addEventListener('change', (e) => this.setRolloverSetting('mode', e.target.value));
+  document.getElementById('rollover-move-due')?.addEventListener('change', (e) => this.setRolloverSetting('moveDueDates', e.target.checked));
+  document.getElementById('rollover-inbox-after')?.addEventListener('change', (e) => this.setRolloverSetting('inboxAfter', e.target.value));
+  document.getElementById('rollover-apply-all')?.addEventListener('click', () => this.applyRolloverSuggestions());
+  document.getElementById('rollover-body')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-decision]');
+    const item = btn?.closest('.rollover-item');
+    if (item) this.decideRollover(item.dataset.taskId, btn.dataset.decision);
+  });
+
+  // AI assistant
+  [
+    ['ai-provider', 'provider'],
+    ['ai-base-url', 'baseUrl'],
+    ['ai-model', 'model'],
+    ['ai-api-key', 'apiKey']
+  ].forEach(([id, key]) => {
+    document.getElementById(id)?.addEventListener('change', (e) => this.setAISetting(key, e.target.value));
+  });
+  document.getElementById('ai-test-btn')?.addEventListener('click', () => this.testAIConnection());
+
+  // Calendar export and feed
+  document.getElementById('export-ics-btn')?.addEventListener('click', () => this.exportCalendarIcs());
+  document.getElementById('calendar-export-ics')?.addEventListener('click', () => this.exportCalendarIcs());
+  document.getElementById('ics-feed-enabled')?.addEventListener('change', (e) => this.setIcsFeedEnabled(e.target.checked));
+  document.getElementById('ics-feed-port')?.addEventListener('change', (e) => this.setIcsFeedPort(e.target.value));
+  document.getElementById('ics-feed-copy-btn')?.addEventListener('click', () => this.copyIcsFeedUrl());
+  document.getElementById('ics-feed-regenerate-btn')?.addEventListener('click', () => this.regenerateIcsFeedToken());
+
+  // Local REST API
+  document.getElementById('rest-api-enabled')?.addEventListener('change', (e) => this.setRestApiEnabled(e.target.checked));
+  document.getElementById('rest-api-port')?.addEventListener('change', (e) => this.setRestApiPort(e.target.value));
+  document.getElementById('rest-api-copy-url-btn')?.addEventListener('click', () => this.copyRestApiValue('url'));
+  document.getElementById('rest-api-copy-token-btn')?.addEventListener('click', () => this.copyRestApiValue('token'));
+  document.getElementById('rest-api-regenerate-btn')?.addEventListener('click', () => this.regenerateRestApiToken());
+
+  // Other calendars (busy time)
+  document.getElementById('external-calendar-add-btn')?.addEventListener('click', () => this.addExternalCalendar());
+  document.getElementById('external-calendar-browse-btn')?.addEventListener('click', () => this.browseExternalCalendarFile());
+  document.getElementById('external-calendar-refresh-btn')?.addEventListener('click', () => this.refreshExternalCalendarsNow());
+  document.getElementById('external-calendar-source')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') this.addExternalCalendar();
+  });
+
+  // Webhooks
+  document.getElementById('webhook-add-btn')?.addEventListener('click', () => this.addWebhook());
+  document.getElementById('webhook-retry-btn')?.addEventListener('click', () => this.retryWebhooksNow());
+  document.getElementById('webhook-clear-log-btn')?.addEventListener('click', () => this.clearWebhookLog());
+
+  // Plan My Day (auto-schedule preview)
+  document.getElementById('auto-schedule-accept')?.addEventListener('click', () => this.acceptAutoSchedule());
+  document.getElementById('auto-schedule-copy-prompt')?.addEventListener('click', () => this.copyPlanMyDayPrompt());
+  document.querySelectorAll('.auto-schedule-range button').forEach(btn => {
+    btn.addEventListener('click', () => this.setAutoScheduleRange(btn.dataset.range));
+  });
+
   // Notion sync buttons
   document.getElementById('notion-connect-btn')?.addEventListener('click', () => this.openNotionSetup());
   document.getElementById('notion-sync-btn')?.addEventListener('click', () => this.triggerNotionSync());
   document.getElementById('notion-disconnect-btn')?.addEventListener('click', () => this.disconnectNotion());
+  document.getElementById('notion-conflicts-btn')?.addEventListener('click', () => this.openNotionConflicts());
   document.getElementById('sidebar-notion-sync-btn')?.addEventListener('click', () => this.triggerNotionSync());
 
   // Notion setup modal steps
@@ -167,12 +271,29 @@ export function bindEvents() {
     deleteCategoryBtn.addEventListener('click', () => this.confirmDeleteCategory());
   }
 
+  // Smart list form
+  document.getElementById('smart-list-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    this.saveSmartListForm();
+  });
+  document.getElementById('smart-list-query')?.addEventListener('input', () => this.updateSmartListPreview());
+  document.getElementById('delete-smart-list-btn')?.addEventListener('click', () => this.confirmDeleteSmartList());
+  document.getElementById('smart-list-new-btn')?.addEventListener('click', () => this.openSmartListModal());
+
   // Dependency modal
   const addBlockerBtn = document.getElementById('add-blocker-btn');
   if (addBlockerBtn) {
     addBlockerBtn.addEventListener('click', () => this.addBlockerFromModal());
   }
 
+  // Repeat controls in the task modal
+  ['task-repeat-type', 'task-repeat-interval', 'task-repeat-monthly-mode', 'task-repeat-until', 'task-due-date', 'task-scheduled-date'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => this.updateRepeatFields());
+  });
+  document.querySelectorAll('#task-repeat-days input').forEach(cb => {
+    cb.addEventListener('change', () => this.updateRepeatFields());
+  });
+
   // Duration preset buttons
   document.querySelectorAll('.duration-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -192,6 +313,10 @@ export function bindEvents() {
   // Export/Import
   document.getElementById('export-btn').addEventListener('click', () => this.exportData());
   document.getElementById('import-btn').addEventListener('click', () => this.importData());
+  document.getElementById('export-tasks-btn').addEventListener('click', () => this.openExportTasksModal());
+  document.getElementById('import-tasks-btn').addEventListener('click', () => this.openImportTasks());
+  document.getElementById('export-tasks-confirm').addEventListener('click', () => this.exportTasks());
+  document.getElementById('import-tasks-confirm').addEventListener('click', () => this.importTasks());
 
   // Font size controls (using delegation on settings modal)
   document.getElementById('settings-modal').addEventListener('click', (e) => {
@@ -235,6 +360,20 @@ export function bindEvents() {
   document.getElementById('focus-settings-close').addEventListener('click', () => this.toggleSettingsPanel(false));
   document.getElementById('settings-overlay').addEventListener('click', () => this.toggleSettingsPanel(false));
 
+  // Focus mode AI chat
+  document.getElementById('focus-ai-btn')?.addEventListener('click', () => this.toggleAIPanel());
+  document.querySelectorAll('.ai-chip').forEach(chip => {
+    chip.addEventListener('click', () => this.handleAISuggestion(chip.dataset.prompt));
+  });
+  document.getElementById('ai-send')?.addEventListener('click', () => this.sendAIMessage());
+  document.getElementById('ai-input')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') this.sendAIMessage();
+  });
+  document.getElementById('ai-chat')?.addEventListener('click', (e) => {
+    const button = e.target.closest('.ai-apply-subtasks');
+    if (button) this.applyAISubtasks(parseInt(button.dataset.index, 10));
+  });
+
   // Timer settings
   document.querySelectorAll('.setting-btn').forEach(btn => {
     btn.addEventListener('click', () => this.handleTimerSetting(btn.dataset.action));
@@ -463,10 +602,10 @@ export function bindEvents() {
       } else if (e.key === ' ' && !isInputFocused) {
         e.preventDefault();
         this.completeFocusTask();
-      } else if (e.key === 'ArrowRight' || (e.key === 'l' && !isInputFocused)) {
+      } else if ((e.key === 'ArrowRight' || e.key === 'l') && !isInputFocused) {
         e.preventDefault();
         this.focusNextTask();
-      } else if (e.key === 'ArrowLeft' || (e.key === 'h' && !isInputFocused)) {
+      } else if ((e.key === 'ArrowLeft' || e.key === 'h') && !isInputFocused) {
         e.preventDefault();
         this.focusPrevTask();
       } else if ((e.key === 't' || e.key === 'T') && !isInputFocused) {
@@ -475,6 +614,9 @@ export function bindEvents() {
       } else if ((e.key === 's' || e.key === 'S') && !isInputFocused) {
         e.preventDefault();
         this.skipFocusTask();
+      } else if ((e.key === 'a' || e.key === 'A') && !isInputFocused && !this.focusMode.minimized) {
+        e.preventDefault();
+        this.toggleAIPanel();
       } else if ((e.key === 'm' || e.key === 'M') && !isInputFocused) {
         e.preventDefault();
         if (this.focusMode.minimized) {
@@ -498,6 +640,13 @@ export function bindEvents() {
         return;
       }
 
+      if (((e.key === 'z' || e.key === 'Z') && (e.ctrlKey || e.metaKey) && e.shiftKey) ||
+          (e.key === 'y' && (e.ctrlKey || e.metaKey))) {
+        e.preventDefault();
+        this.redo();
+        return;
+      }
+
       if (e.key === 'n' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
         this.openTaskModal();
@@ -0,0 +1,166 @@
+// renderer/external-calendars.js — Other calendars (.ics) as read-only busy time, and their settings
+
+const CALENDAR_COLORS = ['#64748b', '#0ea5e9', '#8b5cf6', '#f59e0b', '#14b8a6', '#ec4899'];
+const BUSY_PREFETCH_DAYS = 7; // Fetched either side of the range asked for, so paging the calendar is instant
+
+function shiftDate(app, dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return app.getLocalDateString(date);
+}
+
+async function loadBusyBlocks(app, fromDate, toDate) {
+  const key = `${fromDate}|${toDate}`;
+  if (app._busyBlocksLoading === key) return;
+  app._busyBlocksLoading = key;
+  const from = shiftDate(app, fromDate, -BUSY_PREFETCH_DAYS);
+  const to = shiftDate(app, toDate, BUSY_PREFETCH_DAYS);
+  try {
+    const blocks = await window.api.getBusyBlocks(from, to);
+    app.busyBlocks = { fromDate: from, toDate: to, blocks: blocks || [] };
+  } catch (err) {
+    console.error('Failed to load calendar events:', err);
+    app.busyBlocks = { fromDate: from, toDate: to, blocks: [] };
+  } finally {
+    app._busyBlocksLoading = null;
+  }
+  app.refreshBusyViews();
+}
+
+/**
+ * Busy blocks from the user's other calendars between two dates. Served from
+ * what's loaded; if the range isn't loaded yet this returns [] and the views
+ * re-render once it is.
+ */
+export function getBusyBlocks(fromDate, toDate = fromDate) {
+  const cache = this.busyBlocks;
+  if (cache && cache.fromDate <= fromDate && cache.toDate >= toDate) {
+    return cache.blocks.filter(b => b.date >= fromDate && b.date <= toDate);
+  }
+  if (!(this.data.settings?.externalCalendars || []).some(c => c.enabled !== false)) return [];
+  loadBusyBlocks(this, fromDate, toDate);
+  return [];
+}
+
+export function refreshBusyViews() {
+  if (this.currentView === 'calendar' || this.currentView === 'upcoming') {
+    this.renderCalendar();
+  }
+  this.renderDualTrackTimeline();
+  this.renderTodayCapacity();
+}
+
+// Called at startup: reload whenever any process refreshes the calendars
+export function initExternalCalendars() {
+  window.api.onCalendarsChanged?.(() => {
+    this.busyBlocks = null;
+    this.refreshBusyViews();
+    if (document.getElementById('settings-modal')?.classList.contains('open')) {
+      this.renderExternalCalendarSettings();
+    }
+  });
+}
+
+// --- Settings ---
+
+export async function renderExternalCalendarSettings() {
+  const container = document.getElementById('external-calendar-list');
+  if (!container) return;
+  const calendars = this.data.settings?.externalCalendars || [];
+  if (calendars.length === 0) {
+    container.innerHTML = '<div class="external-calendar-empty">No calendars added</div>';
+    return;
+  }
+
+  const status = await window.api.getCalendarsStatus() || {};
+  container.innerHTML = calendars.map(cal => {
+    const s = status[cal.id];
+    let state = 'Not loaded yet';
+    if (s && s.error) {
+      state = `<span class="external-calendar-error">${this.escapeHtml(s.error)}</span>`;
+    } else if (s && s.fetchedAt) {
+      state = `${s.eventCount} events · updated ${this.formatRelativeTime(s.fetchedAt)}`;
+    }
+    const name = cal.name || (s && s.name) || cal.source.split(/[\\/]/).pop();
+    return `
+      <div class="external-calendar-item" data-calendar-id="${cal.id}">
+        <input type="checkbox" class="external-calendar-enabled" ${cal.enabled !== false ? 'checked' : ''} title="Show this calendar">
+        <span class="external-calendar-color" style="background:${cal.color}"></span>
+        <div class="external-calendar-info">
+          <span class="external-calendar-name">${this.escapeHtml(name)}</span>
+          <span class="external-calendar-source" title="${this.escapeHtml(cal.source).replace(/"/g, '&quot;')}">${this.escapeHtml(cal.source)}</span>
+          <span class="external-calendar-state">${state}</span>
+        </div>
+        <button class="btn-icon external-calendar-remove" title="Remove calendar">&#10005;</button>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.external-calendar-item').forEach(item => {
+    const id = item.dataset.calendarId;
+    item.querySelector('.external-calendar-enabled').addEventListener('change', (e) => {
+      this.setExternalCalendarEnabled(id, e.target.checked);
+    });
+    item.querySelector('.external-calendar-remove').addEventListener('click', () => {
+      this.removeExternalCalendar(id);
+    });
+  });
+}
+
+async function saveCalendars(app, calendars) {
+  if (!app.data.settings) app.data.settings = {};
+  app.data.settings.externalCalendars = calendars;
+  await app.saveData();
+  app.busyBlocks = null;
+  const result = await window.api.refreshCalendars();
+  await app.renderExternalCalendarSettings();
+  app.refreshBusyViews();
+  return result;
+}
+
+export async function addExternalCalendar() {
+  const input = document.getElementById('external-calendar-source');
+  const source = input.value.trim();
+  if (!source) return;
+  const calendars = this.data.settings?.externalCalendars || [];
+  if (calendars.some(c => c.source === source)) {
+    this.showToast('That calendar is already added');
+    return;
+  }
+
+  input.value = '';
+  const calendar = {
+    id: this.generateId(),
+    name: '',
+    source,
+    color: CALENDAR_COLORS[calendars.length % CALENDAR_COLORS.length],
+    enabled: true
+  };
+  const result = await saveCalendars(this, [...calendars, calendar]);
+  const error = result?.errors?.find(e => e.id === calendar.id);
+  this.showToast(error ? `Couldn't read calendar: ${error.error}` : 'Calendar added', error ? 4000 : 2000);
+}
+
+export async function browseExternalCalendarFile() {
+  const filePath = await window.api.browseFile();
+  if (filePath) document.getElementById('external-calendar-source').value = filePath;
+}
+
+export async function removeExternalCalendar(id) {
+  const calendars = (this.data.settings?.externalCalendars || []).filter(c => c.id !== id);
+  await saveCalendars(this, calendars);
+  this.showToast('Calendar removed');
+}
+
+export async function setExternalCalendarEnabled(id, enabled) {
+  const calendars = (this.data.settings?.externalCalendars || []).map(c => (c.id === id ? { ...c, enabled } : c));
+  await saveCalendars(this, calendars);
+}
+
+export async function refreshExternalCalendarsNow() {
+  const result = await window.api.refreshCalendars();
+  this.busyBlocks = null;
+  await this.renderExternalCalendarSettings();
+  this.refreshBusyViews();
+  this.showToast(result.errors.length > 0 ? `${result.errors.length} calendar(s) failed to refresh` : 'Calendars refreshed');
+}
@@ -1,4 +1,6 @@
-// renderer/focus-mode.js — Focus mode, pomodoro timer, AI chat
+// renderer/focus-mode.js — Focus mode, pomodoro timer, focus session history, AI chat
+
+import { finishFocusSession, recordFocusSession } from '../shared/focus-stats.js';
 
 export function getFocusTaskQueue() {
     const today = this.getLocalDateString();
@@ -59,7 +61,7 @@ export function enterFocusMode() {
     this.focusMode.taskQueue = taskQueue;
     this.focusMode.currentIndex = 0;
     this.focusMode.completedCount = 0;
-    this.focusMode.aiMessages = [];
+    this.focusMode.aiTaskId = null;
 
     const focusModeEl = document.getElementById('focus-mode');
     focusModeEl.classList.add('active');
@@ -71,14 +73,18 @@ export function enterFocusMode() {
     // Set timer based on current task's duration
     this.setTimerForCurrentTask();
 
+    this.resetAIChat();
     this.renderFocusTask();
     this.updateSessionStats();
-    this.resetAIChat();
 }
 
 // Set timer based on current task's estimated duration
 export function setTimerForCurrentTask() {
     const task = this.focusMode.taskQueue[this.focusMode.currentIndex];
+    // Moving to another task ends the session on the previous one
+    if (this.focusMode.session && this.focusMode.session.taskId !== task?.id) {
+      this.endFocusSession();
+    }
     if (!task) return;
 
     // Use task's estimatedMinutes or default to 25 minutes
@@ -107,6 +113,7 @@ export function exitFocusMode() {
       clearInterval(this.focusMode.timerInterval);
       this.focusMode.timerInterval = null;
     }
+    this.endFocusSession();
 
     // Hide native pill window
     window.api.hidePill();
@@ -445,6 +452,9 @@ export function completeFocusTask() {
     const task = this.focusMode.taskQueue[this.focusMode.currentIndex];
     if (!task) return;
 
+    if (this.focusMode.session?.taskId === task.id) {
+      this.endFocusSession(true);
+    }
     this.updateTask(task.id, { status: 'done' });
     this.focusMode.completedCount++;
     this.focusMode.streak++;
@@ -535,19 +545,29 @@ export function toggleFocusTimer() {
       clearInterval(this.focusMode.timerInterval);
       this.focusMode.timerInterval = null;
       this.focusMode.timerRunning = false;
+      if (this.focusMode.session && !this.focusMode.isBreak) {
+        this.focusMode.session.interruptions.push({ at: new Date().toISOString() });
+      }
       if (timerRing) timerRing.classList.remove('running');
       if (timerBtn) timerBtn.classList.remove('running');
     } else {
       this.focusMode.timerRunning = true;
       if (timerRing) timerRing.classList.add('running');
       if (timerBtn) timerBtn.classList.add('running');
+      this.startFocusSession();
 
       this.focusMode.timerInterval = setInterval(() => {
         this.focusMode.timerSeconds--;
+        const session = this.focusMode.session;
+        if (session) {
+          if (this.focusMode.isBreak) session.breakSeconds++;
+          else session.focusSeconds++;
+        }
 
         if (this.focusMode.timerSeconds <= 0) {
           if (!this.focusMode.isBreak) {
             this.focusMode.pomodoroCount++;
+            if (session) session.pomodoros++;
             this.updateSessionStats();
           }
           this.focusMode.isBreak = !this.focusMode.isBreak;
@@ -571,6 +591,44 @@ export function toggleFocusTimer() {
     }
 }
 
+// --- Focus session history ---
+
+// Start recording a session on the current task, unless one is already running for it
+export function startFocusSession() {
+    const task = this.focusMode.taskQueue[this.focusMode.currentIndex];
+    if (!task || this.focusMode.session?.taskId === task.id) return;
+    if (this.focusMode.session) this.endFocusSession();
+    this.focusMode.session = {
+      taskId: task.id,
+      taskName: task.name,
+      startedAt: new Date().toISOString(),
+      focusSeconds: 0,
+      breakSeconds: 0,
+      pomodoros: 0,
+      interruptions: []
+    };
+}
+
+// Save the running session to data.focusSessions and the task's timeLog
+export function endFocusSession(completed = false) {
+    const running = this.focusMode.session;
+    if (!running) return null;
+    this.focusMode.session = null;
+
+    const session = finishFocusSession(running, {
+      id: this.generateId(),
+      endedAt: new Date().toISOString(),
+      completed
+    });
+    if (!session) return null;
+
+    const task = this.findTask(running.taskId);
+    recordFocusSession(this.data, session, task);
+    if (task) task.updatedAt = session.endedAt;
+    this.saveData();
+    return session;
+}
+
 export function updateTimerDisplay() {
     const timerRing = document.getElementById('focus-timer-ring');
     const displayEl = document.getElementById('focus-timer-display');
@@ -636,6 +694,66 @@ export function handleTimerSetting(action) {
 }
 
 // AI Copilot Methods
+//
+// With an AI provider set up (Settings → AI Assistant) the chat goes to it
+// through the main process and is saved on the task as task.aiChat, so it's
+// there next time. Messages aren't logged as changes, so they don't show up
+// in task history, but undoing a deletion brings the chat back with the
+// task. Without one, the built-in tips below answer
+// instead and nothing is saved.
+
+const AI_PROMPTS = {
+  'break-down': 'Break down this task into smaller steps',
+  'stuck': 'I\'m feeling stuck on this task',
+  'motivate': 'Give me motivation to complete this',
+  'estimate': 'How long might this take?'
+};
+const AI_HISTORY_LIMIT = 50;    // Messages kept per task
+const AI_CONTEXT_MESSAGES = 20; // Most recent messages sent with each question
+
+function aiEnabled(app) {
+  const provider = app.data.settings?.llm?.provider;
+  return !!provider && provider !== 'none' && !!window.api.aiChat;
+}
+
+// Model replies are plain text: escape them and keep their line breaks
+function formatAIText(app, text) {
+  return app.escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+function renderAIHistory(app, task) {
+  const chat = document.getElementById('ai-chat');
+  if (!chat) return;
+  const history = (aiEnabled(app) && task?.aiChat) || [];
+  app.resetAIChat();
+  history.forEach((entry, index) => {
+    app.addAIMessage(formatAIText(app, entry.content), entry.role === 'user' ? 'user' : 'ai');
+    if (entry.subtasks?.length) renderSubtaskSuggestions(app, entry, index);
+  });
+}
+
+function renderSubtaskSuggestions(app, entry, index) {
+  const chat = document.getElementById('ai-chat');
+  const messageEl = chat?.lastElementChild;
+  if (!messageEl) return;
+  const count = entry.subtasks.length;
+  const button = document.createElement('button');
+  button.className = 'ai-apply-subtasks';
+  button.dataset.index = index;
+  button.disabled = !!entry.applied;
+  button.textContent = entry.applied ? 'Subtasks added' : `Add ${count} subtask${count === 1 ? '' : 's'}`;
+  messageEl.appendChild(button);
+}
+
+function saveAIMessage(task, entry) {
+  if (!task.aiChat) task.aiChat = [];
+  task.aiChat.push(entry);
+  if (task.aiChat.length > AI_HISTORY_LIMIT) {
+    task.aiChat.splice(0, task.aiChat.length - AI_HISTORY_LIMIT);
+  }
+  return task.aiChat.length - 1;
+}
+
 export function resetAIChat() {
     const chat = document.getElementById('ai-chat');
     if (chat) {
@@ -645,7 +763,6 @@ export function resetAIChat() {
         </div>
       `;
     }
-    this.focusMode.aiMessages = [];
 }
 
 export function updateAIContext(task) {
@@ -653,21 +770,29 @@ export function updateAIContext(task) {
     if (statusEl) {
       statusEl.textContent = `Helping with: ${task.name.substring(0, 25)}${task.name.length > 25 ? '...' : ''}`;
     }
+    // Each task has its own conversation
+    if (this.focusMode.aiTaskId !== task.id) {
+      this.focusMode.aiTaskId = task.id;
+      renderAIHistory(this, this.findTask(task.id) || task);
+    }
+}
+
+export function toggleAIPanel(open) {
+    const panel = document.getElementById('focus-ai-section');
+    if (!panel) return;
+    const show = open !== undefined ? open : !panel.classList.contains('open');
+    panel.classList.toggle('open', show);
+    document.getElementById('focus-ai-btn')?.classList.toggle('active', show);
+    if (show) document.getElementById('ai-input')?.focus();
 }
 
 export function handleAISuggestion(promptType) {
     const task = this.focusMode.taskQueue[this.focusMode.currentIndex];
     if (!task) return;
 
-    const prompts = {
-      'break-down': 'Break down this task into smaller steps',
-      'stuck': 'I\'m feeling stuck on this task',
-      'motivate': 'Give me motivation to complete this',
-      'estimate': 'How long might this take?'
-    };
-
-    this.addAIMessage(prompts[promptType] || promptType, 'user');
-    this.generateAIResponse(promptType, task);
+    const message = AI_PROMPTS[promptType] || promptType;
+    this.addAIMessage(this.escapeHtml(message), 'user');
+    this.generateAIResponse(promptType, task, message);
 }
 
 export function sendAIMessage() {
@@ -675,24 +800,27 @@ export function sendAIMessage() {
     const message = input.value.trim();
     if (!message) return;
 
-    input.value = '';
-    this.addAIMessage(message, 'user');
-
     const task = this.focusMode.taskQueue[this.focusMode.currentIndex];
+    if (!task) return;
+
+    input.value = '';
+    this.addAIMessage(formatAIText(this, message), 'user');
     this.generateAIResponse('custom', task, message);
 }
 
-export function addAIMessage(text, type) {
+export function addAIMessage(html, type) {
     const chat = document.getElementById('ai-chat');
+    if (!chat) return;
     const messageEl = document.createElement('div');
     messageEl.className = `ai-message ${type === 'user' ? 'user-message' : 'ai-response'}`;
-    messageEl.innerHTML = `<p>${text}</p>`;
+    messageEl.innerHTML = `<p>${html}</p>`;
     chat.appendChild(messageEl);
     chat.scrollTop = chat.scrollHeight;
 }
 
-export function generateAIResponse(promptType, task, customMessage = '') {
+export async function generateAIResponse(promptType, task, message = '') {
     const chat = document.getElementById('ai-chat');
+    if (!chat) return;
 
     // Show typing indicator
     const typingEl = document.createElement('div');
@@ -701,29 +829,127 @@ export function generateAIResponse(promptType, task, customMessage = '') {
     chat.appendChild(typingEl);
     chat.scrollTop = chat.scrollHeight;
 
-    setTimeout(() => {
+    if (!aiEnabled(this)) {
+      setTimeout(() => {
+        typingEl.remove();
+        this.addAIMessage(this.generateCannedResponse(promptType, task, message), 'ai');
+      }, 1000 + Math.random() * 500);
+      return;
+    }
+
+    const liveTask = this.findTask(task.id);
+    if (!liveTask) {
       typingEl.remove();
-      let response = '';
-
-      switch (promptType) {
-        case 'break-down':
-          response = this.generateBreakdownResponse(task);
-          break;
-        case 'stuck':
-          response = this.generateUnstuckResponse(task);
-          break;
-        case 'motivate':
-          response = this.generateMotivationResponse(task);
-          break;
-        case 'estimate':
-          response = this.generateEstimateResponse(task);
-          break;
-        default:
-          response = this.generateCustomResponse(task, customMessage);
-      }
+      return;
+    }
+    saveAIMessage(liveTask, { role: 'user', content: message, at: new Date().toISOString() });
+    const messages = liveTask.aiChat.slice(-AI_CONTEXT_MESSAGES).map(m => ({ role: m.role, content: m.content }));
+    this.saveData();
+
+    const result = await window.api.aiChat(liveTask.id, messages);
+    typingEl.remove();
+    // Saving may have reloaded the data, so look the task up again
+    const current = this.findTask(task.id);
+    if (!result.success) {
+      this.addAIMessage(`<em>${this.escapeHtml(result.error || 'The AI assistant could not answer')}</em>`, 'ai');
+      return;
+    }
+    if (!current) return;
+
+    const entry = { role: 'assistant', content: result.content, at: new Date().toISOString() };
+    if (result.subtasks?.length) entry.subtasks = result.subtasks;
+    const index = saveAIMessage(current, entry);
+    this.saveData();
+
+    // Only show it if the user is still looking at this task's conversation
+    if (this.focusMode.aiTaskId === task.id) {
+      this.addAIMessage(formatAIText(this, entry.content), 'ai');
+      if (entry.subtasks) renderSubtaskSuggestions(this, entry, index);
+    }
+}
+
+// Add the subtasks suggested in a saved reply, skipping any that already exist
+export function applyAISubtasks(index) {
+    const task = this.findTask(this.focusMode.aiTaskId);
+    const entry = task?.aiChat?.[index];
+    if (!entry?.subtasks || entry.applied) return;
 
-      this.addAIMessage(response, 'ai');
-    }, 1000 + Math.random() * 500);
+    const existing = new Set((task.subtasks || []).map(s => s.name.trim().toLowerCase()));
+    let added = 0;
+    for (const name of entry.subtasks) {
+      if (existing.has(name.trim().toLowerCase())) continue;
+      this.createTask({ name, parentId: task.id });
+      existing.add(name.trim().toLowerCase());
+      added++;
+    }
+    entry.applied = true;
+    this.saveData();
+
+    const button = document.querySelector(`#ai-chat .ai-apply-subtasks[data-index="${index}"]`);
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Subtasks added';
+    }
+    this.renderFocusSubtasks(task);
+    this.showToast(added > 0 ? `Added ${added} subtask${added === 1 ? '' : 's'}` : 'Those subtasks are already there');
+}
+
+// --- AI assistant settings ---
+
+export function updateAISettings() {
+    const llm = this.data.settings?.llm || {};
+    const set = (id, value) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    };
+    set('ai-provider', llm.provider || 'none');
+    set('ai-base-url', llm.baseUrl || '');
+    set('ai-model', llm.model || '');
+    set('ai-api-key', llm.apiKey || '');
+    const provider = llm.provider || 'none';
+    const show = (id, visible) => {
+      const el = document.getElementById(id);
+      if (el) el.style.display = visible ? '' : 'none';
+    };
+    show('ai-provider-options', provider !== 'none' && provider !== 'stub');
+    show('ai-api-key-row', provider === 'openai');
+    show('ai-test-btn', provider !== 'none');
+}
+
+export function setAISetting(key, value) {
+    if (!this.data.settings) this.data.settings = {};
+    this.data.settings.llm = { ...(this.data.settings.llm || {}), [key]: value.trim() };
+    this.saveData();
+    this.updateAISettings();
+}
+
+export async function testAIConnection() {
+    const button = document.getElementById('ai-test-btn');
+    if (button) button.disabled = true;
+    // The main process reads the settings from the data file
+    await this.saveData();
+    const result = await window.api.aiTest();
+    if (button) button.disabled = false;
+    if (result.success) {
+      this.showToast(`Connected to ${result.label}${result.model ? ` (${result.model})` : ''}`);
+    } else {
+      this.showToast(result.error, 4000);
+    }
+}
+
+export function generateCannedResponse(promptType, task, message) {
+    switch (promptType) {
+      case 'break-down':
+        return this.generateBreakdownResponse(task);
+      case 'stuck':
+        return this.generateUnstuckResponse(task);
+      case 'motivate':
+        return this.generateMotivationResponse(task);
+      case 'estimate':
+        return this.generateEstimateResponse(task);
+      default:
+        return this.generateCustomResponse(task, message);
+    }
 }
 
 export function generateBreakdownResponse(task) {
@@ -0,0 +1,151 @@
+// renderer/history.js — Undo/redo and per-task history, backed by the operation log in main
+
+import { ROLLOVER_DECISIONS } from '../shared/rollover.js';
+
+const HISTORY_SOURCES = {
+  user: 'You',
+  mcp: 'Claude (MCP)',
+  notion: 'Notion sync',
+  api: 'Local API',
+  cli: 'Command line',
+  system: 'TaskFlow'
+};
+
+// Saves are fire-and-forget; let them land so undo sees the latest change
+async function waitForPendingSaves(app) {
+  for (let i = 0; i < 80 && app._pendingSaves > 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+export async function undo() {
+  await waitForPendingSaves(this);
+  const result = await window.api.historyUndo();
+  await this.finishHistoryAction(result, 'undo');
+}
+
+export async function redo() {
+  await waitForPendingSaves(this);
+  const result = await window.api.historyRedo();
+  await this.finishHistoryAction(result, 'redo');
+}
+
+export async function finishHistoryAction(result, verb) {
+  if (!result || !result.success) {
+    this.showToast(`Could not ${verb}: ${result ? result.error : 'unknown error'}`, 3000);
+    return;
+  }
+  if (!result.done) {
+    this.showToast(`Nothing to ${verb}`);
+    return;
+  }
+
+  await this.applyExternalChanges();
+
+  const past = verb === 'undo' ? 'Undid' : 'Redid';
+  if (result.applied === 0) {
+    this.showToast(`Could not ${verb} "${result.label}" — it was changed again since`, 3000);
+  } else if (result.skipped > 0) {
+    this.showToast(`${past}: ${result.label} (${result.skipped} later edit${result.skipped === 1 ? '' : 's'} kept)`, 3000);
+  } else {
+    this.showToast(`${past}: ${result.label}`);
+  }
+}
+
+export async function openTaskHistory(taskId) {
+  const task = this.findTask(taskId);
+  if (!task) return;
+
+  document.getElementById('history-task-id').value = taskId;
+  document.getElementById('history-task-name').textContent = task.name;
+  document.getElementById('history-list').innerHTML = '<div class="history-empty">Loading…</div>';
+  this.openModal('history-modal');
+
+  await this.renderTaskHistory(taskId);
+}
+
+export async function renderTaskHistory(taskId) {
+  const container = document.getElementById('history-list');
+  const result = await window.api.getTaskHistory(taskId);
+
+  if (!result || !result.success) {
+    container.innerHTML = `<div class="history-empty">Could not load history${result ? `: ${this.escapeHtml(result.error)}` : ''}</div>`;
+    return;
+  }
+  if (result.entries.length === 0) {
+    container.innerHTML = '<div class="history-empty">No recorded changes yet</div>';
+    return;
+  }
+
+  container.innerHTML = result.entries.map(entry => `
+    <div class="history-entry">
+      <div class="history-entry-header">
+        <span class="history-source history-source-${this.escapeHtml(entry.source)}">${HISTORY_SOURCES[entry.source] || this.escapeHtml(entry.source)}</span>
+        <span class="history-time" title="${new Date(entry.at).toLocaleString()}">${this.formatRelativeTime(entry.at)}</span>
+        ${entry.tool ? `<span class="history-tag">${this.escapeHtml(entry.tool)}</span>` : ''}
+        ${entry.undoOf ? '<span class="history-tag">undo</span>' : ''}
+        ${entry.redoOf ? '<span class="history-tag">redo</span>' : ''}
+        ${entry.revertOf ? '<span class="history-tag">revert</span>' : ''}
+      </div>
+      ${entry.rollover?.[taskId] ? `<div class="history-decision">Rollover: <strong>${this.escapeHtml(ROLLOVER_DECISIONS[entry.rollover[taskId]] || entry.rollover[taskId])}</strong></div>` : ''}
+      ${entry.changes.map(change => `
+        <div class="history-change">
+          <span class="history-change-text">${describeChange(this, change, taskId)}</span>
+          <button class="btn btn-small btn-ghost history-revert-btn" data-entry-id="${entry.id}" data-change-index="${change.changeIndex}">Revert</button>
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.history-revert-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      this.revertHistoryChange(btn.dataset.entryId, Number(btn.dataset.changeIndex), taskId);
+    });
+  });
+}
+
+export async function revertHistoryChange(entryId, changeIndex, taskId) {
+  await waitForPendingSaves(this);
+  const result = await window.api.revertHistoryChange(entryId, changeIndex);
+  if (!result || !result.success) {
+    this.showToast(result ? result.error : 'Could not revert change', 3000);
+    return;
+  }
+
+  await this.applyExternalChanges();
+  this.showToast(result.label);
+  if (taskId) await this.renderTaskHistory(taskId);
+}
+
+function formatHistoryValue(app, value) {
+  if (value === undefined || value === null || value === '') return '<em>empty</em>';
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (text.length > 80) text = text.slice(0, 77) + '...';
+  return `"${app.escapeHtml(text)}"`;
+}
+
+function describeChange(app, change, taskId) {
+  const isSubtask = change.taskId !== taskId && change.parentId === taskId;
+  const subtaskName = change.task?.name || change.taskName;
+  const prefix = isSubtask ? `Subtask "${app.escapeHtml(subtaskName || '')}": ` : '';
+
+  switch (change.type) {
+    case 'task-field':
+      return `${prefix}<strong>${app.escapeHtml(change.field)}</strong> ${formatHistoryValue(app, change.before)} → ${formatHistoryValue(app, change.after)}`;
+    case 'task-created':
+      return isSubtask ? `Added subtask "${app.escapeHtml(change.task.name)}"` : 'Created task';
+    case 'task-deleted':
+      return isSubtask ? `Removed subtask "${app.escapeHtml(change.task.name)}"` : 'Deleted task';
+    case 'task-moved': {
+      const from = app.data.projects.find(p => p.id === change.from.projectId);
+      const to = app.data.projects.find(p => p.id === change.to.projectId);
+      return `${prefix}Moved from ${app.escapeHtml(from ? from.name : 'a deleted project')} to ${app.escapeHtml(to ? to.name : 'a deleted project')}`;
+    }
+    case 'project-created':
+      return `Created with project "${app.escapeHtml(change.project.name)}"`;
+    case 'project-deleted':
+      return `Deleted with project "${app.escapeHtml(change.project.name)}"`;
+    default:
+      return app.escapeHtml(change.type);
+  }
+}
@@ -0,0 +1,84 @@
+// renderer/ics.js — Calendar (.ics) export and the settings for the local calendar feed
+
+const DEFAULT_ICS_FEED_PORT = 8375;
+
+function getFeedSettings(app) {
+  return { enabled: false, port: DEFAULT_ICS_FEED_PORT, token: null, ...(app.data.settings?.icsFeed || {}) };
+}
+
+// Random hex — the feed URL's only protection, so it has to be unguessable
+function generateFeedToken() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function saveFeedSettings(app, changes) {
+  if (!app.data.settings) app.data.settings = {};
+  app.data.settings.icsFeed = { ...getFeedSettings(app), ...changes };
+  await app.saveData();
+  const result = await window.api.icsFeedApply();
+  await app.updateIcsFeedSettings(result);
+  return result;
+}
+
+export async function exportCalendarIcs() {
+  const saved = await window.api.exportIcs();
+  if (saved) this.showToast('Calendar exported');
+}
+
+// `status` is the result of applying the settings, when we just did
+export async function updateIcsFeedSettings(status = null) {
+  const feed = getFeedSettings(this);
+  const enabledInput = document.getElementById('ics-feed-enabled');
+  const portInput = document.getElementById('ics-feed-port');
+  if (!enabledInput || !portInput) return;
+  enabledInput.checked = feed.enabled;
+  portInput.value = feed.port;
+
+  const current = status || await window.api.icsFeedStatus();
+  const urlRow = document.getElementById('ics-feed-url-row');
+  const errorBox = document.getElementById('ics-feed-error');
+  urlRow.style.display = current.running ? '' : 'none';
+  document.getElementById('ics-feed-url').value = current.running ? current.url : '';
+  if (feed.enabled && current.error) {
+    errorBox.textContent = `Feed not running: ${current.error}`;
+    errorBox.style.display = '';
+  } else {
+    errorBox.style.display = 'none';
+  }
+}
+
+export async function setIcsFeedEnabled(enabled) {
+  const feed = getFeedSettings(this);
+  const result = await saveFeedSettings(this, { enabled, token: feed.token || generateFeedToken() });
+  if (!enabled) {
+    this.showToast('Calendar feed stopped');
+  } else if (result.running) {
+    this.showToast('Calendar feed running — copy the link into your calendar app');
+  }
+}
+
+export async function setIcsFeedPort(value) {
+  const port = parseInt(value, 10);
+  if (!(port >= 1024 && port <= 65535)) {
+    this.showToast('Pick a port between 1024 and 65535', 3000);
+    await this.updateIcsFeedSettings();
+    return;
+  }
+  await saveFeedSettings(this, { port });
+}
+
+export async function copyIcsFeedUrl() {
+  const url = document.getElementById('ics-feed-url').value;
+  if (!url) return;
+  await window.api.copyToClipboard(url);
+  this.showToast('Feed link copied');
+}
+
+// Calendars subscribed with the old link stop updating
+export async function regenerateIcsFeedToken() {
+  if (!confirm('Make a new feed link? Calendars subscribed with the current link will stop updating.')) return;
+  await saveFeedSettings(this, { token: generateFeedToken() });
+  this.showToast('New feed link created');
+}
@@ -1,5 +1,7 @@
 // renderer/inbox-view.js — Inbox rendering, AI prompts
 
+import { addDays } from '../shared/dates.js';
+
 export function renderInbox() {
     const container = document.getElementById('tasks-container');
     if (!container) return;
@@ -12,8 +14,8 @@ export function renderInbox() {
 
     const projects = this.data.projects.filter(p => !p.isInbox);
     const today = this.getLocalDateString();
-    const tomorrow = (() => { const d = new Date(); d.setDate(d.getDate() + 1); return d.toISOString().split('T')[0]; })();
-    const nextWeek = (() => { const d = new Date(); d.setDate(d.getDate() + 7); return d.toISOString().split('T')[0]; })();
+    const tomorrow = addDays(today, 1);
+    const nextWeek = addDays(today, 7);
 
     if (tasks.length === 0) {
       container.innerHTML = `
@@ -92,12 +94,6 @@ export function bindInboxEvents() {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
         const taskId = btn.dataset.taskId;
-        const task = this.findTask(taskId);
-        const oldDueDate = task ? task.dueDate : null;
-        this.pushUndo('schedule to Today', () => {
-          const t = this.findTask(taskId);
-          if (t) t.dueDate = oldDueDate;
-        });
         this.updateTask(taskId, { dueDate: today });
         this.showToast('Moved to Today');
         this.renderInbox();
@@ -113,12 +109,6 @@ export function bindInboxEvents() {
         if (!value) return;
         if (value === 'none') {
           // Leave unscheduled — clear any existing date
-          const task = this.findTask(taskId);
-          const oldDueDate = task ? task.dueDate : null;
-          this.pushUndo('clear schedule', () => {
-            const t = this.findTask(taskId);
-            if (t) t.dueDate = oldDueDate;
-          });
           this.updateTask(taskId, { dueDate: null, scheduledDate: null });
           this.showToast('Left unscheduled');
           this.renderInbox();
@@ -133,12 +123,6 @@ export function bindInboxEvents() {
           document.body.appendChild(dateInput);
           dateInput.addEventListener('change', () => {
             if (dateInput.value) {
-              const task = this.findTask(taskId);
-              const oldDueDate = task ? task.dueDate : null;
-              this.pushUndo('schedule task', () => {
-                const t = this.findTask(taskId);
-                if (t) t.dueDate = oldDueDate;
-              });
               this.updateTask(taskId, { dueDate: dateInput.value });
               this.showToast(`Scheduled for ${dateInput.value}`);
               this.renderInbox();
@@ -151,12 +135,6 @@ export function bindInboxEvents() {
           dateInput.showPicker();
           return;
         }
-        const task = this.findTask(taskId);
-        const oldDueDate = task ? task.dueDate : null;
-        this.pushUndo('schedule task', () => {
-          const t = this.findTask(taskId);
-          if (t) t.dueDate = oldDueDate;
-        });
         this.updateTask(taskId, { dueDate: value });
         this.showToast('Task scheduled');
         this.renderInbox();
@@ -169,12 +147,6 @@ export function bindInboxEvents() {
         e.stopPropagation();
         const taskId = sel.dataset.taskId;
         if (sel.value) {
-          const task = this.findTask(taskId);
-          const oldPriority = task ? task.priority : 'none';
-          this.pushUndo('change priority', () => {
-            const t = this.findTask(taskId);
-            if (t) t.priority = oldPriority;
-          });
           this.updateTask(taskId, { priority: sel.value });
           this.showToast(`Priority set to ${sel.value}`);
           this.renderInbox();
@@ -188,12 +160,7 @@ export function bindInboxEvents() {
         e.stopPropagation();
         const taskId = sel.dataset.taskId;
         if (sel.value) {
-          const inbox = this.data.projects.find(p => p.isInbox || p.id === 'inbox');
-          const inboxId = inbox ? inbox.id : null;
           const project = this.data.projects.find(p => p.id === sel.value);
-          this.pushUndo(`move to ${project ? project.name : 'project'}`, () => {
-            if (inboxId) this.moveTaskToProject(taskId, inboxId);
-          });
           this.moveTaskToProject(taskId, sel.value);
           this.showToast(`Moved to ${project ? project.name : 'project'}`);
           this.renderInbox();
@@ -208,16 +175,6 @@ export function bindInboxEvents() {
         const taskId = btn.dataset.taskId;
         const task = this.findTask(taskId);
         if (confirm(`Delete "${task ? task.name : 'this task'}"?`)) {
-          // Snapshot the task for undo
-          const taskCopy = JSON.parse(JSON.stringify(task));
-          const inbox = this.data.projects.find(p => p.isInbox || p.id === 'inbox');
-          const inboxId = inbox ? inbox.id : null;
-          this.pushUndo('delete task', () => {
-            if (inboxId) {
-              const target = this.data.projects.find(p => p.id === inboxId);
-              if (target) target.tasks.push(taskCopy);
-            }
-          });
           this.deleteTask(taskId);
           this.showToast('Task deleted');
           this.renderInbox();
@@ -502,7 +459,7 @@ export function coachMePrompt() {
       recentCompleted.slice(0, 15).forEach(t => {
         const energy = t.energyRating ? [' ', ' (drained)', ' (neutral)', ' (energized)'][t.energyRating] : '';
         const summary = t.completionSummary ? ` — ${t.completionSummary.slice(0, 80)}` : '';
-        prompt += `- ${t.name}${energy}${summary} [${t.completedAt.split('T')[0]}]\n`;
+        prompt += `- ${t.name}${energy}${summary} [${this.isoToLocalDate(t.completedAt)}]\n`;
       });
       prompt += '\n';
     }
@@ -1,4 +1,31 @@
-// renderer/integrations.js — Command palette, Notion sync
+// renderer/integrations.js — Command palette, Notion sync and conflict review
+
+const CONFLICT_FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  scheduledDate: 'Scheduled date',
+  scheduledTime: 'Scheduled time',
+  estimatedMinutes: 'Estimate (min)',
+  executionType: 'Execution type',
+  assignedTo: 'Assigned to',
+  waitingReason: 'Waiting reason',
+  context: 'Context',
+  complexity: 'Complexity',
+  workNotes: 'Work notes',
+  completedDate: 'Completed',
+  project: 'Project',
+  tags: 'Tags',
+  subtasks: 'Subtasks'
+};
+
+const SYNC_ORIGIN_LABELS = { app: 'App', mcp: 'Claude', daemon: 'Background' };
+const SYNC_TRIGGER_LABELS = { manual: 'manual', auto: 'auto', scheduled: 'scheduled' };
+
+// Fields where a hand-edited merge makes sense; tags and subtasks merge as a union
+const MERGEABLE_TEXT_FIELDS = ['name', 'description', 'context', 'workNotes', 'waitingReason'];
 
 export function openCommandPalette() {
   const overlay = document.getElementById('command-palette');
@@ -11,7 +38,7 @@ export function openCommandPalette() {
   input.value = '';
   input.focus();
 
-  // Build search index
+  // Tasks with their display details; matching goes through the full-text index
   this._paletteAllTasks = [];
   const tagLookup = {};
   (this.data.tags || []).forEach(t => { tagLookup[t.id] = t.name; });
@@ -23,13 +50,6 @@ export function openCommandPalette() {
         task,
         projectName: project.isInbox ? '' : project.name,
         tagNames: tags,
-        searchText: [
-          task.name,
-          project.name,
-          ...tags,
-          task.description || '',
-          task.assignedTo || '',
-        ].join(' ').toLowerCase(),
       });
     }
   }
@@ -54,6 +74,10 @@ export function openCommandPalette() {
       e.preventDefault();
       this._paletteIndex = Math.max(this._paletteIndex - 1, 0);
       this.highlightPaletteItem();
+    } else if (e.key === 'Enter' && e.shiftKey) {
+      e.preventDefault();
+      this.closeCommandPalette();
+      this.openSearchView(input.value);
     } else if (e.key === 'Enter') {
       e.preventDefault();
       this.paletteAction('open');
@@ -102,20 +126,13 @@ export function updateCommandPaletteResults(query) {
       })
       .slice(0, 15);
   } else {
-    // Fuzzy search: split query into words, all must match
-    const words = q.split(/\s+/);
-    results = this._paletteAllTasks
-      .filter(r => words.every(w => r.searchText.includes(w)))
-      .sort((a, b) => {
-        // Exact name match first
-        const aExact = a.task.name.toLowerCase().includes(q) ? 0 : 1;
-        const bExact = b.task.name.toLowerCase().includes(q) ? 0 : 1;
-        if (aExact !== bExact) return aExact - bExact;
-        // Then non-done first
-        const aDone = a.task.status === 'done' ? 1 : 0;
-        const bDone = b.task.status === 'done' ? 1 : 0;
-        return aDone - bDone;
-      })
+    // Ranked full-text search; every word must match, the last one as a prefix
+    const byId = new Map(this._paletteAllTasks.map(r => [r.task.id, r]));
+    results = this.searchAll(q, { kinds: ['task'], limit: 40 })
+      .filter(hit => byId.has(hit.taskId))
+      .map(hit => ({ ...byId.get(hit.taskId), hit }))
+      // Keep the ranking, but open tasks before finished ones
+      .sort((a, b) => (a.task.status === 'done' ? 1 : 0) - (b.task.status === 'done' ? 1 : 0))
       .slice(0, 20);
   }
 
@@ -130,16 +147,9 @@ export function updateCommandPaletteResults(query) {
 
   container.innerHTML = results.map((r, i) => {
     const t = r.task;
-    let name = this.escapeHtml(t.name);
-
-    // Highlight matching text
-    if (q) {
-      const words = q.split(/\s+/);
-      for (const w of words) {
-        const regex = new RegExp(`(${w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-        name = name.replace(regex, '<mark>$1</mark>');
-      }
-    }
+    const name = r.hit ? this.highlightedHtml(r.hit.titleSegments) : this.escapeHtml(t.name);
+    // Where the match was, when it wasn't only in the name or tags
+    const snippet = r.hit?.snippet && r.hit.snippetField !== 'tags' ? this.highlightedHtml(r.hit.snippet) : '';
 
     const meta = [
       r.projectName,
@@ -158,6 +168,7 @@ export function updateCommandPaletteResults(query) {
         <div class="command-palette-item-content">
           <div class="command-palette-item-name">${name}${palExecBadge}</div>
           ${meta ? `<div class="command-palette-item-meta">${this.escapeHtml(meta)}</div>` : ''}
+          ${snippet ? `<div class="command-palette-item-snippet">${snippet}</div>` : ''}
         </div>
         <span class="command-palette-item-status ${t.status}">${t.status}</span>
       </div>
@@ -247,6 +258,29 @@ export async function loadNotionConfig() {
       if (connected) connected.style.display = '';
       const lastSync = document.getElementById('notion-last-sync');
       const sidebarLastSync = document.getElementById('sidebar-last-sync');
+      const conflictsBtn = document.getElementById('notion-conflicts-btn');
+      const sidebarConflicts = document.getElementById('sidebar-notion-conflicts');
+      const conflictCount = config.conflictCount || 0;
+      if (conflictsBtn) {
+        conflictsBtn.style.display = conflictCount ? '' : 'none';
+        conflictsBtn.textContent = `Resolve Conflicts (${conflictCount})`;
+      }
+      if (sidebarConflicts) {
+        sidebarConflicts.style.display = conflictCount ? '' : 'none';
+        sidebarConflicts.textContent = conflictCount;
+        sidebarConflicts.title = `${conflictCount} Notion conflict${conflictCount === 1 ? '' : 's'} to resolve`;
+      }
+      const lastError = document.getElementById('notion-last-error');
+      if (lastError) {
+        lastError.style.display = config.lastError ? '' : 'none';
+        lastError.textContent = config.lastError
+          ? `Last sync failed ${new Date(config.lastError.at).toLocaleString()}: ${config.lastError.error}`
+          : '';
+      }
+      syncBtn.classList.toggle('sync-error', !!config.lastError);
+      syncBtn.title = config.lastError ? `Last sync failed: ${config.lastError.error}` : 'Sync with Notion';
+      this.renderNotionSyncHistory();
+
       if (config.lastSyncAt) {
         const d = new Date(config.lastSyncAt);
         const timeStr = d.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
@@ -382,7 +416,7 @@ export async function notionCreateAndSync() {
     statusEl.className = 'notion-test-result success';
 
     // Reload data in case new tasks were pulled
-    this.data = await window.api.loadData();
+    await this.reloadData();
 
     // Close modal after brief delay
     setTimeout(() => {
@@ -419,6 +453,7 @@ export async function triggerNotionSync() {
       if (s.pulled) parts.push(`${s.pulled} pulled`);
       if (s.updated) parts.push(`${s.updated} updated`);
       if (s.deleted) parts.push(`${s.deleted} deleted`);
+      if (s.conflicts) parts.push(`${s.conflicts} conflict${s.conflicts === 1 ? '' : 's'} to resolve`);
       const msg = parts.length > 0 ? `Synced: ${parts.join(', ')}` : 'Everything up to date';
       this.showToast(msg, 3000);
 
@@ -427,9 +462,12 @@ export async function triggerNotionSync() {
       }
 
       // Reload data in case tasks were pulled from Notion
-      this.data = await window.api.loadData();
+      await this.reloadData();
       this.render();
+    } else if (result.skipped) {
+      this.showToast(result.error, 3000);
     } else {
+      // The error stays visible in Settings and on the sidebar button
       this.showToast(`Sync failed: ${result.error}`, 4000);
     }
   } catch (err) {
@@ -446,7 +484,11 @@ export async function triggerNotionSync() {
 }
 
 export function startNotionAutoSync() {
-  // Auto-sync every 5 minutes if connected
+  // Syncs from anywhere (this app, Claude, the background daemon) land in the history
+  window.api.onNotionSyncHistoryChanged?.(() => this.loadNotionConfig());
+
+  // Auto-sync every 5 minutes if connected. Results show in the sync history;
+  // the run is skipped if the daemon or Claude synced moments ago.
   this._notionAutoSyncInterval = setInterval(async () => {
     const config = await window.api.notionGetConfig();
     if (!config.connected) return;
@@ -454,22 +496,13 @@ export function startNotionAutoSync() {
 
     this._notionSyncing = true;
     try {
-      const result = await window.api.notionSync();
-      if (result.success) {
-        const s = result.summary;
-        const hasChanges = s.created || s.pulled || s.updated || s.deleted;
-        if (hasChanges) {
-          const parts = [];
-          if (s.created) parts.push(`${s.created} pushed`);
-          if (s.pulled) parts.push(`${s.pulled} pulled`);
-          if (s.updated) parts.push(`${s.updated} updated`);
-          if (s.deleted) parts.push(`${s.deleted} deleted`);
-          this.showToast(`Auto-synced: ${parts.join(', ')}`, 3000);
-          this.data = await window.api.loadData();
-          this.render();
-        }
-        this.loadNotionConfig();
+      const result = await window.api.notionSync({ auto: true });
+      const s = result.summary;
+      if (result.success && !result.skipped && (s.created || s.pulled || s.updated || s.deleted)) {
+        await this.reloadData();
+        this.render();
       }
+      this.loadNotionConfig();
     } catch (err) {
       console.error('Auto-sync error:', err);
     } finally {
@@ -478,14 +511,208 @@ export function startNotionAutoSync() {
   }, 5 * 60 * 1000); // 5 minutes
 }
 
+export async function renderNotionSyncHistory() {
+  const container = document.getElementById('notion-sync-history');
+  if (!container) return;
+
+  const { history, status } = await window.api.notionGetSyncHistory();
+  if (history.length === 0) {
+    container.innerHTML = '<div class="notion-sync-history-empty">No syncs yet</div>';
+    return;
+  }
+
+  const running = status.running
+    ? `<div class="notion-sync-history-running">Syncing now (${this.escapeHtml(SYNC_ORIGIN_LABELS[status.running] || status.running)})…</div>`
+    : '';
+
+  container.innerHTML = running + history.map(entry => {
+    const when = new Date(entry.at);
+    const origin = SYNC_ORIGIN_LABELS[entry.origin] || entry.origin;
+    const trigger = SYNC_TRIGGER_LABELS[entry.trigger] || entry.trigger;
+    let result;
+    if (entry.success) {
+      const s = entry.summary;
+      const parts = [];
+      if (s.created) parts.push(`${s.created} pushed`);
+      if (s.pulled) parts.push(`${s.pulled} pulled`);
+      if (s.updated) parts.push(`${s.updated} updated`);
+      if (s.deleted) parts.push(`${s.deleted} deleted`);
+      if (s.conflicts) parts.push(`${s.conflicts} conflicts`);
+      if (entry.errors) parts.push(`${entry.errors.length} errors`);
+      result = parts.length > 0 ? parts.join(', ') : 'No changes';
+    } else {
+      result = entry.error;
+    }
+    return `
+      <div class="notion-sync-history-item ${entry.success ? '' : 'failed'}" title="${this.escapeHtml((entry.errors || []).join('\n')).replace(/"/g, '&quot;')}">
+        <span class="notion-sync-history-time">${when.toLocaleDateString()} ${when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+        <span class="notion-sync-history-origin">${this.escapeHtml(origin)} · ${this.escapeHtml(trigger)}</span>
+        <span class="notion-sync-history-result">${this.escapeHtml(result)}</span>
+      </div>
+    `;
+  }).join('');
+}
+
 export async function disconnectNotion() {
   await window.api.notionSaveConfig({
     apiKey: null,
     databaseId: null,
     parentPageId: null,
-    lastSyncAt: null,
     idMap: null,
   });
   this.loadNotionConfig();
   this.showToast('Notion disconnected');
 }
+
+// --- Notion Conflicts ---
+
+export async function openNotionConflicts() {
+  this.closeModal('settings-modal');
+  this.openModal('notion-conflicts-modal');
+  await this.renderNotionConflicts();
+}
+
+export async function renderNotionConflicts() {
+  const container = document.getElementById('notion-conflict-list');
+  this._notionConflicts = await window.api.notionGetConflicts();
+
+  if (this._notionConflicts.length === 0) {
+    container.innerHTML = '<div class="notion-conflict-empty">No conflicts — everything is in sync</div>';
+    return;
+  }
+
+  container.innerHTML = this._notionConflicts.map(conflict => `
+    <div class="notion-conflict" data-task-id="${conflict.taskId}">
+      <div class="notion-conflict-header">
+        <span class="notion-conflict-task">${this.escapeHtml(conflict.taskName || 'Untitled')}</span>
+        <span class="notion-conflict-time">Changed on both sides · ${new Date(conflict.detectedAt).toLocaleString()}</span>
+      </div>
+      ${conflict.fields.map(f => renderConflictField(this, conflict.taskId, f)).join('')}
+      <div class="notion-conflict-actions">
+        <button class="btn btn-primary btn-small notion-conflict-apply" data-task-id="${conflict.taskId}">Apply</button>
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.notion-conflict-apply').forEach(btn => {
+    btn.addEventListener('click', () => this.resolveNotionConflict(btn.dataset.taskId));
+  });
+  // Typing in a merged value picks it
+  container.querySelectorAll('.notion-conflict-merged-input').forEach(input => {
+    input.addEventListener('focus', () => {
+      input.closest('.notion-conflict-option').querySelector('input[type="radio"]').checked = true;
+    });
+  });
+}
+
+export async function resolveNotionConflict(taskId) {
+  const conflict = (this._notionConflicts || []).find(c => c.taskId === taskId);
+  if (!conflict) return;
+  const card = document.querySelector(`.notion-conflict[data-task-id="${taskId}"]`);
+
+  const choices = {};
+  for (const f of conflict.fields) {
+    const picked = card.querySelector(`input[name="conflict-${taskId}-${f.field}"]:checked`)?.value || 'local';
+    if (picked === 'remote') {
+      choices[f.field] = f.remote;
+    } else if (picked === 'merged') {
+      const input = card.querySelector(`.notion-conflict-merged-input[data-field="${f.field}"]`);
+      choices[f.field] = input ? input.value : mergedValue(f);
+    } else {
+      choices[f.field] = f.local;
+    }
+  }
+
+  const result = await window.api.notionResolveConflict(taskId, choices);
+  if (!result.success) {
+    this.showToast(`Could not resolve: ${result.error}`, 4000);
+    await this.renderNotionConflicts();
+    return;
+  }
+
+  await this.reloadData();
+  this.render();
+  await this.renderNotionConflicts();
+  this.loadNotionConfig();
+
+  if (this._notionConflicts.length === 0) {
+    // Send the chosen values to Notion straight away
+    this.closeModal('notion-conflicts-modal');
+    this.triggerNotionSync();
+  } else {
+    this.showToast(`Resolved "${conflict.taskName}" — sent to Notion on the next sync`);
+  }
+}
+
+function renderConflictField(app, taskId, f) {
+  const name = `conflict-${taskId}-${f.field}`;
+  let merged = '';
+  if (MERGEABLE_TEXT_FIELDS.includes(f.field)) {
+    const multiline = f.field !== 'name';
+    const value = app.escapeHtml(f.local || '');
+    merged = `
+      <label class="notion-conflict-option">
+        <input type="radio" name="${name}" value="merged">
+        <span class="notion-conflict-source">Merged</span>
+        ${multiline
+          ? `<textarea class="notion-conflict-merged-input" data-field="${f.field}" rows="3">${value}</textarea>`
+          : `<input type="text" class="notion-conflict-merged-input" data-field="${f.field}" value="${value.replace(/"/g, '&quot;')}">`}
+      </label>`;
+  } else if (f.field === 'tags' || f.field === 'subtasks') {
+    merged = `
+      <label class="notion-conflict-option">
+        <input type="radio" name="${name}" value="merged">
+        <span class="notion-conflict-source">Both</span>
+        <span class="notion-conflict-value">${formatConflictValue(app, f.field, mergedValue(f))}</span>
+      </label>`;
+  }
+
+  return `
+    <div class="notion-conflict-field">
+      <div class="notion-conflict-field-name">${CONFLICT_FIELD_LABELS[f.field] || f.field}</div>
+      <label class="notion-conflict-option">
+        <input type="radio" name="${name}" value="local" checked>
+        <span class="notion-conflict-source">TaskFlow</span>
+        <span class="notion-conflict-value">${formatConflictValue(app, f.field, f.local)}</span>
+      </label>
+      <label class="notion-conflict-option">
+        <input type="radio" name="${name}" value="remote">
+        <span class="notion-conflict-source">Notion</span>
+        <span class="notion-conflict-value">${formatConflictValue(app, f.field, f.remote)}</span>
+      </label>
+      ${merged}
+    </div>
+  `;
+}
+
+function formatConflictValue(app, field, value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return '<em>empty</em>';
+  }
+  if (field === 'tags') return value.map(t => `#${app.escapeHtml(t)}`).join(' ');
+  if (field === 'subtasks') {
+    return value.map(st => `${st.done ? '&#9745;' : '&#9744;'} ${app.escapeHtml(st.name)}`).join('<br>');
+  }
+  return app.escapeHtml(String(value));
+}
+
+// Union of both sides for list fields; a subtask done on either side stays done
+function mergedValue(f) {
+  if (f.field === 'tags') {
+    const tags = [...(f.local || [])];
+    for (const tag of (f.remote || [])) {
+      if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+    }
+    return tags;
+  }
+  if (f.field === 'subtasks') {
+    const subtasks = (f.local || []).map(st => ({ ...st }));
+    for (const st of (f.remote || [])) {
+      const existing = subtasks.find(s => s.name === st.name);
+      if (existing) existing.done = existing.done || st.done;
+      else subtasks.push({ ...st });
+    }
+    return subtasks;
+  }
+  return f.local;
+}
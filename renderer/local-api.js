@@ -0,0 +1,79 @@
+// renderer/local-api.js — Settings for the local REST API served by main
+
+const DEFAULT_REST_API_PORT = 8376;
+
+function getApiSettings(app) {
+  return { enabled: false, port: DEFAULT_REST_API_PORT, token: null, ...(app.data.settings?.restApi || {}) };
+}
+
+// Random hex — anyone with it can read and change tasks, so it has to be unguessable
+function generateApiToken() {
+  const bytes = new Uint8Array(24);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function saveApiSettings(app, changes) {
+  if (!app.data.settings) app.data.settings = {};
+  app.data.settings.restApi = { ...getApiSettings(app), ...changes };
+  await app.saveData();
+  const result = await window.api.restApiApply();
+  await app.updateRestApiSettings(result);
+  return result;
+}
+
+// `status` is the result of applying the settings, when we just did
+export async function updateRestApiSettings(status = null) {
+  const settings = getApiSettings(this);
+  const enabledInput = document.getElementById('rest-api-enabled');
+  const portInput = document.getElementById('rest-api-port');
+  if (!enabledInput || !portInput) return;
+  enabledInput.checked = settings.enabled;
+  portInput.value = settings.port;
+
+  const current = status || await window.api.restApiStatus();
+  document.getElementById('rest-api-details').style.display = current.running ? '' : 'none';
+  document.getElementById('rest-api-url').value = current.running ? current.url : '';
+  document.getElementById('rest-api-token').value = current.running ? settings.token : '';
+  const errorBox = document.getElementById('rest-api-error');
+  if (settings.enabled && current.error) {
+    errorBox.textContent = `API not running: ${current.error}`;
+    errorBox.style.display = '';
+  } else {
+    errorBox.style.display = 'none';
+  }
+}
+
+export async function setRestApiEnabled(enabled) {
+  const settings = getApiSettings(this);
+  const result = await saveApiSettings(this, { enabled, token: settings.token || generateApiToken() });
+  if (!enabled) {
+    this.showToast('Local API stopped');
+  } else if (result.running) {
+    this.showToast('Local API running on this computer');
+  }
+}
+
+export async function setRestApiPort(value) {
+  const port = parseInt(value, 10);
+  if (!(port >= 1024 && port <= 65535)) {
+    this.showToast('Pick a port between 1024 and 65535', 3000);
+    await this.updateRestApiSettings();
+    return;
+  }
+  await saveApiSettings(this, { port });
+}
+
+export async function copyRestApiValue(field) {
+  const value = document.getElementById(field === 'token' ? 'rest-api-token' : 'rest-api-url').value;
+  if (!value) return;
+  await window.api.copyToClipboard(value);
+  this.showToast(field === 'token' ? 'API token copied' : 'API address copied');
+}
+
+// Scripts using the old token stop working
+export async function regenerateRestApiToken() {
+  if (!confirm('Make a new API token? Scripts using the current token will stop working.')) return;
+  await saveApiSettings(this, { token: generateApiToken() });
+  this.showToast('New API token created');
+}
@@ -1,5 +1,7 @@
 // renderer/modals.js — Modal management, toasts, dialogs, context menus, snooze
 
+import { addDays } from '../shared/dates.js';
+
 export function openModal(modalId) {
   document.getElementById(modalId).classList.add('open');
 }
@@ -379,13 +381,9 @@ export function handleSnoozeAction(action) {
   let targetDate = null;
 
   if (action === 'tomorrow') {
-    const d = new Date();
-    d.setDate(d.getDate() + 1);
-    targetDate = this.getLocalDateString(d);
+    targetDate = addDays(this.getLocalDateString(), 1);
   } else if (action === 'next-week') {
-    const d = new Date();
-    d.setDate(d.getDate() + 7);
-    targetDate = this.getLocalDateString(d);
+    targetDate = addDays(this.getLocalDateString(), 7);
   } else if (action === 'today') {
     targetDate = this.getLocalDateString();
   } else if (action === 'remove') {
@@ -1,6 +1,9 @@
 // renderer/projects-view.js — Sidebar, projects, categories, project views
 
+import { addDays, calendarDate } from '../shared/dates.js';
+
 export function renderSidebar() {
+  this.renderSmartLists();
   this.renderFavorites();
   this.renderCategoriesTree();
 }
@@ -513,9 +516,7 @@ export function createEnhancedTaskCard(task, options = {}) {
   let dueHtml = '';
   if (task.dueDate) {
     const today = this.getLocalDateString();
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().split('T')[0];
+    const tomorrowStr = addDays(today, 1);
 
     let dueClass = '', dueLabel = this.formatDate(task.dueDate);
     if (task.dueDate < today) { dueClass = 'overdue'; dueLabel = 'Overdue'; }
@@ -809,7 +810,7 @@ export function renderProjectTimelineView(container, project, tasks, viewState)
       } else {
         current.setMonth(current.getMonth() + (dir === 'next' ? 1 : -1));
       }
-      tlState.anchorDate = current.toISOString().split('T')[0];
+      tlState.anchorDate = calendarDate(current);
       this.renderProjectView();
     });
   });
@@ -843,7 +844,7 @@ export function renderProjectTimelineView(container, project, tasks, viewState)
 
   // Day headers
   days.forEach(day => {
-    const dayStr = day.toISOString().split('T')[0];
+    const dayStr = calendarDate(day);
     const isToday = dayStr === todayStr;
     const isWeekend = day.getDay() === 0 || day.getDay() === 6;
     const dayHeader = document.createElement('div');
@@ -853,7 +854,7 @@ export function renderProjectTimelineView(container, project, tasks, viewState)
   });
 
   // Date strings for column lookup
-  const dayStrs = days.map(d => d.toISOString().split('T')[0]);
+  const dayStrs = days.map(calendarDate);
   const firstDayStr = dayStrs[0];
   const lastDayStr = dayStrs[dayStrs.length - 1];
 
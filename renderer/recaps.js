@@ -1,5 +1,7 @@
 // renderer/recaps.js — Recap views, log, saved recaps, daily review
 
+import { addDays, weekRange, monthRange } from '../shared/dates.js';
+
 export function renderRecapsView() {
   const container = document.getElementById('task-list-view');
   if (!container) return;
@@ -800,17 +802,10 @@ export function generateRecap(period, refDateStr, summary) {
     endDate = refDateStr;
     periodLabel = refDateStr;
   } else if (period === 'weekly') {
-    const dayOfWeek = refDate.getDay();
-    const weekStart = new Date(refDate);
-    weekStart.setDate(refDate.getDate() - dayOfWeek);
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekStart.getDate() + 6);
-    startDate = this.getLocalDateString(weekStart);
-    endDate = this.getLocalDateString(weekEnd);
+    ({ start: startDate, end: endDate } = weekRange(refDateStr));
     periodLabel = `Week of ${startDate}`;
   } else {
-    startDate = new Date(refDate.getFullYear(), refDate.getMonth(), 1).toISOString().split('T')[0];
-    endDate = new Date(refDate.getFullYear(), refDate.getMonth() + 1, 0).toISOString().split('T')[0];
+    ({ start: startDate, end: endDate } = monthRange(refDateStr));
     periodLabel = refDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
   }
 
@@ -818,7 +813,7 @@ export function generateRecap(period, refDateStr, summary) {
   const allTasks = this.getAllTasks();
   const completedTasks = allTasks.filter(t => {
     if (!t.completedAt) return false;
-    const completed = t.completedAt.split('T')[0];
+    const completed = this.isoToLocalDate(t.completedAt);
     return completed >= startDate && completed <= endDate;
   });
 
@@ -1050,9 +1045,7 @@ export function saveDailyReview() {
   });
 
   // Create tomorrow's tasks from individual inputs
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowDate = this.getLocalDateString(tomorrow);
+  const tomorrowDate = addDays(this.getLocalDateString(), 1);
 
   ['tomorrow-1', 'tomorrow-2', 'tomorrow-3'].forEach((id, index) => {
     const input = document.getElementById(id);
@@ -0,0 +1,81 @@
+// renderer/recurring.js — Repeat controls in the task modal and upcoming recurring instances
+
+import { normalizeRecurrence, describeRecurrence, getUpcomingInstances, addDays } from '../shared/recurrence.js';
+
+const REPEAT_UNITS = { daily: 'days', weekly: 'weeks', monthly: 'months', 'after-completion': 'days after done' };
+
+function repeatAnchorDate(app) {
+  return document.getElementById('task-due-date').value ||
+    document.getElementById('task-scheduled-date').value ||
+    app.getLocalDateString();
+}
+
+function readRepeatForm() {
+  const type = document.getElementById('task-repeat-type').value;
+  if (type === 'none') return null;
+  return {
+    type,
+    interval: parseInt(document.getElementById('task-repeat-interval').value) || 1,
+    daysOfWeek: Array.from(document.querySelectorAll('#task-repeat-days input:checked')).map(cb => Number(cb.value)),
+    monthlyMode: document.getElementById('task-repeat-monthly-mode').value,
+    until: document.getElementById('task-repeat-until').value || null
+  };
+}
+
+export function setRepeatForm(rule) {
+  document.getElementById('task-repeat-type').value = rule ? rule.type : 'none';
+  document.getElementById('task-repeat-interval').value = (rule && rule.interval) || 1;
+  document.querySelectorAll('#task-repeat-days input').forEach(cb => {
+    cb.checked = !!(rule && rule.daysOfWeek && rule.daysOfWeek.includes(Number(cb.value)));
+  });
+  document.getElementById('task-repeat-monthly-mode').value = (rule && rule.monthlyMode) || 'date';
+  document.getElementById('task-repeat-until').value = (rule && rule.until) || '';
+  this.updateRepeatFields();
+}
+
+// Show the controls that apply to the chosen repeat type and describe the rule
+export function updateRepeatFields() {
+  const type = document.getElementById('task-repeat-type').value;
+  const section = document.getElementById('task-repeat-type').closest('.form-section');
+  section.querySelector('.repeat-interval-group').style.display = REPEAT_UNITS[type] ? '' : 'none';
+  section.querySelector('.repeat-days-group').style.display = type === 'weekly' ? '' : 'none';
+  section.querySelector('.repeat-monthly-group').style.display = type === 'monthly' ? '' : 'none';
+  section.querySelector('.repeat-until-group').style.display = type === 'none' ? 'none' : '';
+  document.getElementById('task-repeat-unit').textContent = REPEAT_UNITS[type] || '';
+
+  // Spell out what "same date" / "same weekday" mean for the current due date
+  const anchor = repeatAnchorDate(this);
+  const modeSelect = document.getElementById('task-repeat-monthly-mode');
+  for (const option of modeSelect.options) {
+    const rule = normalizeRecurrence({ type: 'monthly', monthlyMode: option.value }, anchor);
+    option.textContent = describeRecurrence(rule).replace(/^Monthly on /, '');
+  }
+
+  const summary = document.getElementById('task-repeat-summary');
+  try {
+    const rule = normalizeRecurrence(readRepeatForm(), anchor);
+    summary.textContent = rule ? describeRecurrence(rule) : 'Completing it creates the next one';
+    summary.classList.remove('error');
+  } catch (err) {
+    summary.textContent = err.message;
+    summary.classList.add('error');
+  }
+}
+
+// The rule from the task modal, or null. Throws with a readable message if invalid.
+export function getRepeatFormRule(existingRule = null) {
+  const rule = normalizeRecurrence(readRepeatForm(), repeatAnchorDate(this));
+  if (rule && existingRule && existingRule.seriesId) rule.seriesId = existingRule.seriesId;
+  return rule;
+}
+
+export function formatRecurrence(task) {
+  return describeRecurrence(task && task.recurrence);
+}
+
+// Instances of open recurring tasks from tomorrow on, within a date range:
+// [{ task, date }]. Today and earlier are covered by the real tasks.
+export function getRecurringInstances(startDate, endDate) {
+  const from = addDays(this.getLocalDateString(), 1);
+  return getUpcomingInstances(this.getAllTasks(), startDate > from ? startDate : from, endDate);
+}
@@ -0,0 +1,152 @@
+// renderer/rollover.js — Rollover review: decide what happens to tasks left behind on past days
+
+import {
+  getRolloverSettings, findLeftBehind, suggestDecision, decisionUpdates, ROLLOVER_DECISIONS,
+} from '../shared/rollover.js';
+
+const REVIEW_DECISIONS = ['today', 'tomorrow', 'later', 'unschedule'];
+
+function leftBehind(app) {
+  return findLeftBehind(app.getAllTasks(), app.getLocalDateString(), app.data.settings);
+}
+
+function getInbox(app) {
+  let inbox = app.data.projects.find(p => p.id === 'inbox' || p.isInbox);
+  if (!inbox) {
+    inbox = { id: 'inbox', name: 'Inbox', color: '#6366f1', tasks: [], isInbox: true };
+    app.data.projects.unshift(inbox);
+  }
+  return inbox;
+}
+
+function moveToInbox(app, task) {
+  const inbox = getInbox(app);
+  const source = app.data.projects.find(p => p.tasks.includes(task));
+  if (!source || source === inbox) return;
+  source.tasks.splice(source.tasks.indexOf(task), 1);
+  inbox.tasks.push(task);
+}
+
+/**
+ * Apply [{ item, decision }] (items from findLeftBehind) in one save. The
+ * save is tagged 'rollover' in the operation log with each task's decision,
+ * so it shows in the task's history. Returns how many got each decision.
+ */
+export function applyRolloverDecisions(decisions) {
+  const today = this.getLocalDateString();
+  const counts = {};
+  const recorded = {};
+  for (const { item, decision } of decisions) {
+    const { moveToInbox: toInbox, ...updates } = decisionUpdates(item, decision, today, this.data.settings);
+    Object.assign(item.task, updates, { updatedAt: new Date().toISOString() });
+    if (toInbox) moveToInbox(this, item.task);
+    recorded[item.task.id] = decision;
+    counts[decision] = (counts[decision] || 0) + 1;
+  }
+  if (decisions.length === 0) return counts;
+
+  const label = decisions.length === 1
+    ? `Rollover: ${ROLLOVER_DECISIONS[decisions[0].decision]} for "${decisions[0].item.task.name}"`
+    : `Rollover: ${decisions.length} tasks`;
+  this.saveData({ tool: 'rollover', label, rollover: recorded });
+  return counts;
+}
+
+export function openRolloverReview() {
+  this.renderRolloverReview();
+  this.openModal('rollover-modal');
+}
+
+export function renderRolloverReview() {
+  const body = document.getElementById('rollover-body');
+  if (!body) return;
+  const items = leftBehind(this);
+  const applyAll = document.getElementById('rollover-apply-all');
+  if (applyAll) applyAll.disabled = items.length === 0;
+
+  if (items.length === 0) {
+    body.innerHTML = '<div class="rollover-empty">Nothing left behind. You\'re all caught up.</div>';
+    return;
+  }
+
+  const { moveDueDates } = getRolloverSettings(this.data.settings);
+  body.innerHTML = `
+    <p class="rollover-intro">${items.length} task${items.length === 1 ? '' : 's'} from earlier days. ${moveDueDates ? 'Past due dates move with them.' : 'Due dates stay as they are.'}</p>
+    ${items.map(({ task, scheduled }) => {
+      const suggested = suggestDecision(task, this.data.settings);
+      const project = this.data.projects.find(p => p.tasks.includes(task));
+      const details = [
+        project && !project.isInbox ? this.escapeHtml(project.name) : null,
+        scheduled ? `Scheduled ${this.formatDate(task.scheduledDate)}` : null,
+        task.dueDate ? `<span class="${task.dueDate < this.getLocalDateString() ? 'rollover-overdue' : ''}">Due ${this.formatDate(task.dueDate)}</span>` : null,
+        task.snoozeCount ? `pushed back ${task.snoozeCount}x` : null,
+      ].filter(Boolean).join(' · ');
+      const decisions = suggested === 'inbox' ? [...REVIEW_DECISIONS, 'inbox'] : REVIEW_DECISIONS;
+      return `
+        <div class="rollover-item" data-task-id="${task.id}">
+          <div class="rollover-task">
+            <span class="rollover-name">${this.escapeHtml(task.name)}</span>
+            <span class="rollover-details">${details}</span>
+          </div>
+          <div class="rollover-actions">
+            ${decisions.map(d => `
+              <button class="btn btn-small ${d === suggested ? 'btn-primary' : 'btn-secondary'}" data-decision="${d}">${ROLLOVER_DECISIONS[d]}</button>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }).join('')}
+  `;
+}
+
+// One decision from the review, applied straight away
+export function decideRollover(taskId, decision) {
+  const item = leftBehind(this).find(i => i.task.id === taskId);
+  if (!item) return;
+  this.applyRolloverDecisions([{ item, decision }]);
+  finishDecisions(this);
+}
+
+// Everything still in the review gets what the policy would have done
+export function applyRolloverSuggestions() {
+  const settings = this.data.settings;
+  const counts = this.applyRolloverDecisions(leftBehind(this).map(item => ({ item, decision: suggestDecision(item.task, settings) })));
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if (total > 0) this.showToast(`${total} task${total === 1 ? '' : 's'} rolled over`);
+  finishDecisions(this);
+}
+
+function finishDecisions(app) {
+  app.renderRolloverReview();
+  if (leftBehind(app).length === 0) {
+    app.closeModal('rollover-modal');
+    document.getElementById('today-roll-banner')?.classList.add('hidden');
+  }
+  app.render();
+}
+
+// --- Settings ---
+
+export function updateRolloverSettings() {
+  const policy = getRolloverSettings(this.data.settings);
+  const mode = document.getElementById('rollover-mode');
+  if (mode) mode.value = policy.mode;
+  const moveDue = document.getElementById('rollover-move-due');
+  if (moveDue) moveDue.checked = policy.moveDueDates;
+  const inboxAfter = document.getElementById('rollover-inbox-after');
+  if (inboxAfter) inboxAfter.value = policy.inboxAfter;
+}
+
+export function setRolloverSetting(key, value) {
+  if (key === 'mode') {
+    value = value === 'review' ? 'review' : 'auto';
+  } else if (key === 'moveDueDates') {
+    value = !!value;
+  } else if (key === 'inboxAfter') {
+    value = Math.min(20, Math.max(0, parseInt(value, 10) || 0));
+  }
+  if (!this.data.settings) this.data.settings = {};
+  this.data.settings.rollover = { ...(this.data.settings.rollover || {}), [key]: value };
+  this.saveData();
+  this.updateRolloverSettings();
+}
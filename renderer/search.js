@@ -0,0 +1,146 @@
+// renderer/search.js — Full-text search view over tasks, notes, learnings and recaps
+
+import { createSearchIndex, filterTasks } from '../shared/search-index.js';
+
+const RESULT_LIMIT = 100;
+
+const KIND_FILTERS = [
+  { value: 'all', label: 'Everything', kinds: null },
+  { value: 'tasks', label: 'Tasks', kinds: ['task'] },
+  { value: 'recaps', label: 'Recaps', kinds: ['recap-entry', 'saved-recap'] },
+];
+
+const KIND_LABELS = { task: 'Task', 'recap-entry': 'Recap entry', 'saved-recap': 'Saved recap' };
+
+const FIELD_LABELS = {
+  tags: 'Tags',
+  subtasks: 'Subtasks',
+  description: 'Description',
+  context: 'Context',
+  workNotes: 'Work notes',
+  learnings: 'Learnings',
+  timeLog: 'Time log',
+  blocker: 'Blocker',
+  assignedTo: 'Assigned to',
+};
+
+// Called whenever the task index is rebuilt (load, save, external change); only changed documents are re-indexed
+export function updateSearchIndex() {
+  if (!this._searchIndex) this._searchIndex = createSearchIndex();
+  if (this.data) this._searchIndex.update(this.data);
+}
+
+export function searchAll(query, options = {}) {
+  if (!this._searchIndex) this.updateSearchIndex();
+  return this._searchIndex.search(query, options);
+}
+
+// The header search box's filter over a task list
+export function filterTasksBySearch(tasks, query) {
+  if (!this._searchIndex) this.updateSearchIndex();
+  return filterTasks(this._searchIndex, tasks, query);
+}
+
+// highlight() segments as HTML, matches in <mark>
+export function highlightedHtml(segments) {
+  return segments.map(s => (s.match ? `<mark>${this.escapeHtml(s.text)}</mark>` : this.escapeHtml(s.text))).join('');
+}
+
+function describeResult(app, result) {
+  if (result.kind === 'task') {
+    return [result.projectName || 'Inbox', result.status, result.dueDate ? `due ${app.formatDate(result.dueDate)}` : '', ...result.tags.map(t => `#${t}`)]
+      .filter(Boolean).join(' · ');
+  }
+  if (result.kind === 'saved-recap') {
+    return result.startDate === result.endDate ? result.startDate : `${result.startDate} – ${result.endDate}`;
+  }
+  return result.relatedTaskId ? app.findTask(result.relatedTaskId)?.name || '' : '';
+}
+
+function renderResults(app) {
+  const container = document.getElementById('search-results');
+  if (!container) return;
+  const { query, kind } = app.searchView;
+
+  if (!query.trim()) {
+    container.innerHTML = '<div class="search-empty">Search task names, descriptions, context, work notes, learnings, time-log notes, recap entries and saved recaps</div>';
+    return;
+  }
+
+  const filter = KIND_FILTERS.find(f => f.value === kind) || KIND_FILTERS[0];
+  const results = app.searchAll(query, { kinds: filter.kinds, limit: RESULT_LIMIT });
+  if (results.length === 0) {
+    container.innerHTML = `<div class="search-empty">Nothing matches "${app.escapeHtml(query)}"</div>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="search-count">${results.length === RESULT_LIMIT ? `Top ${RESULT_LIMIT}` : results.length} result${results.length === 1 ? '' : 's'}</div>
+    ${results.map((result, i) => `
+      <div class="search-result ${result.status === 'done' ? 'done' : ''}" data-index="${i}">
+        <div class="search-result-header">
+          <span class="search-result-kind ${result.kind}">${KIND_LABELS[result.kind]}</span>
+          <span class="search-result-title">${app.highlightedHtml(result.titleSegments)}</span>
+        </div>
+        <div class="search-result-meta">${app.escapeHtml(describeResult(app, result))}</div>
+        ${result.snippet ? `
+          <div class="search-result-snippet">
+            ${FIELD_LABELS[result.snippetField] ? `<span class="search-result-field">${FIELD_LABELS[result.snippetField]}:</span> ` : ''}${app.highlightedHtml(result.snippet)}
+          </div>` : ''}
+      </div>
+    `).join('')}
+  `;
+
+  container.querySelectorAll('.search-result').forEach(el => {
+    el.addEventListener('click', () => {
+      const result = results[parseInt(el.dataset.index, 10)];
+      if (result.kind === 'task') {
+        app.openDetailPanel(result.taskId);
+      } else if (result.kind === 'saved-recap') {
+        app.showSavedRecapDetail(result.recapId);
+      } else {
+        app.showRecapDetail(result.date);
+      }
+    });
+  });
+}
+
+export function openSearchView(query = '') {
+  this.searchView = { ...(this.searchView || { kind: 'all' }), query };
+  this.setView('search');
+}
+
+export function renderSearchView() {
+  const container = document.getElementById('task-list-view');
+  if (!container) return;
+  if (!this.searchView) this.searchView = { query: '', kind: 'all' };
+
+  container.innerHTML = `
+    <div class="search-view">
+      <div class="search-view-bar">
+        <input type="text" id="search-view-input" class="search-view-input" placeholder="Search everything..." autocomplete="off" spellcheck="false">
+        <div class="search-view-kinds">
+          ${KIND_FILTERS.map(f => `<button data-kind="${f.value}" class="${f.value === this.searchView.kind ? 'active' : ''}">${f.label}</button>`).join('')}
+        </div>
+      </div>
+      <div id="search-results" class="search-results"></div>
+    </div>
+  `;
+
+  const input = document.getElementById('search-view-input');
+  input.value = this.searchView.query;
+  input.addEventListener('input', () => {
+    this.searchView.query = input.value;
+    renderResults(this);
+  });
+  container.querySelectorAll('.search-view-kinds button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      this.searchView.kind = btn.dataset.kind;
+      container.querySelectorAll('.search-view-kinds button').forEach(b => b.classList.toggle('active', b === btn));
+      renderResults(this);
+    });
+  });
+
+  renderResults(this);
+  input.focus();
+}
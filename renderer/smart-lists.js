@@ -0,0 +1,158 @@
+// renderer/smart-lists.js — Saved task queries: sidebar pins, their views, and the editor
+
+import { parseTaskQuery, queryTasks, getSmartLists } from '../shared/task-query.js';
+
+function findList(app, id) {
+  return getSmartLists(app.data).find(l => l.id === id) || null;
+}
+
+export function getSmartListTasks(listId) {
+  const list = findList(this, listId);
+  if (!list) return [];
+  return queryTasks(this.data, list.query, { today: this.getLocalDateString(), timeZone: this.getTimeZone() }).matches.map(m => m.task);
+}
+
+export function countSmartList(list) {
+  return queryTasks(this.data, list.query, { today: this.getLocalDateString(), timeZone: this.getTimeZone() }).matches.length;
+}
+
+export function renderSmartLists() {
+  const container = document.getElementById('smart-lists');
+  if (!container) return;
+
+  const pinned = getSmartLists(this.data).filter(l => l.pinned !== false);
+  container.innerHTML = pinned.length === 0
+    ? '<div class="smart-lists-empty">Save a query like <code>priority&gt;=high due&lt;+7d</code></div>'
+    : pinned.map(list => `
+      <button class="smart-list-item ${this.currentView === `smart-${list.id}` ? 'active' : ''}" data-view="smart-${list.id}" title="${this.escapeHtml(list.query).replace(/"/g, '&quot;')}">
+        <span class="smart-list-icon">&#9881;</span>
+        <span class="smart-list-name">${this.escapeHtml(list.name)}</span>
+        <span class="smart-list-count" data-smart-list-count="${list.id}"></span>
+        <span class="smart-list-edit" title="Edit">&#9998;</span>
+      </button>
+    `).join('');
+
+  container.querySelectorAll('.smart-list-item').forEach(item => {
+    item.addEventListener('click', (e) => {
+      const id = item.dataset.view.replace('smart-', '');
+      if (e.target.closest('.smart-list-edit')) {
+        this.openSmartListModal(id);
+      } else {
+        this.setView(item.dataset.view);
+      }
+    });
+  });
+}
+
+// Called from the settings button; every list, pinned or not
+export function renderSmartListSettings() {
+  const container = document.getElementById('smart-list-settings');
+  if (!container) return;
+
+  const lists = getSmartLists(this.data);
+  container.innerHTML = lists.length === 0
+    ? '<div class="external-calendar-empty">No smart lists yet</div>'
+    : lists.map(list => `
+      <div class="external-calendar-item" data-smart-list-id="${list.id}">
+        <input type="checkbox" class="smart-list-pinned" ${list.pinned !== false ? 'checked' : ''} title="Show in the sidebar">
+        <div class="external-calendar-info">
+          <span class="external-calendar-name">${this.escapeHtml(list.name)}</span>
+          <span class="external-calendar-state">${this.escapeHtml(list.query)} · ${this.countSmartList(list)} tasks</span>
+        </div>
+        <button class="btn-text-sm smart-list-open">Open</button>
+        <button class="btn-text-sm smart-list-edit-btn">Edit</button>
+      </div>
+    `).join('');
+
+  container.querySelectorAll('[data-smart-list-id]').forEach(item => {
+    const id = item.dataset.smartListId;
+    item.querySelector('.smart-list-pinned').addEventListener('change', (e) => this.setSmartListPinned(id, e.target.checked));
+    item.querySelector('.smart-list-open').addEventListener('click', () => {
+      this.closeModal('settings-modal');
+      this.setView(`smart-${id}`);
+    });
+    item.querySelector('.smart-list-edit-btn').addEventListener('click', () => this.openSmartListModal(id));
+  });
+}
+
+// Live match count (or the query's problem) under the query box
+export function updateSmartListPreview() {
+  const query = document.getElementById('smart-list-query').value;
+  const preview = document.getElementById('smart-list-preview');
+  const parsed = parseTaskQuery(query);
+  if (parsed.error) {
+    preview.textContent = parsed.error;
+    preview.classList.add('error');
+    return;
+  }
+  const { matches } = queryTasks(this.data, parsed, { today: this.getLocalDateString(), timeZone: this.getTimeZone() });
+  preview.textContent = `${matches.length} task${matches.length === 1 ? '' : 's'} match`;
+  preview.classList.remove('error');
+}
+
+export function openSmartListModal(listId = null) {
+  const list = listId ? findList(this, listId) : null;
+  document.getElementById('smart-list-form').reset();
+  document.getElementById('smart-list-modal-title').textContent = list ? 'Edit Smart List' : 'New Smart List';
+  document.getElementById('smart-list-id').value = list ? list.id : '';
+  document.getElementById('smart-list-name').value = list ? list.name : '';
+  document.getElementById('smart-list-query').value = list ? list.query : '';
+  document.getElementById('smart-list-pinned').checked = list ? list.pinned !== false : true;
+  document.getElementById('delete-smart-list-btn').style.display = list ? 'block' : 'none';
+  this.updateSmartListPreview();
+
+  this.openModal('smart-list-modal');
+  document.getElementById('smart-list-name').focus();
+}
+
+export async function saveSmartListForm() {
+  const id = document.getElementById('smart-list-id').value;
+  const name = document.getElementById('smart-list-name').value.trim();
+  const query = document.getElementById('smart-list-query').value.trim();
+  const pinned = document.getElementById('smart-list-pinned').checked;
+  if (!name || !query) return;
+
+  const problem = parseTaskQuery(query).error;
+  if (problem) {
+    this.showToast(problem, 4000);
+    return;
+  }
+
+  if (!this.data.smartLists) this.data.smartLists = [];
+  const existing = findList(this, id);
+  if (existing) {
+    Object.assign(existing, { name, query, pinned });
+  } else {
+    this.data.smartLists.push({ id: this.generateId(), name, query, pinned, createdAt: new Date().toISOString() });
+  }
+
+  await this.saveData();
+  this.closeModal('smart-list-modal');
+  this.render();
+  this.renderSmartListSettings();
+}
+
+export function confirmDeleteSmartList() {
+  const list = findList(this, document.getElementById('smart-list-id').value);
+  if (!list) return;
+
+  this.showConfirmDialog('Delete Smart List', `Delete "${list.name}"? Its tasks aren't affected.`, async () => {
+    this.data.smartLists = getSmartLists(this.data).filter(l => l.id !== list.id);
+    await this.saveData();
+    this.closeModal('smart-list-modal');
+    if (this.currentView === `smart-${list.id}`) {
+      this.setView('today');
+    }
+    this.render();
+    this.renderSmartListSettings();
+  });
+}
+
+export async function setSmartListPinned(listId, pinned) {
+  const list = findList(this, listId);
+  if (!list) return;
+  list.pinned = pinned;
+  await this.saveData();
+  this.renderSmartLists();
+  this.updateCounts();
+}
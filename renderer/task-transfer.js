@@ -0,0 +1,198 @@
+// renderer/task-transfer.js — Export projects as Markdown/CSV, and import task lists with a mapping preview
+
+import {
+  IMPORT_FIELDS, FORMAT_LABELS, exportMarkdown, exportCsv,
+  readImportFile, buildImportItems, previewImport, mergeImport,
+} from '../shared/task-transfer.js';
+
+const PREVIEW_LIMIT = 50;
+
+function attr(app, value) {
+  return app.escapeHtml(String(value)).replace(/"/g, '&quot;');
+}
+
+function fileSafeName(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'taskflow-tasks';
+}
+
+// ── Export ──────────────────────────────────────────────────────
+
+export function openExportTasksModal() {
+  const select = document.getElementById('export-tasks-project');
+  const current = this.currentView.startsWith('project-') ? this.currentView.replace('project-', '') : '';
+  select.innerHTML = '<option value="">All projects</option>' + this.data.projects
+    .map(p => `<option value="${p.id}" ${p.id === current ? 'selected' : ''}>${this.escapeHtml(p.name)}</option>`)
+    .join('');
+  this.closeModal('settings-modal');
+  this.openModal('export-tasks-modal');
+}
+
+export async function exportTasks() {
+  const projectId = document.getElementById('export-tasks-project').value;
+  const format = document.getElementById('export-tasks-format').value;
+  const projects = projectId
+    ? this.data.projects.filter(p => p.id === projectId)
+    : this.data.projects.filter(p => (p.tasks || []).length > 0);
+  if (projects.length === 0) {
+    this.showToast('No tasks to export');
+    return;
+  }
+
+  const content = format === 'csv' ? exportCsv(this.data, projects) : exportMarkdown(this.data, projects);
+  const defaultName = projectId ? fileSafeName(projects[0].name) : 'taskflow-tasks';
+  const saved = await window.api.exportTasks({ content, format, defaultName });
+  if (saved) {
+    this.closeModal('export-tasks-modal');
+    this.showToast('Tasks exported');
+  }
+}
+
+// ── Import ──────────────────────────────────────────────────────
+
+function getTargetOptions(app, source) {
+  const options = [{ value: '', label: 'Projects named in the file (others to Inbox)' }];
+  const fileProject = source.projectName;
+  if (fileProject && !app.data.projects.some(p => p.name.toLowerCase() === fileProject.toLowerCase())) {
+    options.push({ value: fileProject, label: `New project "${fileProject}"` });
+  }
+  for (const project of app.data.projects) {
+    options.push({ value: project.name, label: project.name });
+  }
+  return options;
+}
+
+function renderMapping(app) {
+  const { source, mapping } = app.taskImport;
+  if (source.format === 'markdown') {
+    return `
+      <p class="settings-text">Headings become projects and list items become tasks, indented ones subtasks.
+      Recognised in each item: <code>[x]</code> done, <code>!high</code>, <code>(due: 2026-04-10)</code>,
+      <code>(scheduled: 2026-04-10 15:00)</code>, <code>~30m</code> and <code>#tag</code>.</p>
+    `;
+  }
+
+  const sample = source.rows[0] || [];
+  const columnOptions = (selected) => '<option value="">Not imported</option>' + source.headers
+    .map((header, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${app.escapeHtml(header || `Column ${i + 1}`)}</option>`)
+    .join('');
+  return `
+    <div class="import-mapping">
+      ${IMPORT_FIELDS.map(({ key, label }) => {
+        const selected = mapping[key] === null || mapping[key] < 0 ? null : mapping[key];
+        const example = selected === null ? '' : (sample[selected] || '');
+        return `
+          <label class="import-mapping-field">${label}</label>
+          <select class="import-mapping-select" data-field="${key}">${columnOptions(selected)}</select>
+          <span class="import-mapping-sample" title="${attr(app, example)}">${app.escapeHtml(example)}</span>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function describeItem(app, item) {
+  const parts = [];
+  if (item.status === 'done') parts.push('done');
+  if (item.priority !== 'none') parts.push(item.priority);
+  if (item.dueDate) parts.push(`due ${item.dueDate}`);
+  if (item.scheduledDate || item.scheduledTime) parts.push(`scheduled ${[item.scheduledDate, item.scheduledTime].filter(Boolean).join(' ')}`);
+  if (item.estimatedMinutes) parts.push(`~${item.estimatedMinutes}m`);
+  parts.push(...item.tags.map(t => `#${t}`));
+  if (item.subtasks.length > 0) parts.push(`${item.subtasks.length} subtask${item.subtasks.length === 1 ? '' : 's'}`);
+  return app.escapeHtml(parts.join(' · '));
+}
+
+// The items as they'd land with the current mapping and target, and what's already there
+function renderImportPreview(app) {
+  const { source, mapping, target } = app.taskImport;
+  const { items, skipped } = buildImportItems(source, mapping);
+  const entries = previewImport(app.data, items, { projectName: target || null });
+  const fresh = entries.filter(e => !e.duplicate).length;
+  const newSubtasks = entries.filter(e => e.duplicate).reduce((sum, e) => sum + e.newSubtasks, 0);
+
+  const summary = [`${fresh} new task${fresh === 1 ? '' : 's'}`];
+  if (entries.length > fresh) summary.push(`${entries.length - fresh} already there`);
+  if (newSubtasks > 0) summary.push(`${newSubtasks} new subtask${newSubtasks === 1 ? '' : 's'} for those`);
+  if (skipped > 0) summary.push(`${skipped} row${skipped === 1 ? '' : 's'} without a task name`);
+
+  document.getElementById('import-tasks-confirm').disabled = fresh + newSubtasks === 0;
+  document.getElementById('import-tasks-preview').innerHTML = `
+    <div class="import-preview-summary">${summary.join(' · ')}</div>
+    ${entries.length === 0 ? '<div class="auto-schedule-empty">No tasks found with this mapping</div>' : ''}
+    ${entries.slice(0, PREVIEW_LIMIT).map(entry => `
+      <div class="import-preview-item ${entry.duplicate ? 'duplicate' : ''}">
+        <span class="import-preview-name">${app.escapeHtml(entry.item.name)}</span>
+        <span class="import-preview-meta">${describeItem(app, entry.item)}</span>
+        <span class="import-preview-project">${app.escapeHtml(entry.projectName)}${entry.newProject ? ' (new)' : ''}</span>
+        ${entry.duplicate ? `<span class="import-preview-flag">${entry.newSubtasks > 0 ? `already there, +${entry.newSubtasks} subtasks` : 'already there'}</span>` : ''}
+      </div>
+    `).join('')}
+    ${entries.length > PREVIEW_LIMIT ? `<div class="import-preview-more">and ${entries.length - PREVIEW_LIMIT} more</div>` : ''}
+  `;
+}
+
+function renderImportModal(app) {
+  const { source, fileName, target } = app.taskImport;
+  const body = document.getElementById('import-tasks-body');
+  body.innerHTML = `
+    <div class="import-file">${app.escapeHtml(fileName)} · ${FORMAT_LABELS[source.format]}</div>
+    <div class="form-group">
+      <label for="import-tasks-target">Add tasks to</label>
+      <select id="import-tasks-target">
+        ${getTargetOptions(app, source).map(o => `<option value="${attr(app, o.value)}" ${o.value === target ? 'selected' : ''}>${app.escapeHtml(o.label)}</option>`).join('')}
+      </select>
+    </div>
+    ${renderMapping(app)}
+    <div class="import-preview" id="import-tasks-preview"></div>
+  `;
+
+  body.querySelector('#import-tasks-target').addEventListener('change', (e) => {
+    app.taskImport.target = e.target.value;
+    renderImportPreview(app);
+  });
+  body.querySelectorAll('.import-mapping-select').forEach(select => {
+    select.addEventListener('change', () => {
+      app.taskImport.mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value, 10);
+      renderImportModal(app);
+    });
+  });
+  renderImportPreview(app);
+}
+
+export async function openImportTasks() {
+  const file = await window.api.importTasksFile();
+  if (!file) return;
+
+  const source = readImportFile(file.text, file.fileName, { timeZone: this.getTimeZone() });
+  // A Todoist export is one project, named by its file
+  const target = source.format === 'todoist' ? source.projectName || '' : '';
+  this.taskImport = { source, fileName: file.fileName, mapping: { ...source.mapping }, target };
+  this.closeModal('settings-modal');
+  renderImportModal(this);
+  this.openModal('import-tasks-modal');
+}
+
+export async function importTasks() {
+  if (!this.taskImport) return;
+  const { source, mapping, target } = this.taskImport;
+  const { items } = buildImportItems(source, mapping);
+  const result = mergeImport(this.data, items, {
+    projectName: target || null,
+    generateId: () => this.generateId(),
+    today: this.getLocalDateString(),
+  });
+
+  await this.saveData();
+  this.taskImport = null;
+  this.closeModal('import-tasks-modal');
+  this.render();
+
+  let message = `Imported ${result.added} task${result.added === 1 ? '' : 's'}`;
+  if (result.subtasksAdded > 0) message += ` and ${result.subtasksAdded} subtask${result.subtasksAdded === 1 ? '' : 's'}`;
+  if (result.skipped > 0) message += ` · ${result.skipped} already there`;
+  if (result.errors.length > 0) {
+    message += ` · ${result.errors.length} not imported: ${result.errors[0]}`;
+    console.warn('Tasks not imported:', result.errors);
+  }
+  this.showToast(message, result.errors.length > 0 ? 5000 : 3000);
+}
@@ -266,6 +266,7 @@ export function createMasterListItem(task) {
     <button class="master-list-select ${isSelected ? 'selected' : ''}" data-action="select">${isSelected ? '✓' : ''}</button>
     <button class="master-list-checkbox ${isCompleted ? 'checked' : ''}" data-action="toggle">${isCompleted ? '✓' : ''}</button>
     <span class="master-list-name" data-action="edit-name">${this.escapeHtml(task.name)}</span>
+    ${task.recurrence ? `<span class="recurring-badge" title="${this.escapeHtml(this.formatRecurrence(task))}">↻</span>` : ''}
     ${todayBadgeHtml}
     ${durationHtml}
     ${tagsHtml}
@@ -949,6 +950,8 @@ export function openTaskModal(taskId = null, preselectedProjectId = null) {
         if (durationBtn) durationBtn.classList.add('selected');
       }
 
+      this.setRepeatForm(task.recurrence);
+
       // Set tags
       task.tags.forEach(tagId => {
         const cb = document.querySelector(`#tags-selector input[value="${tagId}"]`);
@@ -960,6 +963,7 @@ export function openTaskModal(taskId = null, preselectedProjectId = null) {
     }
   } else {
     title.textContent = 'Add Task';
+    this.setRepeatForm(null);
 
     // Pre-select project if specified or if viewing a project
     const presetProjectId = preselectedProjectId || (this.currentView.startsWith('project-') ? this.currentView.replace('project-', '') : null);
@@ -987,6 +991,14 @@ export function saveTaskForm() {
   const scheduledDate = document.getElementById('task-scheduled-date').value || null;
   const estimatedMinutes = parseInt(document.getElementById('task-estimated-minutes').value) || null;
 
+  let recurrence;
+  try {
+    recurrence = this.getRepeatFormRule(taskId ? this.findTask(taskId)?.recurrence : null);
+  } catch (err) {
+    this.showToast(err.message, 3000);
+    return;
+  }
+
   const taskData = {
     name: document.getElementById('task-name').value.trim(),
     description: document.getElementById('task-description').value.trim(),
@@ -998,10 +1010,16 @@ export function saveTaskForm() {
     scheduledTime: scheduledTime,
     scheduledDate: scheduledDate || (scheduledTime ? this.getLocalDateString() : null),
     estimatedMinutes: estimatedMinutes,
+    recurrence: recurrence,
     tags: selectedTags,
     filePaths: this._tempFilePaths || []
   };
 
+  // A repeating task needs a date to count from
+  if (recurrence && !taskData.dueDate && !taskData.scheduledDate) {
+    taskData.dueDate = this.getLocalDateString();
+  }
+
   if (taskId) {
     // Don't overwrite file paths when editing - they're managed separately
     delete taskData.filePaths;
@@ -1560,7 +1578,7 @@ export function openDetailPanel(taskId) {
       </div>
     </div>
 
-    ${task.scheduledDate || task.scheduledTime || task.estimatedMinutes || task.waitingReason ? `
+    ${task.scheduledDate || task.scheduledTime || task.estimatedMinutes || task.waitingReason || task.recurrence ? `
     <div class="detail-section detail-scheduling">
       <h4>Scheduling</h4>
       ${task.scheduledDate || task.scheduledTime ? `
@@ -1573,6 +1591,11 @@ export function openDetailPanel(taskId) {
         <span class="detail-field-label">Estimated Duration</span>
         <span class="detail-field-value">${task.estimatedMinutes} minutes</span>
       </div>` : ''}
+      ${task.recurrence ? `
+      <div class="detail-field">
+        <span class="detail-field-label">Repeats</span>
+        <span class="detail-field-value">${this.escapeHtml(this.formatRecurrence(task))}</span>
+      </div>` : ''}
       ${task.waitingReason ? `
       <div class="detail-field detail-waiting-reason">
         <span class="detail-field-label">Waiting Reason</span>
@@ -1607,6 +1630,7 @@ export function openDetailPanel(taskId) {
 
     <div class="detail-actions">
       <button class="btn btn-secondary" id="detail-edit-btn">Edit</button>
+      <button class="btn btn-secondary" id="detail-history-btn">History</button>
       <button class="btn btn-danger" id="detail-delete-btn">Delete</button>
     </div>
   `;
@@ -1698,6 +1722,10 @@ export function openDetailPanel(taskId) {
     this.openTaskModal(task.id);
   });
 
+  content.querySelector('#detail-history-btn').addEventListener('click', () => {
+    this.openTaskHistory(task.id);
+  });
+
   content.querySelector('#detail-delete-btn').addEventListener('click', () => {
     this.confirmDeleteTask(task.id);
   });
@@ -1891,9 +1919,15 @@ export function toggleTaskStatus(taskId) {
   if (task) {
     const wasDone = task.status === 'done';
     const newStatus = wasDone ? 'todo' : 'done';
+    const previousNextId = task.recurrenceNextId;
     this.updateTask(taskId, { status: newStatus });
     if (!wasDone) {
-      this.showToast(`${task.name} completed`);
+      const nextTask = task.recurrenceNextId !== previousNextId ? this.findTask(task.recurrenceNextId) : null;
+      if (nextTask) {
+        this.showToast(`${task.name} completed — next due ${this.formatDate(nextTask.dueDate || nextTask.scheduledDate)}`);
+      } else {
+        this.showToast(`${task.name} completed`);
+      }
       this.addCompletionToRecap(task.name, null);
     }
     this.render();
@@ -1,5 +1,10 @@
 // renderer/today-view.js — Today view, command center, daily workflow
 
+import { createCalibrator } from '../shared/estimates.js';
+import { getSchedulingSettings, getWorkingHours, capacityReport, capacityWarning, describeDay, nextWorkDay } from '../shared/scheduler.js';
+import { addDays } from '../shared/dates.js';
+import { getRolloverSettings, findLeftBehind, suggestDecision } from '../shared/rollover.js';
+
 // Refresh command center components (can be called from any view)
 export function refreshCommandCenter() {
   // Only refresh if the elements exist (command center view is in DOM)
@@ -56,6 +61,8 @@ export function renderTodayView() {
 
   // Render flat queue
   this.renderUpNextQueue(allActiveTasks);
+  this.renderTodayRecurring();
+  this.renderTodayCapacity();
 
   // Show/hide empty state
   const emptyState = document.getElementById('today-empty-state');
@@ -73,7 +80,68 @@ export function renderTodayView() {
   this.bindTodayViewEvents();
 }
 
+function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h > 0 ? `${h}h${m ? ` ${m}m` : ''}` : `${m}m`;
+}
+
+/**
+ * Today's workload against the working time left: open tasks for today
+ * (including overdue and active ones) at the pace your past estimates
+ * suggest, versus working hours from now minus meetings. Also flags a day
+ * whose scheduled estimates exceed its capacity, or that is a day off.
+ */
+export function renderTodayCapacity() {
+  const el = document.getElementById('today-capacity');
+  if (!el) return;
+  const today = this.getLocalDateString();
+  const activeIds = this.todayView.workingOnTaskIds || [];
+  const tasks = this.getAllTasks().filter(t =>
+    t.status !== 'done' &&
+    ((t.dueDate && t.dueDate <= today) || t.scheduledDate === today || activeIds.includes(t.id))
+  );
+  if (tasks.length === 0) {
+    el.textContent = '';
+    return;
+  }
+
+  const scheduling = getSchedulingSettings(this.data.settings);
+  const calibrator = createCalibrator(this.data, { enabled: scheduling.calibrateEstimates });
+  const planned = tasks.reduce((sum, t) => sum + (t.estimatedMinutes || scheduling.defaultMinutes), 0);
+  const calibrated = tasks.reduce((sum, t) => sum + calibrator.minutesFor(t, scheduling.defaultMinutes), 0);
+
+  const nowMinutes = this.getNowMinutes();
+  const meetings = this.getBusyBlocks(today).filter(b => !b.allDay);
+  let free = 0;
+  for (const hours of getWorkingHours(scheduling, today)) {
+    const start = Math.max(hours.start, nowMinutes);
+    if (hours.end <= start) continue;
+    const busy = meetings.reduce((sum, b) =>
+      sum + Math.max(0, Math.min(b.endMinutes, hours.end) - Math.max(b.startMinutes, start)), 0);
+    free += hours.end - start - busy;
+  }
+
+  const [day] = capacityReport(this.getAllTasks(), [today], this.data.settings);
+  const warning = capacityWarning(day);
+
+  let text = `${formatDuration(planned)} planned`;
+  if (calibrated !== planned) text += ` (≈${formatDuration(calibrated)} at your pace)`;
+  text += day.dayOff ? ` · ${describeDay(day, scheduling)}` : ` · ${formatDuration(Math.max(0, free))} free`;
+  el.textContent = text;
+  el.classList.toggle('over', calibrated > free || Boolean(warning));
+  let title = day.dayOff ? describeDay(day, scheduling) : `Working hours ${describeDay(day, scheduling)}, minus meetings.`;
+  if (calibrated !== planned) title = `Padded by how long tasks like these have taken you before. ${title}`;
+  if (warning) title += `\n${warning}.`;
+  el.title = title;
+}
+
 export function planMyDay() {
+  return this.openAutoSchedule({ range: 'day' });
+}
+
+// The Claude planning prompt, for planning the day together in Claude Desktop
+export function copyPlanMyDayPrompt() {
   const today = this.getLocalDateString();
   const allTasks = this.getAllTasks().filter(t => t.status !== 'done');
 
@@ -244,49 +312,46 @@ export function planMyDay() {
 
   window.api.copyToClipboard(prompt);
 
-  const btn = document.getElementById('plan-my-day-btn');
-  if (btn) {
-    btn.textContent = 'Copied!';
-    btn.classList.add('copied');
-    setTimeout(() => {
-      btn.textContent = 'Plan My Day';
-      btn.classList.remove('copied');
-    }, 2000);
-  }
-
   this.showToast('Prompt copied — paste into Claude Desktop', 3000);
 }
 
+/**
+ * Deals with tasks left behind on past days, per the rollover policy
+ * (Settings → Rollover): moves them on to today's work day, sends ones
+ * pushed back too often to the inbox, or in review mode just says how many
+ * are waiting for the rollover review.
+ */
 export function autoRollTasks() {
   const today = this.getLocalDateString();
-  const allTasks = this.getAllTasks();
-  let rolledCount = 0;
-
-  allTasks.forEach(t => {
-    if (t.status === 'done') return;
-    const isOldScheduled = t.scheduledDate && t.scheduledDate < today;
-    const isOldDue = t.dueDate && t.dueDate < today;
-    if (isOldScheduled || isOldDue) {
-      if (isOldScheduled) {
-        t.scheduledDate = today;
-        t.scheduledTime = null; // clear stale time
-        t.snoozeCount = (t.snoozeCount || 0) + 1;
-      }
-      if (isOldDue) {
-        t.dueDate = today;
-      }
-      rolledCount++;
+  const settings = this.data.settings;
+  const items = findLeftBehind(this.getAllTasks(), today, settings);
+  if (items.length === 0) return;
+
+  const banner = document.getElementById('today-roll-banner');
+  const bannerText = document.getElementById('roll-banner-text');
+  const reviewBtn = document.getElementById('roll-banner-review');
+  const plural = (n) => `${n} task${n > 1 ? 's' : ''}`;
+
+  let text;
+  if (getRolloverSettings(settings).mode === 'review') {
+    text = `${plural(items.length)} from earlier days need a decision`;
+  } else {
+    const target = nextWorkDay(settings, today);
+    const counts = this.applyRolloverDecisions(items.map(item => ({ item, decision: suggestDecision(item.task, settings) })));
+    const parts = [];
+    if (counts.today) {
+      parts.push(target === today
+        ? `${plural(counts.today)} rolled forward from yesterday`
+        : `${plural(counts.today)} rolled forward to your next work day (${this.formatDate(target)})`);
     }
-  });
+    if (counts.inbox) parts.push(`${plural(counts.inbox)} sent back to the inbox for re-triage`);
+    text = parts.join(' · ');
+  }
 
-  if (rolledCount > 0) {
-    this.saveData();
-    const banner = document.getElementById('today-roll-banner');
-    const bannerText = document.getElementById('roll-banner-text');
-    if (banner && bannerText) {
-      bannerText.textContent = `${rolledCount} task${rolledCount > 1 ? 's' : ''} rolled forward from yesterday`;
-      banner.classList.remove('hidden');
-    }
+  if (banner && bannerText) {
+    bannerText.textContent = text;
+    reviewBtn?.classList.toggle('hidden', getRolloverSettings(settings).mode !== 'review');
+    banner.classList.remove('hidden');
   }
 }
 
@@ -357,6 +422,34 @@ export function renderUpNextQueue(tasks) {
   }).join('');
 }
 
+// Upcoming instances of recurring tasks over the next week (they only become
+// real tasks when the current one is completed)
+export function renderTodayRecurring() {
+  const section = document.getElementById('today-recurring');
+  const container = document.getElementById('today-recurring-list');
+  if (!section || !container) return;
+
+  const today = this.getLocalDateString();
+  const instances = this.getRecurringInstances(today, addDays(today, 7));
+
+  section.classList.toggle('hidden', instances.length === 0);
+  container.innerHTML = instances.map(({ task, date }) => {
+    const project = this.data.projects.find(p => p.tasks.some(t => t.id === task.id));
+    const projectName = project && !project.isInbox ? project.name : '';
+    return `
+      <div class="today-recurring-item" data-task-id="${task.id}" title="${this.escapeHtml(this.formatRecurrence(task))}">
+        <span class="today-recurring-date">${this.formatUpcomingDate(date, today)}</span>
+        <span class="today-recurring-name">↻ ${this.escapeHtml(task.name)}</span>
+        ${projectName ? `<span class="today-task-project">${this.escapeHtml(projectName)}</span>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.today-recurring-item').forEach(item => {
+    item.addEventListener('click', () => this.openDetailPanel(item.dataset.taskId));
+  });
+}
+
 export function renderWorkingOnNow() {
   this.renderActiveTasks();
 }
@@ -472,7 +565,22 @@ export function bindTodayViewEvents() {
     // Coach Me
     if (target.closest('#coach-me-btn')) { this.coachMePrompt(); return; }
 
-    // Roll banner dismiss
+    // Re-plan banner
+    if (target.closest('#replan-banner-btn')) {
+      document.getElementById('today-replan-banner')?.classList.add('hidden');
+      this.openAutoSchedule({ range: 'day', replan: true });
+      return;
+    }
+    if (target.closest('#replan-banner-dismiss')) {
+      document.getElementById('today-replan-banner')?.classList.add('hidden');
+      return;
+    }
+
+    // Roll banner: open the rollover review, or dismiss
+    if (target.closest('#roll-banner-review')) {
+      this.openRolloverReview();
+      return;
+    }
     if (target.closest('#roll-banner-dismiss')) {
       document.getElementById('today-roll-banner')?.classList.add('hidden');
       return;
@@ -737,6 +845,7 @@ export function bindTodayViewEvents() {
 export function updateTodayStats() {
   // Lightweight update of counts without full re-render
   this.updateCounts();
+  this.renderTodayCapacity();
 }
 
 // Auto-advance: remove completed tasks from active list (no auto-pick with multi-active)
@@ -821,6 +930,12 @@ export function renderDailySchedule() {
 
   let html = `<div class="schedule-time-slots">`;
 
+  const [day] = capacityReport(this.getAllTasks(), [today], this.data.settings);
+  const warning = capacityWarning(day);
+  if (warning) {
+    html += `<div class="schedule-capacity-warning">${this.escapeHtml(warning)}</div>`;
+  }
+
   // Show scheduled tasks with time blocks
   if (scheduledTasks.length > 0) {
     html += `<div class="schedule-header">
@@ -1,5 +1,16 @@
 // renderer/utils.js — Utility functions extracted from TaskFlowApp
 
+import {
+  getTimeZone as timeZoneSetting,
+  systemTimeZone,
+  isValidTimeZone,
+  localToday,
+  toLocalDate,
+  minutesInZone,
+  calendarDate,
+  addDays
+} from '../shared/dates.js';
+
 export function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -7,24 +18,15 @@ export function escapeHtml(text) {
 }
 
 export function formatDate(dateString) {
-  const date = new Date(dateString + 'T00:00:00');
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-
-  const taskDate = new Date(date);
-  taskDate.setHours(0, 0, 0, 0);
-
-  if (taskDate.getTime() === today.getTime()) return 'Today';
-  if (taskDate.getTime() === tomorrow.getTime()) return 'Tomorrow';
+  const today = this.getLocalDateString();
+  if (dateString === today) return 'Today';
+  if (dateString === addDays(today, 1)) return 'Tomorrow';
 
   const options = { month: 'short', day: 'numeric' };
-  if (taskDate.getFullYear() !== today.getFullYear()) {
+  if (dateString.slice(0, 4) !== today.slice(0, 4)) {
     options.year = 'numeric';
   }
-  return date.toLocaleDateString('en-US', options);
+  return new Date(dateString + 'T00:00:00').toLocaleDateString('en-US', options);
 }
 
 export function formatStatus(status) {
@@ -92,12 +94,8 @@ export function formatRelativeTime(dateString) {
 
 export function formatRecapDate(dateStr) {
   const today = this.getLocalDateString();
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayStr = this.getLocalDateString(yesterday);
-
   if (dateStr === today) return 'Today';
-  if (dateStr === yesterdayStr) return 'Yesterday';
+  if (dateStr === addDays(today, -1)) return 'Yesterday';
 
   const date = new Date(dateStr + 'T00:00:00');
   return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
@@ -107,24 +105,58 @@ export function generateId() {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
-export function getLocalDateString(date = new Date()) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// The user's timezone (Settings → Date & Time), or null for the system's
+export function getTimeZone() {
+  return timeZoneSetting(this.data && this.data.settings);
 }
 
+// With no argument, today on the user's clock. A Date passed in is read by
+// its calendar fields, as the views build them with setDate() and friends.
+export function getLocalDateString(date = null) {
+  return date ? calendarDate(date) : localToday(this.getTimeZone());
+}
+
+// The day a stored timestamp falls on, on the user's clock
 export function isoToLocalDate(isoString) {
-  if (!isoString) return null;
-  return this.getLocalDateString(new Date(isoString));
+  return toLocalDate(isoString, this.getTimeZone());
+}
+
+export function getNowMinutes() {
+  return minutesInZone(new Date(), this.getTimeZone());
+}
+
+// Fill the timezone picker in Settings, with the system zone first
+export function updateTimeZoneSetting() {
+  const select = document.getElementById('timezone-select');
+  if (!select) return;
+  if (select.options.length === 0) {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    select.innerHTML = `<option value="">System (${this.escapeHtml(systemTimeZone())})</option>` +
+      zones.map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`).join('');
+  }
+  const current = this.getTimeZone() || '';
+  if (current && ![...select.options].some(o => o.value === current)) {
+    select.add(new Option(current, current));
+  }
+  select.value = current;
+}
+
+export async function setTimeZone(value) {
+  if (value && !isValidTimeZone(value)) {
+    this.showToast(`Unknown timezone "${value}"`);
+    this.updateTimeZoneSetting();
+    return;
+  }
+  if (!this.data.settings) this.data.settings = {};
+  this.data.settings.timezone = value || null;
+  await this.saveData();
+  this.render();
+  this.showToast(`Dates follow ${value || `the system timezone (${systemTimeZone()})`}; today is ${this.getLocalDateString()}`);
 }
 
 export function isTimePast(timeStr) {
-  const now = new Date();
   const [hours, minutes] = timeStr.split(':').map(Number);
-  const slotTime = new Date();
-  slotTime.setHours(hours, minutes, 0, 0);
-  return slotTime < now;
+  return hours * 60 + minutes < this.getNowMinutes();
 }
 
 export function getRelativeTime(isoDate) {
@@ -0,0 +1,168 @@
+// renderer/webhooks.js — Settings for webhooks sent by main on task events, and their delivery log
+
+const WEBHOOK_EVENTS = [
+  { type: 'task.created', label: 'Created' },
+  { type: 'task.completed', label: 'Completed' },
+  { type: 'task.status_changed', label: 'Status changed' },
+  { type: 'task.blocked', label: 'Blocked' },
+  { type: 'task.deleted', label: 'Deleted' },
+];
+
+function getWebhooks(app) {
+  return app.data.settings?.webhooks || [];
+}
+
+async function saveWebhooks(app, webhooks) {
+  if (!app.data.settings) app.data.settings = {};
+  app.data.settings.webhooks = webhooks;
+  await app.saveData();
+  await app.renderWebhookSettings();
+}
+
+function describeFilters(app, webhook) {
+  const events = (webhook.events || []).length > 0
+    ? webhook.events.map(type => WEBHOOK_EVENTS.find(e => e.type === type)?.label || type).join(', ')
+    : 'All events';
+  const projects = (webhook.projectIds || []).length > 0
+    ? webhook.projectIds.map(id => app.data.projects.find(p => p.id === id)?.name || 'Deleted project').join(', ')
+    : 'all projects';
+  return `${events} · ${projects}${webhook.secret ? ' · signed' : ''}`;
+}
+
+function renderDeliveryLog(app, log) {
+  const container = document.getElementById('webhook-log');
+  if (log.length === 0) {
+    container.innerHTML = '<div class="external-calendar-empty">Nothing sent yet</div>';
+    return;
+  }
+  container.innerHTML = log.map(record => {
+    let outcome = record.ok ? `${record.status}` : app.escapeHtml(record.error || 'Failed');
+    if (record.retryAt) {
+      outcome += ` · retry ${new Date(record.retryAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+    } else if (record.gaveUp) {
+      outcome += ' · gave up';
+    }
+    return `
+      <div class="webhook-log-item ${record.ok ? 'ok' : 'failed'}" title="${app.escapeHtml(record.url).replace(/"/g, '&quot;')}">
+        <span class="webhook-log-mark">${record.ok ? '&#10003;' : '&#10007;'}</span>
+        <span class="webhook-log-event">${app.escapeHtml(record.eventType)}</span>
+        <span class="webhook-log-task">${app.escapeHtml(record.taskName || '')}</span>
+        <span class="webhook-log-outcome">${outcome}</span>
+        <span class="webhook-log-time">${app.formatRelativeTime(record.at)}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+// Called at startup: refresh the log when main sends something while settings are open
+export function initWebhooks() {
+  window.api.onWebhookDeliveriesChanged?.(() => {
+    if (document.getElementById('settings-modal')?.classList.contains('open')) {
+      this.renderWebhookSettings();
+    }
+  });
+}
+
+export async function renderWebhookSettings() {
+  const container = document.getElementById('webhook-list');
+  if (!container) return;
+
+  const eventsBox = document.getElementById('webhook-events');
+  if (!eventsBox.children.length) {
+    eventsBox.innerHTML = WEBHOOK_EVENTS.map(e => `
+      <label><input type="checkbox" value="${e.type}"> ${e.label}</label>
+    `).join('');
+  }
+  const projectSelect = document.getElementById('webhook-projects');
+  const selected = new Set(Array.from(projectSelect.selectedOptions, o => o.value));
+  projectSelect.innerHTML = this.data.projects
+    .filter(p => !p.isInbox)
+    .map(p => `<option value="${p.id}" ${selected.has(p.id) ? 'selected' : ''}>${this.escapeHtml(p.name)}</option>`)
+    .join('');
+
+  const status = await window.api.getWebhooksStatus() || { pending: {}, log: [] };
+  const webhooks = getWebhooks(this);
+  container.innerHTML = webhooks.length === 0
+    ? '<div class="external-calendar-empty">No webhooks added</div>'
+    : webhooks.map(webhook => {
+      const pending = status.pending[webhook.id] || 0;
+      return `
+        <div class="external-calendar-item" data-webhook-id="${webhook.id}">
+          <input type="checkbox" class="webhook-enabled" ${webhook.enabled !== false ? 'checked' : ''} title="Send to this webhook">
+          <div class="external-calendar-info">
+            <span class="external-calendar-name">${this.escapeHtml(webhook.url)}</span>
+            <span class="external-calendar-state">${this.escapeHtml(describeFilters(this, webhook))}${pending ? ` · ${pending} waiting to send` : ''}</span>
+          </div>
+          <button class="btn-text-sm webhook-test" title="Send a ping event now">Test</button>
+          <button class="btn-icon webhook-remove" title="Remove webhook">&#10005;</button>
+        </div>
+      `;
+    }).join('');
+
+  container.querySelectorAll('[data-webhook-id]').forEach(item => {
+    const id = item.dataset.webhookId;
+    item.querySelector('.webhook-enabled').addEventListener('change', (e) => this.setWebhookEnabled(id, e.target.checked));
+    item.querySelector('.webhook-test').addEventListener('click', () => this.testWebhook(id));
+    item.querySelector('.webhook-remove').addEventListener('click', () => this.removeWebhook(id));
+  });
+
+  renderDeliveryLog(this, status.log);
+}
+
+export async function addWebhook() {
+  const urlInput = document.getElementById('webhook-url');
+  const url = urlInput.value.trim();
+  if (!url) return;
+  if (!/^https?:\/\/\S+$/i.test(url)) {
+    this.showToast('Webhook URL must start with http:// or https://', 3000);
+    return;
+  }
+
+  const webhook = {
+    id: this.generateId(),
+    url,
+    events: Array.from(document.querySelectorAll('#webhook-events input:checked'), input => input.value),
+    projectIds: Array.from(document.getElementById('webhook-projects').selectedOptions, o => o.value),
+    secret: document.getElementById('webhook-secret').value,
+    enabled: true
+  };
+  urlInput.value = '';
+  document.getElementById('webhook-secret').value = '';
+  document.querySelectorAll('#webhook-events input').forEach(input => { input.checked = false; });
+  document.getElementById('webhook-projects').selectedIndex = -1;
+
+  await saveWebhooks(this, [...getWebhooks(this), webhook]);
+  this.showToast('Webhook added');
+}
+
+export async function removeWebhook(id) {
+  if (!confirm('Remove this webhook? Deliveries still waiting to be sent are dropped.')) return;
+  await saveWebhooks(this, getWebhooks(this).filter(w => w.id !== id));
+  this.showToast('Webhook removed');
+}
+
+export async function setWebhookEnabled(id, enabled) {
+  await saveWebhooks(this, getWebhooks(this).map(w => (w.id === id ? { ...w, enabled } : w)));
+}
+
+export async function testWebhook(id) {
+  const result = await window.api.testWebhook(id);
+  await this.renderWebhookSettings();
+  this.showToast(result.ok ? `Test sent (${result.status})` : `Test failed: ${result.error}`, result.ok ? 2000 : 4000);
+}
+
+export async function retryWebhooksNow() {
+  const records = await window.api.retryWebhooks();
+  await this.renderWebhookSettings();
+  const failed = records.filter(r => !r.ok).length;
+  if (records.length === 0) {
+    this.showToast('Nothing waiting to send');
+  } else {
+    this.showToast(failed > 0 ? `${failed} of ${records.length} deliveries failed` : `${records.length} deliveries sent`);
+  }
+}
+
+export async function clearWebhookLog() {
+  await window.api.clearWebhookLog();
+  await this.renderWebhookSettings();
+}
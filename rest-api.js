@@ -0,0 +1,527 @@
+/**
+ * RestApi — Local HTTP/JSON API for tasks, projects, categories, tags,
+ * recaps and time logs
+ *
+ * Served by the Electron main process on 127.0.0.1 when turned on in
+ * Settings → Local API, for scripts, shell aliases and other tools on the
+ * same machine. Every request except GET /api/v1/openapi.json needs
+ * `Authorization: Bearer <token>` with the token shown in Settings.
+ *
+ * Task input is checked and applied by shared/task-input.js, the same code
+ * behind the MCP create_task and update_task tools, so both accept the same
+ * fields. Writes go through the data store like any other edit (source
+ * 'api'), so the app picks them up and they show in history. The routes are
+ * documented in openapi.json.
+ */
+
+const crypto = require('crypto');
+const openapi = require('./openapi.json');
+
+const BASE_PATH = '/api/v1';
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_COLOR = '#6366f1';
+const RECAP_ENTRY_TYPES = ['accomplishment', 'decision', 'note'];
+
+// shared/ is ES modules; load it once, on the first request that needs it
+let sharedModules = null;
+function loadShared() {
+  if (!sharedModules) {
+    sharedModules = Promise.all([import('./shared/task-input.js'), import('./shared/dates.js')])
+      .then(([taskInput, dates]) => ({
+        ...taskInput,
+        // "Today" on the user's clock (settings.timezone), as the app sees it
+        localToday: (data) => dates.localToday(dates.getTimeZone(data.settings)),
+      }));
+  }
+  return sharedModules;
+}
+
+function generateId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// --- Data helpers ---
+
+function findTask(data, taskId) {
+  for (const project of data.projects || []) {
+    for (const task of project.tasks || []) {
+      if (task.id === taskId) return { task, project };
+      const subtask = (task.subtasks || []).find(st => st.id === taskId);
+      if (subtask) return { task: subtask, parentTask: task, project };
+    }
+  }
+  return null;
+}
+
+function requireTask(data, taskId) {
+  const result = findTask(data, taskId);
+  if (!result) throw httpError(404, `Task ${taskId} not found`);
+  return result;
+}
+
+function requireProject(data, projectId) {
+  const project = (data.projects || []).find(p => p.id === projectId);
+  if (!project) throw httpError(404, `Project ${projectId} not found`);
+  return project;
+}
+
+// Tasks go out with where they live, so callers don't need a second request
+function taskView(result) {
+  const { task, project, parentTask } = result;
+  return { ...task, projectId: project.id, projectName: project.name, parentId: parentTask ? parentTask.id : null };
+}
+
+function projectSummary(project) {
+  const tasks = project.tasks || [];
+  return {
+    id: project.id,
+    name: project.name,
+    description: project.description || '',
+    color: project.color || DEFAULT_COLOR,
+    categoryId: project.categoryId || null,
+    isInbox: !!project.isInbox,
+    taskCount: tasks.length,
+    openTaskCount: tasks.filter(t => t.status !== 'done').length,
+  };
+}
+
+function totalMinutes(timeLog) {
+  return (timeLog || []).reduce((sum, e) => sum + (e.minutes || 0), 0);
+}
+
+class RestApi {
+  /**
+   * config: { loadData, saveData, token } — loadData() returns the current
+   * data, saveData(data, options) stores it and returns (or resolves to)
+   * { success, conflict }.
+   */
+  constructor(config) {
+    this.loadData = config.loadData;
+    this.saveData = config.saveData;
+    this.token = config.token;
+    this.routes = [
+      ['GET', '/tasks', this.listTasks],
+      ['POST', '/tasks', this.createTask],
+      ['GET', '/tasks/:id', this.getTask],
+      ['PATCH', '/tasks/:id', this.updateTask],
+      ['DELETE', '/tasks/:id', this.deleteTask],
+      ['POST', '/tasks/:id/complete', this.completeTask],
+      ['GET', '/tasks/:id/time-log', this.getTimeLog],
+      ['POST', '/tasks/:id/time-log', this.logTime],
+      ['GET', '/projects', this.listProjects],
+      ['POST', '/projects', this.createProject],
+      ['GET', '/projects/:id', this.getProject],
+      ['PATCH', '/projects/:id', this.updateProject],
+      ['GET', '/categories', this.listCategories],
+      ['POST', '/categories', this.createCategory],
+      ['GET', '/tags', this.listTags],
+      ['POST', '/tags', this.createTag],
+      ['GET', '/recap-entries', this.listRecapEntries],
+      ['POST', '/recap-entries', this.addRecapEntry],
+      ['GET', '/recaps', this.listRecaps],
+      ['GET', '/recaps/:id', this.getRecap],
+    ];
+  }
+
+  // --- HTTP ---
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    try {
+      if (req.method === 'GET' && url.pathname === `${BASE_PATH}/openapi.json`) {
+        return this._send(res, 200, openapi);
+      }
+      if (!url.pathname.startsWith(`${BASE_PATH}/`)) throw httpError(404, 'Not found');
+      if (!this._authorized(req)) throw httpError(401, 'Missing or wrong API token');
+
+      const { handler, params, allowed } = this._route(req.method, url.pathname.slice(BASE_PATH.length));
+      if (!handler) {
+        if (allowed.length > 0) {
+          res.setHeader('Allow', allowed.join(', '));
+          throw httpError(405, `${req.method} is not supported here`);
+        }
+        throw httpError(404, 'Not found');
+      }
+
+      const body = ['POST', 'PATCH'].includes(req.method) ? await this._readBody(req) : null;
+      const result = await handler.call(this, { params, query: url.searchParams, body });
+      if (result === undefined) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      this._send(res, result.status || 200, result.body);
+    } catch (err) {
+      if (!err.status) console.error('Local API error:', err);
+      this._send(res, err.status || 500, { error: err.status ? err.message : 'Internal error' });
+    }
+  }
+
+  _authorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match || !this.token) return false;
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  _route(method, pathname) {
+    const parts = pathname.split('/').filter(Boolean);
+    const allowed = [];
+    for (const [routeMethod, pattern, handler] of this.routes) {
+      const patternParts = pattern.split('/').filter(Boolean);
+      if (patternParts.length !== parts.length) continue;
+      const params = {};
+      const matches = patternParts.every((part, i) => {
+        if (part.startsWith(':')) {
+          try {
+            params[part.slice(1)] = decodeURIComponent(parts[i]);
+          } catch (err) {
+            throw httpError(400, `Malformed path segment: ${parts[i]}`);
+          }
+          return true;
+        }
+        return part === parts[i];
+      });
+      if (!matches) continue;
+      if (routeMethod === method) return { handler, params, allowed };
+      allowed.push(routeMethod);
+    }
+    return { handler: null, params: {}, allowed };
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(httpError(413, 'Request body is too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf-8');
+        if (!text.trim()) return resolve({});
+        try {
+          const body = JSON.parse(text);
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            reject(httpError(400, 'Request body must be a JSON object'));
+            return;
+          }
+          resolve(body);
+        } catch (err) {
+          reject(httpError(400, 'Request body is not valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _send(res, status, body) {
+    const json = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json),
+      'Cache-Control': 'no-store',
+    });
+    res.end(json);
+  }
+
+  // Load, change and save; the change function's return value is the response
+  async _write(change) {
+    const data = this.loadData();
+    const response = change(data);
+    const result = await this.saveData(data, { source: 'api' });
+    if (!result.success) {
+      throw httpError(result.conflict ? 409 : 500, result.conflict
+        ? 'The data changed elsewhere at the same time; try again'
+        : `Could not save: ${result.error}`);
+    }
+    return response;
+  }
+
+  // --- Tasks ---
+
+  listTasks({ query }) {
+    const data = this.loadData();
+    const status = query.get('status');
+    const project = query.get('project');
+    const tag = query.get('tag');
+    const dueBy = query.get('dueBy');
+    const scheduled = query.get('scheduled');
+    const includeSubtasks = query.get('subtasks') === 'true';
+
+    let tagId = null;
+    if (tag) {
+      const found = (data.tags || []).find(t => t.id === tag || t.name.toLowerCase() === tag.toLowerCase());
+      if (!found) return { body: [] };
+      tagId = found.id;
+    }
+
+    const tasks = [];
+    for (const p of data.projects || []) {
+      if (project && p.id !== project && p.name.toLowerCase() !== project.toLowerCase()) continue;
+      for (const task of p.tasks || []) {
+        tasks.push({ task, project: p });
+        if (includeSubtasks) {
+          for (const sub of task.subtasks || []) tasks.push({ task: sub, project: p, parentTask: task });
+        }
+      }
+    }
+    return {
+      body: tasks
+        .filter(({ task }) => !status || task.status === status)
+        .filter(({ task }) => !tagId || (task.tags || []).includes(tagId))
+        .filter(({ task }) => !dueBy || (task.dueDate && task.dueDate <= dueBy))
+        .filter(({ task }) => !scheduled || task.scheduledDate === scheduled)
+        .map(taskView),
+    };
+  }
+
+  async createTask({ body }) {
+    const taskInput = await loadShared();
+    const invalid = taskInput.validateTaskInput(body);
+    if (invalid) throw httpError(400, invalid);
+
+    return this._write(data => {
+      let created;
+      try {
+        created = taskInput.createTaskFromInput(data, body, { generateId, today: taskInput.localToday(data) });
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+      return { status: 201, body: taskView(created) };
+    });
+  }
+
+  getTask({ params }) {
+    return { body: taskView(requireTask(this.loadData(), params.id)) };
+  }
+
+  async updateTask({ params, body }) {
+    const taskInput = await loadShared();
+    const invalid = taskInput.validateTaskInput(body, { partial: true });
+    if (invalid) throw httpError(400, invalid);
+
+    return this._write(data => {
+      const result = requireTask(data, params.id);
+      const wasDone = result.task.status === 'done';
+      let changes;
+      try {
+        changes = taskInput.applyTaskUpdate(result.task, body, { data, generateId });
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+      const nextTask = result.task.status === 'done' && !wasDone
+        ? taskInput.spawnNextOccurrence(result, { generateId, today: taskInput.localToday(data) })
+        : null;
+      return { body: { task: taskView(result), changes, nextTask } };
+    });
+  }
+
+  async deleteTask({ params }) {
+    const taskInput = await loadShared();
+    return this._write(data => {
+      taskInput.removeTask(data, requireTask(data, params.id));
+      return undefined;
+    });
+  }
+
+  async completeTask({ params }) {
+    const taskInput = await loadShared();
+    return this._write(data => {
+      const result = requireTask(data, params.id);
+      const wasDone = result.task.status === 'done';
+      result.task.status = 'done';
+      result.task.completedAt = result.task.completedAt && wasDone ? result.task.completedAt : new Date().toISOString();
+      result.task.updatedAt = new Date().toISOString();
+      const nextTask = wasDone ? null : taskInput.spawnNextOccurrence(result, { generateId, today: taskInput.localToday(data) });
+      return { body: { task: taskView(result), nextTask } };
+    });
+  }
+
+  // --- Time logs ---
+
+  getTimeLog({ params }) {
+    const { task } = requireTask(this.loadData(), params.id);
+    const entries = task.timeLog || [];
+    return { body: { taskId: task.id, totalMinutes: totalMinutes(entries), entries } };
+  }
+
+  logTime({ params, body }) {
+    if (!(Number.isFinite(body.minutes) && body.minutes > 0)) throw httpError(400, 'minutes must be a positive number');
+    if (body.notes !== undefined && typeof body.notes !== 'string') throw httpError(400, 'notes must be a string');
+
+    return this._write(data => {
+      const { task } = requireTask(data, params.id);
+      if (!task.timeLog) task.timeLog = [];
+      const entry = { id: generateId(), minutes: body.minutes, notes: body.notes || '', loggedAt: new Date().toISOString() };
+      task.timeLog.push(entry);
+      return { status: 201, body: { entry, totalMinutes: totalMinutes(task.timeLog) } };
+    });
+  }
+
+  // --- Projects ---
+
+  listProjects() {
+    return { body: (this.loadData().projects || []).map(projectSummary) };
+  }
+
+  getProject({ params }) {
+    const project = requireProject(this.loadData(), params.id);
+    return { body: { ...projectSummary(project), tasks: project.tasks || [] } };
+  }
+
+  _checkProjectInput(data, body, { partial }) {
+    if (!partial || body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) throw httpError(400, 'Project name is required');
+    }
+    for (const key of ['description', 'color']) {
+      if (body[key] !== undefined && typeof body[key] !== 'string') throw httpError(400, `${key} must be a string`);
+    }
+    if (body.categoryId !== undefined && body.categoryId !== null
+        && !(data.categories || []).some(c => c.id === body.categoryId)) {
+      throw httpError(400, `Category ${body.categoryId} not found`);
+    }
+  }
+
+  async createProject({ body }) {
+    const taskInput = await loadShared();
+    return this._write(data => {
+      this._checkProjectInput(data, body, { partial: false });
+      if (data.projects.some(p => p.name.toLowerCase() === body.name.trim().toLowerCase())) {
+        throw httpError(409, `Project "${body.name.trim()}" already exists`);
+      }
+      const project = taskInput.newProject({
+        name: body.name.trim(),
+        description: body.description,
+        color: body.color,
+        categoryId: body.categoryId,
+      }, generateId);
+      data.projects.push(project);
+      return { status: 201, body: projectSummary(project) };
+    });
+  }
+
+  updateProject({ params, body }) {
+    return this._write(data => {
+      const project = requireProject(data, params.id);
+      this._checkProjectInput(data, body, { partial: true });
+      if (body.name !== undefined) project.name = body.name.trim();
+      if (body.description !== undefined) project.description = body.description;
+      if (body.color !== undefined) project.color = body.color;
+      if (body.categoryId !== undefined) project.categoryId = body.categoryId;
+      return { body: projectSummary(project) };
+    });
+  }
+
+  // --- Categories and tags ---
+
+  listCategories() {
+    return { body: this.loadData().categories || [] };
+  }
+
+  createCategory({ body }) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw httpError(400, 'Category name is required');
+    return this._write(data => {
+      if (!data.categories) data.categories = [];
+      const maxOrder = Math.max(0, ...data.categories.map(c => c.order || 0));
+      const category = {
+        id: generateId(),
+        name: body.name.trim(),
+        color: typeof body.color === 'string' ? body.color : DEFAULT_COLOR,
+        order: maxOrder + 1,
+        collapsed: false,
+      };
+      data.categories.push(category);
+      return { status: 201, body: category };
+    });
+  }
+
+  listTags() {
+    return { body: this.loadData().tags || [] };
+  }
+
+  createTag({ body }) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw httpError(400, 'Tag name is required');
+    return this._write(data => {
+      if (!data.tags) data.tags = [];
+      const name = body.name.trim();
+      if (data.tags.some(t => t.name.toLowerCase() === name.toLowerCase())) {
+        throw httpError(409, `Tag "${name}" already exists`);
+      }
+      const tag = { id: generateId(), name, color: typeof body.color === 'string' ? body.color : DEFAULT_COLOR };
+      data.tags.push(tag);
+      return { status: 201, body: tag };
+    });
+  }
+
+  // --- Recaps ---
+
+  async listRecapEntries({ query }) {
+    const shared = await loadShared();
+    const data = this.loadData();
+    const from = query.get('from') || shared.localToday(data);
+    const to = query.get('to') || from;
+    const type = query.get('type');
+    if (!shared.isDate(from) || !shared.isDate(to)) throw httpError(400, 'from and to must be dates (YYYY-MM-DD)');
+    const entries = (data.recapLog || [])
+      .filter(e => e.date >= from && e.date <= to && (!type || e.type === type))
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+    return { body: entries };
+  }
+
+  async addRecapEntry({ body }) {
+    const shared = await loadShared();
+    if (!RECAP_ENTRY_TYPES.includes(body.type)) throw httpError(400, `type must be one of ${RECAP_ENTRY_TYPES.join(', ')}`);
+    if (typeof body.content !== 'string' || !body.content.trim()) throw httpError(400, 'content is required');
+    if (body.date !== undefined && !shared.isDate(body.date)) throw httpError(400, 'date must be a date (YYYY-MM-DD)');
+
+    return this._write(data => {
+      if (body.relatedTaskId) requireTask(data, body.relatedTaskId);
+      if (!data.recapLog) data.recapLog = [];
+      const entry = {
+        id: generateId(),
+        type: body.type,
+        content: body.content,
+        date: body.date || shared.localToday(data),
+        relatedTaskId: body.relatedTaskId || null,
+        tags: Array.isArray(body.tags) ? body.tags.filter(t => typeof t === 'string') : [],
+        createdAt: new Date().toISOString(),
+      };
+      data.recapLog.push(entry);
+      return { status: 201, body: entry };
+    });
+  }
+
+  listRecaps({ query }) {
+    const period = query.get('period');
+    const limit = parseInt(query.get('limit'), 10) || 10;
+    const recaps = (this.loadData().savedRecaps || [])
+      .filter(r => !period || r.period === period)
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+      .slice(0, limit)
+      .map(({ content, ...summary }) => summary);
+    return { body: recaps };
+  }
+
+  getRecap({ params }) {
+    const recap = (this.loadData().savedRecaps || []).find(r => r.id === params.id);
+    if (!recap) throw httpError(404, `Recap ${params.id} not found`);
+    return { body: recap };
+  }
+}
+
+RestApi.BASE_PATH = BASE_PATH;
+
+module.exports = RestApi;
@@ -0,0 +1,147 @@
+// shared/dates.js — Calendar days in the user's timezone
+//
+// Used by the renderer (ES module) and the MCP server, so "today" and the
+// day a timestamp falls on come out the same in both, rather than flipping
+// at UTC midnight in one of them. Days are 'YYYY-MM-DD' strings; arithmetic
+// on them is done in UTC so DST never shifts a day.
+//
+// `timeZone` is an IANA name such as 'America/New_York' (settings.timezone);
+// empty means the zone of the machine the code runs on.
+
+const DAY_MS = 86400000;
+const formatters = new Map(); // timeZone → Intl.DateTimeFormat
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// ── Time zones ──────────────────────────────────────────────────
+
+export function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The configured zone from data.settings, or null for the system zone
+export function getTimeZone(settings) {
+  const timeZone = settings && settings.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// The wall-clock fields of an instant in `timeZone` (system zone when empty)
+function wallClock(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+    };
+  }
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+// ── Instants to days ────────────────────────────────────────────
+
+/** The day an instant (a Date) falls on in `timeZone`. */
+export function dateInZone(date, timeZone = null) {
+  const { year, month, day } = wallClock(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+export function localToday(timeZone = null, now = new Date()) {
+  return dateInZone(now, timeZone);
+}
+
+/**
+ * The day a stored timestamp ('2026-04-13T02:30:00.000Z') falls on in
+ * `timeZone`. Plain 'YYYY-MM-DD' values are already days and come back
+ * as they are; anything unreadable gives null.
+ */
+export function toLocalDate(timestamp, timeZone = null) {
+  if (!timestamp) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(timestamp)) return timestamp;
+  const date = new Date(timestamp);
+  return isNaN(date) ? null : dateInZone(date, timeZone);
+}
+
+/** Minutes since midnight on the wall clock in `timeZone`. */
+export function minutesInZone(date = new Date(), timeZone = null) {
+  const { hour, minute } = wallClock(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * The calendar fields of a Date as 'YYYY-MM-DD', for Dates built by local
+ * date arithmetic (new Date(y, m, d), setDate...) rather than instants.
+ */
+export function calendarDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ── Day arithmetic ──────────────────────────────────────────────
+
+function parseDay(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+export function addDays(dateStr, days) {
+  return formatDay(new Date(parseDay(dateStr).getTime() + days * DAY_MS));
+}
+
+export function daysBetween(fromStr, toStr) {
+  return Math.round((parseDay(toStr) - parseDay(fromStr)) / DAY_MS);
+}
+
+// 0 = Sunday
+export function dayOfWeek(dateStr) {
+  return parseDay(dateStr).getUTCDay();
+}
+
+// The Sunday-to-Saturday week around a day, and the month it's in
+export function weekRange(dateStr) {
+  const start = addDays(dateStr, -dayOfWeek(dateStr));
+  return { start, end: addDays(start, 6) };
+}
+
+export function monthRange(dateStr) {
+  const [y, m] = dateStr.split('-').map(Number);
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return { start: `${y}-${pad(m)}-01`, end: `${y}-${pad(m)}-${pad(last)}` };
+}
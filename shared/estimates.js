@@ -0,0 +1,149 @@
+// shared/estimates.js — How estimates compare with logged time, and calibrated estimates
+//
+// Used by the renderer (Analytics, Today capacity, Plan My Day) and the MCP
+// server (get_estimate_accuracy, suggest_day_schedule, auto_schedule), so it
+// has no dependencies.
+//
+// A sample is a completed top-level task with an estimate and time in its
+// timeLog. Its ratio is actual / estimated, so 1.6 means it took 1.6x longer
+// than planned. Groups (project, tag, complexity) report the median ratio,
+// which a single forgotten timer can't skew much.
+
+export const MIN_SAMPLES = 3;    // A group needs this many before its factor is used
+const MIN_FACTOR = 0.5;
+const MAX_FACTOR = 3;
+const SAMPLE_LIMIT = 200;        // Most recent samples used, so old habits fade out
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function loggedMinutes(task) {
+  return (task.timeLog || []).reduce((sum, e) => sum + (e.minutes || 0), 0);
+}
+
+function summarize(samples) {
+  return {
+    count: samples.length,
+    estimatedMinutes: samples.reduce((sum, s) => sum + s.estimatedMinutes, 0),
+    actualMinutes: samples.reduce((sum, s) => sum + s.actualMinutes, 0),
+    factor: round2(median(samples.map(s => s.ratio))),
+  };
+}
+
+function group(samples, keysOf) {
+  const groups = new Map();
+  for (const sample of samples) {
+    for (const key of keysOf(sample)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(sample);
+    }
+  }
+  const result = {};
+  for (const [key, list] of groups) result[key] = summarize(list);
+  return result;
+}
+
+/**
+ * Estimate accuracy across `data` (projects with tasks, and tags):
+ *   { overall, byProject: { [projectId]: { name, count, estimatedMinutes,
+ *     actualMinutes, factor } }, byTag: { [tagId]: { name, ... } },
+ *     byComplexity: { [1-5]: { ... } } }
+ * `overall` is null when there are no samples at all.
+ */
+export function estimateAccuracy(data) {
+  const samples = [];
+  for (const project of data.projects || []) {
+    for (const task of project.tasks || []) {
+      if (task.status !== 'done' || !(task.estimatedMinutes > 0)) continue;
+      const actualMinutes = loggedMinutes(task);
+      if (actualMinutes <= 0) continue;
+      samples.push({
+        projectId: project.id,
+        tags: task.tags || [],
+        complexity: task.complexity || null,
+        estimatedMinutes: task.estimatedMinutes,
+        actualMinutes,
+        ratio: actualMinutes / task.estimatedMinutes,
+        completedAt: task.completedAt || '',
+      });
+    }
+  }
+  samples.sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+  samples.splice(SAMPLE_LIMIT);
+
+  const byProject = group(samples, s => [s.projectId]);
+  for (const project of data.projects || []) {
+    if (byProject[project.id]) byProject[project.id].name = project.name;
+  }
+  const byTag = group(samples, s => s.tags);
+  for (const tag of data.tags || []) {
+    if (byTag[tag.id]) byTag[tag.id].name = tag.name;
+  }
+  for (const [id, stats] of Object.entries(byTag)) {
+    if (!stats.name) delete byTag[id];
+  }
+
+  return {
+    overall: samples.length > 0 ? summarize(samples) : null,
+    byProject,
+    byTag,
+    byComplexity: group(samples, s => (s.complexity ? [String(s.complexity)] : [])),
+  };
+}
+
+/**
+ * A calibrator for `data`: factorFor(task) is the correction to apply to the
+ * task's estimate — the geometric mean of the factors of its project, tags
+ * and complexity that have enough samples, else the overall factor, else 1 —
+ * and minutesFor(task, fallback) is the padded estimate (tasks without an
+ * estimate get `fallback`, unpadded). With `enabled: false` nothing is padded.
+ */
+export function createCalibrator(data, { enabled = true } = {}) {
+  const accuracy = estimateAccuracy(data);
+  const projectOf = new Map();
+  for (const project of data.projects || []) {
+    for (const task of project.tasks || []) projectOf.set(task.id, project.id);
+  }
+  const usable = (stats) => stats && stats.count >= MIN_SAMPLES;
+
+  function factorFor(task) {
+    if (!enabled) return 1;
+    const factors = [];
+    const project = accuracy.byProject[task.projectId || projectOf.get(task.id)];
+    if (usable(project)) factors.push(project.factor);
+    for (const tagId of task.tags || []) {
+      if (usable(accuracy.byTag[tagId])) factors.push(accuracy.byTag[tagId].factor);
+    }
+    const complexity = accuracy.byComplexity[String(task.complexity)];
+    if (task.complexity && usable(complexity)) factors.push(complexity.factor);
+
+    let factor = 1;
+    if (factors.length > 0) {
+      factor = Math.exp(factors.reduce((sum, f) => sum + Math.log(f), 0) / factors.length);
+    } else if (usable(accuracy.overall)) {
+      factor = accuracy.overall.factor;
+    }
+    return round2(Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, factor)));
+  }
+
+  function minutesFor(task, fallback = 30) {
+    if (!task.estimatedMinutes) return fallback;
+    return Math.max(5, Math.round((task.estimatedMinutes * factorFor(task)) / 5) * 5);
+  }
+
+  return { accuracy, factorFor, minutesFor };
+}
+
+// "underestimate by 1.6x", "overestimate by 1.3x" or "are about right"
+export function describeFactor(factor) {
+  if (factor >= 1.1) return `underestimate by ${factor.toFixed(1)}x`;
+  if (factor <= 0.9) return `overestimate by ${(1 / factor).toFixed(1)}x`;
+  return 'are about right';
+}
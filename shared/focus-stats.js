@@ -0,0 +1,157 @@
+// shared/focus-stats.js — Focus session analytics
+//
+// Used by the renderer's Analytics view and the MCP get_productivity_stats
+// tool, so it only depends on shared/dates.js. Dates and hours are in the
+// local time of whichever process runs it.
+//
+// A focus session (data.focusSessions) is one stretch of focus mode on one task:
+//   { id, taskId, taskName, startedAt, endedAt, focusMinutes, breakMinutes,
+//     pomodoros, interruptions: [{ at }], completed }
+// focusMinutes counts only time the work timer was running, so pauses and
+// breaks are left out. Each session is also logged to its task's timeLog.
+
+import { calendarDate } from './dates.js';
+
+export const MAX_FOCUS_SESSIONS = 5000; // Oldest are dropped beyond this
+export const MIN_SESSION_MINUTES = 1;   // Shorter sessions aren't recorded
+
+
+// ── Recording ───────────────────────────────────────────────────
+
+/**
+ * Turn a running session into a record, or null if it's too short to keep.
+ * `running` is { taskId, taskName, startedAt, focusSeconds, breakSeconds,
+ * pomodoros, interruptions }.
+ */
+export function finishFocusSession(running, { id, endedAt, completed = false }) {
+  const focusMinutes = Math.round(running.focusSeconds / 60);
+  if (focusMinutes < MIN_SESSION_MINUTES) return null;
+  return {
+    id,
+    taskId: running.taskId,
+    taskName: running.taskName,
+    startedAt: running.startedAt,
+    endedAt,
+    focusMinutes,
+    breakMinutes: Math.round(running.breakSeconds / 60),
+    pomodoros: running.pomodoros,
+    interruptions: running.interruptions,
+    completed,
+  };
+}
+
+/**
+ * Store a finished session in data.focusSessions and log its time on the
+ * task (if the task still exists). Returns the timeLog entry or null.
+ */
+export function recordFocusSession(data, session, task) {
+  if (!data.focusSessions) data.focusSessions = [];
+  data.focusSessions.push(session);
+  if (data.focusSessions.length > MAX_FOCUS_SESSIONS) {
+    data.focusSessions.splice(0, data.focusSessions.length - MAX_FOCUS_SESSIONS);
+  }
+  if (!task) return null;
+
+  if (!task.timeLog) task.timeLog = [];
+  const pomodoros = session.pomodoros > 0 ? ` (${session.pomodoros} pomodoro${session.pomodoros === 1 ? '' : 's'})` : '';
+  const entry = {
+    id: `${session.id}-log`,
+    minutes: session.focusMinutes,
+    notes: `Focus session${pomodoros}`,
+    loggedAt: session.endedAt,
+    source: 'focus',
+    sessionId: session.id,
+  };
+  task.timeLog.push(entry);
+  return entry;
+}
+
+// ── Analytics ───────────────────────────────────────────────────
+
+// Focus minutes of a session spread over the hours its wall-clock span covers
+function minutesByHour(session) {
+  const start = new Date(session.startedAt);
+  const end = new Date(session.endedAt);
+  const span = Math.max(1, (end - start) / 60000);
+  const scale = Math.min(1, session.focusMinutes / span);
+  const result = [];
+  let cursor = start;
+  while (cursor < end) {
+    const next = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate(), cursor.getHours() + 1);
+    const sliceEnd = next < end ? next : end;
+    result.push({ date: calendarDate(cursor), hour: cursor.getHours(), minutes: ((sliceEnd - cursor) / 60000) * scale });
+    cursor = sliceEnd;
+  }
+  if (result.length === 0) result.push({ date: calendarDate(start), hour: start.getHours(), minutes: session.focusMinutes });
+  return result;
+}
+
+/**
+ * Focus analytics for sessions that started between fromDate and toDate
+ * (inclusive, 'YYYY-MM-DD'):
+ *   totalMinutes, sessionCount, pomodoros, interruptions,
+ *   byDay       { [date]: minutes } for every date in the range
+ *   byHour      [24] focus minutes by hour of day
+ *   bestHours   up to 3 hours of day with the most focus, most first
+ *   estimates   [{ taskId, name, estimatedMinutes, actualMinutes, ratio }]
+ *               for tasks focused on in the range that have an estimate;
+ *               actual is everything in the task's timeLog
+ */
+export function focusStats(sessions, tasks, fromDate, toDate) {
+  const inRange = (sessions || []).filter(s => {
+    const date = calendarDate(new Date(s.startedAt));
+    return date >= fromDate && date <= toDate;
+  });
+
+  const byDay = {};
+  for (let d = new Date(`${fromDate}T00:00:00`); calendarDate(d) <= toDate; d.setDate(d.getDate() + 1)) {
+    byDay[calendarDate(d)] = 0;
+  }
+  const byHour = Array(24).fill(0);
+  for (const session of inRange) {
+    for (const slice of minutesByHour(session)) {
+      if (byDay[slice.date] !== undefined) byDay[slice.date] += slice.minutes;
+      byHour[slice.hour] += slice.minutes;
+    }
+  }
+  for (const date of Object.keys(byDay)) byDay[date] = Math.round(byDay[date]);
+  const roundedHours = byHour.map(m => Math.round(m));
+
+  const bestHours = roundedHours
+    .map((minutes, hour) => ({ hour, minutes }))
+    .filter(h => h.minutes > 0)
+    .sort((a, b) => b.minutes - a.minutes || a.hour - b.hour)
+    .slice(0, 3);
+
+  const byId = new Map((tasks || []).map(t => [t.id, t]));
+  const estimates = [];
+  for (const taskId of new Set(inRange.map(s => s.taskId))) {
+    const task = byId.get(taskId);
+    if (!task || !task.estimatedMinutes) continue;
+    const actualMinutes = (task.timeLog || []).reduce((sum, e) => sum + (e.minutes || 0), 0);
+    estimates.push({
+      taskId,
+      name: task.name,
+      estimatedMinutes: task.estimatedMinutes,
+      actualMinutes,
+      ratio: Math.round((actualMinutes / task.estimatedMinutes) * 100) / 100,
+    });
+  }
+  estimates.sort((a, b) => Math.abs(b.ratio - 1) - Math.abs(a.ratio - 1));
+
+  return {
+    totalMinutes: inRange.reduce((sum, s) => sum + s.focusMinutes, 0),
+    sessionCount: inRange.length,
+    pomodoros: inRange.reduce((sum, s) => sum + (s.pomodoros || 0), 0),
+    interruptions: inRange.reduce((sum, s) => sum + (s.interruptions || []).length, 0),
+    byDay,
+    byHour: roundedHours,
+    bestHours,
+    estimates,
+  };
+}
+
+export function formatHour(hour) {
+  const suffix = hour < 12 ? 'am' : 'pm';
+  return `${hour % 12 === 0 ? 12 : hour % 12}${suffix}`;
+}
@@ -0,0 +1,270 @@
+// shared/quick-parse.js — Inline syntax for quick capture
+//
+// Turns "Email Bob tomorrow 3pm !high #Work @Acme Site ~30m" into
+//   { name: 'Email Bob', dueDate, scheduledTime: '15:00', priority: 'high',
+//     tags: ['Work'], project: { id, name }, estimatedMinutes: 30 }
+//
+// Understood anywhere in the line (the first of each kind wins):
+//   dates     today, tonight, tomorrow, monday (mon, tue…), next friday, next week,
+//             in 3 days, in 2 weeks, 2026-03-14, 3/14, mar 14, 14 march
+//             (optionally preceded by "on", "by" or "due")
+//   times     3pm, 3:30pm, 3 pm, 15:00, noon (optionally preceded by "at")
+//   priority  !urgent !high !medium !low, or !1 (urgent) … !4 (low)
+//   tags      #Tag
+//   project   @Project — matched against existing project names, so
+//             multi-word names work; unknown names stay in the task name
+//   estimate  ~30m, ~1h, ~1.5h, ~1h30m, ~45
+//
+// Dates are worked out from today's 'YYYY-MM-DD' in the user's timezone
+// (see dates.js), so the app, the capture window and the CLI agree.
+
+import { addDays, dayOfWeek, localToday } from './dates.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const PRIORITIES = {
+  urgent: 'urgent', high: 'high', medium: 'medium', med: 'medium', low: 'low',
+  1: 'urgent', 2: 'high', 3: 'medium', 4: 'low'
+};
+const DATE_LEADS = ['on', 'by', 'due'];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD' for a calendar date (month 0-based), or null if there's no such day
+function toDateString(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date.toISOString().split('T')[0] : null;
+}
+
+const WEEKDAY_ABBREVIATIONS = { mon: 1, tue: 2, tues: 2, thu: 4, thur: 4, thurs: 4, fri: 5 };
+
+// Full names, plus abbreviations that aren't also everyday words ("sun", "sat", "wed")
+function weekdayIndex(word) {
+  if (word in WEEKDAY_ABBREVIATIONS) return WEEKDAY_ABBREVIATIONS[word];
+  return WEEKDAYS.indexOf(word);
+}
+
+function monthIndex(word) {
+  if (word.length < 3) return -1;
+  return MONTHS.findIndex(month => month.startsWith(word));
+}
+
+// A month/day with no year is the next time that date comes around
+function upcomingDate(today, month, day, year = null) {
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  if (year !== null) return toDateString(year < 100 ? 2000 + year : year, month, day);
+  const thisYear = parseInt(today.slice(0, 4), 10);
+  const date = toDateString(thisYear, month, day);
+  if (!date) return null;
+  return date < today ? toDateString(thisYear + 1, month, day) : date;
+}
+
+// Each matcher looks at the words from position i and returns
+// { consumed, value } or null. Words are lower-cased, punctuation kept.
+
+function matchDate(words, i, today) {
+  const w = words[i];
+  const next = words[i + 1];
+
+  if (w === 'today' || w === 'tonight') return { consumed: 1, value: today };
+  if (w === 'tomorrow' || w === 'tmrw') return { consumed: 1, value: addDays(today, 1) };
+
+  const dayIdx = weekdayIndex(w);
+  if (dayIdx !== -1) {
+    return { consumed: 1, value: addDays(today, (dayIdx - dayOfWeek(today) + 7) % 7) };
+  }
+
+  if (w === 'next' && next) {
+    const nextMonday = addDays(today, ((8 - dayOfWeek(today)) % 7) || 7);
+    if (next === 'week') return { consumed: 2, value: nextMonday };
+    const nextIdx = weekdayIndex(next);
+    if (nextIdx !== -1) return { consumed: 2, value: addDays(nextMonday, (nextIdx + 6) % 7) };
+  }
+
+  if (w === 'in' && /^\d+$/.test(next || '') && words[i + 2]) {
+    const n = parseInt(next);
+    const unit = words[i + 2];
+    if (/^days?$/.test(unit)) return { consumed: 3, value: addDays(today, n) };
+    if (/^weeks?$/.test(unit)) return { consumed: 3, value: addDays(today, n * 7) };
+  }
+
+  let m = w.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) {
+    const date = upcomingDate(today, parseInt(m[2]) - 1, parseInt(m[3]), parseInt(m[1]));
+    return date ? { consumed: 1, value: date } : null;
+  }
+
+  m = w.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+  if (m) {
+    const date = upcomingDate(today, parseInt(m[1]) - 1, parseInt(m[2]), m[3] ? parseInt(m[3]) : null);
+    return date ? { consumed: 1, value: date } : null;
+  }
+
+  // "mar 14", "march 14th" / "14 mar", "14th march"
+  const monthFirst = monthIndex(w);
+  m = (next || '').match(/^(\d{1,2})(?:st|nd|rd|th)?$/);
+  if (monthFirst !== -1 && m) {
+    const date = upcomingDate(today, monthFirst, parseInt(m[1]));
+    return date ? { consumed: 2, value: date } : null;
+  }
+  m = w.match(/^(\d{1,2})(?:st|nd|rd|th)?$/);
+  if (m && next && monthIndex(next) !== -1) {
+    const date = upcomingDate(today, monthIndex(next), parseInt(m[1]));
+    return date ? { consumed: 2, value: date } : null;
+  }
+
+  return null;
+}
+
+function toTime(hours, minutes, meridiem) {
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  } else if (hours > 23) {
+    return null;
+  }
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+function matchTime(words, i) {
+  const w = words[i];
+  if (w === 'noon') return { consumed: 1, value: '12:00' };
+
+  let m = w.match(/^(\d{1,2})(?::(\d{2}))?(am|pm|a|p)$/);
+  if (m) {
+    const value = toTime(parseInt(m[1]), parseInt(m[2] || '0'), m[3][0] === 'a' ? 'am' : 'pm');
+    return value ? { consumed: 1, value } : null;
+  }
+
+  // "3 pm"
+  m = w.match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (m && /^(am|pm)$/.test(words[i + 1] || '')) {
+    const value = toTime(parseInt(m[1]), parseInt(m[2] || '0'), words[i + 1]);
+    return value ? { consumed: 2, value } : null;
+  }
+
+  // 24-hour "15:00" (a bare "3" is too likely to be part of the name)
+  m = w.match(/^(\d{1,2}):(\d{2})$/);
+  if (m) {
+    const value = toTime(parseInt(m[1]), parseInt(m[2]), null);
+    return value ? { consumed: 1, value } : null;
+  }
+
+  return null;
+}
+
+function matchEstimate(word) {
+  const m = word.match(/^~(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m?)?$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  const minutes = Math.round(parseFloat(m[1] || '0') * 60) + parseInt(m[2] || '0');
+  return minutes > 0 ? minutes : null;
+}
+
+// Longest existing project name that the words after "@" spell out.
+// "@Acme Site" and "@AcmeSite" both match a project called "Acme Site".
+function matchProject(original, i, projects) {
+  const first = original[i].slice(1).toLowerCase();
+  if (!first) return null;
+  let best = null;
+  for (const project of projects) {
+    const name = project.name.toLowerCase();
+    const nameWords = name.split(/\s+/);
+    let consumed = 0;
+    if (original.slice(i, i + nameWords.length).join(' ').slice(1).toLowerCase() === name) {
+      consumed = nameWords.length;
+    } else if (name.replace(/\s+/g, '') === first) {
+      consumed = 1;
+    }
+    if (consumed && (!best || consumed > best.consumed)) {
+      best = { consumed, value: project };
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse a quick capture line.
+ * `options.projects` and `options.tags` are [{ id, name }] used to resolve
+ * @project and to keep the existing capitalisation of #tags. Dates count
+ * from `options.today` ('YYYY-MM-DD'), or else today in `options.timeZone`.
+ * Returns the cleaned-up name plus every field that was found; fields that
+ * weren't mentioned are null (tags: []).
+ */
+export function parseQuickCapture(text, options = {}) {
+  const today = options.today || localToday(options.timeZone);
+  const projects = options.projects || [];
+  const knownTags = options.tags || [];
+
+  const original = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const words = original.map(w => w.toLowerCase());
+  const result = {
+    name: '',
+    dueDate: null,
+    scheduledTime: null,
+    priority: null,
+    tags: [],
+    project: null,
+    estimatedMinutes: null
+  };
+  const nameWords = [];
+
+  for (let i = 0; i < words.length;) {
+    const w = words[i];
+    let consumed = 0;
+
+    if (w.startsWith('!') && PRIORITIES[w.slice(1)] && !result.priority) {
+      result.priority = PRIORITIES[w.slice(1)];
+      consumed = 1;
+    } else if (/^#[^\s#]+$/.test(w)) {
+      const tagName = original[i].slice(1);
+      const existing = knownTags.find(t => t.name.toLowerCase() === tagName.toLowerCase());
+      const name = existing ? existing.name : tagName;
+      if (!result.tags.some(t => t.toLowerCase() === name.toLowerCase())) result.tags.push(name);
+      consumed = 1;
+    } else if (w.startsWith('@') && !result.project) {
+      const match = matchProject(original, i, projects);
+      if (match) {
+        result.project = { id: match.value.id, name: match.value.name };
+        consumed = match.consumed;
+      }
+    } else if (w.startsWith('~') && !result.estimatedMinutes) {
+      const minutes = matchEstimate(w);
+      if (minutes) {
+        result.estimatedMinutes = minutes;
+        consumed = 1;
+      }
+    }
+
+    if (!consumed && !result.dueDate) {
+      const lead = DATE_LEADS.includes(w) ? 1 : 0;
+      const match = words[i + lead] ? matchDate(words, i + lead, today) : null;
+      if (match) {
+        result.dueDate = match.value;
+        consumed = lead + match.consumed;
+      }
+    }
+
+    if (!consumed && !result.scheduledTime) {
+      const lead = w === 'at' ? 1 : 0;
+      const match = words[i + lead] ? matchTime(words, i + lead) : null;
+      if (match) {
+        result.scheduledTime = match.value;
+        consumed = lead + match.consumed;
+      }
+    }
+
+    if (consumed) {
+      i += consumed;
+    } else {
+      nameWords.push(original[i]);
+      i++;
+    }
+  }
+
+  result.name = nameWords.join(' ');
+  return result;
+}
@@ -0,0 +1,82 @@
+// shared/reconcile.js — Merging a newer copy of the data into one being edited
+//
+// Used by the renderer when another process saves the data file, or merged
+// its own save with another process's (see applyExternalChanges and saveData
+// in renderer/data.js). Works in place so task objects keep their identity.
+
+/**
+ * Three-way merge of `remote` into `local`, both derived from `base` (the
+ * last data the two agreed on), mutating `local`. Objects merge key by key
+ * and arrays of `{ id }` objects by id. A value changed on both sides keeps
+ * the local edit; items deleted locally stay deleted, items added on either
+ * side are kept. `revision` is left to the caller.
+ *
+ * Returns the items that were edited locally but deleted on the other side,
+ * and so are gone along with those edits, for the caller to point out.
+ */
+export function reconcile(local, base, remote) {
+  const dropped = [];
+  reconcileObject(local, base, remote, dropped);
+  return dropped;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIdArray(value) {
+  return Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function reconcileObject(local, base, remote, dropped) {
+  const b = isPlainObject(base) ? base : {};
+  for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    if (key === 'revision') continue;
+    const lv = local[key];
+    const bv = b[key];
+    const rv = remote[key];
+    if (sameValue(rv, bv) || sameValue(lv, rv)) continue;
+
+    if (isPlainObject(lv) && isPlainObject(rv)) {
+      reconcileObject(lv, bv, rv, dropped);
+    } else if (isIdArray(lv) && isIdArray(rv)) {
+      reconcileIdArray(lv, bv, rv, dropped);
+    } else if (sameValue(lv, bv)) {
+      if (rv === undefined) delete local[key];
+      else local[key] = rv;
+    }
+    // Otherwise both sides changed a plain value - keep the unsaved local edit
+  }
+}
+
+function reconcileIdArray(local, base, remote, dropped) {
+  const baseById = new Map((isIdArray(base) ? base : []).map(item => [item.id, item]));
+  const localById = new Map(local.map(item => [item.id, item]));
+  const remoteIds = new Set(remote.map(item => item.id));
+  const result = [];
+
+  for (const item of remote) {
+    const existing = localById.get(item.id);
+    if (existing) {
+      reconcileObject(existing, baseById.get(item.id), item, dropped);
+      result.push(existing);
+    } else if (!baseById.has(item.id)) {
+      result.push(item); // Added elsewhere
+    }
+    // Otherwise deleted locally and not yet saved - keep it deleted
+  }
+  for (const item of local) {
+    if (remoteIds.has(item.id)) continue;
+    if (!baseById.has(item.id)) {
+      result.push(item); // Added locally and not yet saved
+    } else if (!sameValue(item, baseById.get(item.id))) {
+      dropped.push(item); // Deleted elsewhere, with unsaved local edits
+    }
+  }
+
+  local.splice(0, local.length, ...result);
+}
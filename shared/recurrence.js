@@ -0,0 +1,313 @@
+// shared/recurrence.js — Repeat rules for recurring tasks
+//
+// Used by the renderer (ES module) and the MCP server, so it has no
+// dependencies beyond shared/dates.js and works purely on 'YYYY-MM-DD'
+// date strings.
+//
+// A task's `recurrence` is one of:
+//   { type: 'daily', interval }                          every N days
+//   { type: 'weekdays' }                                 Monday to Friday
+//   { type: 'weekly', interval, daysOfWeek: [0-6] }      every N weeks on those days (0 = Sunday)
+//   { type: 'monthly', interval, monthlyMode: 'date', dayOfMonth }
+//   { type: 'monthly', interval, monthlyMode: 'weekday', weekOfMonth: 1-4 | -1, dayOfWeek }
+//   { type: 'after-completion', interval }               N days after the last one was completed
+// plus an optional `until` date after which no more occurrences are created.
+
+import { addDays, daysBetween } from './dates.js';
+
+export { addDays, daysBetween };
+
+export const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'after-completion'];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const MAX_SCAN_DAYS = 800; // Enough for "every 52 weeks" or "every 24 months"
+
+// What one instance collected while it was worked on; the next one starts without them
+const INSTANCE_FIELDS = ['aiChat', 'completionSummary', 'energyRating', 'blockerInfo', 'waitingReason', 'recurrenceNextId'];
+
+// ── Date helpers (UTC so DST never shifts a day) ────────────────
+
+function parseDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function nthWeekdayOfMonth(year, month, weekOfMonth, dayOfWeek) {
+  if (weekOfMonth === -1) {
+    const last = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - dayOfWeek + 7) % 7));
+    return last;
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (dayOfWeek - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month, 1 + offset + (weekOfMonth - 1) * 7));
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parseDate(value));
+}
+
+// ── Rules ───────────────────────────────────────────────────────
+
+/**
+ * Validate a repeat rule and fill in defaults from `anchorDate` (the task's
+ * due date), e.g. "weekly" with no days repeats on the anchor's weekday.
+ * Returns null for no recurrence; throws an Error describing bad input.
+ */
+export function normalizeRecurrence(input, anchorDate = null) {
+  if (!input || input === 'none' || input.type === 'none') return null;
+  if (typeof input === 'string') input = { type: input };
+
+  const type = input.type;
+  if (!RECURRENCE_TYPES.includes(type)) {
+    throw new Error(`Unknown repeat type "${type}". Use one of: ${RECURRENCE_TYPES.join(', ')}`);
+  }
+
+  const interval = input.interval === undefined || input.interval === null ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    throw new Error('Repeat interval must be a whole number from 1 to 365');
+  }
+
+  const anchor = isValidDate(anchorDate) ? parseDate(anchorDate) : null;
+  const rule = { type };
+  if (type !== 'weekdays') rule.interval = interval;
+
+  if (type === 'weekly') {
+    let days = Array.isArray(input.daysOfWeek) ? input.daysOfWeek.map(Number) : [];
+    if (days.length === 0 && anchor) days = [anchor.getUTCDay()];
+    if (days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error('Weekly repeats need daysOfWeek (0 = Sunday … 6 = Saturday)');
+    }
+    rule.daysOfWeek = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (type === 'monthly') {
+    rule.monthlyMode = input.monthlyMode === 'weekday' ? 'weekday' : 'date';
+    if (rule.monthlyMode === 'date') {
+      const day = input.dayOfMonth !== undefined ? Number(input.dayOfMonth) : anchor?.getUTCDate();
+      if (!Number.isInteger(day) || day < 1 || day > 31) {
+        throw new Error('Monthly repeats by date need dayOfMonth (1-31)');
+      }
+      rule.dayOfMonth = day;
+    } else {
+      let week = input.weekOfMonth !== undefined ? Number(input.weekOfMonth) : null;
+      if (week === null && anchor) {
+        week = Math.ceil(anchor.getUTCDate() / 7);
+        if (week > 4) week = -1;
+      }
+      const dow = input.dayOfWeek !== undefined ? Number(input.dayOfWeek) : anchor?.getUTCDay();
+      if (![1, 2, 3, 4, -1].includes(week) || !Number.isInteger(dow) || dow < 0 || dow > 6) {
+        throw new Error('Monthly repeats by weekday need weekOfMonth (1-4 or -1 for last) and dayOfWeek (0-6)');
+      }
+      rule.weekOfMonth = week;
+      rule.dayOfWeek = dow;
+    }
+  }
+
+  if (input.until) {
+    if (!isValidDate(input.until)) throw new Error('Repeat "until" must be a YYYY-MM-DD date');
+    rule.until = input.until;
+  }
+
+  if (input.seriesId) rule.seriesId = input.seriesId;
+  return rule;
+}
+
+/**
+ * The first occurrence strictly after `afterDate`, or null once past `until`.
+ * For 'after-completion' rules `afterDate` is the completion date.
+ */
+export function nextOccurrence(rule, afterDate) {
+  if (!rule || !isValidDate(afterDate)) return null;
+  const interval = rule.interval || 1;
+  let next = null;
+
+  switch (rule.type) {
+    case 'daily':
+    case 'after-completion':
+      next = addDays(afterDate, interval);
+      break;
+
+    case 'weekdays': {
+      next = addDays(afterDate, 1);
+      while ([0, 6].includes(parseDate(next).getUTCDay())) next = addDays(next, 1);
+      break;
+    }
+
+    case 'weekly': {
+      // Weeks are counted from the week (Sunday start) containing afterDate
+      const start = parseDate(afterDate);
+      const startWeek = addDays(afterDate, -start.getUTCDay());
+      for (let i = 1; i <= MAX_SCAN_DAYS; i++) {
+        const candidate = addDays(afterDate, i);
+        const date = parseDate(candidate);
+        const weeks = Math.floor(daysBetween(startWeek, candidate) / 7);
+        if (weeks % interval === 0 && rule.daysOfWeek.includes(date.getUTCDay())) {
+          next = candidate;
+          break;
+        }
+      }
+      break;
+    }
+
+    case 'monthly': {
+      const after = parseDate(afterDate);
+      // Try the current month first (the anchor may not be on the rule's day), then step by interval
+      for (let offset = 0; offset <= 24 * interval && !next; offset += interval) {
+        const month = after.getUTCMonth() + offset;
+        const y = after.getUTCFullYear() + Math.floor(month / 12);
+        const m = month % 12;
+        // Short months clamp to their last day ("the 31st" is Feb 28/29)
+        const date = rule.monthlyMode === 'weekday'
+          ? nthWeekdayOfMonth(y, m, rule.weekOfMonth, rule.dayOfWeek)
+          : new Date(Date.UTC(y, m, Math.min(rule.dayOfMonth, daysInMonth(y, m))));
+        if (date > after) next = formatDate(date);
+      }
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  if (next && rule.until && next > rule.until) return null;
+  return next;
+}
+
+/**
+ * All occurrences after `afterDate` up to and including `endDate`.
+ * 'after-completion' rules can't be projected (they depend on when the
+ * task gets done), so they return nothing.
+ */
+export function occurrencesBetween(rule, afterDate, endDate, limit = 100) {
+  const dates = [];
+  if (!rule || rule.type === 'after-completion') return dates;
+  let current = afterDate;
+  while (dates.length < limit) {
+    const next = nextOccurrence(rule, current);
+    if (!next || next > endDate) break;
+    dates.push(next);
+    current = next;
+  }
+  return dates;
+}
+
+export function describeRecurrence(rule) {
+  if (!rule) return '';
+  const n = rule.interval || 1;
+  let text;
+  switch (rule.type) {
+    case 'daily':
+      text = n === 1 ? 'Daily' : `Every ${n} days`;
+      break;
+    case 'weekdays':
+      text = 'Every weekday';
+      break;
+    case 'weekly': {
+      const days = (rule.daysOfWeek || []).map(d => DAY_NAMES[d]).join(', ');
+      text = `${n === 1 ? 'Weekly' : `Every ${n} weeks`} on ${days}`;
+      break;
+    }
+    case 'monthly': {
+      const every = n === 1 ? 'Monthly' : `Every ${n} months`;
+      if (rule.monthlyMode === 'weekday') {
+        text = `${every} on the ${ORDINALS[rule.weekOfMonth]} ${DAY_NAMES[rule.dayOfWeek]}`;
+      } else {
+        const d = rule.dayOfMonth;
+        const suffix = d % 10 === 1 && d !== 11 ? 'st' : d % 10 === 2 && d !== 12 ? 'nd' : d % 10 === 3 && d !== 13 ? 'rd' : 'th';
+        text = `${every} on the ${d}${suffix}`;
+      }
+      break;
+    }
+    case 'after-completion':
+      text = `${n} day${n === 1 ? '' : 's'} after completion`;
+      break;
+    default:
+      return '';
+  }
+  return rule.until ? `${text} until ${rule.until}` : text;
+}
+
+// ── Task instances ──────────────────────────────────────────────
+
+/**
+ * Build the next instance of a recurring task that was just completed on
+ * `completedDate`. Returns null if the task doesn't repeat or the series has
+ * ended. The new task is a fresh copy: new ids, status todo, subtasks reset,
+ * time log, chat and completion notes cleared, dates moved to the next
+ * occurrence. The caller inserts it and sets `recurrenceNextId` on the
+ * completed task.
+ *
+ * The series keeps its rhythm: completing late steps on from the task's own
+ * date by whole intervals to the first occurrence after the completion,
+ * rather than restarting the rule from the completion date. Only
+ * 'after-completion' rules count from when it was done.
+ */
+export function buildNextOccurrence(task, completedDate, generateId) {
+  const rule = task && task.recurrence;
+  if (!rule) return null;
+
+  const base = task.dueDate || task.scheduledDate || completedDate;
+  let next;
+  if (rule.type === 'after-completion') {
+    next = nextOccurrence(rule, completedDate);
+  } else {
+    next = nextOccurrence(rule, base);
+    while (next && next <= completedDate) next = nextOccurrence(rule, next);
+  }
+  if (!next) return null;
+
+  const shift = daysBetween(base, next);
+  const now = new Date().toISOString();
+  const copy = JSON.parse(JSON.stringify(task));
+
+  const nextTask = {
+    ...copy,
+    id: generateId(),
+    status: 'todo',
+    dueDate: task.dueDate ? next : (task.scheduledDate ? null : next),
+    scheduledDate: task.scheduledDate ? addDays(task.scheduledDate, shift) : null,
+    subtasks: (copy.subtasks || []).map(st => ({
+      ...st,
+      id: generateId(),
+      status: 'todo',
+      completedAt: null
+    })),
+    timeLog: [],
+    workNotes: '',
+    snoozeCount: 0,
+    recurrence: { ...rule, seriesId: rule.seriesId || task.id },
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+  for (const field of INSTANCE_FIELDS) delete nextTask[field];
+  return nextTask;
+}
+
+/**
+ * Projected future instances of open recurring tasks between two dates
+ * (inclusive), for calendar and Today previews: [{ task, date }].
+ * Each task's own date is not included - it is already shown as itself.
+ */
+export function getUpcomingInstances(tasks, startDate, endDate) {
+  const instances = [];
+  for (const task of tasks) {
+    if (!task.recurrence || task.status === 'done') continue;
+    const anchor = task.dueDate || task.scheduledDate;
+    if (!anchor) continue;
+    for (const date of occurrencesBetween(task.recurrence, anchor, endDate)) {
+      if (date >= startDate) instances.push({ task, date });
+    }
+  }
+  return instances.sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,91 @@
+// shared/rollover.js — What happens to tasks left behind on a day that has passed
+//
+// A task is left behind when it's open and its scheduledDate is before today
+// (or its dueDate, if the policy lets due dates move). The policy lives in
+// settings.rollover:
+//   mode          'auto' moves left-behind tasks on when the day starts;
+//                 'review' leaves them for the rollover review to decide
+//   moveDueDates  also move past due dates. Off by default: a due date is a
+//                 deadline that passed, not a plan that slipped
+//   inboxAfter    once a task has been pushed back this many times it goes
+//                 back to the inbox, unscheduled, for re-triage (0 = never),
+//                 and its push-back count starts again
+//
+// Every decision lands on a work day (see scheduler.js nextWorkDay).
+
+import { addDays } from './dates.js';
+import { nextWorkDay } from './scheduler.js';
+
+export const DEFAULT_ROLLOVER = {
+  mode: 'auto',
+  moveDueDates: false,
+  inboxAfter: 0,
+};
+
+// Decisions a left-behind task can get, with how they read in the review and history
+export const ROLLOVER_DECISIONS = {
+  today: 'Today',
+  tomorrow: 'Tomorrow',
+  later: 'Next week',
+  unschedule: 'Unschedule',
+  inbox: 'Back to inbox',
+};
+
+const LATER_DAYS = 7;
+
+export function getRolloverSettings(settings) {
+  return { ...DEFAULT_ROLLOVER, ...((settings && settings.rollover) || {}) };
+}
+
+/**
+ * Open tasks left behind before `today`, as [{ task, scheduled, due }]:
+ * `scheduled` and `due` say which of its dates have passed. Past due dates
+ * only count when the policy moves them.
+ */
+export function findLeftBehind(tasks, today, settings) {
+  const { moveDueDates } = getRolloverSettings(settings);
+  return tasks
+    .filter(task => task.status !== 'done')
+    .map(task => ({
+      task,
+      scheduled: Boolean(task.scheduledDate) && task.scheduledDate < today,
+      due: moveDueDates && Boolean(task.dueDate) && task.dueDate < today,
+    }))
+    .filter(item => item.scheduled || item.due);
+}
+
+// What the policy decides on its own: back to the inbox once pushed back inboxAfter times, else today
+export function suggestDecision(task, settings) {
+  const { inboxAfter } = getRolloverSettings(settings);
+  return inboxAfter > 0 && (task.snoozeCount || 0) >= inboxAfter ? 'inbox' : 'today';
+}
+
+/**
+ * The field updates a decision makes to a left-behind item. 'today',
+ * 'tomorrow' and 'later' move its past dates and count a push-back;
+ * 'unschedule' clears them, leaving the task open with no date; 'inbox'
+ * clears the scheduled date (keeping any deadline), resets the push-back
+ * count and adds `moveToInbox: true` for the caller to act on.
+ */
+export function decisionUpdates(item, decision, today, settings) {
+  const { task, scheduled, due } = item;
+  if (decision === 'inbox') {
+    return { scheduledDate: null, scheduledTime: null, snoozeCount: 0, moveToInbox: true };
+  }
+  if (decision === 'unschedule') {
+    const updates = {};
+    if (scheduled) Object.assign(updates, { scheduledDate: null, scheduledTime: null });
+    if (due) updates.dueDate = null;
+    return updates;
+  }
+
+  const offset = { today: 0, tomorrow: 1, later: LATER_DAYS }[decision];
+  if (offset === undefined) throw new Error(`Unknown rollover decision: ${decision}`);
+  const date = nextWorkDay(settings, addDays(today, offset));
+  const updates = {};
+  if (scheduled) {
+    Object.assign(updates, { scheduledDate: date, scheduledTime: null, snoozeCount: (task.snoozeCount || 0) + 1 });
+  }
+  if (due) updates.dueDate = date;
+  return updates;
+}
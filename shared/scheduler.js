@@ -0,0 +1,443 @@
+// shared/scheduler.js — Places unscheduled tasks into the free time of a day or week
+//
+// Used by the Today view's Plan My Day and the MCP auto_schedule tool, so it
+// only depends on dates.js and works on 'YYYY-MM-DD' dates and minutes since
+// midnight. Busy blocks from other calendars come in already split per local
+// day (see external-calendars.js).
+//
+// Tasks go on one of two tracks, like the Today timeline:
+//   manual — your own time: working hours, minus meetings and the tasks
+//            already scheduled there. Manual and hybrid tasks go here.
+//   ai     — tasks Claude runs (executionType 'ai'). They don't take your
+//            time, so they only queue behind each other within working hours.
+// Focus windows (settings.scheduling.focusWindows) are kept for deep work:
+// long or complex manual tasks are tried there first, and nothing else is
+// put in them.
+//
+// Working time: workStart–workEnd on workDays, unless dayHours gives a
+// weekday its own hours. Holidays and vacations are days off whatever the
+// weekday. A work day's capacity is capacityMinutes of task time, or the
+// length of its working hours when that isn't set; capacityReport() says
+// when what's scheduled on a day doesn't fit.
+
+import { addDays } from './dates.js';
+
+export const DEFAULT_SCHEDULING = {
+  workStart: '09:00',
+  workEnd: '17:00',
+  workDays: [1, 2, 3, 4, 5],   // 0 = Sunday
+  bufferMinutes: 10,           // Gap left after each task and meeting
+  defaultMinutes: 30,          // For tasks without an estimate
+  calibrateEstimates: true,    // Pad estimates by past accuracy (see shared/estimates.js)
+  focusWindows: [],            // [{ start: 'HH:MM', end: 'HH:MM', days?: [0-6] }]
+  dayHours: {},                // { 0-6: { start, end } } for weekdays with their own hours
+  capacityMinutes: null,       // Task time per work day; null for the length of its hours
+  holidays: [],                // [{ date, name }]
+  vacations: [],               // [{ start, end, name }], both days included
+};
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_DAYS_OFF_SCAN = 366;
+
+const PRIORITY_ORDER = { urgent: 0, high: 1, medium: 2, low: 3, none: 4 };
+const OVERRUN_EXTENSION_MINUTES = 15; // How much longer an overrunning task is assumed to take
+const DEEP_WORK_MINUTES = 60;
+const DEEP_WORK_COMPLEXITY = 4;
+
+// ── Time helpers ────────────────────────────────────────────────
+
+export function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+export function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function weekday(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// `intervals` minus `blocks`, both [{ start, end }] in minutes
+function subtract(intervals, blocks) {
+  let free = intervals;
+  for (const block of blocks) {
+    const next = [];
+    for (const interval of free) {
+      if (block.end <= interval.start || block.start >= interval.end) {
+        next.push(interval);
+        continue;
+      }
+      if (block.start > interval.start) next.push({ start: interval.start, end: block.start });
+      if (block.end < interval.end) next.push({ start: block.end, end: interval.end });
+    }
+    free = next;
+  }
+  return free;
+}
+
+function intersect(intervals, windows) {
+  const result = [];
+  for (const interval of intervals) {
+    for (const w of windows) {
+      const start = Math.max(interval.start, w.start);
+      const end = Math.min(interval.end, w.end);
+      if (end > start) result.push({ start, end });
+    }
+  }
+  return result.sort((a, b) => a.start - b.start);
+}
+
+// ── Settings ────────────────────────────────────────────────────
+
+export function getSchedulingSettings(settings) {
+  return { ...DEFAULT_SCHEDULING, ...((settings && settings.scheduling) || {}) };
+}
+
+// ── Working time ────────────────────────────────────────────────
+
+// A weekday's hours as { start, end } ('HH:MM'), or null if it isn't a work day
+export function getWeekdayHours(scheduling, day) {
+  if (!scheduling.workDays.includes(day)) return null;
+  const own = scheduling.dayHours && scheduling.dayHours[day];
+  return own && own.start && own.end ? { start: own.start, end: own.end } : { start: scheduling.workStart, end: scheduling.workEnd };
+}
+
+/**
+ * Why `date` is a day off: { reason: 'holiday' | 'vacation' | 'weekend',
+ * name }, or null on a work day. 'weekend' covers any weekday outside
+ * workDays.
+ */
+export function getDayOff(scheduling, date) {
+  const holiday = (scheduling.holidays || []).find(h => h && h.date === date);
+  if (holiday) return { reason: 'holiday', name: holiday.name || 'Holiday' };
+  const vacation = (scheduling.vacations || []).find(v => v && v.start <= date && date <= (v.end || v.start));
+  if (vacation) return { reason: 'vacation', name: vacation.name || 'Vacation' };
+  if (!getWeekdayHours(scheduling, weekday(date))) return { reason: 'weekend', name: WEEKDAY_NAMES[weekday(date)] };
+  return null;
+}
+
+// The first work day on or after `date` (`date` itself if nothing is set up as a work day)
+export function nextWorkDay(settings, date) {
+  const scheduling = getSchedulingSettings(settings);
+  for (let d = date, i = 0; i < MAX_DAYS_OFF_SCAN; d = addDays(d, 1), i++) {
+    if (!getDayOff(scheduling, d)) return d;
+  }
+  return date;
+}
+
+// Working hours on a date as [{ start, end }], empty on days off
+export function getWorkingHours(scheduling, date) {
+  if (getDayOff(scheduling, date)) return [];
+  const hours = getWeekdayHours(scheduling, weekday(date));
+  return [{ start: toMinutes(hours.start), end: toMinutes(hours.end) }];
+}
+
+// Minutes of task time a day has room for; 0 on days off
+export function getDayCapacity(scheduling, date) {
+  const hours = getWorkingHours(scheduling, date);
+  if (hours.length === 0) return 0;
+  if (scheduling.capacityMinutes) return scheduling.capacityMinutes;
+  return hours.reduce((sum, h) => sum + h.end - h.start, 0);
+}
+
+/**
+ * What's scheduled on each of `dates` against its capacity:
+ *   [{ date, capacity, planned, over, dayOff, tasks }]
+ * planned adds up the estimates of open tasks with that scheduledDate
+ * (defaultMinutes for those without one, or `minutesFor` when given);
+ * over is how far past capacity that is, 0 when it fits. Anything
+ * scheduled on a day off is over.
+ */
+export function capacityReport(tasks, dates, settings, { minutesFor = null } = {}) {
+  const scheduling = getSchedulingSettings(settings);
+  return dates.map(date => {
+    const onDate = tasks.filter(t => t.status !== 'done' && t.scheduledDate === date);
+    const planned = onDate.reduce((sum, t) => sum + taskMinutes(t, scheduling, minutesFor), 0);
+    const capacity = getDayCapacity(scheduling, date);
+    return {
+      date,
+      capacity,
+      planned,
+      over: Math.max(0, planned - capacity),
+      dayOff: getDayOff(scheduling, date),
+      tasks: onDate.length,
+    };
+  });
+}
+
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h > 0 ? `${h}h${m ? ` ${m}m` : ''}` : `${m}m`;
+}
+
+// A capacityReport() day in words, e.g. '09:00–17:00 (7h 30m capacity)' or 'Holiday: New Year'
+export function describeDay(day, scheduling) {
+  if (day.dayOff) return day.dayOff.reason === 'weekend' ? 'Day off' : `${day.dayOff.reason === 'holiday' ? 'Holiday' : 'Vacation'}: ${day.dayOff.name}`;
+  const hours = getWeekdayHours(scheduling, weekday(day.date));
+  return `${hours.start}–${hours.end} (${formatMinutes(day.capacity)} capacity)`;
+}
+
+// The warning for a capacityReport() day that's overbooked, or null when it fits
+export function capacityWarning(day) {
+  if (day.planned === 0) return null;
+  if (day.dayOff) return `${formatMinutes(day.planned)} scheduled on a day off (${day.dayOff.name})`;
+  if (day.over > 0) return `${formatMinutes(day.planned)} scheduled, ${formatMinutes(day.over)} over the ${formatMinutes(day.capacity)} capacity`;
+  return null;
+}
+
+function getFocusWindows(scheduling, date) {
+  const day = weekday(date);
+  return scheduling.focusWindows
+    .filter(w => w && w.start && w.end && (!w.days || w.days.includes(day)))
+    .map(w => ({ start: toMinutes(w.start), end: toMinutes(w.end) }));
+}
+
+export function isDeepWork(task, minutes) {
+  return (task.complexity || 0) >= DEEP_WORK_COMPLEXITY || minutes >= DEEP_WORK_MINUTES;
+}
+
+export function getTrack(task) {
+  return task.executionType === 'ai' ? 'ai' : 'manual';
+}
+
+// ── Choosing what to schedule ───────────────────────────────────
+
+// `minutesFor(task, fallback)`, when given, replaces the raw estimate (e.g. a calibrated one)
+function taskMinutes(task, scheduling, minutesFor) {
+  return minutesFor ? minutesFor(task, scheduling.defaultMinutes) : task.estimatedMinutes || scheduling.defaultMinutes;
+}
+
+/**
+ * Split open tasks into what the scheduler should place (`candidates`) and
+ * what already holds time (`occupied`) for a plan over `dates`.
+ *
+ * Options:
+ *   nowMinutes  — when the first date is today, nothing goes before this
+ *   replan      — re-place today's not-yet-started tasks after now, and treat
+ *                 an in-progress task that ran past its slot as taking
+ *                 another OVERRUN_EXTENSION_MINUTES from now
+ *   taskIds     — schedule exactly these tasks
+ *   includeIds  — also schedule these (e.g. the Today view's active tasks)
+ *   minutesFor  — how long a task takes, instead of its raw estimate
+ */
+export function prepareSchedule(tasks, dates, settings, options = {}) {
+  const scheduling = getSchedulingSettings(settings);
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const now = options.nowMinutes ?? null;
+  const open = tasks.filter(t => t.status !== 'done');
+  const candidates = [];
+  const occupied = [];
+  const overruns = [];
+
+  for (const task of open) {
+    const minutes = taskMinutes(task, scheduling, options.minutesFor);
+    const hasSlot = task.scheduledTime && task.scheduledDate && task.scheduledDate >= first && task.scheduledDate <= last;
+
+    if (hasSlot) {
+      const start = toMinutes(task.scheduledTime);
+      let end = start + minutes;
+      if (options.replan && task.scheduledDate === first && now !== null) {
+        if (task.status === 'in-progress') {
+          if (end <= now) {
+            overruns.push(task);
+            end = now + OVERRUN_EXTENSION_MINUTES;
+          }
+        } else if (!options.taskIds || options.taskIds.includes(task.id)) {
+          // Not started yet: free it up to be placed again after now
+          candidates.push(task);
+          continue;
+        }
+      }
+      occupied.push({ taskId: task.id, date: task.scheduledDate, start, end, track: getTrack(task) });
+      continue;
+    }
+
+    if (options.taskIds) {
+      if (options.taskIds.includes(task.id)) candidates.push(task);
+      continue;
+    }
+    if (task.status === 'waiting') continue;
+    const relevant =
+      (task.dueDate && task.dueDate <= last) ||
+      (task.scheduledDate && task.scheduledDate <= last) ||
+      task.priority === 'urgent' || task.priority === 'high' ||
+      task.status === 'in-progress' ||
+      (options.includeIds || []).includes(task.id);
+    if (relevant) candidates.push(task);
+  }
+
+  return { candidates, occupied, overruns };
+}
+
+// ── Placing tasks ───────────────────────────────────────────────
+
+// Most pressing first: overdue, then due within the plan, then by priority and due date
+function rank(tasks, first, last) {
+  const tier = (t) => (t.dueDate && t.dueDate < first ? 0 : t.dueDate && t.dueDate <= last ? 1 : 2);
+  return [...tasks].sort((a, b) =>
+    tier(a) - tier(b) ||
+    (PRIORITY_ORDER[a.priority] ?? 4) - (PRIORITY_ORDER[b.priority] ?? 4) ||
+    (a.dueDate || '9999-99-99').localeCompare(b.dueDate || '9999-99-99') ||
+    (b.status === 'in-progress') - (a.status === 'in-progress') ||
+    (a.createdAt || '').localeCompare(b.createdAt || '')
+  );
+}
+
+/**
+ * Place `candidates` into the free time of `dates`.
+ *
+ *   allTasks   — every task, to look up blockers (blockedBy)
+ *   occupied   — [{ taskId, date, start, end, track }] time already taken
+ *   busy       — { [date]: [{ startMinutes, endMinutes }] } meetings
+ *   nowMinutes — nothing is placed before this on the first date
+ *   minutesFor — how long a task takes, instead of its raw estimate
+ *
+ * Returns { placements: [{ taskId, name, date, start, end, minutes, track,
+ * late }], unplaced: [{ taskId, name, reason }] }. A task goes after the
+ * end of everything blocking it; one whose blocker is open and not in the
+ * plan can't be placed.
+ */
+export function planSchedule({ candidates, allTasks = [], occupied = [], busy = {}, dates, settings, nowMinutes = null, minutesFor = null }) {
+  const scheduling = getSchedulingSettings(settings);
+  const buffer = scheduling.bufferMinutes;
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const byId = new Map(allTasks.map(t => [t.id, t]));
+  const candidateIds = new Set(candidates.map(t => t.id));
+
+  // When each task's time ends, for dependents: { date, end }
+  const finished = new Map();
+  for (const o of occupied) {
+    const prev = finished.get(o.taskId);
+    if (!prev || o.date > prev.date || (o.date === prev.date && o.end > prev.end)) finished.set(o.taskId, { date: o.date, end: o.end });
+  }
+
+  const taken = { manual: {}, ai: {} };
+  const take = (track, date, start, end) => {
+    (taken[track][date] = taken[track][date] || []).push({ start, end });
+  };
+  for (const o of occupied) take(o.track, o.date, o.start, o.end + (o.track === 'manual' ? buffer : 0));
+
+  const placements = [];
+  const unplaced = [];
+  const pending = rank(candidates, first, last);
+
+  const failed = new Set(); // Candidates that couldn't be placed
+  const fail = (task, reason) => {
+    unplaced.push({ taskId: task.id, name: task.name, reason });
+    failed.add(task.id);
+  };
+  const isOpen = (id) => byId.has(id) && byId.get(id).status !== 'done' && !finished.has(id);
+
+  while (pending.length > 0) {
+    // The most pressing task with no blocker still waiting to be placed
+    const index = pending.findIndex(t =>
+      (t.blockedBy || []).every(id => !isOpen(id) || !candidateIds.has(id) || failed.has(id))
+    );
+    if (index === -1) {
+      pending.forEach(t => fail(t, 'Blocked by tasks that block each other'));
+      break;
+    }
+    const [task] = pending.splice(index, 1);
+
+    const blockers = (task.blockedBy || []).filter(isOpen).map(id => byId.get(id));
+    if (blockers.length > 0) {
+      const names = blockers.map(b => `"${b.name}"`).join(', ');
+      fail(task, blockers.some(b => failed.has(b.id)) ? `Blocked by ${names}, which couldn't be placed` : `Blocked by ${names}`);
+      continue;
+    }
+
+    // Can't start before its blockers end
+    let earliest = { date: first, start: 0 };
+    for (const id of task.blockedBy || []) {
+      const f = finished.get(id);
+      if (f && (f.date > earliest.date || (f.date === earliest.date && f.end > earliest.start))) {
+        earliest = { date: f.date, start: f.end };
+      }
+    }
+
+    const minutes = taskMinutes(task, scheduling, minutesFor);
+    const track = getTrack(task);
+    const deep = track === 'manual' && isDeepWork(task, minutes);
+    let placed = null;
+
+    for (const date of dates) {
+      if (date < earliest.date) continue;
+      let free = getWorkingHours(scheduling, date);
+      if (free.length === 0) continue;
+
+      let notBefore = date === earliest.date ? earliest.start : 0;
+      if (date === first && nowMinutes !== null) notBefore = Math.max(notBefore, nowMinutes);
+      free = subtract(free, [{ start: 0, end: notBefore }]);
+      free = subtract(free, taken[track][date] || []);
+      if (track === 'manual') {
+        free = subtract(free, (busy[date] || []).map(b => ({ start: b.startMinutes, end: b.endMinutes + buffer })));
+      }
+
+      const focus = getFocusWindows(scheduling, date);
+      const options = track === 'ai' || focus.length === 0
+        ? [free]
+        : deep
+          ? [intersect(free, focus), free]
+          : [subtract(free, focus)];
+
+      for (const intervals of options) {
+        const slot = intervals.find(i => i.end - i.start >= minutes);
+        if (slot) {
+          placed = { date, start: slot.start, end: slot.start + minutes };
+          break;
+        }
+      }
+      if (placed) break;
+    }
+
+    if (!placed) {
+      fail(task, `No free ${minutes}m slot${dates.length > 1 ? ` by ${last}` : ''}`);
+      continue;
+    }
+
+    take(track, placed.date, placed.start, placed.end + (track === 'manual' ? buffer : 0));
+    finished.set(task.id, { date: placed.date, end: placed.end });
+    placements.push({
+      taskId: task.id,
+      name: task.name,
+      date: placed.date,
+      start: toTime(placed.start),
+      end: toTime(placed.end),
+      minutes,
+      track,
+      late: !!(task.dueDate && task.dueDate < placed.date),
+    });
+  }
+
+  placements.sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  return { placements, unplaced };
+}
+
+// Dates a plan covers: `start` plus the next working days, `days` in all
+export function planDates(start, days, settings) {
+  const scheduling = getSchedulingSettings(settings);
+  const dates = [start];
+  let d = addDays(start, 1);
+  for (let i = 0; dates.length < days && i < MAX_DAYS_OFF_SCAN; d = addDays(d, 1), i++) {
+    if (!getDayOff(scheduling, d)) dates.push(d);
+  }
+  return dates;
+}
+
+/**
+ * In-progress tasks on `date` whose scheduled slot has already ended, i.e.
+ * running over their estimate. The Today view offers to re-plan for these.
+ */
+export function findOverruns(tasks, date, nowMinutes, settings, minutesFor = null) {
+  const scheduling = getSchedulingSettings(settings);
+  return tasks.filter(t =>
+    t.status === 'in-progress' && t.scheduledDate === date && t.scheduledTime &&
+    toMinutes(t.scheduledTime) + taskMinutes(t, scheduling, minutesFor) <= nowMinutes
+  );
+}
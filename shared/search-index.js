@@ -0,0 +1,374 @@
+// shared/search-index.js — Full-text search over tasks, their notes, recap entries and saved recaps
+//
+// An inverted index: each task (with its description, context, work notes,
+// learnings, time-log notes and subtask names), each recap log entry and each
+// saved recap is a document, split into fields with their own weight. Words
+// are lower-cased and reduced by a light English stemmer so "scheduling",
+// "scheduled" and "schedules" all find each other. Results are ranked with
+// BM25 and come with highlighted snippets.
+//
+// update(data) re-indexes only the documents whose text changed, so the app
+// can call it after every save. Used by the renderer (palette and search
+// view) and the MCP server's search tool.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'if', 'in',
+  'into', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'so', 'that', 'the', 'then', 'there', 'this',
+  'to', 'was', 'were', 'will', 'with',
+]);
+
+// Suffixes stripped (first match wins) when at least three letters remain
+const SUFFIXES = ['izations', 'ization', 'ations', 'ation', 'nesses', 'ness', 'ments', 'ment', 'ingly', 'edly', 'ing', 'ed', 'ly'];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_FACTOR = 0.7;
+const MAX_PREFIX_TERMS = 50;
+const SNIPPET_LENGTH = 140;
+
+const RECAP_TYPE_LABELS = { accomplishment: 'Accomplishment', decision: 'Decision', note: 'Note' };
+
+// ── Words ───────────────────────────────────────────────────────
+
+/**
+ * The index form of a word. Not a full Porter stemmer — just consistent
+ * enough that common English endings (plurals, -ing, -ed, -ly, -ment,
+ * -ation, trailing e) meet at the same stem.
+ */
+export function stem(word) {
+  let w = word.replace(/['’]s$/, '');
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  if (w.endsWith('ies') || w.endsWith('ied')) {
+    w = w.slice(0, -3) + 'y';
+  } else if (w.endsWith('sses')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  for (const suffix of SUFFIXES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length);
+      // running → run, planned → plan (but not call, miss, buzz)
+      if ((suffix === 'ing' || suffix === 'ed') && /([^aeioulsz])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+  if (w.length >= 4 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Words in `text` with their stems and where they are:
+ * [{ term, start, end }]. Stop words are skipped.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)) {
+    const word = match[0].toLowerCase();
+    if (STOP_WORDS.has(word)) continue;
+    tokens.push({ term: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// ── Documents ───────────────────────────────────────────────────
+
+function joinLines(values) {
+  return values.filter(Boolean).join('\n');
+}
+
+/**
+ * The searchable documents in `data`:
+ *   { id, kind, title, fields: [{ name, text, weight }], meta }
+ * kind is 'task', 'recap-entry' or 'saved-recap'; meta has what a caller
+ * needs to show or open the result (taskId, projectName, date...).
+ */
+export function buildDocuments(data) {
+  const docs = [];
+  const tagNames = new Map((data.tags || []).map(t => [t.id, t.name]));
+
+  for (const project of data.projects || []) {
+    for (const task of project.tasks || []) {
+      const tags = (task.tags || []).map(id => tagNames.get(id)).filter(Boolean);
+      docs.push({
+        id: `task:${task.id}`,
+        kind: 'task',
+        title: task.name,
+        fields: [
+          { name: 'name', text: task.name, weight: 5 },
+          { name: 'tags', text: joinLines([...tags, project.isInbox ? '' : project.name]), weight: 2 },
+          { name: 'subtasks', text: joinLines((task.subtasks || []).map(s => s.name)), weight: 2 },
+          { name: 'description', text: task.description || '', weight: 1 },
+          { name: 'context', text: task.context || '', weight: 1 },
+          { name: 'workNotes', text: task.workNotes || '', weight: 1 },
+          { name: 'learnings', text: joinLines((task.learnings || []).map(l => l.text)), weight: 1.5 },
+          { name: 'timeLog', text: joinLines((task.timeLog || []).map(e => e.notes)), weight: 1 },
+          { name: 'blocker', text: task.blockerInfo?.description || task.waitingReason || '', weight: 1 },
+          { name: 'assignedTo', text: task.assignedTo || '', weight: 1 },
+        ],
+        meta: {
+          taskId: task.id,
+          projectId: project.id,
+          projectName: project.isInbox ? null : project.name,
+          status: task.status || 'todo',
+          priority: task.priority || 'none',
+          dueDate: task.dueDate || null,
+          tags,
+        },
+      });
+    }
+  }
+
+  for (const entry of data.recapLog || []) {
+    docs.push({
+      id: `recap-entry:${entry.id}`,
+      kind: 'recap-entry',
+      title: `${RECAP_TYPE_LABELS[entry.type] || 'Recap entry'} · ${entry.date}`,
+      fields: [
+        { name: 'content', text: entry.content || '', weight: 1.5 },
+        { name: 'tags', text: joinLines(entry.tags || []), weight: 1 },
+      ],
+      meta: { entryId: entry.id, type: entry.type, date: entry.date, relatedTaskId: entry.relatedTaskId || null },
+    });
+  }
+
+  for (const recap of data.savedRecaps || []) {
+    docs.push({
+      id: `saved-recap:${recap.id}`,
+      kind: 'saved-recap',
+      title: recap.periodLabel || `${recap.period} recap`,
+      fields: [
+        { name: 'periodLabel', text: recap.periodLabel || '', weight: 2 },
+        { name: 'content', text: recap.content || '', weight: 1 },
+      ],
+      meta: { recapId: recap.id, period: recap.period, startDate: recap.startDate, endDate: recap.endDate },
+    });
+  }
+  return docs;
+}
+
+// ── Snippets ────────────────────────────────────────────────────
+
+/**
+ * `text` split into [{ text, match }] pieces around the words whose stems
+ * are in `terms`. With `length`, only a window of about that many
+ * characters around the first match is kept, with "…" where it was cut.
+ */
+export function highlight(text, terms, length = null) {
+  const tokens = tokenize(text).filter(t => terms.has(t.term));
+  let from = 0;
+  let to = text.length;
+  if (length && text.length > length) {
+    const first = tokens[0] ? tokens[0].start : 0;
+    from = Math.max(0, first - Math.floor(length / 3));
+    // Start at a word boundary
+    if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+    to = Math.min(text.length, from + length);
+    if (to < text.length) to = text.lastIndexOf(' ', to) > from ? text.lastIndexOf(' ', to) : to;
+  }
+
+  const segments = [];
+  let position = from;
+  for (const token of tokens) {
+    if (token.start < from || token.end > to) continue;
+    if (token.start > position) segments.push({ text: text.slice(position, token.start), match: false });
+    segments.push({ text: text.slice(token.start, token.end), match: true });
+    position = token.end;
+  }
+  if (position < to) segments.push({ text: text.slice(position, to), match: false });
+
+  const clean = segments.map(s => ({ ...s, text: s.text.replace(/\s+/g, ' ') }));
+  if (from > 0) clean.unshift({ text: '…', match: false });
+  if (to < text.length) clean.push({ text: '…', match: false });
+  return clean;
+}
+
+// Plain text from highlight() segments, with matches wrapped by `mark`
+export function segmentsToText(segments, mark = (text) => `**${text}**`) {
+  return segments.map(s => (s.match ? mark(s.text) : s.text)).join('');
+}
+
+// ── Index ───────────────────────────────────────────────────────
+
+/**
+ * A search index kept in step with `data` by update(data). search(query)
+ * returns ranked results:
+ *   { id, kind, title, score, titleSegments, snippet, snippetField, ...meta }
+ * where snippet is highlight() segments from the best-matching field other
+ * than the title (null if only the title matched). Every query word has to
+ * match; the last one also matches as a prefix, for search-as-you-type.
+ * Options: { limit = 20 (0 for all), kinds, prefix = true }.
+ */
+export function createSearchIndex() {
+  const docs = new Map();     // id → { ...doc, signature, length, fieldTerms }
+  const postings = new Map(); // term → Map(docId → weighted term frequency)
+  let totalLength = 0;
+
+  function addDoc(doc, signature) {
+    const fieldTerms = [];
+    const counts = new Map();
+    let length = 0;
+    for (const field of doc.fields) {
+      const terms = new Set();
+      for (const { term } of tokenize(field.text)) {
+        terms.add(term);
+        counts.set(term, (counts.get(term) || 0) + field.weight);
+        length++;
+      }
+      fieldTerms.push(terms);
+    }
+    for (const [term, frequency] of counts) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(doc.id, frequency);
+    }
+    docs.set(doc.id, { ...doc, signature, length, fieldTerms, terms: [...counts.keys()] });
+    totalLength += length;
+  }
+
+  function removeDoc(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const list = postings.get(term);
+      list.delete(id);
+      if (list.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(id);
+  }
+
+  // Bring the index in line with `data`; returns how many documents changed
+  function update(data) {
+    const seen = new Set();
+    const changes = { added: 0, updated: 0, removed: 0 };
+    for (const doc of buildDocuments(data)) {
+      seen.add(doc.id);
+      const signature = doc.fields.map(f => f.text).join('\u0000');
+      const existing = docs.get(doc.id);
+      if (existing && existing.signature === signature) {
+        // Status, due date and the like don't change what's indexed
+        existing.title = doc.title;
+        existing.meta = doc.meta;
+        continue;
+      }
+      if (existing) {
+        removeDoc(doc.id);
+        changes.updated++;
+      } else {
+        changes.added++;
+      }
+      addDoc(doc, signature);
+    }
+    for (const id of [...docs.keys()]) {
+      if (!seen.has(id)) {
+        removeDoc(id);
+        changes.removed++;
+      }
+    }
+    return changes;
+  }
+
+  // The index terms a query word covers, with how much a match counts
+  function expand(term, isLast, prefix) {
+    const covered = new Map();
+    if (postings.has(term)) covered.set(term, 1);
+    if (isLast && prefix) {
+      for (const candidate of postings.keys()) {
+        if (covered.size >= MAX_PREFIX_TERMS) break;
+        if (candidate !== term && candidate.startsWith(term)) covered.set(candidate, PREFIX_FACTOR);
+      }
+    }
+    return covered;
+  }
+
+  function search(query, { limit = 20, kinds = null, prefix = true } = {}) {
+    const words = [...new Set(tokenize(query).map(t => t.term))];
+    if (words.length === 0 || docs.size === 0) return [];
+
+    const averageLength = totalLength / docs.size || 1;
+    const scores = new Map();
+    const matched = new Map(); // docId → Set of index terms that matched
+    words.forEach((word, i) => {
+      const wordScores = new Map();
+      for (const [term, factor] of expand(word, i === words.length - 1, prefix)) {
+        const list = postings.get(term);
+        const idf = Math.log(1 + (docs.size - list.size + 0.5) / (list.size + 0.5));
+        for (const [docId, frequency] of list) {
+          const doc = docs.get(docId);
+          const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength);
+          const score = factor * idf * (frequency * (BM25_K1 + 1)) / norm;
+          wordScores.set(docId, Math.max(wordScores.get(docId) || 0, score));
+          if (!matched.has(docId)) matched.set(docId, new Set());
+          matched.get(docId).add(term);
+        }
+      }
+      // Every word has to match: drop documents this one didn't
+      if (i === 0) {
+        for (const [docId, score] of wordScores) scores.set(docId, score);
+      } else {
+        for (const docId of [...scores.keys()]) {
+          if (wordScores.has(docId)) scores.set(docId, scores.get(docId) + wordScores.get(docId));
+          else scores.delete(docId);
+        }
+      }
+    });
+
+    const results = [];
+    for (const [docId, baseScore] of scores) {
+      const doc = docs.get(docId);
+      if (kinds && !kinds.includes(doc.kind)) continue;
+      const terms = matched.get(docId);
+      // Title hits read best, so a document whose title has every match ranks higher
+      const titleTerms = new Set(tokenize(doc.title).map(t => t.term));
+      const inTitle = [...terms].filter(t => titleTerms.has(t)).length;
+      const score = baseScore * (inTitle === terms.size ? 1.5 : 1);
+
+      let snippetField = null;
+      let snippet = null;
+      let best = 0;
+      doc.fields.forEach((field, i) => {
+        if (field.text === doc.title) return;
+        const hits = [...terms].filter(t => doc.fieldTerms[i].has(t)).length;
+        if (hits * field.weight > best) {
+          best = hits * field.weight;
+          snippetField = field.name;
+          snippet = highlight(field.text, terms, SNIPPET_LENGTH);
+        }
+      });
+
+      results.push({
+        id: doc.id,
+        kind: doc.kind,
+        title: doc.title,
+        score,
+        titleSegments: highlight(doc.title, terms),
+        snippet,
+        snippetField,
+        ...doc.meta,
+      });
+    }
+    results.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  return { update, search, size: () => docs.size };
+}
+
+/**
+ * The tasks in `tasks` that the header search box should show for `query`:
+ * those the index finds (any field, any word form), plus those whose name or
+ * description contains the query as typed, which the index misses mid-word
+ * ("port" in "report").
+ */
+export function filterTasks(index, tasks, query) {
+  const text = String(query || '').trim().toLowerCase();
+  if (!text) return tasks;
+  const found = new Set(index.search(text, { kinds: ['task'], limit: 0 }).map(r => r.taskId));
+  return tasks.filter(t =>
+    found.has(t.id) ||
+    (t.name || '').toLowerCase().includes(text) ||
+    (t.description || '').toLowerCase().includes(text)
+  );
+}
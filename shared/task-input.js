@@ -0,0 +1,265 @@
+// shared/task-input.js — Checking and applying task fields from outside the app
+//
+// Used by the MCP server (create_task, update_task, complete_task,
+// create_project) and the local REST API in the main process, so both accept
+// exactly the same input and build the same tasks and projects. No
+// dependencies beyond shared/recurrence.js.
+//
+// Input uses the MCP shapes: project and tags by name (created if missing),
+// dates 'YYYY-MM-DD', times 'HH:MM', and null to clear a field on update.
+
+import { normalizeRecurrence, describeRecurrence, buildNextOccurrence } from './recurrence.js';
+
+export const TASK_STATUSES = ['todo', 'ready', 'in-progress', 'waiting', 'review', 'done'];
+export const TASK_PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+export const EXECUTION_TYPES = ['ai', 'manual', 'hybrid'];
+
+const DEFAULT_COLOR = '#6366f1';
+
+// ── Validation ──────────────────────────────────────────────────
+
+export function isDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [y, m, d] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+function isTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * The first problem with task input, as a message, or null if it's fine.
+ * With `partial` (updates) nothing is required and nullable fields may be
+ * null to clear them.
+ */
+export function validateTaskInput(args, { partial = false } = {}) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return 'Task fields must be an object';
+  const has = (key) => args[key] !== undefined && !(partial && args[key] === null);
+
+  if (!partial || args.name !== undefined) {
+    if (typeof args.name !== 'string' || !args.name.trim()) return 'Task name is required';
+  }
+  for (const key of ['description', 'context', 'project', 'assignedTo']) {
+    if (has(key) && typeof args[key] !== 'string') return `${key} must be a string`;
+  }
+  if (has('status') && !TASK_STATUSES.includes(args.status)) {
+    return `status must be one of ${TASK_STATUSES.join(', ')}`;
+  }
+  if (has('priority') && !TASK_PRIORITIES.includes(args.priority)) {
+    return `priority must be one of ${TASK_PRIORITIES.join(', ')}`;
+  }
+  if (has('executionType') && !EXECUTION_TYPES.includes(args.executionType)) {
+    return `executionType must be one of ${EXECUTION_TYPES.join(', ')}`;
+  }
+  for (const key of ['dueDate', 'scheduledDate']) {
+    if (has(key) && args[key] !== '' && !isDate(args[key])) return `${key} must be a date (YYYY-MM-DD)`;
+  }
+  if (has('scheduledTime') && args.scheduledTime !== '' && !isTime(args.scheduledTime)) {
+    return 'scheduledTime must be a time (HH:MM)';
+  }
+  // On update 0 clears the estimate, as update_task has always allowed
+  const estimate = args.estimatedMinutes;
+  if (has('estimatedMinutes') && !(Number.isFinite(estimate) && (estimate > 0 || (partial && estimate === 0)))) {
+    return 'estimatedMinutes must be a positive number';
+  }
+  if (has('tags') && !(Array.isArray(args.tags) && args.tags.every(t => typeof t === 'string' && t.trim()))) {
+    return 'tags must be a list of tag names';
+  }
+  if (has('recurrence') && (typeof args.recurrence !== 'object' || Array.isArray(args.recurrence))) {
+    return 'recurrence must be an object, or null to stop repeating';
+  }
+  return null;
+}
+
+// ── Creating ────────────────────────────────────────────────────
+
+/**
+ * A new project with the same defaults the app's own projects get (see
+ * migration 2 in migrations.js): in Personal, active, with an empty goal.
+ * `fields` may set name, description, color, categoryId, goal and any
+ * other project field.
+ */
+export function newProject(fields, generateId) {
+  const project = {
+    id: generateId(),
+    name: fields.name,
+    description: '',
+    color: DEFAULT_COLOR,
+    categoryId: 'cat-personal',
+    status: 'active',
+    goal: '',
+    tasks: [],
+    createdAt: new Date().toISOString(),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null && value !== '') project[key] = value;
+  }
+  return project;
+}
+
+function findOrCreateProject(data, name, generateId) {
+  if (name) {
+    let project = data.projects.find(p => p.name.toLowerCase() === name.toLowerCase());
+    if (!project) {
+      project = newProject({ name }, generateId);
+      data.projects.push(project);
+    }
+    return project;
+  }
+  let inbox = data.projects.find(p => p.isInbox || p.id === 'inbox');
+  if (!inbox) {
+    inbox = { id: 'inbox', name: 'Inbox', color: DEFAULT_COLOR, tasks: [], isInbox: true };
+    data.projects.unshift(inbox);
+  }
+  return inbox;
+}
+
+// Tag IDs for tag names, adding tags that don't exist yet
+export function resolveTagIds(data, names, generateId) {
+  if (!data.tags) data.tags = [];
+  return names.map(name => {
+    let tag = data.tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (!tag) {
+      tag = { id: generateId(), name, color: DEFAULT_COLOR };
+      data.tags.push(tag);
+    }
+    return tag.id;
+  });
+}
+
+/**
+ * Add a task to `data` from validated input. `today` ('YYYY-MM-DD') fills in
+ * the scheduled date for a bare time and anchors repeat rules. Throws if the
+ * repeat rule doesn't make sense. Returns { task, project }.
+ */
+export function createTaskFromInput(data, args, { generateId, today }) {
+  const recurrence = normalizeRecurrence(args.recurrence, args.dueDate || args.scheduledDate || today);
+  const project = findOrCreateProject(data, args.project, generateId);
+  const now = new Date().toISOString();
+
+  const task = {
+    id: generateId(),
+    name: args.name,
+    description: args.description || '',
+    context: args.context || '',
+    status: args.status || 'todo',
+    priority: args.priority || 'none',
+    dueDate: args.dueDate || null,
+    scheduledTime: args.scheduledTime || null,
+    scheduledDate: args.scheduledDate || args.dueDate || (args.scheduledTime ? today : null),
+    estimatedMinutes: args.estimatedMinutes || null,
+    executionType: args.executionType || 'manual',
+    tags: resolveTagIds(data, args.tags || [], generateId),
+    recurrence,
+    subtasks: [],
+    createdAt: now,
+    updatedAt: now,
+    completedAt: args.status === 'done' ? now : null,
+  };
+
+  // If scheduled but no due date, set due date to scheduled date
+  if (task.scheduledDate && !task.dueDate) {
+    task.dueDate = task.scheduledDate;
+  }
+  // A repeating task needs a date to count from
+  if (recurrence && !task.dueDate) {
+    task.dueDate = today;
+  }
+
+  project.tasks.push(task);
+  return { task, project };
+}
+
+// ── Updating ────────────────────────────────────────────────────
+
+/**
+ * Apply validated partial input to a task. Returns a list of what changed
+ * ("status → done", ...). Throws if the repeat rule doesn't make sense, in
+ * which case nothing has been changed. Tags need `data` and `generateId`.
+ */
+export function applyTaskUpdate(task, args, { data = null, generateId = null } = {}) {
+  let recurrence;
+  if (args.recurrence !== undefined) {
+    recurrence = normalizeRecurrence(args.recurrence, args.dueDate || task.dueDate || task.scheduledDate);
+    if (recurrence && task.recurrence?.seriesId) recurrence.seriesId = task.recurrence.seriesId;
+  }
+
+  const changes = [];
+  if (args.name) { task.name = args.name; changes.push('name'); }
+  if (args.description !== undefined) { task.description = args.description || ''; changes.push('description'); }
+  if (args.context !== undefined) { task.context = args.context || ''; changes.push('context'); }
+  if (args.status) {
+    task.status = args.status;
+    task.completedAt = args.status === 'done' ? new Date().toISOString() : null;
+    changes.push('status → ' + args.status);
+  }
+  if (args.priority) { task.priority = args.priority; changes.push('priority → ' + args.priority); }
+  if (args.dueDate !== undefined) { task.dueDate = args.dueDate || null; changes.push('dueDate → ' + (args.dueDate || 'cleared')); }
+  if (args.scheduledDate !== undefined) { task.scheduledDate = args.scheduledDate || null; changes.push('scheduledDate → ' + (args.scheduledDate || 'cleared')); }
+  if (args.scheduledTime !== undefined) { task.scheduledTime = args.scheduledTime || null; changes.push('scheduledTime → ' + (args.scheduledTime || 'cleared')); }
+  if (args.estimatedMinutes !== undefined) {
+    task.estimatedMinutes = args.estimatedMinutes || null;
+    changes.push('estimate → ' + (args.estimatedMinutes ? args.estimatedMinutes + 'min' : 'cleared'));
+  }
+  if (args.executionType) { task.executionType = args.executionType; changes.push('type → ' + args.executionType); }
+  if (args.assignedTo !== undefined) { task.assignedTo = args.assignedTo || null; changes.push('assigned → ' + (args.assignedTo || 'unassigned')); }
+  if (args.tags !== undefined && data && generateId) {
+    task.tags = resolveTagIds(data, args.tags || [], generateId);
+    changes.push('tags');
+  }
+  if (args.recurrence !== undefined) {
+    task.recurrence = recurrence;
+    changes.push('repeats → ' + (recurrence ? describeRecurrence(recurrence) : 'never'));
+  }
+  task.updatedAt = new Date().toISOString();
+  return changes;
+}
+
+// ── Completing ──────────────────────────────────────────────────
+
+/**
+ * When a recurring task is completed, add its next instance right after it.
+ * `result` is { task, project, parentTask } as found in the data. Returns the
+ * new task, or null.
+ */
+export function spawnNextOccurrence(result, { generateId, today }) {
+  const { task, project, parentTask } = result;
+  if (!task.recurrence || parentTask) return null;
+  if (task.recurrenceNextId && project.tasks.some(t => t.id === task.recurrenceNextId)) return null;
+
+  const nextTask = buildNextOccurrence(task, today, generateId);
+  if (!nextTask) return null;
+
+  project.tasks.splice(project.tasks.indexOf(task) + 1, 0, nextTask);
+  task.recurrenceNextId = nextTask.id;
+  return nextTask;
+}
+
+// ── Deleting ────────────────────────────────────────────────────
+
+/**
+ * Delete a task found as { task, project, parentTask }, with its subtasks,
+ * and drop the references other tasks and the Today view keep to them:
+ * blockedBy, blocks and data.workingOnTaskIds.
+ */
+export function removeTask(data, { task, project, parentTask }) {
+  if (parentTask) {
+    parentTask.subtasks = parentTask.subtasks.filter(st => st.id !== task.id);
+  } else {
+    project.tasks = project.tasks.filter(t => t.id !== task.id);
+  }
+
+  const removed = new Set([task.id, ...(task.subtasks || []).map(st => st.id)]);
+  const others = ids => ids.filter(id => !removed.has(id));
+  for (const p of data.projects || []) {
+    for (const t of p.tasks || []) {
+      for (const item of [t, ...(t.subtasks || [])]) {
+        if (Array.isArray(item.blockedBy) && item.blockedBy.some(id => removed.has(id))) item.blockedBy = others(item.blockedBy);
+        if (Array.isArray(item.blocks) && item.blocks.some(id => removed.has(id))) item.blocks = others(item.blocks);
+      }
+    }
+  }
+  if (Array.isArray(data.workingOnTaskIds)) data.workingOnTaskIds = others(data.workingOnTaskIds);
+}
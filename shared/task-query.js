@@ -0,0 +1,247 @@
+// shared/task-query.js — The query language behind smart lists and the MCP query_tasks tool
+//
+// A query is a list of terms separated by spaces; a task has to match all of
+// them:
+//
+//   project:Acme  tag:Urgent (or #Urgent)  status:waiting  priority>=high
+//   due<+7d  scheduled:today  created>-30d  completed:yesterday  estimate<=30
+//   is:overdue|today|open|done|recurring|blocked
+//   has:due|scheduled|time|estimate|tags|description|subtasks
+//   words and "quoted phrases", looked for in the name and description
+//
+// A leading "-" negates a term, a comma lists alternatives (status:todo,ready)
+// and values with spaces are quoted (project:"Acme Corp"). Dates are
+// YYYY-MM-DD, today, tomorrow, yesterday or an offset from today (+7d, -2w,
+// +1m); "none" matches tasks without the field (due:none). Finished tasks are
+// left out unless the query asks for them (status:done, is:done, completed>...).
+
+import { TASK_STATUSES, TASK_PRIORITIES } from './task-input.js';
+import { addDays, calendarDate, toLocalDate } from './dates.js';
+
+const DATE_FIELDS = { due: 'dueDate', scheduled: 'scheduledDate', created: 'createdAt', completed: 'completedAt' };
+const IS_VALUES = ['overdue', 'today', 'open', 'done', 'recurring', 'blocked'];
+const HAS_VALUES = ['due', 'scheduled', 'time', 'estimate', 'tags', 'description', 'subtasks'];
+const FIELDS = ['project', 'tag', 'status', 'priority', 'estimate', 'is', 'has', ...Object.keys(DATE_FIELDS)];
+// Fields that only make sense as equality
+const EQUALITY_FIELDS = ['project', 'tag', 'status', 'is', 'has'];
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+// ── Values ──────────────────────────────────────────────────────
+
+/**
+ * A query date as YYYY-MM-DD relative to `today`, 'none', or null if it
+ * can't be read.
+ */
+export function resolveQueryDate(value, today) {
+  const text = value.toLowerCase();
+  if (text === 'none') return 'none';
+  if (text === 'today') return today;
+  if (text === 'tomorrow') return addDays(today, 1);
+  if (text === 'yesterday') return addDays(today, -1);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+  const offset = /^([+-]?\d+)([dwm])$/.exec(text);
+  if (!offset) return null;
+  const amount = parseInt(offset[1], 10);
+  if (offset[2] === 'd') return addDays(today, amount);
+  if (offset[2] === 'w') return addDays(today, amount * 7);
+  const [y, m, d] = today.split('-').map(Number);
+  const date = new Date(y, m - 1 + amount, 1);
+  // Clamp to the month's last day (Jan 31 + 1m is Feb 28/29)
+  date.setDate(Math.min(d, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()));
+  return calendarDate(date);
+}
+
+function parseMinutes(value) {
+  const match = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m?)?$/.exec(value.toLowerCase());
+  if (!match || (!match[1] && !match[2])) return null;
+  return Math.round(parseFloat(match[1] || '0') * 60 + parseInt(match[2] || '0', 10));
+}
+
+// The problem with a term's value, or null
+function checkValue(field, value) {
+  const lower = value.toLowerCase();
+  if (field === 'status' && !TASK_STATUSES.includes(lower)) {
+    return `status must be one of ${TASK_STATUSES.join(', ')}`;
+  }
+  if (field === 'priority' && !TASK_PRIORITIES.includes(lower)) {
+    return `priority must be one of ${TASK_PRIORITIES.join(', ')}`;
+  }
+  if (field === 'is' && !IS_VALUES.includes(lower)) return `is: takes ${IS_VALUES.join(', ')}`;
+  if (field === 'has' && !HAS_VALUES.includes(lower)) return `has: takes ${HAS_VALUES.join(', ')}`;
+  if (DATE_FIELDS[field] && resolveQueryDate(value, '2000-01-01') === null) {
+    return `Can't read "${value}" as a date (use YYYY-MM-DD, today, tomorrow, yesterday or +7d, -2w, +1m)`;
+  }
+  if (field === 'estimate' && lower !== 'none' && parseMinutes(value) === null) {
+    return `Can't read "${value}" as minutes (use 30, 45m or 1h30m)`;
+  }
+  return null;
+}
+
+// ── Parsing ─────────────────────────────────────────────────────
+
+/**
+ * Parse a query into terms. Returns { terms, includeDone, error }, where
+ * error is a message for the first term that can't be used (terms is then
+ * empty). Each term is { negate, field, op, values }; field is 'text' for
+ * plain words.
+ */
+export function parseTaskQuery(text) {
+  const tokens = String(text || '').match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+  const terms = [];
+  let includeDone = false;
+
+  for (const token of tokens) {
+    const negate = token.length > 1 && token.startsWith('-');
+    const body = negate ? token.slice(1) : token;
+
+    let field;
+    let op = ':';
+    let raw;
+    const match = /^([a-z]+)(>=|<=|:|>|<|=)(.*)$/i.exec(body);
+    if (body.startsWith('#') && body.length > 1) {
+      field = 'tag';
+      raw = body.slice(1);
+    } else if (match) {
+      field = match[1].toLowerCase();
+      op = match[2] === '=' ? ':' : match[2];
+      raw = match[3];
+      if (!FIELDS.includes(field)) {
+        return { terms: [], includeDone, error: `Unknown field "${match[1]}" (use ${FIELDS.join(', ')})` };
+      }
+      if (op !== ':' && EQUALITY_FIELDS.includes(field)) {
+        return { terms: [], includeDone, error: `${field} can only be matched with ":"` };
+      }
+    } else {
+      terms.push({ negate, field: 'text', op: ':', values: [unquote(body).toLowerCase()] });
+      continue;
+    }
+
+    const values = unquote(raw).split(',').map(v => unquote(v.trim())).filter(Boolean);
+    if (values.length === 0) return { terms: [], includeDone, error: `${field}${op} needs a value` };
+    if (op !== ':' && values.length > 1) {
+      return { terms: [], includeDone, error: `${field}${op} takes one value` };
+    }
+    for (const value of values) {
+      const problem = checkValue(field, value);
+      if (problem) return { terms: [], includeDone, error: problem };
+    }
+
+    const lower = values.map(v => v.toLowerCase());
+    if (!negate && (((field === 'status' || field === 'is') && lower.includes('done')) || (field === 'completed' && !lower.includes('none')))) {
+      includeDone = true;
+    }
+    terms.push({ negate, field, op, values: field === 'project' || field === 'tag' ? values : lower });
+  }
+  return { terms, includeDone, error: null };
+}
+
+// ── Matching ────────────────────────────────────────────────────
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    default: return actual === expected;
+  }
+}
+
+// A task's date field as YYYY-MM-DD (timestamps on the user's clock)
+function taskDate(task, field, timeZone) {
+  return toLocalDate(task[DATE_FIELDS[field]], timeZone);
+}
+
+function matchValue(task, project, field, op, value, context) {
+  switch (field) {
+    case 'text':
+      return task.name.toLowerCase().includes(value) || (task.description || '').toLowerCase().includes(value);
+    case 'project': {
+      const lower = value.toLowerCase();
+      if (lower === 'inbox') return !!project.isInbox || project.id === 'inbox';
+      return project.name.toLowerCase() === lower || project.id === value;
+    }
+    case 'tag': {
+      const names = (task.tags || []).map(id => context.tagNames.get(id)).filter(Boolean);
+      if (value.toLowerCase() === 'none') return names.length === 0;
+      return names.includes(value.toLowerCase());
+    }
+    case 'status':
+      return (task.status || 'todo') === value;
+    case 'priority':
+      return compare(TASK_PRIORITIES.indexOf(task.priority || 'none'), op, TASK_PRIORITIES.indexOf(value));
+    case 'estimate':
+      if (value === 'none') return !task.estimatedMinutes;
+      return !!task.estimatedMinutes && compare(task.estimatedMinutes, op, parseMinutes(value));
+    case 'is':
+      switch (value) {
+        case 'overdue': return task.status !== 'done' && !!task.dueDate && task.dueDate < context.today;
+        case 'today': return task.dueDate === context.today || task.scheduledDate === context.today;
+        case 'open': return task.status !== 'done';
+        case 'done': return task.status === 'done';
+        case 'recurring': return !!task.recurrence;
+        case 'blocked': return task.status === 'waiting';
+      }
+      return false;
+    case 'has':
+      switch (value) {
+        case 'due': return !!task.dueDate;
+        case 'scheduled': return !!task.scheduledDate;
+        case 'time': return !!task.scheduledTime;
+        case 'estimate': return !!task.estimatedMinutes;
+        case 'tags': return (task.tags || []).length > 0;
+        case 'description': return !!(task.description || '').trim();
+        case 'subtasks': return (task.subtasks || []).length > 0;
+      }
+      return false;
+    default: {
+      const date = taskDate(task, field, context.timeZone);
+      const expected = resolveQueryDate(value, context.today);
+      if (expected === 'none') return !date;
+      return !!date && compare(date, op, expected);
+    }
+  }
+}
+
+function matchesTerms(task, project, parsed, context) {
+  if (!parsed.includeDone && task.status === 'done') return false;
+  return parsed.terms.every(term => {
+    const matched = term.values.some(value => matchValue(task, project, term.field, term.op, value, context));
+    return term.negate ? !matched : matched;
+  });
+}
+
+/**
+ * Top-level tasks in `data` matching `query` (text or a parseTaskQuery
+ * result), in project order. Returns { matches: [{ task, project }], error }.
+ * `timeZone` decides which day a timestamp (created, completed) falls on.
+ */
+export function queryTasks(data, query, { today, timeZone = null }) {
+  const parsed = typeof query === 'string' ? parseTaskQuery(query) : query;
+  if (parsed.error) return { matches: [], error: parsed.error };
+
+  const context = { today, timeZone, tagNames: new Map((data.tags || []).map(t => [t.id, t.name.toLowerCase()])) };
+  const matches = [];
+  for (const project of data.projects || []) {
+    for (const task of project.tasks || []) {
+      if (matchesTerms(task, project, parsed, context)) matches.push({ task, project });
+    }
+  }
+  return { matches, error: null };
+}
+
+// ── Smart lists ─────────────────────────────────────────────────
+
+// Saved queries live in data.smartLists: { id, name, query, pinned, createdAt }
+export function getSmartLists(data) {
+  return data.smartLists || [];
+}
+
+export function findSmartList(data, nameOrId) {
+  const lower = String(nameOrId).toLowerCase();
+  return getSmartLists(data).find(l => l.id === nameOrId || l.name.toLowerCase() === lower) || null;
+}
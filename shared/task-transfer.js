@@ -0,0 +1,622 @@
+// shared/task-transfer.js — Projects and tasks to and from Markdown and CSV
+//
+// Export writes Markdown checklists in the shape of the MCP server's task
+// lines ("- [ ] Name !high (due: 2026-04-10) #Tag", subtasks indented) and
+// CSV with one row per task or subtask. Import reads those back, plus task
+// lists from other Markdown tools, any CSV with a header row, and Todoist
+// and TickTick CSV exports.
+//
+// Importing is two steps so the app can show a preview: readImportFile()
+// detects the format and guesses which column holds which field, and
+// mergeImport() adds the tasks to existing data. Projects and tags are
+// matched by name, and a task already in its project (same name) is left
+// alone, so importing the same file twice adds nothing.
+
+import { validateTaskInput, createTaskFromInput } from './task-input.js';
+import { dateInZone, minutesInZone } from './dates.js';
+
+// Fields a column can be mapped to, in the order the preview lists them
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Task name' },
+  { key: 'description', label: 'Notes' },
+  { key: 'project', label: 'Project' },
+  { key: 'parent', label: 'Parent task' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'dueDate', label: 'Due date' },
+  { key: 'scheduledDate', label: 'Scheduled date' },
+  { key: 'scheduledTime', label: 'Scheduled time' },
+  { key: 'estimatedMinutes', label: 'Estimate' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'completedAt', label: 'Completed' },
+];
+
+export const FORMAT_LABELS = {
+  markdown: 'Markdown task list',
+  csv: 'CSV',
+  todoist: 'Todoist CSV export',
+  ticktick: 'TickTick CSV backup',
+};
+
+const CSV_COLUMNS = [
+  'Project', 'Task', 'Parent', 'Status', 'Priority', 'Due Date', 'Scheduled Date',
+  'Scheduled Time', 'Estimate (min)', 'Tags', 'Description', 'Completed At',
+];
+
+// Header names (lower case) each field is guessed from
+const HEADER_GUESSES = {
+  name: ['task', 'name', 'title', 'task name', 'content', 'summary', 'subject'],
+  description: ['description', 'notes', 'note', 'details', 'body'],
+  project: ['project', 'list', 'list name', 'project name', 'folder'],
+  parent: ['parent', 'parent task'],
+  status: ['status', 'state', 'done', 'completed', 'is completed'],
+  priority: ['priority', 'prio', 'importance'],
+  dueDate: ['due date', 'due', 'deadline', 'date', 'due on'],
+  scheduledDate: ['scheduled date', 'scheduled', 'start date', 'start', 'do date'],
+  scheduledTime: ['scheduled time', 'time', 'start time'],
+  estimatedMinutes: ['estimate (min)', 'estimate', 'estimated minutes', 'duration', 'minutes'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+  completedAt: ['completed at', 'completed time', 'completed date', 'date completed'],
+};
+
+const PRIORITY_NAMES = { urgent: 'urgent', high: 'high', medium: 'medium', med: 'medium', low: 'low', none: 'none' };
+const TODOIST_PRIORITIES = { 4: 'urgent', 3: 'high', 2: 'medium', 1: 'none' };
+const TICKTICK_PRIORITIES = { 5: 'high', 3: 'medium', 1: 'low', 0: 'none' };
+const DONE_VALUES = ['done', 'completed', 'complete', 'closed', 'x', 'yes', 'true', '1'];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// ── CSV ─────────────────────────────────────────────────────────
+
+// The separator that splits the first lines most: comma, semicolon or tab.
+// Separators inside quoted cells don't count.
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  let lines = 0;
+  for (let i = 0; i < text.length && lines < 5; i++) {
+    const c = text[i];
+    if (c === '"') inQuotes = !inQuotes;
+    else if (inQuotes) continue;
+    else if (c === '\n') lines++;
+    else if (c in counts) counts[c]++;
+  }
+  let best = ',';
+  for (const candidate of [';', '\t']) {
+    if (counts[candidate] > counts[best]) best = candidate;
+  }
+  return best;
+}
+
+/**
+ * Rows of cells from CSV text. Handles quoted cells with separators,
+ * doubled quotes and line breaks, CRLF endings and a byte order mark.
+ * Only a quote at the start of a cell opens a quoted cell; elsewhere it is
+ * kept as text (5" floppy). Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^﻿/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let atStart = true;
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (inQuotes) {
+      if (c === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && atStart) {
+      inQuotes = true;
+      atStart = false;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+      atStart = true;
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      atStart = true;
+    } else {
+      field += c;
+      atStart = false;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+export function toCsv(rows) {
+  return rows.map(row => row.map(cell => {
+    const value = cell === null || cell === undefined ? '' : String(cell);
+    return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+// ── Export ──────────────────────────────────────────────────────
+
+function tagNames(task, tags) {
+  return (task.tags || []).map(id => tags.find(t => t.id === id)?.name).filter(Boolean);
+}
+
+function markdownTask(task, tags, depth) {
+  const indent = '  '.repeat(depth);
+  let line = `${indent}- [${task.status === 'done' ? 'x' : ' '}] ${task.name}`;
+  if (task.priority && task.priority !== 'none') line += ` !${task.priority}`;
+  if (task.dueDate) line += ` (due: ${task.dueDate})`;
+  if (task.scheduledTime || (task.scheduledDate && task.scheduledDate !== task.dueDate)) {
+    line += ` (scheduled: ${[task.scheduledDate, task.scheduledTime].filter(Boolean).join(' ')})`;
+  }
+  if (task.estimatedMinutes) line += ` ~${task.estimatedMinutes}m`;
+  const names = tagNames(task, tags);
+  if (names.length > 0) line += ' ' + names.map(n => `#${n.replace(/\s+/g, '-')}`).join(' ');
+
+  const lines = [line];
+  for (const text of (task.description || '').split('\n')) {
+    if (text.trim()) lines.push(`${indent}  ${text.trim()}`);
+  }
+  for (const subtask of task.subtasks || []) {
+    lines.push(...markdownTask(subtask, tags, depth + 1));
+  }
+  return lines;
+}
+
+// A "# Project" section per project, with its tasks as a checklist
+export function exportMarkdown(data, projects) {
+  const tags = data.tags || [];
+  return projects.map(project => {
+    const lines = [`# ${project.name}`, ''];
+    if (project.description) lines.push(project.description, '');
+    for (const task of project.tasks || []) lines.push(...markdownTask(task, tags, 0));
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// One row per task, each followed by its subtasks (named in the Parent column)
+export function exportCsv(data, projects) {
+  const tags = data.tags || [];
+  const rows = [CSV_COLUMNS];
+  const rowFor = (project, task, parent) => [
+    project.name,
+    task.name,
+    parent ? parent.name : '',
+    task.status || 'todo',
+    task.priority || 'none',
+    task.dueDate || '',
+    task.scheduledDate || '',
+    task.scheduledTime || '',
+    task.estimatedMinutes || '',
+    tagNames(task, tags).join(', '),
+    task.description || '',
+    task.completedAt || '',
+  ];
+  for (const project of projects) {
+    for (const task of project.tasks || []) {
+      rows.push(rowFor(project, task, null));
+      for (const subtask of task.subtasks || []) rows.push(rowFor(project, subtask, task));
+    }
+  }
+  return toCsv(rows);
+}
+
+// ── Values ──────────────────────────────────────────────────────
+
+/**
+ * A date (and time, if there is one) from the usual spreadsheet and export
+ * shapes: 2026-04-10, 2026-04-10 15:00, ISO timestamps (read on the clock
+ * in `timeZone`; midnight counts as no time), 4/10/2026 and anything else
+ * with a year that Date understands. Returns { date, time } or null.
+ */
+export function parseDateValue(value, timeZone = null) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec(text);
+  if (match) {
+    return { date: `${match[1]}-${match[2]}-${match[3]}`, time: match[4] ? `${pad(match[4])}:${match[5]}` : null };
+  }
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) {
+    return { date: `${match[3]}-${pad(match[1])}-${pad(match[2])}`, time: null };
+  }
+  if (!/\d{4}/.test(text)) return null;
+
+  // Timestamps, e.g. TickTick's 2026-04-10T07:00:00+0000
+  const date = new Date(text.replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  if (isNaN(date.getTime())) return null;
+  const minutes = minutesInZone(date, timeZone);
+  const time = `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  return { date: dateInZone(date, timeZone), time: time === '00:00' ? null : time };
+}
+
+function parseTimeValue(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  if (match[3]) hours = (hours % 12) + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+  return hours < 24 && parseInt(match[2], 10) < 60 ? `${pad(hours)}:${match[2]}` : null;
+}
+
+// 30, 30m, 1h, 1.5h, 1h30m or 1:30
+function parseMinutes(value) {
+  const text = String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+  let match = /^(\d+):(\d{2})$/.exec(text);
+  if (match) return parseInt(match[1], 10) * 60 + parseInt(match[2], 10) || null;
+  match = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)(?:m|min|mins)?)?$/.exec(text);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Math.round(parseFloat(match[1] || '0') * 60 + parseInt(match[2] || '0', 10)) || null;
+}
+
+function parsePriority(value, format) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return 'none';
+  if (format === 'todoist') return TODOIST_PRIORITIES[text] || 'none';
+  if (format === 'ticktick') return TICKTICK_PRIORITIES[text] || 'none';
+  const p = /^p([1-4])$/.exec(text);
+  if (p) return ['urgent', 'high', 'medium', 'none'][p[1] - 1];
+  return PRIORITY_NAMES[text.replace(/^!/, '')] || 'none';
+}
+
+function parseStatus(value, format) {
+  const text = String(value || '').trim().toLowerCase();
+  if (format === 'ticktick') return text && text !== '0' ? 'done' : 'todo';
+  if (DONE_VALUES.includes(text)) return 'done';
+  if (['in progress', 'in-progress', 'doing', 'started'].includes(text)) return 'in-progress';
+  if (['todo', 'ready', 'waiting', 'review'].includes(text)) return text;
+  return 'todo';
+}
+
+function parseTags(value) {
+  return String(value || '').split(/[,;]/).map(t => t.trim().replace(/^[#@]/, '')).filter(Boolean);
+}
+
+// ── Reading files ───────────────────────────────────────────────
+
+function fileBaseName(fileName) {
+  return String(fileName || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '').trim();
+}
+
+// "- [ ] Name !high (due: 2026-04-10) (scheduled: 2026-04-09 15:00) ~30m #Tag"
+function parseMarkdownTask(text, timeZone) {
+  const item = { name: '', status: 'todo', priority: 'none', dueDate: null, scheduledDate: null, scheduledTime: null, estimatedMinutes: null, tags: [] };
+  let rest = text;
+  const checkbox = /^\[([ xX])\]\s*/.exec(rest);
+  if (checkbox) {
+    if (checkbox[1] !== ' ') item.status = 'done';
+    rest = rest.slice(checkbox[0].length);
+  }
+  rest = rest.replace(/\(due:\s*([^)]+)\)/i, (m, value) => {
+    item.dueDate = parseDateValue(value, timeZone)?.date || null;
+    return '';
+  });
+  rest = rest.replace(/\(scheduled:\s*([^)]+)\)/i, (m, value) => {
+    const [date, time] = value.trim().split(/\s+/);
+    if (parseTimeValue(date)) {
+      item.scheduledTime = parseTimeValue(date);
+    } else {
+      item.scheduledDate = parseDateValue(date, timeZone)?.date || null;
+      item.scheduledTime = parseTimeValue(time);
+    }
+    return '';
+  });
+  const words = [];
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (/^!(urgent|high|medium|low)$/i.test(word)) {
+      item.priority = word.slice(1).toLowerCase();
+    } else if (/^#[^\s#]+$/.test(word)) {
+      item.tags.push(word.slice(1));
+    } else if (/^~\d/.test(word) && parseMinutes(word.slice(1))) {
+      item.estimatedMinutes = parseMinutes(word.slice(1));
+    } else {
+      words.push(word);
+    }
+  }
+  item.name = words.join(' ');
+  return item;
+}
+
+/**
+ * Tasks from a Markdown list. "# Heading" starts a project; list items
+ * ("- [ ]", "- [x]", "* " or "1. ") are tasks, indented ones subtasks of the
+ * item above; indented plain lines become the notes of the item above.
+ */
+function readMarkdown(text, timeZone) {
+  const items = [];
+  let projectName = null;
+  const stack = []; // [{ indent, item }]
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.replace(/\t/g, '  ');
+    const heading = /^#\s+(.+?)\s*#*$/.exec(line);
+    if (heading) {
+      projectName = heading[1];
+      stack.length = 0;
+      continue;
+    }
+    const bullet = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (bullet) {
+      const indent = bullet[1].length;
+      const item = { ...parseMarkdownTask(bullet[2], timeZone), description: '', projectName, subtasks: [] };
+      if (!item.name) continue;
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+      if (stack.length > 0) {
+        // Only one level of subtasks; deeper items join the top-level task
+        stack[0].item.subtasks.push(item);
+      } else {
+        items.push(item);
+      }
+      stack.push({ indent, item });
+      continue;
+    }
+    const note = /^\s+(\S.*)$/.exec(line);
+    if (note && stack.length > 0) {
+      const { item } = stack[stack.length - 1];
+      item.description = item.description ? `${item.description}\n${note[1].trim()}` : note[1].trim();
+    }
+  }
+  return items;
+}
+
+function guessMapping(headers) {
+  const lower = headers.map(h => h.trim().toLowerCase());
+  const mapping = {};
+  const used = new Set();
+  for (const { key } of IMPORT_FIELDS) {
+    mapping[key] = null;
+    for (const guess of HEADER_GUESSES[key]) {
+      const index = lower.indexOf(guess);
+      if (index !== -1 && !used.has(index)) {
+        mapping[key] = index;
+        used.add(index);
+        break;
+      }
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Work out what a file holds. Returns a source for buildImportItems():
+ *   { format, projectName, headers, rows, mapping, items }
+ * Tabular formats (CSV, Todoist, TickTick) have headers, rows and a guessed
+ * mapping of field → column index (null if not in the file); Markdown has
+ * its items already. projectName comes from the file name, for tasks that
+ * don't say which project they belong to. Timestamps in the file are read
+ * as days and times in `timeZone` (settings.timezone; the system's if empty).
+ */
+export function readImportFile(text, fileName = '', { timeZone = null } = {}) {
+  const projectName = fileBaseName(fileName) || null;
+  const looksLikeCsv = /\.(csv|tsv)$/i.test(fileName) || (!/\.(md|markdown|txt)$/i.test(fileName) && /^[^\n]*[,;\t][^\n]*\n/.test(text) && !/^\s*([-*+]|#)\s/m.test(text));
+  if (!looksLikeCsv) {
+    return { format: 'markdown', projectName, headers: null, rows: null, mapping: null, items: readMarkdown(text, timeZone), timeZone };
+  }
+
+  let rows = parseCsv(text);
+  let format = 'csv';
+  // TickTick backups start with a few lines about the export before the header
+  const tickTickHeader = rows.findIndex(r => r.includes('List Name') && r.includes('Title'));
+  if (tickTickHeader !== -1) {
+    format = 'ticktick';
+    rows = rows.slice(tickTickHeader);
+  } else if (rows[0] && rows[0].includes('TYPE') && rows[0].includes('CONTENT')) {
+    format = 'todoist';
+  }
+
+  const headers = (rows[0] || []).map(h => h.trim());
+  const mapping = guessMapping(headers);
+  if (format === 'todoist') {
+    mapping.name = headers.indexOf('CONTENT');
+    mapping.description = headers.indexOf('DESCRIPTION') === -1 ? null : headers.indexOf('DESCRIPTION');
+    mapping.dueDate = headers.indexOf('DATE') === -1 ? null : headers.indexOf('DATE');
+    if (mapping.estimatedMinutes === null && headers.includes('DURATION')) mapping.estimatedMinutes = headers.indexOf('DURATION');
+  } else if (format === 'ticktick') {
+    mapping.name = headers.indexOf('Title');
+    mapping.description = headers.indexOf('Content');
+    mapping.project = headers.indexOf('List Name');
+    mapping.scheduledDate = headers.indexOf('Start Date');
+    mapping.completedAt = headers.indexOf('Completed Time');
+  }
+  return { format, projectName, headers, rows: rows.slice(1), mapping, items: null, timeZone };
+}
+
+// One task from a row, using the mapping; null if it has no name
+function itemFromRow(row, mapping, format, timeZone) {
+  const cell = (key) => (mapping[key] === null || mapping[key] === undefined || mapping[key] < 0 ? '' : (row[mapping[key]] || '').trim());
+  let name = cell('name');
+  let tags = parseTags(cell('tags'));
+  if (format === 'todoist') {
+    // Labels are written into the task text as @label
+    tags = tags.concat((name.match(/(^|\s)@[\w-]+/g) || []).map(t => t.trim().slice(1)));
+    name = name.replace(/(^|\s)@[\w-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+  if (!name) return null;
+
+  const due = parseDateValue(cell('dueDate'), timeZone);
+  const scheduled = parseDateValue(cell('scheduledDate'), timeZone);
+  const completed = parseDateValue(cell('completedAt'), timeZone);
+  let status = parseStatus(cell('status'), format);
+  if (completed && mapping.status == null) status = 'done';
+
+  return {
+    name,
+    description: cell('description'),
+    projectName: cell('project') || null,
+    parentName: cell('parent') || null,
+    status,
+    priority: parsePriority(cell('priority'), format),
+    dueDate: due ? due.date : null,
+    scheduledDate: scheduled ? scheduled.date : null,
+    scheduledTime: parseTimeValue(cell('scheduledTime')) || (scheduled && scheduled.time) || (due && due.time) || null,
+    estimatedMinutes: parseMinutes(cell('estimatedMinutes')),
+    tags: [...new Set(tags)],
+    completedAt: status === 'done' && cell('completedAt') && !isNaN(Date.parse(cell('completedAt'))) ? new Date(cell('completedAt')).toISOString() : null,
+    subtasks: [],
+  };
+}
+
+/**
+ * The tasks a source holds, as a tree ({ ...fields, subtasks }), using
+ * `mapping` (field → column index) for tabular sources. Rows without a
+ * task name are counted in `skipped`.
+ */
+export function buildImportItems(source, mapping = source.mapping) {
+  if (source.format === 'markdown') return { items: source.items, skipped: 0 };
+
+  const items = [];
+  let skipped = 0;
+  const todoistStack = []; // Todoist nests by INDENT: 1 is a task, 2+ a subtask
+  const typeCol = source.headers.indexOf('TYPE');
+  const indentCol = source.headers.indexOf('INDENT');
+  const idCol = source.headers.indexOf('taskId');
+  const parentIdCol = source.headers.indexOf('parentId');
+  const byTickTickId = new Map();
+  const allDayCol = source.headers.indexOf('Is All Day');
+
+  for (const row of source.rows) {
+    if (source.format === 'todoist' && typeCol !== -1 && row[typeCol] !== 'task') continue;
+    const item = itemFromRow(row, mapping, source.format, source.timeZone);
+    if (!item) {
+      skipped++;
+      continue;
+    }
+
+    let parent = null;
+    if (source.format === 'todoist' && indentCol !== -1) {
+      const indent = parseInt(row[indentCol], 10) || 1;
+      parent = indent > 1 ? todoistStack[0] || null : null;
+      if (indent === 1) todoistStack.splice(0, todoistStack.length, item);
+    } else if (source.format === 'ticktick' && parentIdCol !== -1) {
+      // All-day dates are stored as the user's midnight in UTC
+      if (row[allDayCol] === 'true') item.scheduledTime = null;
+      parent = byTickTickId.get(row[parentIdCol]) || null;
+      if (idCol !== -1 && row[idCol]) byTickTickId.set(row[idCol], item);
+    } else if (item.parentName) {
+      const parentName = item.parentName.toLowerCase();
+      parent = [...items].reverse().find(i => i.name.toLowerCase() === parentName
+        && (i.projectName || '') === (item.projectName || '')) || null;
+    }
+
+    if (parent) {
+      parent.subtasks.push(item);
+    } else {
+      items.push(item);
+    }
+  }
+  return { items, skipped };
+}
+
+// ── Merging ─────────────────────────────────────────────────────
+
+function findProjectByName(data, name) {
+  const lower = name.toLowerCase();
+  return data.projects.find(p => p.name.toLowerCase() === lower) || null;
+}
+
+function findDuplicate(data, item, projectName) {
+  const project = projectName
+    ? findProjectByName(data, projectName)
+    : data.projects.find(p => p.isInbox || p.id === 'inbox');
+  if (!project) return null;
+  const lower = item.name.toLowerCase();
+  return (project.tasks || []).find(t => t.name.toLowerCase() === lower) || null;
+}
+
+function buildSubtask(item, generateId) {
+  const now = new Date().toISOString();
+  return {
+    id: generateId(),
+    name: item.name,
+    status: item.status === 'done' ? 'done' : 'todo',
+    priority: item.priority || 'none',
+    createdAt: now,
+    completedAt: item.status === 'done' ? (item.completedAt || now) : null,
+  };
+}
+
+/**
+ * Which items are new and which are already there, without changing
+ * anything. `projectName` puts everything into that project; otherwise each
+ * item goes to the project it names, then `defaultProjectName`, then the
+ * Inbox.
+ */
+export function previewImport(data, items, { projectName = null, defaultProjectName = null } = {}) {
+  return items.map(item => {
+    const target = projectName || item.projectName || defaultProjectName || null;
+    const existing = findDuplicate(data, item, target);
+    const existingSubtasks = new Set((existing?.subtasks || []).map(s => s.name.toLowerCase()));
+    return {
+      item,
+      target,
+      projectName: target || 'Inbox',
+      newProject: !!target && !findProjectByName(data, target),
+      duplicate: !!existing,
+      newSubtasks: item.subtasks.filter(s => !existingSubtasks.has(s.name.toLowerCase())).length,
+    };
+  });
+}
+
+/**
+ * Add imported items to `data`. Projects and tags are found by name or
+ * created; a task whose project already has one with the same name isn't
+ * added again, though subtasks it doesn't have yet are. Returns
+ * { added, subtasksAdded, skipped, errors }.
+ */
+export function mergeImport(data, items, { projectName = null, defaultProjectName = null, generateId, today }) {
+  const result = { added: 0, subtasksAdded: 0, skipped: 0, errors: [] };
+
+  for (const entry of previewImport(data, items, { projectName, defaultProjectName })) {
+    const { item, target } = entry;
+    let task = entry.duplicate ? findDuplicate(data, item, target) : null;
+    if (task) {
+      result.skipped++;
+    } else {
+      const input = {
+        name: item.name,
+        description: item.description || undefined,
+        status: item.status,
+        priority: item.priority,
+        dueDate: item.dueDate || undefined,
+        scheduledTime: item.scheduledTime || undefined,
+        estimatedMinutes: item.estimatedMinutes || undefined,
+        tags: item.tags,
+        project: target || undefined,
+      };
+      const invalid = validateTaskInput(input);
+      if (invalid) {
+        result.errors.push(`${item.name}: ${invalid}`);
+        continue;
+      }
+      task = createTaskFromInput(data, input, { generateId, today }).task;
+      // Keep the file's own scheduled date rather than scheduling on the due date
+      task.scheduledDate = item.scheduledDate || (item.scheduledTime ? item.dueDate || today : null);
+      if (item.completedAt && task.status === 'done') task.completedAt = item.completedAt;
+      result.added++;
+    }
+
+    const have = new Set((task.subtasks || []).map(s => s.name.toLowerCase()));
+    for (const sub of item.subtasks) {
+      if (have.has(sub.name.toLowerCase())) continue;
+      if (!task.subtasks) task.subtasks = [];
+      task.subtasks.push(buildSubtask(sub, generateId));
+      have.add(sub.name.toLowerCase());
+      result.subtasksAdded++;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,154 @@
+/**
+ * TaskEvents — Task lifecycle events read from the operation log
+ *
+ * Every write to taskflow-data.json goes through DataStore, whichever process
+ * makes it (the app, the MCP server, the local API, Notion sync), and lands
+ * in the operation log (see op-log.js). That makes the log the one place
+ * where all mutations can be seen: TaskEventBus follows it from the last
+ * entry it saw (by id, so it survives the log being compacted) and turns
+ * new entries into events for whoever subscribes.
+ *
+ * Event types:
+ *   task.created         a task or subtask was added
+ *   task.status_changed  { previousStatus } status moved, including to done
+ *   task.completed       status moved to done
+ *   task.blocked         { blocker } a blocker was set (set_blocker)
+ *   task.deleted         a task or subtask was removed
+ *
+ * Each event is { id, type, occurredAt, source, task, project, ... }. The id
+ * is stable (log entry id plus change index) so receivers can drop repeats.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = ['task.created', 'task.status_changed', 'task.completed', 'task.blocked', 'task.deleted'];
+
+function findTaskInData(data, taskId) {
+  for (const project of (data && data.projects) || []) {
+    for (const task of project.tasks || []) {
+      if (task.id === taskId) return { task, project, parentId: null };
+      for (const subtask of task.subtasks || []) {
+        if (subtask.id === taskId) return { task: subtask, project, parentId: task.id };
+      }
+    }
+  }
+  return null;
+}
+
+function summarizeTask(task, parentId) {
+  return {
+    id: task.id,
+    name: task.name,
+    status: task.status || 'todo',
+    priority: task.priority || 'none',
+    dueDate: task.dueDate || null,
+    scheduledDate: task.scheduledDate || null,
+    parentId: parentId || null,
+  };
+}
+
+function summarizeProject(data, projectId) {
+  if (!projectId) return null;
+  const project = ((data && data.projects) || []).find(p => p.id === projectId);
+  return { id: projectId, name: project ? project.name : null };
+}
+
+/**
+ * The lifecycle events in one operation log entry. `data` is the current
+ * data, used for the task and project details of field changes (deleted
+ * tasks are described from the log itself).
+ */
+function eventsFromEntry(entry, data) {
+  const events = [];
+  (entry.changes || []).forEach((change, index) => {
+    const base = { id: `${entry.id}:${index}`, occurredAt: entry.at, source: entry.source || 'user' };
+
+    if (change.type === 'task-created' || change.type === 'task-deleted') {
+      events.push({
+        ...base,
+        type: change.type === 'task-created' ? 'task.created' : 'task.deleted',
+        task: summarizeTask(change.task, change.parentId),
+        project: summarizeProject(data, change.projectId),
+      });
+      return;
+    }
+    if (change.type !== 'task-field' || (change.field !== 'status' && change.field !== 'blockerInfo')) return;
+
+    const found = findTaskInData(data, change.taskId);
+    const task = found
+      ? summarizeTask(found.task, found.parentId)
+      : { id: change.taskId, name: change.taskName, parentId: change.parentId || null };
+    const project = found ? { id: found.project.id, name: found.project.name } : null;
+
+    if (change.field === 'status') {
+      // The task may have moved on since; report the status this change set
+      task.status = change.after || 'todo';
+      events.push({ ...base, type: 'task.status_changed', task, project, previousStatus: change.before || 'todo' });
+      if (change.after === 'done') {
+        events.push({ ...base, id: `${base.id}:done`, type: 'task.completed', task, project });
+      }
+      return;
+    }
+
+    // A new blocker, not a note or resolution added to the existing one
+    const blocker = change.after;
+    if (blocker && blocker.blockedSince && !blocker.resolvedAt
+        && (!change.before || change.before.blockedSince !== blocker.blockedSince)) {
+      events.push({
+        ...base,
+        type: 'task.blocked',
+        task,
+        project,
+        blocker: {
+          type: blocker.type || null,
+          description: blocker.description || '',
+          expectedResolution: blocker.expectedResolution || null,
+          followUpDate: blocker.followUpDate || null,
+        },
+      });
+    }
+  });
+  return events;
+}
+
+// --- Bus ---
+
+function lastEntryId(entries) {
+  return entries.length > 0 ? entries[entries.length - 1].id : '';
+}
+
+class TaskEventBus extends EventEmitter {
+  /**
+   * `log` is the data store's OpLog. `cursor` is the id of the last entry a
+   * previous run read ('' if the log was empty then); without one the bus
+   * starts at the end of the log, so old history isn't replayed as new events.
+   */
+  constructor(config) {
+    super();
+    this.log = config.log;
+    this.cursor = typeof config.cursor === 'string' ? config.cursor : lastEntryId(this.log.readAll());
+  }
+
+  /**
+   * Read what was logged since the last poll and emit an 'event' for each
+   * lifecycle event, with the data the details were taken from. Returns the
+   * events.
+   */
+  poll(data) {
+    const all = this.log.readAll();
+    // Not found: compaction dropped it, so everything still in the log is newer
+    const seen = this.cursor ? all.findIndex(entry => entry.id === this.cursor) : -1;
+    const entries = all.slice(seen + 1);
+    if (entries.length > 0) this.cursor = lastEntryId(all);
+    const events = [];
+    for (const entry of entries) {
+      events.push(...eventsFromEntry(entry, data));
+    }
+    for (const event of events) {
+      this.emit('event', event, data);
+    }
+    return events;
+  }
+}
+
+module.exports = { EVENT_TYPES, eventsFromEntry, TaskEventBus };
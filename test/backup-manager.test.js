@@ -0,0 +1,119 @@
+// Snapshot periods (hour, day, week) are local time
+process.env.TZ = 'UTC';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const DataStore = require('../data-store');
+const BackupManager = require('../backup-manager');
+const { SCHEMA_VERSION } = require('../migrations');
+const { tempDir } = require('./helpers');
+
+function sample() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    projects: [
+      {
+        id: 'p-work', name: 'Work', tasks: [
+          { id: 't1', name: 'Draft report', status: 'todo', subtasks: [{ id: 's1', name: 'Outline', status: 'todo' }] },
+          { id: 't2', name: 'Send invoice', status: 'todo', subtasks: [] },
+        ],
+      },
+      { id: 'p-home', name: 'Home', tasks: [{ id: 't3', name: 'Fix sink', status: 'todo', subtasks: [] }] },
+    ],
+    settings: { theme: 'light' },
+  };
+}
+
+function setup(t) {
+  const dir = tempDir(t, 'backup');
+  const dataStore = new DataStore({ filePath: path.join(dir, 'taskflow-data.json') });
+  dataStore.write(sample(), { force: true });
+  const backups = new BackupManager({ dataStore, dir: path.join(dir, 'backups') });
+  const edit = (fn) => dataStore.update(data => { fn(data); });
+  return { dataStore, backups, edit };
+}
+
+const tiers = snapshots => snapshots.map(s => s.tier);
+
+test('each tier snapshots once per period, and only when the data changed', (t) => {
+  const { backups, edit } = setup(t);
+  // Monday 19 October 2026
+  assert.deepEqual(tiers(backups.runScheduled({}, new Date('2026-10-19T09:10:00'))), ['hourly', 'daily', 'weekly']);
+  edit(data => { data.settings.theme = 'dark'; });
+  assert.deepEqual(backups.runScheduled({}, new Date('2026-10-19T09:50:00')), []);
+  assert.deepEqual(tiers(backups.runScheduled({}, new Date('2026-10-19T10:05:00'))), ['hourly']);
+  // A new hour with nothing changed since
+  assert.deepEqual(backups.runScheduled({}, new Date('2026-10-19T11:05:00')), []);
+
+  edit(data => { data.settings.theme = 'light'; });
+  assert.deepEqual(tiers(backups.runScheduled({}, new Date('2026-10-20T08:00:00'))), ['hourly', 'daily']);
+  edit(data => { data.projects[0].tasks[0].status = 'done'; });
+  assert.deepEqual(tiers(backups.runScheduled({}, new Date('2026-10-26T08:00:00'))), ['hourly', 'daily', 'weekly']);
+
+  const weekly = backups.list().filter(s => s.tier === 'weekly');
+  assert.deepEqual(weekly.map(s => s.createdAt), ['2026-10-26T08:00:00.000Z', '2026-10-19T09:10:00.000Z']);
+  assert.equal(weekly[0].completedCount, 1);
+  assert.equal(weekly[1].taskCount, 3);
+});
+
+test('each tier is pruned to its retention, oldest first', (t) => {
+  const { backups, edit } = setup(t);
+  const retention = { hourly: 2, daily: 0, weekly: 0, manual: 1 };
+  for (const hour of ['09', '10', '11', '12']) {
+    edit(data => { data.settings.theme = `theme-${hour}`; });
+    backups.runScheduled(retention, new Date(`2026-10-19T${hour}:00:00`));
+  }
+  backups.createSnapshot('manual', new Date('2026-10-19T12:30:00'));
+  backups.createSnapshot('manual', new Date('2026-10-19T12:40:00'));
+  backups.prune(retention);
+
+  assert.deepEqual(backups.list().map(s => s.id), [
+    'manual/2026-10-19T12-40-00_r5.json',
+    'hourly/2026-10-19T12-00-00_r5.json',
+    'hourly/2026-10-19T11-00-00_r4.json',
+  ]);
+});
+
+test('a deleted task or project is shown in the diff and restored in its place', (t) => {
+  const { dataStore, backups, edit } = setup(t);
+  const { id } = backups.createSnapshot('manual', new Date('2026-10-19T09:00:00'));
+  edit(data => {
+    data.projects[0].tasks.splice(0, 1);
+    data.projects.splice(1, 1);
+    data.projects[0].tasks[0].name = 'Send the invoice';
+  });
+
+  const diff = backups.diff(id);
+  assert.deepEqual(diff.tasks.map(task => [task.id, task.status, task.inSnapshot]).sort(), [
+    ['t1', 'deleted', true], ['t2', 'changed', true],
+  ]);
+  assert.deepEqual(diff.projects.map(p => [p.id, p.status, p.inSnapshot]), [['p-home', 'deleted', true]]);
+
+  assert.equal(backups.restore(id, 'task', 't1').label, 'Restored "Draft report" from backup');
+  backups.restore(id, 'project', 'p-home');
+  const data = dataStore.read();
+  assert.deepEqual(data.projects.map(p => p.id), ['p-work', 'p-home']);
+  assert.deepEqual(data.projects[0].tasks.map(task => task.name), ['Draft report', 'Send the invoice']);
+  assert.equal(data.projects[0].tasks[0].subtasks[0].id, 's1');
+
+  // Restores are logged like any other change, so they can be undone
+  dataStore.undo();
+  assert.deepEqual(dataStore.read().projects.map(p => p.id), ['p-work']);
+  assert.throws(() => backups.restore(id, 'task', 'nope'), /not in this backup/);
+});
+
+test('restoring everything takes a manual snapshot of the current data first', (t) => {
+  const { dataStore, backups, edit } = setup(t);
+  const { id } = backups.createSnapshot('daily', new Date('2026-10-19T09:00:00'));
+  edit(data => { data.projects = []; });
+
+  const { revision } = backups.restore(id, 'all');
+  const data = dataStore.read();
+  assert.equal(data.revision, revision);
+  assert.deepEqual(data.projects.map(p => p.id), ['p-work', 'p-home']);
+
+  const [safety] = backups.list().filter(s => s.tier === 'manual');
+  assert.equal(safety.projectCount, 0);
+  assert.throws(() => backups.load('daily/../../taskflow-data.json'), /Invalid backup id/);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const DataStore = require('../data-store');
+const migrations = require('../migrations');
+const { tempDir } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'mcp-server', 'cli.js');
+
+function localDate(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// The CLI reads %APPDATA%/taskflow-pm like the MCP server, so each test gets its own folder
+function setup(t) {
+  const appData = tempDir(t, 'cli');
+  const dataStore = new DataStore({ filePath: path.join(appData, 'taskflow-pm', 'taskflow-data.json') });
+  const today = localDate();
+  dataStore.write({
+    schemaVersion: migrations.SCHEMA_VERSION,
+    projects: [
+      { id: 'p-work', name: 'Work', color: '#f00', tasks: [
+        { id: '1712000000000-abc123xyz', name: 'Draft report', status: 'todo', priority: 'high', dueDate: '2020-01-01', tags: ['tag-1'], subtasks: [] },
+        { id: 't-review', name: 'Review PR', status: 'todo', priority: 'low', scheduledDate: today, tags: [], subtasks: [] },
+        { id: 't-old', name: 'Review budget', status: 'done', completedAt: new Date().toISOString(), tags: [], subtasks: [] },
+      ] },
+    ],
+    tags: [{ id: 'tag-1', name: 'Deep', color: '#000' }],
+    settings: {},
+  }, { force: true });
+
+  function run(...args) {
+    try {
+      const stdout = execFileSync(process.execPath, [CLI, ...args], {
+        env: { ...process.env, APPDATA: appData },
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+      return { code: 0, stdout };
+    } catch (err) {
+      return { code: err.status, stdout: err.stdout, stderr: err.stderr };
+    }
+  }
+  const json = (...args) => JSON.parse(run(...args, '--json').stdout);
+  return { dataStore, run, json };
+}
+
+test('ls filters by view, project and tag, and shows short IDs', (t) => {
+  const { run, json } = setup(t);
+  assert.deepEqual(json('ls').map(t => t.name), ['Draft report', 'Review PR']);
+  assert.deepEqual(json('ls', 'today').map(t => t.name), ['Review PR']);
+  assert.deepEqual(json('ls', 'overdue').map(t => t.name), ['Draft report']);
+  assert.deepEqual(json('ls', '--tag', '#deep').map(t => t.tags), [['Deep']]);
+  assert.equal(json('ls', '--done', '--project', 'work').length, 3);
+
+  assert.match(run('ls').stdout, /^123xyz {2}\[ \] Draft report !high \(due: 2020-01-01\) #Deep \[Work\]$/m);
+  const missing = run('ls', '--project', 'Nope');
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /No project named "Nope"/);
+});
+
+test('add, start, log and done write through the data store as the command line', (t) => {
+  const { dataStore, run, json } = setup(t);
+  const added = json('add', 'Call vendor tomorrow 3pm !urgent #phone ~15m', '--project', 'Errands');
+  assert.equal(added.projectName, 'Errands');
+  assert.deepEqual([added.priority, added.scheduledTime, added.estimatedMinutes, added.tags], ['urgent', '15:00', 15, ['phone']]);
+
+  assert.equal(run('start', 'vendor').stdout.trim(), 'Working on: Call vendor');
+  assert.equal(json('log', '1h30m', '--note', 'On hold').totalMinutes, 90);
+  // "re" is in two open task names (the finished "Review budget" doesn't count)
+  const ambiguous = run('done', 're');
+  assert.equal(ambiguous.code, 1);
+  assert.match(ambiguous.stderr, /"re" matches 2 tasks/);
+  assert.match(run('done', '123xyz').stdout, /Completed: Draft report/);
+  json('done', 'vendor');
+
+  const data = dataStore.read();
+  const vendor = data.projects.find(p => p.name === 'Errands').tasks[0];
+  assert.equal(vendor.status, 'done');
+  assert.deepEqual(vendor.timeLog.map(e => [e.minutes, e.notes]), [[90, 'On hold']]);
+  assert.deepEqual(data.workingOnTaskIds, []);
+  const entries = dataStore.log.readAll();
+  assert.ok(entries.slice(1).every(e => e.source === 'cli'));
+  assert.equal(entries.at(-1).label, 'Completed task from the command line');
+
+  assert.deepEqual(json('log', '25m'), { error: 'Not working on anything. Name the task: taskflow log 25m <task>' });
+});
+
+test('recap lists what was done and logged that day', (t) => {
+  const { json, run } = setup(t);
+  json('log', '25m', 'draft');
+  const recap = json('recap', 'today');
+  assert.deepEqual(recap.completed.map(t => t.name), ['Review budget']);
+  assert.equal(recap.totalMinutes, 25);
+  assert.match(run('recap').stdout, /Time logged: 25m\n {2}25m {5}Draft report/);
+  assert.equal(run('recap', 'someday').code, 1);
+});
+
+test('today follows the timezone in settings, not the machine clock', async (t) => {
+  const { localToday, addDays } = await import('../shared/dates.js');
+  const { dataStore, json } = setup(t);
+  // UTC+14 and UTC-11 are never on the same day
+  const ahead = localToday('Pacific/Kiritimati');
+  const behind = localToday('Pacific/Pago_Pago');
+  dataStore.update(data => {
+    data.settings.timezone = 'Pacific/Kiritimati';
+    data.projects[0].tasks.push(
+      { id: 't-ahead', name: 'Ahead', status: 'todo', scheduledDate: ahead, tags: [], subtasks: [] },
+      { id: 't-behind', name: 'Behind', status: 'todo', scheduledDate: behind, tags: [], subtasks: [] },
+    );
+  });
+  const today = json('ls', 'today').map(t => t.name);
+  assert.ok(today.includes('Ahead'));
+  assert.ok(!today.includes('Behind'));
+  assert.equal(json('recap', 'yesterday').date, addDays(ahead, -1));
+});
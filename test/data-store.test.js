@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const DataStore = require('../data-store');
+const { tempDir } = require('./helpers');
+
+function sample() {
+  return {
+    projects: [
+      {
+        id: 'p-work', name: 'Work', tasks: [
+          { id: 't1', name: 'Draft report', status: 'todo', priority: 'none' },
+          { id: 't2', name: 'Send invoice', status: 'todo', priority: 'none' },
+        ],
+      },
+    ],
+    settings: { theme: 'light' },
+  };
+}
+
+function tempFile(t) {
+  const dir = tempDir(t, 'store');
+  return path.join(dir, 'taskflow-data.json');
+}
+
+// Two stores on one file, as the app and the MCP server would have
+function twoStores(t) {
+  const filePath = tempFile(t);
+  const app = new DataStore({ filePath, source: 'user' });
+  const mcp = new DataStore({ filePath, source: 'mcp' });
+  app.write(sample(), { force: true });
+  return { filePath, app, mcp };
+}
+
+test('merge combines edits to different fields, items added on either side and deletions', () => {
+  const base = sample();
+  const ours = sample();
+  const theirs = sample();
+  ours.projects[0].tasks[0].status = 'done';
+  ours.projects[0].tasks.push({ id: 't3', name: 'Ours', status: 'todo' });
+  theirs.projects[0].tasks[0].priority = 'high';
+  theirs.projects[0].tasks.splice(1, 1);
+  theirs.settings.theme = 'dark';
+
+  const { value, conflicts } = DataStore.merge(base, ours, theirs);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(value.projects[0].tasks, [
+    { id: 't1', name: 'Draft report', status: 'done', priority: 'high' },
+    { id: 't3', name: 'Ours', status: 'todo' },
+  ]);
+  assert.equal(value.settings.theme, 'dark');
+});
+
+test('merge reports fields edited on both sides, and edits to items deleted on the other', () => {
+  const base = sample();
+  const ours = sample();
+  const theirs = sample();
+  ours.projects[0].tasks[0].name = 'Draft the report';
+  theirs.projects[0].tasks[0].name = 'Draft report v2';
+  ours.projects[0].tasks[1].status = 'done';
+  theirs.projects[0].tasks.splice(1, 1);
+
+  const { value, conflicts } = DataStore.merge(base, ours, theirs);
+  assert.deepEqual(conflicts.sort(), ['projects[p-work].tasks[t1].name', 'projects[p-work].tasks[t2]']);
+  // Our side is kept for the conflicting paths
+  assert.equal(value.projects[0].tasks[0].name, 'Draft the report');
+});
+
+test('a write based on an older revision is merged with what another process saved', (t) => {
+  const { app, mcp } = twoStores(t);
+  const fromApp = app.read();
+  const fromMcp = mcp.read();
+
+  fromMcp.projects[0].tasks[1].status = 'done';
+  assert.deepEqual(mcp.write(fromMcp), { revision: 2, merged: false });
+
+  fromApp.projects[0].tasks[0].priority = 'high';
+  assert.deepEqual(app.write(fromApp), { revision: 3, merged: true });
+  const saved = app.read();
+  assert.equal(saved.projects[0].tasks[0].priority, 'high');
+  assert.equal(saved.projects[0].tasks[1].status, 'done');
+  // The caller's copy is stale and keeps its revision, so it has to reload
+  assert.equal(fromApp.revision, 1);
+});
+
+test('overlapping edits throw STALE_REVISION and leave the file alone', (t) => {
+  const { app, mcp } = twoStores(t);
+  const fromApp = app.read();
+  const fromMcp = mcp.read();
+
+  fromMcp.projects[0].tasks[0].name = 'Draft report (MCP)';
+  mcp.write(fromMcp);
+
+  fromApp.projects[0].tasks[0].name = 'Draft report (app)';
+  assert.throws(() => app.write(fromApp), err => {
+    assert.equal(err.code, 'STALE_REVISION');
+    assert.deepEqual(err.conflicts, ['projects[p-work].tasks[t1].name']);
+    return true;
+  });
+  assert.equal(app.read().projects[0].tasks[0].name, 'Draft report (MCP)');
+  assert.equal(app.getRevision(), 2);
+
+  // Without the base revision to merge against, any stale write is refused
+  const fresh = new DataStore({ filePath: app.filePath });
+  assert.throws(() => fresh.write({ ...sample(), revision: 1 }), { code: 'STALE_REVISION' });
+  // ...unless forced
+  assert.equal(fresh.write({ ...sample(), revision: 1 }, { force: true }).revision, 3);
+});
+
+test('a lock held by a running process is kept however old, and waits time out', (t) => {
+  const filePath = tempFile(t);
+  const store = new DataStore({ filePath, lockTimeoutMs: 100 });
+  store.write(sample(), { force: true });
+  // A slow writer (a bulk MCP tool, a Notion sync) keeps its lock
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: process.pid, lockedAt: '2026-10-19T09:00:00.000Z' }));
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(store.lockPath, old, old);
+
+  const started = Date.now();
+  assert.throws(() => store.write(store.read()), { code: 'LOCK_TIMEOUT' });
+  assert.ok(Date.now() - started < 1000);
+  assert.ok(fs.existsSync(store.lockPath));
+  assert.equal(store.getRevision(), 1);
+});
+
+test('a lock left by a process that has exited, or never written, is cleared', (t) => {
+  const filePath = tempFile(t);
+  const store = new DataStore({ filePath, lockTimeoutMs: 100 });
+  store.write(sample(), { force: true });
+
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid, lockedAt: new Date().toISOString() }));
+  assert.equal(store.write(store.read()).revision, 2);
+  assert.ok(!fs.existsSync(store.lockPath));
+
+  // Created but never written (no pid to check), once it has had time to be
+  fs.writeFileSync(store.lockPath, '');
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(store.lockPath, old, old);
+  assert.equal(store.write(store.read()).revision, 3);
+  assert.ok(!fs.existsSync(store.lockPath));
+});
+
+test('withLockAsync waits for the lock without blocking the thread', async (t) => {
+  const filePath = tempFile(t);
+  const store = new DataStore({ filePath, lockTimeoutMs: 2000 });
+  store.write(sample(), { force: true });
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() }));
+
+  // The holder lets go from a timer, which only fires if the thread is free
+  let released = false;
+  setTimeout(() => { fs.unlinkSync(store.lockPath); released = true; }, 100);
+  const result = await store.withLockAsync(() => store.write(store.read()));
+  assert.equal(released, true);
+  assert.equal(result.revision, 2);
+  assert.ok(!fs.existsSync(store.lockPath));
+
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() }));
+  const short = new DataStore({ filePath, lockTimeoutMs: 50 });
+  await assert.rejects(short.withLockAsync(() => short.write(short.read())), { code: 'LOCK_TIMEOUT' });
+});
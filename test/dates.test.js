@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/dates.js');
+
+test('the day flips at local midnight, not UTC midnight', async () => {
+  const { dateInZone, localToday, toLocalDate } = await load();
+  // 23:30 in New York on Apr 12 is already Apr 13 in UTC
+  const lateEvening = new Date('2026-04-13T03:30:00Z');
+  assert.equal(dateInZone(lateEvening, 'America/New_York'), '2026-04-12');
+  assert.equal(dateInZone(lateEvening, 'UTC'), '2026-04-13');
+  assert.equal(localToday('America/New_York', new Date('2026-04-13T03:59:59Z')), '2026-04-12');
+  assert.equal(localToday('America/New_York', new Date('2026-04-13T04:00:00Z')), '2026-04-13');
+
+  // East of UTC the day starts before UTC's does, by half hours in India
+  assert.equal(localToday('Asia/Kolkata', new Date('2026-04-12T18:29:00Z')), '2026-04-12');
+  assert.equal(localToday('Asia/Kolkata', new Date('2026-04-12T18:30:00Z')), '2026-04-13');
+  assert.equal(localToday('Pacific/Auckland', new Date('2026-12-31T11:00:00Z')), '2027-01-01');
+
+  // Stored timestamps land on the user's day; plain dates are left alone
+  assert.equal(toLocalDate('2026-04-13T02:00:00.000Z', 'America/Los_Angeles'), '2026-04-12');
+  assert.equal(toLocalDate('2026-04-13', 'America/Los_Angeles'), '2026-04-13');
+  assert.equal(toLocalDate('not a date', 'UTC'), null);
+  assert.equal(toLocalDate(null, 'UTC'), null);
+});
+
+test('DST changes move neither the day nor the wall clock', async () => {
+  const { dateInZone, minutesInZone, addDays, daysBetween } = await load();
+  // New York springs forward at 2:00 on Mar 8 2026 and falls back at 2:00 on Nov 1
+  assert.equal(minutesInZone(new Date('2026-03-08T06:59:00Z'), 'America/New_York'), 1 * 60 + 59);
+  assert.equal(minutesInZone(new Date('2026-03-08T07:00:00Z'), 'America/New_York'), 3 * 60);
+  assert.equal(dateInZone(new Date('2026-03-08T04:59:00Z'), 'America/New_York'), '2026-03-07');
+  assert.equal(dateInZone(new Date('2026-03-09T03:59:00Z'), 'America/New_York'), '2026-03-08');
+  // The repeated hour in November is still Nov 1, and midnight still ends it
+  assert.equal(minutesInZone(new Date('2026-11-01T06:30:00Z'), 'America/New_York'), 1 * 60 + 30);
+  assert.equal(dateInZone(new Date('2026-11-02T04:59:00Z'), 'America/New_York'), '2026-11-01');
+  assert.equal(dateInZone(new Date('2026-11-02T05:00:00Z'), 'America/New_York'), '2026-11-02');
+  // Europe changes on a different weekend
+  assert.equal(minutesInZone(new Date('2026-03-29T01:00:00Z'), 'Europe/London'), 2 * 60);
+
+  assert.equal(addDays('2026-03-07', 1), '2026-03-08');
+  assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+  assert.equal(addDays('2026-11-01', -1), '2026-10-31');
+  assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+  assert.equal(daysBetween('2026-03-01', '2026-04-01'), 31);
+  assert.equal(daysBetween('2026-10-25', '2026-11-08'), 14);
+});
+
+test('weeks, months and the configured zone', async () => {
+  const { weekRange, monthRange, getTimeZone, isValidTimeZone, localToday } = await load();
+  assert.deepEqual(weekRange('2026-04-15'), { start: '2026-04-12', end: '2026-04-18' });
+  assert.deepEqual(weekRange('2026-04-12'), { start: '2026-04-12', end: '2026-04-18' });
+  assert.deepEqual(weekRange('2026-03-03'), { start: '2026-03-01', end: '2026-03-07' });
+  assert.deepEqual(monthRange('2026-02-10'), { start: '2026-02-01', end: '2026-02-28' });
+  assert.deepEqual(monthRange('2028-02-10'), { start: '2028-02-01', end: '2028-02-29' });
+
+  assert.equal(getTimeZone({ timezone: 'Europe/Berlin' }), 'Europe/Berlin');
+  assert.equal(getTimeZone({ timezone: 'Mars/Olympus' }), null);
+  assert.equal(getTimeZone({}), null);
+  assert.equal(getTimeZone(undefined), null);
+  assert.equal(isValidTimeZone('Asia/Tokyo'), true);
+  assert.equal(isValidTimeZone(''), false);
+
+  // No zone configured: the system's clock decides
+  const previous = process.env.TZ;
+  process.env.TZ = 'America/Chicago';
+  try {
+    assert.equal(localToday(null, new Date('2026-04-13T04:30:00Z')), '2026-04-12');
+    assert.equal(localToday(null, new Date('2026-04-13T05:30:00Z')), '2026-04-13');
+  } finally {
+    if (previous === undefined) delete process.env.TZ;
+    else process.env.TZ = previous;
+  }
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/estimates.js');
+
+let n = 0;
+function done(estimatedMinutes, logged, extra = {}) {
+  n++;
+  return {
+    id: `t${n}`, name: `Task ${n}`, status: 'done', completedAt: `2026-04-${String(n).padStart(2, '0')}T12:00:00.000Z`,
+    estimatedMinutes, timeLog: logged.map(minutes => ({ minutes })), tags: [], ...extra,
+  };
+}
+
+function dataWith(work, home = [], tags = [{ id: 'tag-work', name: 'Work' }]) {
+  return {
+    projects: [
+      { id: 'p-work', name: 'Work', tasks: work },
+      { id: 'p-home', name: 'Home', tasks: home },
+    ],
+    tags,
+  };
+}
+
+test('accuracy is the median of logged ÷ estimated, per project, tag and complexity', async () => {
+  const { estimateAccuracy } = await load();
+  const accuracy = estimateAccuracy(dataWith([
+    done(30, [30, 18], { tags: ['tag-work'], complexity: 3 }),
+    done(60, [90], { tags: ['tag-work'], complexity: 3 }),
+    done(20, [40], { tags: ['tag-work', 'tag-gone'] }),
+    done(30, [], { tags: ['tag-work'] }),                                 // nothing logged
+    { ...done(30, [60]), status: 'todo' },                                // not finished
+  ], [
+    done(60, [30]),
+  ]));
+
+  assert.deepEqual(accuracy.overall, { count: 4, estimatedMinutes: 170, actualMinutes: 208, factor: 1.55 });
+  assert.equal(accuracy.byProject['p-work'].factor, 1.6);
+  assert.equal(accuracy.byProject['p-work'].name, 'Work');
+  assert.equal(accuracy.byProject['p-home'].factor, 0.5);
+  assert.deepEqual(Object.keys(accuracy.byTag), ['tag-work']);
+  assert.equal(accuracy.byComplexity['3'].count, 2);
+});
+
+test('estimates are padded by the groups that have enough samples', async () => {
+  const { createCalibrator } = await load();
+  const work = [
+    done(30, [48], { tags: ['tag-work'] }),
+    done(30, [48], { tags: ['tag-work'] }),
+    done(60, [96], { tags: ['tag-work'] }),
+    { id: 'open', name: 'Open', status: 'todo', estimatedMinutes: 30, tags: ['tag-work'] },
+    { id: 'bare', name: 'No estimate', status: 'todo', tags: [] },
+  ];
+  const data = dataWith(work, [done(60, [30])]);
+  const calibrator = createCalibrator(data);
+
+  // Project and tag both say 1.6x
+  assert.equal(calibrator.factorFor(work[3]), 1.6);
+  assert.equal(calibrator.minutesFor(work[3]), 50);
+  assert.equal(calibrator.minutesFor(work[4], 25), 25);
+  // One Home task isn't enough for Home, so the overall factor applies
+  assert.equal(calibrator.factorFor({ id: 'x', projectId: 'p-home', estimatedMinutes: 30 }), 1.6);
+
+  const off = createCalibrator(data, { enabled: false });
+  assert.equal(off.minutesFor(work[3]), 30);
+});
+
+test('factors are clamped and described in plain words', async () => {
+  const { createCalibrator, describeFactor } = await load();
+  const data = dataWith([done(10, [100]), done(10, [100]), done(10, [100])]);
+  assert.equal(createCalibrator(data).factorFor({ id: 'x', projectId: 'p-work', estimatedMinutes: 10 }), 3);
+
+  assert.equal(describeFactor(1.6), 'underestimate by 1.6x');
+  assert.equal(describeFactor(0.5), 'overestimate by 2.0x');
+  assert.equal(describeFactor(1.05), 'are about right');
+});
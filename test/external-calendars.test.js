@@ -0,0 +1,88 @@
+process.env.TZ = 'America/New_York';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ExternalCalendars = require('../external-calendars');
+const { tempDir } = require('./helpers');
+
+function setup(t, ics) {
+  const dir = tempDir(t, 'calendars');
+  const file = path.join(dir, 'work.ics');
+  fs.writeFileSync(file, ics);
+  const sources = [{ id: 'work', name: 'Work', source: file, color: '#0ea5e9' }];
+  return { dir, file, sources, calendars: new ExternalCalendars({ dir }) };
+}
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT', 'UID:1', 'SUMMARY:Planning', 'DTSTART:20260410T093000', 'DTEND:20260410T103000', 'END:VEVENT',
+  'BEGIN:VEVENT', 'UID:2', 'SUMMARY:Review', 'DTSTART:20260410T101500', 'DTEND:20260410T110000', 'END:VEVENT',
+  'BEGIN:VEVENT', 'UID:3', 'SUMMARY:Launch night', 'DTSTART:20260410T230000', 'DTEND:20260411T010000', 'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+test('refreshed events are cached and become busy blocks per local day', async (t) => {
+  const { dir, sources, calendars } = setup(t, ICS);
+  const result = await calendars.refresh(sources);
+  assert.deepEqual(result, { refreshed: ['work'], errors: [] });
+
+  // A second instance (another process) reads the same cache
+  const blocks = new ExternalCalendars({ dir }).getBusyBlocks(sources, '2026-04-10', '2026-04-11');
+  assert.deepEqual(blocks.map(b => `${b.date} ${b.start}-${b.end} ${b.title}`), [
+    '2026-04-10 09:30-10:30 Planning',
+    '2026-04-10 10:15-11:00 Review',
+    '2026-04-10 23:00-24:00 Launch night',
+    '2026-04-11 00:00-01:00 Launch night',
+  ]);
+  assert.equal(blocks[0].calendarName, 'Work');
+  assert.equal(blocks[0].color, '#0ea5e9');
+});
+
+test('a failed refresh keeps the last events and records the error', async (t) => {
+  const { file, sources, calendars } = setup(t, ICS);
+  await calendars.refresh(sources);
+  fs.unlinkSync(file);
+
+  const result = await calendars.refresh(sources);
+  assert.equal(result.errors.length, 1);
+  assert.match(calendars.getStatus().work.error, /ENOENT/);
+  assert.equal(calendars.getBusyBlocks(sources, '2026-04-10').length, 3);
+});
+
+test('recently checked calendars are skipped and removed ones are dropped', async (t) => {
+  const { sources, calendars } = setup(t, ICS);
+  await calendars.refresh(sources);
+  const again = await calendars.refresh(sources, { maxAgeMs: 60000 });
+  assert.deepEqual(again.refreshed, []);
+
+  await calendars.refresh([]);
+  assert.deepEqual(calendars.getStatus(), {});
+  assert.deepEqual(calendars.getBusyBlocks(sources, '2026-04-10'), []);
+});
+
+test('busy blocks are cut into days in the zone given', async (t) => {
+  const { sources, calendars } = setup(t, [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'UID:1', 'SUMMARY:Sync', 'DTSTART:20260410T220000Z', 'DTEND:20260410T233000Z', 'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n'));
+  await calendars.refresh(sources);
+  const blocks = calendars.getBusyBlocks(sources, '2026-04-10', '2026-04-11', 'Europe/Berlin');
+  assert.deepEqual(blocks.map(b => `${b.date} ${b.start}-${b.end}`), [
+    '2026-04-11 00:00-01:30',
+  ]);
+});
+
+test('free slots go around merged busy intervals', async (t) => {
+  const { sources, calendars } = setup(t, ICS);
+  await calendars.refresh(sources);
+  const intervals = ExternalCalendars.busyIntervals(calendars.getBusyBlocks(sources, '2026-04-10'), '2026-04-10');
+  assert.deepEqual(intervals.map(i => [i.startMinutes, i.endMinutes]), [[570, 660], [1380, 1440]]);
+
+  assert.equal(ExternalCalendars.findFreeSlot(intervals, 540, 30), 540);
+  assert.equal(ExternalCalendars.findFreeSlot(intervals, 540, 45), 660);
+  assert.equal(ExternalCalendars.findFreeSlot(intervals, 600, 60, 720), 660);
+  assert.equal(ExternalCalendars.findFreeSlot(intervals, 1320, 90), null);
+});
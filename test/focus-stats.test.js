@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/focus-stats.js');
+
+// Local times, so the day and hour buckets don't depend on the machine's zone
+const local = (date, time) => new Date(`${date}T${time}:00`).toISOString();
+
+function session(id, taskId, date, start, end, focusMinutes, extra = {}) {
+  return {
+    id, taskId, taskName: taskId, startedAt: local(date, start), endedAt: local(date, end),
+    focusMinutes, breakMinutes: 0, pomodoros: 0, interruptions: [], completed: false, ...extra,
+  };
+}
+
+test('a finished session is kept only if it had a minute of focus', async () => {
+  const { finishFocusSession } = await load();
+  const running = { taskId: 't1', taskName: 'Write', startedAt: 'x', focusSeconds: 29, breakSeconds: 0, pomodoros: 0, interruptions: [] };
+  assert.equal(finishFocusSession(running, { id: 's1', endedAt: 'y' }), null);
+
+  const kept = finishFocusSession({ ...running, focusSeconds: 1530, breakSeconds: 300, pomodoros: 1 }, { id: 's1', endedAt: 'y', completed: true });
+  assert.deepEqual(
+    [kept.focusMinutes, kept.breakMinutes, kept.pomodoros, kept.completed],
+    [26, 5, 1, true]
+  );
+});
+
+test('recording a session logs its focus time on the task', async () => {
+  const { recordFocusSession } = await load();
+  const data = {};
+  const task = { id: 't1', name: 'Write', timeLog: [{ id: 'old', minutes: 10 }] };
+  const s = session('s1', 't1', '2026-04-13', '09:00', '09:40', 35, { pomodoros: 1 });
+
+  const entry = recordFocusSession(data, s, task);
+  assert.equal(data.focusSessions.length, 1);
+  assert.deepEqual(entry, {
+    id: 's1-log', minutes: 35, notes: 'Focus session (1 pomodoro)', loggedAt: s.endedAt, source: 'focus', sessionId: 's1',
+  });
+  assert.equal(task.timeLog.length, 2);
+
+  // A deleted task still keeps the session in history
+  assert.equal(recordFocusSession(data, session('s2', 'gone', '2026-04-13', '10:00', '10:30', 30), null), null);
+  assert.equal(data.focusSessions.length, 2);
+});
+
+test('focus time is split by day and by the hours it covered', async () => {
+  const { focusStats } = await load();
+  const stats = focusStats([
+    session('s1', 't1', '2026-04-13', '09:30', '10:30', 60, { pomodoros: 2, interruptions: [{ at: 'x' }] }),
+    session('s2', 't1', '2026-04-14', '14:00', '14:50', 25),
+    session('s3', 't2', '2026-04-20', '09:00', '10:00', 60),
+  ], [], '2026-04-13', '2026-04-15');
+
+  assert.deepEqual(stats.byDay, { '2026-04-13': 60, '2026-04-14': 25, '2026-04-15': 0 });
+  assert.equal(stats.totalMinutes, 85);
+  assert.equal(stats.sessionCount, 2);
+  assert.equal(stats.pomodoros, 2);
+  assert.equal(stats.interruptions, 1);
+  // 25 focused minutes across a 50 minute span, all in the 2pm hour
+  assert.deepEqual([stats.byHour[9], stats.byHour[10], stats.byHour[14]], [30, 30, 25]);
+  assert.deepEqual(stats.bestHours.map(h => h.hour), [9, 10, 14]);
+});
+
+test('estimate vs actual covers estimated tasks focused on in the range', async () => {
+  const { focusStats, formatHour } = await load();
+  const tasks = [
+    { id: 't1', name: 'Report', estimatedMinutes: 60, timeLog: [{ minutes: 60 }, { minutes: 30 }] },
+    { id: 't2', name: 'Email', estimatedMinutes: 20, timeLog: [{ minutes: 20 }] },
+    { id: 't3', name: 'No estimate', timeLog: [{ minutes: 45 }] },
+  ];
+  const stats = focusStats([
+    session('s1', 't2', '2026-04-13', '09:00', '09:20', 20),
+    session('s2', 't1', '2026-04-13', '10:00', '11:00', 60),
+    session('s3', 't3', '2026-04-13', '13:00', '13:45', 45),
+  ], tasks, '2026-04-13', '2026-04-13');
+
+  assert.deepEqual(stats.estimates.map(e => [e.name, e.actualMinutes, e.ratio]), [['Report', 90, 1.5], ['Email', 20, 1]]);
+  assert.deepEqual([formatHour(0), formatHour(9), formatHour(12), formatHour(15)], ['12am', '9am', '12pm', '3pm']);
+});
@@ -0,0 +1,13 @@
+// Fixtures shared by the test files
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh folder under the system temp dir, removed when the test ends
+function tempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `taskflow-${prefix}-`));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { tempDir };
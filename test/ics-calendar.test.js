@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar, recurrenceToRRule, nearestColorName } = require('../ics-calendar');
+
+function dataWith(tasks, project = {}) {
+  return {
+    projects: [{ id: 'p1', name: 'Work', color: '#3b82f6', tasks, ...project }],
+  };
+}
+
+// Unfolded lines of each VEVENT, keyed by property name
+function events(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const result = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') current = {};
+    else if (line === 'END:VEVENT') { result.push(current); current = null; }
+    else if (current) {
+      const i = line.indexOf(':');
+      current[line.slice(0, i)] = line.slice(i + 1);
+    }
+  }
+  return result;
+}
+
+test('a timed block runs for the estimate in floating local time', () => {
+  const ics = buildCalendar(dataWith([
+    { id: 't1', name: 'Write report', status: 'todo', scheduledDate: '2026-03-08', scheduledTime: '23:30', estimatedMinutes: 60 },
+  ]));
+  const [event] = events(ics);
+  assert.equal(event.UID, 't1-block@taskflow-pm');
+  assert.equal(event.DTSTART, '20260308T233000');
+  assert.equal(event.DTEND, '20260309T003000');
+  assert.equal(event.CATEGORIES, 'Work');
+  assert.equal(event.COLOR, 'royalblue');
+  assert.equal(event.TRANSP, 'OPAQUE');
+});
+
+test('a due date on another day gets its own all-day event', () => {
+  const [block, due] = events(buildCalendar(dataWith([
+    { id: 't1', name: 'Taxes', status: 'todo', scheduledDate: '2026-04-10', dueDate: '2026-04-15' },
+  ])));
+  assert.equal(block['DTSTART;VALUE=DATE'], '20260410');
+  assert.equal(block['DTEND;VALUE=DATE'], '20260411');
+  assert.equal(due.UID, 't1-due@taskflow-pm');
+  assert.equal(due.SUMMARY, 'Due: Taxes');
+  assert.equal(due.TRANSP, 'TRANSPARENT');
+});
+
+test('done and unscheduled tasks are left out unless completed ones are asked for', () => {
+  const data = dataWith([
+    { id: 't1', name: 'Done', status: 'done', scheduledDate: '2026-04-10' },
+    { id: 't2', name: 'Someday', status: 'todo' },
+  ]);
+  assert.equal(events(buildCalendar(data)).length, 0);
+  const [event] = events(buildCalendar(data, { includeCompleted: true }));
+  assert.equal(event.SUMMARY, '✓ Done');
+});
+
+test('text is escaped and long lines are folded without splitting characters', () => {
+  const name = 'Plan; review, and ship\nthe über-release ' + 'é'.repeat(60);
+  const ics = buildCalendar(dataWith([{ id: 't1', name, status: 'todo', dueDate: '2026-04-15' }]));
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+  assert.ok(!ics.includes('�'));
+  const [event] = events(ics);
+  assert.equal(event.SUMMARY, 'Due: Plan\\; review\\, and ship\\nthe über-release ' + 'é'.repeat(60));
+});
+
+test('recurring tasks repeat under one UID for the whole series', () => {
+  const [event] = events(buildCalendar(dataWith([
+    {
+      id: 't2', name: 'Standup', status: 'todo', scheduledDate: '2026-04-13', scheduledTime: '09:00',
+      recurrence: { type: 'weekdays', interval: 1, seriesId: 't1' },
+    },
+  ])));
+  assert.equal(event.UID, 't1-block@taskflow-pm');
+  assert.equal(event.RRULE, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+});
+
+test('repeat rules map to RRULEs', () => {
+  assert.equal(recurrenceToRRule({ type: 'daily', interval: 2 }), 'FREQ=DAILY;INTERVAL=2');
+  assert.equal(recurrenceToRRule({ type: 'weekly', interval: 1, daysOfWeek: [1, 3] }), 'FREQ=WEEKLY;BYDAY=MO,WE;WKST=SU');
+  assert.equal(recurrenceToRRule({ type: 'monthly', monthlyMode: 'weekday', interval: 1, weekOfMonth: -1, dayOfWeek: 5 }), 'FREQ=MONTHLY;BYDAY=-1FR');
+  assert.equal(recurrenceToRRule({ type: 'monthly', interval: 1, dayOfMonth: 31 }), 'FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+  assert.equal(recurrenceToRRule({ type: 'daily', interval: 1, until: '2026-12-31' }, false), 'FREQ=DAILY;UNTIL=20261231T235959');
+  assert.equal(recurrenceToRRule({ type: 'after-completion', interval: 3 }), null);
+});
+
+test('project colours map to the nearest CSS colour name', () => {
+  assert.equal(nearestColorName('#ef4444'), 'tomato');
+  assert.equal(nearestColorName('not a colour'), null);
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendar, expandEvents } = require('../ics-import');
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'X-WR-CALNAME:Work', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function event(...lines) {
+  return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+}
+
+const iso = (instance) => new Date(instance.startMs).toISOString();
+
+test('parses events, unfolding lines and unescaping text, and skips nested alarms', () => {
+  const cal = parseCalendar(calendar(event(
+    'UID:1',
+    'SUMMARY:Review\\, plan\\; ship',
+    'LOCATION:Room 4',
+    'DTSTART:20260410T090000Z',
+    'DURATION:PT1H30M',
+    'DESCRIPTION:long text that is',
+    '  folded onto a second line',
+    'BEGIN:VALARM', 'SUMMARY:Reminder', 'TRIGGER:-PT15M', 'END:VALARM',
+  )));
+  assert.equal(cal.name, 'Work');
+  assert.equal(cal.events.length, 1);
+  const [e] = cal.events;
+  assert.equal(e.summary, 'Review, plan; ship');
+  assert.equal(e.location, 'Room 4');
+  assert.deepEqual(e.start, { date: '2026-04-10', time: '09:00:00', tz: 'UTC' });
+  assert.equal(e.durationMinutes, 90);
+  assert.equal(e.allDay, false);
+
+  const [instance] = expandEvents(cal.events, '2026-04-09', '2026-04-11', 'UTC');
+  assert.equal(instance.endMs - instance.startMs, 90 * 60000);
+});
+
+test('times with a TZID stay at the same wall-clock time across DST', () => {
+  const cal = parseCalendar(calendar(event(
+    'UID:standup',
+    'SUMMARY:Standup',
+    'DTSTART;TZID=America/New_York:20260302T090000',
+    'DTEND;TZID=America/New_York:20260302T091500',
+    'RRULE:FREQ=DAILY;COUNT=10',
+  )));
+  const instances = expandEvents(cal.events, '2026-03-06', '2026-03-09', 'America/New_York');
+  // New York moves to daylight time on 8 March 2026
+  assert.deepEqual(instances.map(iso), [
+    '2026-03-06T14:00:00.000Z',
+    '2026-03-07T14:00:00.000Z',
+    '2026-03-08T13:00:00.000Z',
+    '2026-03-09T13:00:00.000Z',
+  ]);
+});
+
+test('weekly rules honour BYDAY, EXDATE and moved or cancelled instances', () => {
+  const cal = parseCalendar(calendar(
+    event(
+      'UID:sync',
+      'SUMMARY:Sync',
+      'DTSTART:20260406T150000Z',
+      'DTEND:20260406T153000Z',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20260430T235959Z',
+      'EXDATE:20260409T150000Z',
+    ),
+    event('UID:sync', 'RECURRENCE-ID:20260413T150000Z', 'SUMMARY:Sync (moved)', 'DTSTART:20260413T170000Z', 'DTEND:20260413T173000Z'),
+    event('UID:sync', 'RECURRENCE-ID:20260416T150000Z', 'STATUS:CANCELLED', 'DTSTART:20260416T150000Z'),
+  ));
+  const instances = expandEvents(cal.events, '2026-04-01', '2026-05-31', 'UTC');
+  assert.deepEqual(instances.map(i => `${i.summary} ${iso(i)}`), [
+    'Sync 2026-04-06T15:00:00.000Z',
+    'Sync (moved) 2026-04-13T17:00:00.000Z',
+    'Sync 2026-04-20T15:00:00.000Z',
+    'Sync 2026-04-23T15:00:00.000Z',
+    'Sync 2026-04-27T15:00:00.000Z',
+    'Sync 2026-04-30T15:00:00.000Z',
+  ]);
+});
+
+test('monthly rules pick nth weekdays and set positions', () => {
+  const cal = parseCalendar(calendar(
+    event('UID:a', 'SUMMARY:Last Friday', 'DTSTART:20260130T100000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR'),
+    event('UID:b', 'SUMMARY:Month end', 'DTSTART:20260130T120000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=28,29,30;BYSETPOS=-1'),
+  ));
+  const feb = expandEvents(cal.events, '2026-02-01', '2026-02-28', 'UTC').map(i => `${i.summary} ${iso(i).split('T')[0]}`);
+  assert.deepEqual(feb, ['Last Friday 2026-02-27', 'Month end 2026-02-28']);
+});
+
+test('free and cancelled events are not busy, all-day events keep their dates', () => {
+  const cal = parseCalendar(calendar(
+    event('UID:a', 'SUMMARY:Lunch?', 'DTSTART:20260410T120000Z', 'DURATION:PT1H', 'TRANSP:TRANSPARENT'),
+    event('UID:b', 'SUMMARY:Dropped', 'DTSTART:20260410T140000Z', 'DURATION:PT1H', 'STATUS:CANCELLED'),
+    event('UID:c', 'SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20260409', 'DTEND;VALUE=DATE:20260411'),
+  ));
+  const instances = expandEvents(cal.events, '2026-04-10', '2026-04-10', 'UTC');
+  assert.equal(instances.length, 1);
+  assert.deepEqual(
+    { summary: instances[0].summary, allDay: instances[0].allDay, startDate: instances[0].startDate, endDate: instances[0].endDate },
+    { summary: 'Offsite', allDay: true, startDate: '2026-04-09', endDate: '2026-04-11' }
+  );
+});
+
+test('the range, dates and floating times are read in the zone given, not the system zone', () => {
+  const cal = parseCalendar(calendar(
+    event('UID:a', 'SUMMARY:Early call', 'DTSTART:20260410T110000Z', 'DURATION:PT30M'),
+    event('UID:b', 'SUMMARY:Desk time', 'DTSTART:20260410T090000', 'DURATION:PT1H'),
+  ));
+  // 11:00 UTC is 01:00 on 11 April in Kiritimati (UTC+14), so it isn't on the 10th there
+  const kiritimati = expandEvents(cal.events, '2026-04-10', '2026-04-10', 'Pacific/Kiritimati');
+  assert.deepEqual(kiritimati.map(i => `${i.summary} ${iso(i)}`), ['Desk time 2026-04-09T19:00:00.000Z']);
+
+  const newYork = expandEvents(cal.events, '2026-04-10', '2026-04-10', 'America/New_York');
+  assert.deepEqual(newYork.map(i => `${i.summary} ${iso(i)}`), [
+    'Early call 2026-04-10T11:00:00.000Z',
+    'Desk time 2026-04-10T13:00:00.000Z',
+  ]);
+});
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const llm = require('../llm-provider');
+
+// A stand-in AI server that records what it was sent and answers with `reply`
+async function serve(reply, status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { requests, url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+const task = {
+  id: 't1',
+  name: 'Write launch post',
+  priority: 'high',
+  goal: 'Announce v2 to existing users',
+  context: 'Draft lives in docs/launch.md',
+  subtasks: [{ id: 's1', name: 'Outline', status: 'done' }, { id: 's2', name: 'Screenshots', status: 'todo' }],
+  learnings: [{ id: 'l1', text: 'Short paragraphs read better' }],
+  timeLog: Array.from({ length: 7 }, (_, i) => ({ minutes: 10 + i, notes: `Session ${i + 1}`, loggedAt: `2026-04-1${i}T09:00:00.000Z` })),
+};
+
+test('the prompt carries the task context, goal, subtasks, learnings and recent time', () => {
+  const prompt = llm.buildTaskPrompt(task, { projectName: 'Marketing' });
+  assert.match(prompt, /Task: Write launch post/);
+  assert.match(prompt, /Project: Marketing/);
+  assert.match(prompt, /Goal: Announce v2/);
+  assert.match(prompt, /Draft lives in docs\/launch\.md/);
+  assert.match(prompt, /- \[x\] Outline\n- \[ \] Screenshots/);
+  assert.match(prompt, /- Short paragraphs read better/);
+  assert.match(prompt, /Time logged: 91 min in 7 entries/);
+  // Only the most recent entries are listed
+  assert.doesNotMatch(prompt, /Session 2\b/);
+  assert.match(prompt, /2026-04-16: 16 min — Session 7/);
+});
+
+test('logged time is dated on the user\'s clock when given their zone', async () => {
+  const { toLocalDate } = await import('../shared/dates.js');
+  const late = { ...task, timeLog: [{ minutes: 30, notes: 'Late push', loggedAt: '2026-04-17T02:00:00.000Z' }] };
+  const prompt = llm.buildTaskPrompt(late, { toLocalDate: timestamp => toLocalDate(timestamp, 'America/Los_Angeles') });
+  assert.match(prompt, /2026-04-16: 30 min — Late push/);
+});
+
+test('suggested subtasks are read from the lines after "Subtasks:"', () => {
+  assert.deepEqual(llm.parseSubtaskSuggestions([
+    'Try this order:',
+    '',
+    '**Subtasks:**',
+    '1. Collect screenshots',
+    '2) Write the intro',
+    '- **Proofread**',
+    '- Write the intro',
+    '',
+    'Good luck!',
+  ].join('\n')), ['Collect screenshots', 'Write the intro', 'Proofread']);
+  assert.deepEqual(llm.parseSubtaskSuggestions('Just take a break.\n- not a suggestion'), []);
+});
+
+test('settings fall back to each provider\'s defaults, and "none" means no provider', () => {
+  assert.equal(llm.getLlmSettings({ settings: {} }), null);
+  assert.equal(llm.createProvider(llm.getLlmSettings({ settings: { llm: { provider: 'none' } } })), null);
+  assert.deepEqual(llm.getLlmSettings({ settings: { llm: { provider: 'ollama', model: 'qwen2.5' } } }), {
+    provider: 'ollama', baseUrl: 'http://127.0.0.1:11434', model: 'qwen2.5', apiKey: '',
+  });
+});
+
+test('the stub answers offline and suggests subtasks when asked to break down', async () => {
+  const provider = llm.createProvider({ provider: 'stub' });
+  const reply = await provider.chat([
+    { role: 'system', content: llm.buildTaskPrompt(task) },
+    { role: 'user', content: 'Break down this task into smaller steps' },
+  ]);
+  assert.equal(llm.parseSubtaskSuggestions(reply).length, 3);
+  assert.match(reply, /Write launch post/);
+});
+
+test('OpenAI-compatible servers get the messages, model and key', async () => {
+  const server = await serve({ choices: [{ message: { role: 'assistant', content: ' Start with the intro. ' } }] });
+  try {
+    const provider = llm.createProvider({ provider: 'openai', baseUrl: `${server.url}/v1`, model: 'gpt-test', apiKey: 'sk-1' });
+    const messages = [{ role: 'system', content: 'sys' }, { role: 'user', content: 'Help' }];
+    assert.equal(await provider.chat(messages), 'Start with the intro.');
+    assert.equal(server.requests[0].url, '/v1/chat/completions');
+    assert.equal(server.requests[0].headers.authorization, 'Bearer sk-1');
+    assert.deepEqual(server.requests[0].body, { model: 'gpt-test', messages });
+
+    const noKey = llm.createProvider({ provider: 'openai', baseUrl: server.url, model: 'gpt-test', apiKey: '' });
+    await assert.rejects(noKey.chat(messages), { code: 'NO_API_KEY' });
+    // llama.cpp speaks the same API without a key
+    const local = llm.createProvider({ provider: 'llamacpp', baseUrl: `${server.url}/v1`, model: 'local', apiKey: '' });
+    assert.equal(await local.chat(messages), 'Start with the intro.');
+    assert.equal(server.requests[1].headers.authorization, undefined);
+  } finally {
+    server.close();
+  }
+});
+
+test('Ollama replies are read from message.content, and errors carry a code', async () => {
+  const server = await serve({ message: { role: 'assistant', content: 'One step at a time.' } });
+  try {
+    const provider = llm.createProvider({ provider: 'ollama', baseUrl: server.url, model: 'llama3.1' });
+    assert.equal(await provider.chat([{ role: 'user', content: 'Hi' }]), 'One step at a time.');
+    assert.equal(server.requests[0].url, '/api/chat');
+    assert.equal(server.requests[0].body.stream, false);
+  } finally {
+    server.close();
+  }
+
+  const failing = await serve({ error: { message: 'model not found' } }, 404);
+  try {
+    const provider = llm.createProvider({ provider: 'ollama', baseUrl: failing.url, model: 'missing' });
+    await assert.rejects(provider.chat([{ role: 'user', content: 'Hi' }]), {
+      code: 'HTTP_ERROR', message: 'AI server returned 404: model not found',
+    });
+  } finally {
+    failing.close();
+  }
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const migrations = require('../migrations');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'schema');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'));
+}
+
+function allTasks(data) {
+  return data.projects.flatMap(p => p.tasks || []);
+}
+
+// Invariants every migrated file must satisfy, whatever shape it started in
+function assertCurrentShape(data) {
+  assert.equal(data.schemaVersion, migrations.SCHEMA_VERSION);
+  assert.ok(Array.isArray(data.categories));
+  assert.ok(Array.isArray(data.favorites));
+  for (const project of data.projects) {
+    if (project.isInbox) continue;
+    assert.ok(project.categoryId, `${project.id} has a category`);
+    assert.ok(['active', 'paused', 'blocked'].includes(project.status), `${project.id} status ${project.status}`);
+    assert.equal(typeof project.goal, 'string');
+  }
+  for (const task of allTasks(data)) {
+    assert.ok(Array.isArray(task.blockedBy), `${task.id} blockedBy`);
+    assert.ok(Array.isArray(task.blocks), `${task.id} blocks`);
+    assert.ok(task.updatedAt, `${task.id} updatedAt`);
+  }
+}
+
+test('registry versions are unique and ascending', () => {
+  const versions = migrations.MIGRATIONS.map(m => m.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(new Set(versions).size, versions.length);
+  assert.equal(migrations.SCHEMA_VERSION, versions[versions.length - 1]);
+});
+
+for (const name of ['v0-original.json', 'v0-categories.json', 'v0-unversioned-current.json', 'v4.json']) {
+  test(`${name} migrates to the current schema and is idempotent`, () => {
+    const data = loadFixture(name);
+    migrations.migrate(data);
+    assertCurrentShape(data);
+
+    const again = migrations.migrate(data);
+    assert.equal(again.changed, false);
+  });
+}
+
+test('original shape: string blockedBy is kept as a reason', () => {
+  const data = loadFixture('v0-original.json');
+  const result = migrations.migrate(data);
+
+  assert.equal(result.fromVersion, 0);
+  assert.deepEqual(result.applied, migrations.MIGRATIONS.map(m => m.version));
+
+  const task = allTasks(data).find(t => t.id === 'task-2');
+  assert.equal(task.blockedByReason, 'Waiting on copy from marketing');
+  assert.deepEqual(task.blockedBy, []);
+
+  assert.deepEqual(data.categories.map(c => c.id), ['cat-work', 'cat-personal', 'cat-side']);
+  assert.equal(data.projects.find(p => p.id === 'proj-1').categoryId, 'cat-personal');
+});
+
+test('original shape: updatedAt falls back to completedAt, then createdAt', () => {
+  const data = loadFixture('v0-original.json');
+  migrations.migrate(data);
+
+  const tasks = allTasks(data);
+  assert.equal(tasks.find(t => t.id === 'task-3').updatedAt, '2024-02-11T08:30:00.000Z');
+  assert.equal(tasks.find(t => t.id === 'task-1').updatedAt, '2024-02-20T09:00:00.000Z');
+});
+
+test('categories shape: existing categories and favorites are kept, completed projects become active', () => {
+  const data = loadFixture('v0-categories.json');
+  migrations.migrate(data);
+
+  assert.equal(data.categories.find(c => c.id === 'cat-personal').collapsed, true);
+  assert.deepEqual(data.favorites, ['proj-1']);
+  const garden = data.projects.find(p => p.id === 'proj-1');
+  assert.equal(garden.categoryId, 'cat-side');
+  assert.equal(garden.status, 'active');
+  assert.equal(garden.goal, '');
+});
+
+test('unversioned current shape: nothing but the version changes', () => {
+  const data = loadFixture('v0-unversioned-current.json');
+  const before = JSON.parse(JSON.stringify(data));
+  migrations.migrate(data);
+
+  delete data.schemaVersion;
+  assert.deepEqual(data, before);
+});
+
+test('current version: no migrations run', () => {
+  const data = loadFixture('v4.json');
+  const result = migrations.migrate(data);
+
+  assert.equal(result.changed, false);
+  assert.deepEqual(result.applied, []);
+});
+
+test('data from a newer version is refused untouched', () => {
+  const data = loadFixture('future-v99.json');
+  const before = JSON.stringify(data);
+
+  assert.throws(() => migrations.migrate(data), (err) => {
+    assert.equal(err.code, 'SCHEMA_TOO_NEW');
+    assert.equal(err.schemaVersion, 99);
+    return true;
+  });
+  assert.equal(JSON.stringify(data), before);
+});
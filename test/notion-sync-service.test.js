@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const DataStore = require('../data-store');
+const NotionSyncService = require('../notion-sync-service');
+const migrations = require('../migrations');
+const { tempDir } = require('./helpers');
+
+function setup(t, { connected = true } = {}) {
+  const dir = tempDir(t, 'sync-service');
+  const dataStore = new DataStore({ filePath: path.join(dir, 'taskflow-data.json') });
+  const data = { schemaVersion: migrations.SCHEMA_VERSION, projects: [], tags: [], categories: [], favorites: [], settings: {} };
+  if (connected) data.notionSync = { apiKey: 'key', databaseId: 'db', idMap: {} };
+  dataStore.write(data, { force: true });
+  return { dir, dataStore };
+}
+
+// Swap the Notion client for one whose syncAll is given
+function serviceWith(dataStore, syncAll, origin = 'daemon') {
+  const service = new NotionSyncService({ dataStore, origin });
+  service.createSync = () => ({
+    idMap: { t1: 'page-1' },
+    syncAll,
+    saveState() {},
+  });
+  return service;
+}
+
+const emptySummary = { created: 1, updated: 0, deleted: 0, pulled: 0, conflicts: 0, errors: [] };
+
+test('a successful run saves the id map and is recorded in the history', async (t) => {
+  const { dataStore } = setup(t);
+  const service = serviceWith(dataStore, async () => emptySummary);
+
+  const result = await service.runOnce({ trigger: 'scheduled' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(dataStore.read().notionSync.idMap, { t1: 'page-1' });
+  const [entry] = service.getHistory();
+  assert.equal(entry.origin, 'daemon');
+  assert.equal(entry.trigger, 'scheduled');
+  assert.equal(entry.success, true);
+  assert.equal(entry.summary.created, 1);
+  assert.equal(fs.existsSync(service.lockPath), false);
+});
+
+test('a run that changes nothing leaves the data file alone', async (t) => {
+  const { dataStore } = setup(t);
+  const service = serviceWith(dataStore, async () => emptySummary);
+
+  await service.runOnce();
+  const revision = dataStore.getRevision();
+  await service.runOnce();
+
+  assert.equal(dataStore.getRevision(), revision);
+  assert.equal(dataStore.read().notionSync.lastSyncAt, undefined);
+  assert.equal(service.getHistory().length, 2);
+  assert.equal(service.getStatus().lastSuccessAt, service.getHistory()[0].at);
+});
+
+test('a failed run is the last error until a later run succeeds', async (t) => {
+  const { dataStore } = setup(t);
+  const failing = serviceWith(dataStore, async () => {
+    throw Object.assign(new Error('Notion is down'), { status: 503 });
+  });
+
+  const result = await failing.runOnce();
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Notion is down');
+  assert.equal(failing.getStatus().lastError.error, 'Notion is down');
+  assert.equal(failing.getStatus().lastError.status, 503);
+
+  await serviceWith(dataStore, async () => emptySummary).runOnce();
+  assert.equal(failing.getStatus().lastError, null);
+  assert.equal(failing.getHistory().length, 2);
+});
+
+test('only one process syncs at a time', async (t) => {
+  const { dataStore } = setup(t);
+  let release;
+  const slow = serviceWith(dataStore, () => new Promise(resolve => { release = () => resolve(emptySummary); }), 'app');
+  const other = serviceWith(dataStore, async () => emptySummary, 'mcp');
+
+  const first = slow.runOnce();
+  await new Promise(resolve => setImmediate(resolve));
+  const second = await other.runOnce();
+  assert.equal(second.skipped, true);
+  assert.match(second.error, /already running \(app\)/);
+  assert.equal(other.getStatus().running, 'app');
+
+  release();
+  assert.equal((await first).success, true);
+  assert.equal(other.getHistory().length, 1);
+});
+
+test('a lock left by a process that no longer exists is taken over', async (t) => {
+  const { dataStore } = setup(t);
+  const service = serviceWith(dataStore, async () => emptySummary);
+  // Near the top of the pid range, so no such process
+  fs.writeFileSync(service.lockPath, JSON.stringify({ pid: 4194000, origin: 'app', lockedAt: new Date().toISOString() }));
+
+  const result = await service.runOnce();
+  assert.equal(result.success, true);
+});
+
+test('auto-sync skips a run when another process synced recently', async (t) => {
+  const { dataStore } = setup(t);
+  let runs = 0;
+  const service = serviceWith(dataStore, async () => { runs++; return emptySummary; });
+
+  await service.runOnce();
+  const result = await service.runOnce({ trigger: 'auto', minIntervalMs: 60000 });
+  assert.equal(result.skipped, true);
+  assert.equal(runs, 1);
+});
+
+test('runs without a Notion connection fail without filling the history', async (t) => {
+  const { dataStore } = setup(t, { connected: false });
+  const service = new NotionSyncService({ dataStore });
+
+  const result = await service.runOnce();
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'NOT_CONFIGURED');
+  assert.deepEqual(service.getHistory(), []);
+});
+
+test('backoff doubles after each failure up to an hour', () => {
+  const interval = 5 * 60 * 1000;
+  assert.equal(NotionSyncService.backoffDelay(0, interval), interval);
+  assert.equal(NotionSyncService.backoffDelay(1, interval), 60 * 1000);
+  assert.equal(NotionSyncService.backoffDelay(3, interval), 4 * 60 * 1000);
+  assert.equal(NotionSyncService.backoffDelay(20, interval), 60 * 60 * 1000);
+});
@@ -0,0 +1,307 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const NotionSync = require('../notion-sync');
+const { tempDir } = require('./helpers');
+
+// Notion echoes rich text back with plain_text filled in
+function withPlainText(properties) {
+  const copy = structuredClone(properties);
+  for (const prop of Object.values(copy)) {
+    for (const rt of (prop.title || prop.rich_text || [])) rt.plain_text = rt.text.content;
+  }
+  return copy;
+}
+
+// In-memory stand-in for the parts of the Notion API that syncAll uses
+function fakeNotion() {
+  const pages = {};
+  const blocks = {};
+  let nextId = 1;
+
+  async function notionFetch(method, url, body) {
+    let m;
+    if (method === 'POST' && /^\/databases\/[^/]+\/query$/.test(url)) {
+      return { results: Object.values(pages).filter(p => !p.archived).map(p => structuredClone(p)), has_more: false };
+    }
+    if (method === 'POST' && url === '/pages') {
+      const id = `page-${nextId++}`;
+      pages[id] = {
+        id,
+        parent: { database_id: body.parent.database_id },
+        properties: withPlainText(body.properties),
+        last_edited_time: new Date().toISOString(),
+      };
+      blocks[id] = [];
+      return { id };
+    }
+    if (method === 'PATCH' && (m = url.match(/^\/pages\/([^/]+)$/))) {
+      const page = pages[m[1]];
+      if (body.properties) Object.assign(page.properties, withPlainText(body.properties));
+      if (body.archived) page.archived = true;
+      page.last_edited_time = new Date().toISOString();
+      return page;
+    }
+    if (method === 'GET' && (m = url.match(/^\/pages\/([^/]+)$/))) {
+      if (!pages[m[1]]) throw Object.assign(new Error('Could not find page'), { status: 404 });
+      return structuredClone(pages[m[1]]);
+    }
+    if (method === 'GET' && (m = url.match(/^\/blocks\/([^/?]+)\/children/))) {
+      return { results: structuredClone(blocks[m[1]] || []) };
+    }
+    if (method === 'PATCH' && (m = url.match(/^\/blocks\/([^/]+)\/children$/))) {
+      for (const child of body.children) {
+        const block = { id: `block-${nextId++}`, ...structuredClone(child) };
+        for (const rt of block.to_do.rich_text) rt.plain_text = rt.text.content;
+        blocks[m[1]].push(block);
+      }
+      return {};
+    }
+    if (method === 'DELETE' && (m = url.match(/^\/blocks\/([^/]+)$/))) {
+      for (const list of Object.values(blocks)) {
+        const idx = list.findIndex(b => b.id === m[1]);
+        if (idx !== -1) list.splice(idx, 1);
+      }
+      return {};
+    }
+    throw new Error(`Unexpected ${method} ${url}`);
+  }
+
+  // A page created in Notion itself, not yet known to TaskFlow
+  function add(properties, todos = []) {
+    const id = `page-${nextId++}`;
+    pages[id] = { id, parent: { database_id: 'db' }, properties, last_edited_time: new Date().toISOString() };
+    blocks[id] = todos.map((name, i) => ({
+      id: `block-${nextId++}`,
+      type: 'to_do',
+      to_do: { rich_text: [{ plain_text: name, text: { content: name } }], checked: i === 0 },
+    }));
+    return id;
+  }
+
+  // Simulate an edit made in Notion itself
+  function edit(pageId, properties) {
+    Object.assign(pages[pageId].properties, properties);
+    pages[pageId].last_edited_time = new Date(Date.now() + 1000).toISOString();
+  }
+
+  return { pages, blocks, notionFetch, add, edit };
+}
+
+function makeData() {
+  return {
+    projects: [{
+      id: 'p1',
+      name: 'Work',
+      tasks: [{
+        id: 't1',
+        name: 'Write report',
+        description: 'First draft',
+        status: 'todo',
+        priority: 'low',
+        tags: [],
+        subtasks: [],
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z',
+      }],
+    }],
+    tags: [],
+  };
+}
+
+function makeSync(notion, statePath, idMap = {}) {
+  const sync = new NotionSync({ apiKey: 'key', databaseId: 'db', idMap, statePath });
+  sync.notionFetch = notion.notionFetch;
+  return sync;
+}
+
+function tempStatePath(t) {
+  const dir = tempDir(t, 'notion');
+  return path.join(dir, 'state.json');
+}
+
+const text = (content) => ({ rich_text: [{ plain_text: content, text: { content } }] });
+const title = (content) => ({ title: [{ plain_text: content, text: { content } }] });
+
+test('mergeFields takes one-sided changes and reports fields changed on both sides', () => {
+  const base = { name: 'A', description: 'base', priority: 'low', tags: ['x'] };
+  const local = { name: 'B', description: 'mine', priority: 'low', tags: ['x'] };
+  const remote = { name: 'A', description: 'theirs', priority: 'high', tags: ['x'] };
+
+  const merge = NotionSync.mergeFields(base, local, remote);
+
+  assert.deepEqual(merge.push, ['name']);
+  assert.deepEqual(merge.pull, ['priority']);
+  assert.deepEqual(merge.conflicts, [{ field: 'description', base: 'base', local: 'mine', remote: 'theirs' }]);
+  assert.equal(merge.snapshot.name, 'B');
+  assert.equal(merge.snapshot.priority, 'high');
+  assert.equal(merge.snapshot.description, 'base');
+});
+
+test('edits to different fields on both sides are both kept', async (t) => {
+  const notion = fakeNotion();
+  const statePath = tempStatePath(t);
+  const data = makeData();
+
+  const first = makeSync(notion, statePath);
+  await first.syncAll(data);
+  first.saveState();
+  const pageId = first.idMap.t1;
+
+  const task = data.projects[0].tasks[0];
+  task.name = 'Write final report';
+  task.updatedAt = new Date().toISOString();
+  notion.edit(pageId, { 'Priority': { select: { name: 'High' } } });
+
+  const second = makeSync(notion, statePath, first.idMap);
+  const summary = await second.syncAll(data);
+
+  assert.equal(summary.conflicts, 0);
+  assert.equal(task.name, 'Write final report');
+  assert.equal(task.priority, 'high');
+  assert.equal(notion.pages[pageId].properties['Name'].title[0].text.content, 'Write final report');
+  assert.equal(notion.pages[pageId].properties['Priority'].select.name, 'High');
+});
+
+test('a field changed on both sides becomes a conflict until resolved', async (t) => {
+  const notion = fakeNotion();
+  const statePath = tempStatePath(t);
+  const data = makeData();
+
+  const first = makeSync(notion, statePath);
+  await first.syncAll(data);
+  first.saveState();
+  const pageId = first.idMap.t1;
+
+  const task = data.projects[0].tasks[0];
+  task.description = 'Local rewrite';
+  task.updatedAt = new Date().toISOString();
+  notion.edit(pageId, { 'Description': text('Notion rewrite') });
+
+  const second = makeSync(notion, statePath, first.idMap);
+  const summary = await second.syncAll(data);
+  second.saveState();
+
+  assert.equal(summary.conflicts, 1);
+  assert.equal(task.description, 'Local rewrite');
+  assert.equal(notion.pages[pageId].properties['Description'].rich_text[0].text.content, 'Notion rewrite');
+  assert.deepEqual(second.conflicts[0].fields, [
+    { field: 'description', base: 'First draft', local: 'Local rewrite', remote: 'Notion rewrite' },
+  ]);
+
+  // Still a conflict on the next sync, first-seen time unchanged
+  const third = makeSync(notion, statePath, first.idMap);
+  await third.syncAll(data);
+  assert.equal(third.conflicts.length, 1);
+  assert.equal(third.conflicts[0].detectedAt, second.conflicts[0].detectedAt);
+
+  third.resolveConflict(data, 't1', { description: 'Merged rewrite' });
+  third.saveState();
+  assert.equal(task.description, 'Merged rewrite');
+  assert.equal(third.conflicts.length, 0);
+
+  // The chosen value goes to Notion on the next sync
+  const fourth = makeSync(notion, statePath, first.idMap);
+  const after = await fourth.syncAll(data);
+  assert.equal(after.conflicts, 0);
+  assert.equal(notion.pages[pageId].properties['Description'].rich_text[0].text.content, 'Merged rewrite');
+});
+
+test('subtasks removed locally are removed in Notion', async (t) => {
+  const notion = fakeNotion();
+  const statePath = tempStatePath(t);
+  const data = makeData();
+  const task = data.projects[0].tasks[0];
+  task.subtasks = [{ id: 's1', name: 'Outline', status: 'done' }];
+
+  const first = makeSync(notion, statePath);
+  await first.syncAll(data);
+  first.saveState();
+  const pageId = first.idMap.t1;
+  assert.equal(notion.blocks[pageId].length, 1);
+
+  task.subtasks = [];
+  task.updatedAt = new Date().toISOString();
+  notion.edit(pageId, { 'Name': title('Write report') });
+
+  const second = makeSync(notion, statePath, first.idMap);
+  await second.syncAll(data);
+
+  assert.equal(notion.blocks[pageId].length, 0);
+  assert.deepEqual(task.subtasks, []);
+});
+
+test('parsePageId accepts page URLs and IDs with or without dashes', () => {
+  const id = '0123456789abcdef0123456789abcdef';
+  const dashed = '01234567-89ab-cdef-0123-456789abcdef';
+  assert.equal(NotionSync.parsePageId(`https://www.notion.so/My-Page-${id}?pvs=4`), dashed);
+  assert.equal(NotionSync.parsePageId(id.toUpperCase()), dashed);
+  assert.equal(NotionSync.parsePageId(dashed), dashed);
+  assert.equal(NotionSync.parsePageId('not a page'), null);
+});
+
+test('pullPageAsTask creates a linked task and the next sync leaves it alone', async (t) => {
+  const notion = fakeNotion();
+  const statePath = tempStatePath(t);
+  const data = makeData();
+  const pageId = notion.add({ 'Name': title('Call plumber'), 'Priority': { select: { name: 'High' } } }, ['Find number', 'Book slot']);
+
+  const sync = makeSync(notion, statePath);
+  const task = await sync.pullPageAsTask(data, pageId, { projectId: 'p1' });
+  sync.saveState();
+
+  assert.equal(task.name, 'Call plumber');
+  assert.equal(task.priority, 'high');
+  assert.equal(task.projectId, 'p1');
+  assert.deepEqual(task.subtasks.map(st => [st.name, st.status]), [['Find number', 'done'], ['Book slot', 'todo']]);
+  assert.equal(sync.idMap[task.id], pageId);
+  assert.equal(notion.pages[pageId].properties['TaskFlow ID'].rich_text[0].text.content, task.id);
+  await assert.rejects(sync.pullPageAsTask(data, pageId), { code: 'ALREADY_LINKED' });
+
+  // The chosen project differs from the page's, so the next sync pushes it
+  const next = makeSync(notion, statePath, sync.idMap);
+  const summary = await next.syncAll(data);
+  assert.equal(summary.pulled, 0);
+  assert.equal(notion.pages[pageId].properties['Project'].select.name, 'Work');
+});
+
+test('linkTask links a task to an existing page, taking the preferred side', async (t) => {
+  const notion = fakeNotion();
+  const statePath = tempStatePath(t);
+  const data = makeData();
+  const pageId = notion.add({ 'Name': title('Report (Notion copy)'), 'Priority': { select: { name: 'Urgent' } } });
+
+  const sync = makeSync(notion, statePath);
+  const task = await sync.linkTask(data, 't1', pageId, { prefer: 'notion' });
+  assert.equal(task.name, 'Report (Notion copy)');
+  assert.equal(task.priority, 'urgent');
+  assert.equal(sync.idMap.t1, pageId);
+
+  const otherPage = notion.add({ 'Name': title('Another page') });
+  await assert.rejects(sync.linkTask(data, 't1', otherPage), { code: 'ALREADY_LINKED' });
+  await sync.linkTask(data, 't1', otherPage, { replace: true });
+  assert.equal(notion.pages[pageId].archived, true);
+  assert.equal(notion.pages[otherPage].properties['Name'].title[0].text.content, 'Report (Notion copy)');
+});
+
+test('rate-limited requests are retried after Retry-After', async () => {
+  const realFetch = global.fetch;
+  const statuses = [429, 200];
+  global.fetch = async () => {
+    const status = statuses.shift();
+    return {
+      status,
+      ok: status === 200,
+      headers: new Map([['retry-after', '0']]),
+      json: async () => ({ object: 'user', name: 'TaskFlow' }),
+    };
+  };
+  try {
+    const sync = new NotionSync({ apiKey: 'key' });
+    const user = await sync.notionFetch('GET', '/users/me');
+    assert.equal(user.name, 'TaskFlow');
+    assert.equal(statuses.length, 0);
+  } finally {
+    global.fetch = realFetch;
+  }
+});
@@ -0,0 +1,198 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const OpLog = require('../op-log');
+const DataStore = require('../data-store');
+const { tempDir } = require('./helpers');
+
+function sample() {
+  return {
+    projects: [
+      {
+        id: 'p-work', name: 'Work', tasks: [
+          { id: 't1', name: 'Draft report', status: 'todo', subtasks: [{ id: 's1', name: 'Outline', status: 'todo' }] },
+          { id: 't2', name: 'Send invoice', status: 'todo', subtasks: [] },
+        ],
+      },
+      { id: 'p-home', name: 'Home', tasks: [] },
+    ],
+    tags: [{ id: 'tag-1', name: 'urgent' }],
+    settings: { theme: 'light' },
+  };
+}
+
+test('diff records field edits, creations, deletions and moves', () => {
+  const before = sample();
+  const after = sample();
+  after.projects[0].tasks[0].status = 'done';
+  after.projects[0].tasks[0].updatedAt = '2026-10-19T09:00:00.000Z';
+  after.projects[0].tasks[0].subtasks[0].name = 'Outline v2';
+  const [moved] = after.projects[0].tasks.splice(1, 1);
+  after.projects[1].tasks.push(moved);
+  after.projects[1].tasks.push({ id: 't3', name: 'Fix sink', status: 'todo', subtasks: [] });
+  after.tags.push({ id: 'tag-2', name: 'later' });
+  after.settings.theme = 'dark';
+
+  const changes = OpLog.diff(before, after);
+  const summary = changes.map(c => [c.type, c.taskId || c.id || c.key, c.field].filter(Boolean).join(' '));
+  assert.deepEqual(summary.sort(), [
+    'data-field settings',
+    'item-added tag-2',
+    'task-created t3',
+    'task-field s1 name',
+    'task-field t1 status',
+    'task-moved t2',
+  ]);
+  // updatedAt is bumped on every edit and isn't recorded
+  assert.ok(!changes.some(c => c.field === 'updatedAt'));
+  assert.deepEqual(OpLog.diff(before, sample()), []);
+});
+
+test('the focus-mode AI chat on a task is not logged', () => {
+  const before = sample();
+  const after = sample();
+  after.projects[0].tasks[0].aiChat = [{ role: 'user', content: 'Help me start' }];
+  assert.deepEqual(OpLog.diff(before, after), []);
+
+  // Undoing an older change doesn't trip over the chat added since
+  const edited = sample();
+  edited.projects[0].tasks[0].priority = 'high';
+  const changes = OpLog.diff(before, edited);
+  edited.projects[0].tasks[0].aiChat = after.projects[0].tasks[0].aiChat;
+  assert.equal(OpLog.apply(edited, OpLog.invert(changes)).applied.length, 1);
+  assert.equal(edited.projects[0].tasks[0].aiChat.length, 1);
+});
+
+test('undoing a deletion brings back the AI chat, and undoing a creation keeps a chat added since', () => {
+  const before = sample();
+  before.projects[0].tasks[0].aiChat = [{ role: 'user', content: 'Help me start' }];
+  const after = sample();
+  after.projects[0].tasks.splice(0, 1);
+
+  const deleted = OpLog.diff(before, after);
+  assert.equal(OpLog.apply(after, OpLog.invert(deleted)).applied.length, 1);
+  assert.deepEqual(after.projects[0].tasks[0].aiChat, [{ role: 'user', content: 'Help me start' }]);
+
+  // The task was chatted with since it came back, so it isn't deleted again
+  after.projects[0].tasks[0].aiChat.push({ role: 'assistant', content: 'Open the outline first' });
+  assert.equal(OpLog.apply(after, deleted).applied.length, 0);
+  assert.equal(after.projects[0].tasks[0].aiChat.length, 2);
+});
+
+test('apply then apply(invert) round-trips, and stale changes are skipped', () => {
+  const before = sample();
+  const after = sample();
+  after.projects[0].tasks[0].priority = 'high';
+  after.projects[0].tasks.splice(1, 1);
+  after.projects.push({ id: 'p-new', name: 'New', tasks: [] });
+  after.tags = [];
+
+  const changes = OpLog.diff(before, after);
+  const data = sample();
+  assert.equal(OpLog.apply(data, changes).skipped.length, 0);
+  assert.deepEqual(data, after);
+
+  const { applied, skipped } = OpLog.apply(data, OpLog.invert(changes));
+  assert.equal(applied.length, changes.length);
+  assert.equal(skipped.length, 0);
+  assert.deepEqual(data, before);
+
+  // A field edited again since isn't clobbered by the old change
+  const edited = sample();
+  edited.projects[0].tasks[0].priority = 'low';
+  const result = OpLog.apply(edited, OpLog.invert(OpLog.diff(before, after)));
+  assert.ok(result.skipped.some(c => c.field === 'priority'));
+  assert.equal(edited.projects[0].tasks[0].priority, 'low');
+});
+
+test('secrets are redacted in the log and kept when a change is applied', () => {
+  const before = sample();
+  before.settings.llm = { provider: 'anthropic', apiKey: 'sk-old' };
+  before.settings.webhooks = [{ id: 'wh-1', url: 'https://example.com/hook', secret: 'whsec-1' }];
+  before.notionSync = { apiKey: 'secret_notion', idMap: {} };
+  const after = JSON.parse(JSON.stringify(before));
+  after.settings.theme = 'dark';
+  after.settings.restApi = { enabled: true, token: 'tok-123' };
+  after.settings.icsFeed = { token: 'feed-456' };
+  after.notionSync.apiKey = 'secret_rotated';
+
+  const changes = OpLog.diff(before, after);
+  const logged = JSON.stringify(changes);
+  for (const secret of ['sk-old', 'whsec-1', 'secret_notion', 'secret_rotated', 'tok-123', 'feed-456']) {
+    assert.ok(!logged.includes(secret), `${secret} was logged`);
+  }
+  // The notion change was only its key, so there is nothing left to log
+  assert.deepEqual(changes.map(c => c.key), ['settings']);
+  assert.equal(changes[0].after.restApi.token, '[redacted]');
+
+  // Undo restores the theme but leaves the secrets as they are now
+  const data = JSON.parse(JSON.stringify(after));
+  assert.equal(OpLog.apply(data, OpLog.invert(changes)).applied.length, 1);
+  assert.equal(data.settings.theme, 'light');
+  assert.equal(data.settings.llm.apiKey, 'sk-old');
+  assert.equal(data.settings.webhooks[0].secret, 'whsec-1');
+  assert.equal(data.settings.restApi, undefined);
+  assert.equal(data.notionSync.apiKey, 'secret_rotated');
+});
+
+test('undo and redo replay from the log across store instances', (t) => {
+  const dir = tempDir(t, 'oplog');
+  const filePath = path.join(dir, 'taskflow-data.json');
+  const store = new DataStore({ filePath, source: 'user' });
+  store.write(sample(), { force: true });
+
+  const edit = (fn, source) => {
+    const data = store.read();
+    fn(data.projects[0].tasks[0]);
+    store.write(data, { source });
+  };
+  edit(task => { task.status = 'in-progress'; });
+  edit(task => { task.priority = 'high'; });
+  edit(task => { task.notes = 'from mcp'; }, 'mcp');
+
+  // A fresh instance (e.g. after a restart) sees the same stacks
+  const reopened = new DataStore({ filePath, source: 'user' });
+  assert.equal(reopened.getUndoState().undoLabel, 'Changed priority on "Draft report"');
+
+  reopened.undo();
+  reopened.undo();
+  let task = reopened.read().projects[0].tasks[0];
+  assert.equal(task.status, 'todo');
+  assert.equal(task.priority, undefined);
+  // Another source's edit is not undone by this one
+  assert.equal(task.notes, 'from mcp');
+
+  reopened.redo();
+  assert.equal(reopened.read().projects[0].tasks[0].status, 'in-progress');
+  assert.equal(reopened.getUndoState().canRedo, true);
+
+  // A new edit clears the redo stack
+  edit(task => { task.name = 'Draft final report'; });
+  assert.deepEqual(reopened.getUndoState(), {
+    canUndo: true, canRedo: false, undoLabel: 'Changed name on "Draft final report"', redoLabel: null,
+  });
+  task = reopened.read().projects[0].tasks[0];
+  assert.equal(task.priority, undefined);
+  assert.equal(reopened.getTaskHistory('t1')[0].changes[0].field, 'name');
+});
+
+test('the log is compacted to its newest entries once past maxBytes', (t) => {
+  const dir = tempDir(t, 'oplog');
+  const log = new OpLog({ filePath: path.join(dir, 'taskflow-oplog.jsonl'), maxBytes: 4000 });
+  const ids = [];
+  for (let i = 0; i < 60; i++) {
+    ids.push(log.append({ source: 'user', changes: [{ type: 'task-field', taskId: 't1', field: 'notes', before: i, after: i + 1 }] }).id);
+  }
+
+  assert.ok(log.getSize() <= 4000);
+  const entries = log.readAll();
+  assert.ok(entries.length > 0 && entries.length < 60);
+  assert.deepEqual(entries.map(e => e.id), ids.slice(-entries.length));
+  assert.equal(log.find(ids[0]), null);
+  assert.ok(log.find(ids[59]));
+
+  // Entries appended by another process are picked up by a reader with a warm cache
+  const other = new OpLog({ filePath: log.filePath, maxBytes: 4000 });
+  const extra = other.append({ source: 'mcp', changes: [] });
+  assert.equal(log.readAll().at(-1).id, extra.id);
+});
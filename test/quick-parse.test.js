@@ -0,0 +1,57 @@
+// West of UTC, where reading a 'YYYY-MM-DD' as UTC midnight lands on the day before
+process.env.TZ = 'America/New_York';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/quick-parse.js');
+
+// Monday 19 October 2026
+const today = '2026-10-19';
+
+test('relative dates count calendar days from the given today', async () => {
+  const { parseQuickCapture } = await load();
+  const due = (text, day = today) => parseQuickCapture(text, { today: day }).dueDate;
+
+  assert.deepEqual(parseQuickCapture('Call Bob tomorrow at 3pm', { today }), {
+    name: 'Call Bob', dueDate: '2026-10-20', scheduledTime: '15:00',
+    priority: null, tags: [], project: null, estimatedMinutes: null,
+  });
+  assert.equal(due('Call Bob today'), '2026-10-19');
+  assert.equal(due('Call Bob tomorrow'), '2026-10-20');
+  assert.equal(due('Call Bob friday'), '2026-10-23');
+  assert.equal(due('Call Bob monday'), '2026-10-19');
+  assert.equal(due('Call Bob next week'), '2026-10-26');
+  assert.equal(due('Call Bob next tue'), '2026-10-27');
+  assert.equal(due('Call Bob in 2 weeks'), '2026-11-02');
+  // Across the end of daylight saving time (1 November in New York) and of the year
+  assert.equal(due('Call Bob in 14 days'), '2026-11-02');
+  assert.equal(due('Call Bob tomorrow', '2026-12-31'), '2027-01-01');
+});
+
+test('month and day dates are the next time they come around, and must exist', async () => {
+  const { parseQuickCapture } = await load();
+  const parse = text => parseQuickCapture(text, { today });
+
+  assert.equal(parse('Renew lease by 12/1').dueDate, '2026-12-01');
+  assert.equal(parse('Renew lease mar 14').dueDate, '2027-03-14');
+  assert.equal(parse('Renew lease 19 october').dueDate, '2026-10-19');
+  assert.equal(parse('Renew lease 2028-02-29').dueDate, '2028-02-29');
+
+  const invalid = parse('Renew lease 2/30');
+  assert.equal(invalid.dueDate, null);
+  assert.equal(invalid.name, 'Renew lease 2/30');
+});
+
+test('without a today, dates count from today in the given timezone', async () => {
+  const { parseQuickCapture } = await load();
+  const { localToday } = await import('../shared/dates.js');
+  // UTC+14 and UTC-11 are never on the same day
+  for (const timeZone of ['Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+    assert.equal(parseQuickCapture('Standup today', { timeZone }).dueDate, localToday(timeZone));
+  }
+  assert.notEqual(
+    parseQuickCapture('Standup today', { timeZone: 'Pacific/Kiritimati' }).dueDate,
+    parseQuickCapture('Standup today', { timeZone: 'Pacific/Pago_Pago' }).dueDate
+  );
+});
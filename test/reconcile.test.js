@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/reconcile.js');
+
+function sample() {
+  return {
+    revision: 4,
+    projects: [
+      {
+        id: 'p-work', name: 'Work', tasks: [
+          { id: 't1', name: 'Draft report', status: 'todo', tags: ['tag-1'] },
+          { id: 't2', name: 'Send invoice', status: 'todo', tags: [] },
+        ],
+      },
+    ],
+    settings: { theme: 'light', workingHours: { start: '09:00', end: '17:00' } },
+  };
+}
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+test('changes made elsewhere are merged in, keeping unsaved local edits', async () => {
+  const { reconcile } = await load();
+  const base = sample();
+  const local = sample();
+  const remote = sample();
+  remote.revision = 5;
+
+  local.projects[0].tasks[0].name = 'Draft Q2 report';    // unsaved here
+  remote.projects[0].tasks[0].status = 'in-progress';     // from the MCP server
+  remote.projects[0].tasks[1].name = 'Send invoice #42';
+  remote.settings.workingHours.end = '18:00';
+  // Both changed: the local edit stays until it is saved
+  local.settings.theme = 'dark';
+  remote.settings.theme = 'sepia';
+
+  assert.deepEqual(reconcile(local, base, remote), []);
+  assert.deepEqual(local.projects[0].tasks, [
+    { id: 't1', name: 'Draft Q2 report', status: 'in-progress', tags: ['tag-1'] },
+    { id: 't2', name: 'Send invoice #42', status: 'todo', tags: [] },
+  ]);
+  assert.deepEqual(local.settings, { theme: 'dark', workingHours: { start: '09:00', end: '18:00' } });
+  // The revision is for the caller to set
+  assert.equal(local.revision, 4);
+});
+
+test('task objects keep their identity, so open panels stay valid', async () => {
+  const { reconcile } = await load();
+  const base = sample();
+  const local = sample();
+  const remote = sample();
+  const [report, invoice] = local.projects[0].tasks;
+  remote.projects[0].tasks.reverse();
+  remote.projects[0].tasks[0].status = 'done';
+
+  reconcile(local, base, remote);
+  // Remote order, same objects
+  assert.equal(local.projects[0].tasks[0], invoice);
+  assert.equal(local.projects[0].tasks[1], report);
+  assert.equal(invoice.status, 'done');
+});
+
+test('additions on either side are kept and deletions follow whoever deleted', async () => {
+  const { reconcile } = await load();
+  const base = sample();
+  const local = sample();
+  const remote = sample();
+
+  local.projects[0].tasks.push({ id: 't3', name: 'Added here', status: 'todo', tags: [] });
+  remote.projects[0].tasks.push({ id: 't4', name: 'Quick capture', status: 'todo', tags: [] });
+  local.projects[0].tasks.splice(1, 1);                    // t2 deleted here, not saved yet
+  remote.projects[0].tasks.splice(0, 1);                   // t1 deleted elsewhere
+  remote.projects.push({ id: 'p-home', name: 'Home', tasks: [] });
+  delete remote.settings.workingHours;
+
+  assert.deepEqual(reconcile(local, base, copy(remote)), []);
+  assert.deepEqual(local.projects.map(p => p.id), ['p-work', 'p-home']);
+  assert.deepEqual(local.projects[0].tasks.map(t => t.id), ['t4', 't3']);
+  assert.deepEqual(local.settings, { theme: 'light' });
+});
+
+test('items edited here but deleted elsewhere are dropped and reported', async () => {
+  const { reconcile } = await load();
+  const base = sample();
+  const local = sample();
+  const remote = sample();
+  local.projects[0].tasks[0].name = 'Draft Q2 report';
+  local.projects[0].tasks[0].tags.push('tag-2');
+  remote.projects[0].tasks.splice(0, 2);
+
+  const dropped = reconcile(local, base, remote);
+  assert.deepEqual(dropped.map(t => t.name), ['Draft Q2 report']);
+  assert.deepEqual(local.projects[0].tasks, []);
+});
+
+test('with nothing changed locally the result matches the remote data', async () => {
+  const { reconcile } = await load();
+  const base = sample();
+  const remote = sample();
+  remote.revision = 7;
+  remote.projects[0].tasks[0].tags = [];
+  remote.projects[0].tasks[1].dueDate = '2026-10-20';
+  remote.favorites = ['t2'];
+
+  const local = copy(base);
+  reconcile(local, base, remote);
+  assert.deepEqual({ ...local, revision: 7 }, remote);
+
+  // A first sync with no base adopts the remote values
+  const first = { settings: {} };
+  reconcile(first, {}, { settings: { theme: 'dark' } });
+  assert.deepEqual(first, { settings: { theme: 'dark' } });
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/recurrence.js');
+
+let counter = 0;
+const generateId = () => `id-${++counter}`;
+
+function task(recurrence, fields = {}) {
+  return { id: 't1', name: 'Repeat me', status: 'done', subtasks: [], recurrence, ...fields };
+}
+
+test('weekly rules keep their weeks, on one or several days', async () => {
+  const { nextOccurrence, occurrencesBetween } = await load();
+  // 2026-01-05 is a Monday
+  assert.equal(nextOccurrence({ type: 'weekly', interval: 1, daysOfWeek: [1] }, '2026-01-05'), '2026-01-12');
+  assert.equal(nextOccurrence({ type: 'weekly', interval: 2, daysOfWeek: [1] }, '2026-01-05'), '2026-01-19');
+  assert.deepEqual(
+    occurrencesBetween({ type: 'weekly', interval: 2, daysOfWeek: [1, 3] }, '2026-01-05', '2026-01-31'),
+    ['2026-01-07', '2026-01-19', '2026-01-21']
+  );
+});
+
+test('monthly and yearly rules clamp to the end of short months', async () => {
+  const { nextOccurrence, occurrencesBetween } = await load();
+  const endOfMonth = { type: 'monthly', interval: 1, monthlyMode: 'date', dayOfMonth: 31 };
+  assert.deepEqual(occurrencesBetween(endOfMonth, '2026-01-31', '2026-04-30'), ['2026-02-28', '2026-03-31', '2026-04-30']);
+  assert.equal(nextOccurrence(endOfMonth, '2028-01-31'), '2028-02-29');
+
+  const quarterly = { type: 'monthly', interval: 3, monthlyMode: 'date', dayOfMonth: 15 };
+  assert.equal(nextOccurrence(quarterly, '2026-01-15'), '2026-04-15');
+
+  // Yearly is every 12 months; Feb 29 falls back to Feb 28 outside leap years
+  const yearly = { type: 'monthly', interval: 12, monthlyMode: 'date', dayOfMonth: 29 };
+  assert.deepEqual(occurrencesBetween(yearly, '2028-02-29', '2030-12-31'), ['2029-02-28', '2030-02-28']);
+  assert.equal(nextOccurrence({ ...yearly, until: '2029-01-01' }, '2028-02-29'), null);
+});
+
+test('completing late keeps the series on its own dates', async () => {
+  const { buildNextOccurrence } = await load();
+  const biweekly = task({ type: 'weekly', interval: 2, daysOfWeek: [1] }, { dueDate: '2026-01-05' });
+  assert.equal(buildNextOccurrence(biweekly, '2026-01-13', generateId).dueDate, '2026-01-19');
+
+  const quarterly = task({ type: 'monthly', interval: 3, monthlyMode: 'date', dayOfMonth: 15 }, { dueDate: '2026-01-15' });
+  assert.equal(buildNextOccurrence(quarterly, '2026-02-20', generateId).dueDate, '2026-04-15');
+  // So late that whole intervals were missed: the first one after the completion
+  assert.equal(buildNextOccurrence(quarterly, '2026-08-01', generateId).dueDate, '2026-10-15');
+
+  // Early completion still moves on to the next one
+  assert.equal(buildNextOccurrence(biweekly, '2026-01-02', generateId).dueDate, '2026-01-19');
+
+  // Only after-completion rules count from the completion date
+  const afterCompletion = task({ type: 'after-completion', interval: 10 }, { dueDate: '2026-01-05' });
+  assert.equal(buildNextOccurrence(afterCompletion, '2026-01-13', generateId).dueDate, '2026-01-23');
+
+  // The scheduled date moves by the same amount as the due date
+  const both = task({ type: 'daily', interval: 7 }, { dueDate: '2026-01-09', scheduledDate: '2026-01-07' });
+  const next = buildNextOccurrence(both, '2026-01-20', generateId);
+  assert.deepEqual([next.dueDate, next.scheduledDate], ['2026-01-23', '2026-01-21']);
+});
+
+test('the next instance starts fresh', async () => {
+  const { buildNextOccurrence } = await load();
+  const done = task({ type: 'daily', interval: 1 }, {
+    dueDate: '2026-01-05',
+    completedAt: '2026-01-05T17:00:00.000Z',
+    subtasks: [{ id: 's1', name: 'Step', status: 'done', completedAt: '2026-01-05T16:00:00.000Z' }],
+    timeLog: [{ minutes: 30 }],
+    workNotes: 'Halfway',
+    aiChat: [{ role: 'user', content: 'Help' }],
+    completionSummary: 'Done',
+    energyRating: 3,
+    recurrenceNextId: 'older',
+    snoozeCount: 2,
+    learnings: [{ text: 'Keep' }],
+  });
+  const next = buildNextOccurrence(done, '2026-01-05', generateId);
+
+  assert.notEqual(next.id, 't1');
+  assert.equal(next.status, 'todo');
+  assert.equal(next.completedAt, null);
+  assert.deepEqual(next.timeLog, []);
+  assert.equal(next.workNotes, '');
+  assert.equal(next.snoozeCount, 0);
+  for (const field of ['aiChat', 'completionSummary', 'energyRating', 'recurrenceNextId']) {
+    assert.equal(field in next, false, `${field} should not carry over`);
+  }
+  assert.equal(next.subtasks[0].status, 'todo');
+  assert.notEqual(next.subtasks[0].id, 's1');
+  assert.equal(next.recurrence.seriesId, 't1');
+  assert.deepEqual(next.learnings, [{ text: 'Keep' }]);
+  // The completed task is left as it was
+  assert.equal(done.aiChat.length, 1);
+});
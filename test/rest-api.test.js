@@ -0,0 +1,206 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const http = require('http');
+const DataStore = require('../data-store');
+const RestApi = require('../rest-api');
+const migrations = require('../migrations');
+const openapi = require('../openapi.json');
+const { tempDir } = require('./helpers');
+
+const TOKEN = 'test-token-0123456789';
+
+async function setup(t) {
+  const dir = tempDir(t, 'rest-api');
+  const dataStore = new DataStore({ filePath: path.join(dir, 'taskflow-data.json') });
+  dataStore.write({
+    schemaVersion: migrations.SCHEMA_VERSION,
+    projects: [{ id: 'p-work', name: 'Work', color: '#f00', tasks: [
+      { id: 't1', name: 'Draft report', status: 'todo', priority: 'high', dueDate: '2026-04-10', tags: ['tag-1'], subtasks: [
+        { id: 's1', name: 'Outline', status: 'todo' },
+      ] },
+      { id: 't2', name: 'Old thing', status: 'done', tags: [], subtasks: [] },
+    ] }],
+    categories: [{ id: 'cat-work', name: 'Work', color: '#6366f1', order: 0, collapsed: false }],
+    tags: [{ id: 'tag-1', name: 'Deep', color: '#000' }],
+    favorites: [],
+    settings: {},
+    savedRecaps: [{ id: 'r1', period: 'daily', periodLabel: '2026-04-10', content: '# Done', savedAt: '2026-04-10T18:00:00.000Z' }],
+  }, { force: true });
+
+  const api = new RestApi({
+    loadData: () => dataStore.read(),
+    saveData: (data, options) => ({ success: true, ...dataStore.write(data, options) }),
+    token: TOKEN,
+  });
+  const server = http.createServer((req, res) => api.handle(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  async function call(method, route, body, token = TOKEN) {
+    const response = await fetch(`${base}${route}`, {
+      method,
+      headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+  return { api, dataStore, call, close: () => server.close() };
+}
+
+test('requests need the token, except the OpenAPI document, which lists every route', async (t) => {
+  const { api, call, close } = await setup(t);
+  try {
+    assert.equal((await call('GET', '/tasks', undefined, null)).status, 401);
+    assert.equal((await call('GET', '/tasks', undefined, 'wrong-token-0123456789')).status, 401);
+
+    const doc = await call('GET', '/openapi.json', undefined, null);
+    assert.equal(doc.status, 200);
+    assert.equal(doc.body.openapi, '3.0.3');
+    for (const [method, route] of api.routes) {
+      const docPath = route.replace(/:(\w+)/g, '{$1}');
+      assert.ok(openapi.paths[docPath]?.[method.toLowerCase()], `${method} ${route} is documented`);
+    }
+
+    assert.equal((await call('GET', '/nowhere')).status, 404);
+    assert.equal((await call('PUT', '/tasks')).status, 405);
+  } finally {
+    close();
+  }
+});
+
+test('tasks are created with the same checks as the MCP tools', async (t) => {
+  const { dataStore, call, close } = await setup(t);
+  try {
+    assert.deepEqual(await call('POST', '/tasks', { name: 'X', priority: 'meh' }), {
+      status: 400, body: { error: 'priority must be one of none, low, medium, high, urgent' },
+    });
+    assert.equal((await call('POST', '/tasks', { name: '' })).status, 400);
+    assert.equal((await call('POST', '/tasks', { name: 'X', recurrence: { type: 'hourly' } })).status, 400);
+
+    const created = await call('POST', '/tasks', {
+      name: 'Call vendor', project: 'Errands', tags: ['deep', 'Phone'], scheduledDate: '2026-04-14', estimatedMinutes: 15,
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.projectName, 'Errands');
+    assert.equal(created.body.dueDate, '2026-04-14');
+
+    const data = dataStore.read();
+    assert.deepEqual(data.tags.map(t => t.name), ['Deep', 'Phone']);
+    // A project made on the fly gets the same defaults as one made in the app
+    const errands = data.projects.find(p => p.name === 'Errands');
+    assert.deepEqual([errands.categoryId, errands.status, errands.goal], ['cat-personal', 'active', '']);
+    assert.equal(created.body.tags[0], 'tag-1');
+    assert.equal(dataStore.log.readAll().at(-1).source, 'api');
+  } finally {
+    close();
+  }
+});
+
+test('tasks can be listed, updated, completed, timed and deleted', async (t) => {
+  const { call, close } = await setup(t);
+  try {
+    assert.deepEqual((await call('GET', '/tasks?status=todo&tag=deep')).body.map(t => t.id), ['t1']);
+    assert.deepEqual((await call('GET', '/tasks?project=work&subtasks=true')).body.map(t => t.id), ['t1', 's1', 't2']);
+    assert.equal((await call('GET', '/tasks/s1')).body.parentId, 't1');
+
+    const updated = await call('PATCH', '/tasks/t1', {
+      priority: 'low', dueDate: null, recurrence: { type: 'daily' }, scheduledDate: '2026-04-13',
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.task.dueDate, null);
+    assert.ok(updated.body.changes.includes('priority → low'));
+    assert.equal((await call('PATCH', '/tasks/t1', { scheduledTime: '25:00' })).status, 400);
+    // 0 clears an estimate on update, as it does in update_task
+    assert.equal((await call('PATCH', '/tasks/t1', { estimatedMinutes: 0 })).body.task.estimatedMinutes, null);
+    assert.equal((await call('PATCH', '/tasks/t1', { estimatedMinutes: -10 })).status, 400);
+
+    const done = await call('POST', '/tasks/t1/complete');
+    assert.equal(done.body.task.status, 'done');
+    assert.equal(done.body.nextTask.name, 'Draft report');
+
+    const logged = await call('POST', '/tasks/t2/time-log', { minutes: 25, notes: 'Wrap up' });
+    assert.equal(logged.status, 201);
+    assert.equal((await call('GET', '/tasks/t2/time-log')).body.totalMinutes, 25);
+    assert.equal((await call('POST', '/tasks/t2/time-log', { minutes: -5 })).status, 400);
+
+    assert.equal((await call('DELETE', '/tasks/t2')).status, 204);
+    assert.equal((await call('GET', '/tasks/t2')).status, 404);
+  } finally {
+    close();
+  }
+});
+
+test('deleting a task drops the references other tasks keep to it', async (t) => {
+  const { dataStore, call, close } = await setup(t);
+  try {
+    const data = dataStore.read();
+    const [t1, t2] = data.projects[0].tasks;
+    t1.blockedBy = ['t2'];
+    t1.subtasks[0].blocks = ['t2'];
+    t2.blocks = ['t1'];
+    t2.blockedBy = ['s1'];
+    data.workingOnTaskIds = ['s1', 't2'];
+    dataStore.write(data);
+
+    assert.equal((await call('DELETE', '/tasks/t2')).status, 204);
+    let after = dataStore.read();
+    assert.deepEqual(after.projects[0].tasks[0].blockedBy, []);
+    assert.deepEqual(after.projects[0].tasks[0].subtasks[0].blocks, []);
+    assert.deepEqual(after.workingOnTaskIds, ['s1']);
+
+    // Deleting a task takes its subtasks' references with it
+    assert.equal((await call('DELETE', '/tasks/t1')).status, 204);
+    after = dataStore.read();
+    assert.deepEqual(after.projects[0].tasks, []);
+    assert.deepEqual(after.workingOnTaskIds, []);
+  } finally {
+    close();
+  }
+});
+
+test('a malformed escape in the path is a bad request, not a server error', async (t) => {
+  const { call, close } = await setup(t);
+  try {
+    assert.deepEqual(await call('GET', '/tasks/%E0%A4%A'), {
+      status: 400, body: { error: 'Malformed path segment: %E0%A4%A' },
+    });
+    assert.equal((await call('GET', `/tasks/${encodeURIComponent('no such task')}`)).status, 404);
+  } finally {
+    close();
+  }
+});
+
+test('projects, categories, tags and recaps', async (t) => {
+  const { call, close } = await setup(t);
+  try {
+    const [work] = (await call('GET', '/projects')).body;
+    assert.deepEqual([work.name, work.taskCount, work.openTaskCount], ['Work', 2, 1]);
+    assert.equal((await call('POST', '/projects', { name: 'work' })).status, 409);
+    assert.equal((await call('POST', '/projects', { name: 'Home', categoryId: 'nope' })).status, 400);
+    const home = await call('POST', '/projects', { name: 'Home', categoryId: 'cat-work' });
+    assert.equal(home.status, 201);
+    assert.equal(home.body.categoryId, 'cat-work');
+    assert.equal((await call('POST', '/projects', { name: 'Garden' })).body.categoryId, 'cat-personal');
+    assert.equal((await call('PATCH', `/projects/${home.body.id}`, { color: '#0f0' })).body.color, '#0f0');
+    assert.equal((await call('GET', '/projects/p-work')).body.tasks.length, 2);
+
+    assert.equal((await call('POST', '/categories', { name: 'Side' })).body.order, 1);
+    assert.equal((await call('POST', '/tags', { name: 'DEEP' })).status, 409);
+    assert.equal((await call('GET', '/tags')).body.length, 1);
+
+    const entry = await call('POST', '/recap-entries', { type: 'decision', content: 'Ship Friday', date: '2026-04-10' });
+    assert.equal(entry.status, 201);
+    assert.deepEqual((await call('GET', '/recap-entries?from=2026-04-01&to=2026-04-30')).body.map(e => e.content), ['Ship Friday']);
+    assert.equal((await call('POST', '/recap-entries', { type: 'rant', content: 'x' })).status, 400);
+    assert.equal((await call('POST', '/recap-entries', { type: 'decision', content: 'x', date: '2026-02-30' })).status, 400);
+    assert.equal((await call('GET', '/recap-entries?from=2026-13-01')).status, 400);
+
+    const [summary] = (await call('GET', '/recaps')).body;
+    assert.equal(summary.content, undefined);
+    assert.equal((await call('GET', '/recaps/r1')).body.content, '# Done');
+  } finally {
+    close();
+  }
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/rollover.js');
+
+// 2026-04-13 is a Monday
+const MON = '2026-04-13';
+
+function tasks() {
+  return [
+    { id: 'a', status: 'todo', scheduledDate: '2026-04-10', scheduledTime: '09:00', dueDate: '2026-04-10' },
+    { id: 'b', status: 'todo', dueDate: '2026-04-09' },
+    { id: 'c', status: 'done', scheduledDate: '2026-04-10' },
+    { id: 'd', status: 'todo', scheduledDate: MON },
+    { id: 'e', status: 'todo', scheduledDate: '2026-04-12', snoozeCount: 3 },
+  ];
+}
+
+test('due dates are left alone unless the policy moves them', async () => {
+  const { findLeftBehind, decisionUpdates } = await load();
+  const items = findLeftBehind(tasks(), MON, {});
+  assert.deepEqual(items.map(i => i.task.id), ['a', 'e']);
+  assert.deepEqual(decisionUpdates(items[0], 'today', MON, {}), { scheduledDate: MON, scheduledTime: null, snoozeCount: 1 });
+
+  const settings = { rollover: { moveDueDates: true } };
+  const withDue = findLeftBehind(tasks(), MON, settings);
+  assert.deepEqual(withDue.map(i => [i.task.id, i.scheduled, i.due]), [['a', true, true], ['b', false, true], ['e', true, false]]);
+  assert.deepEqual(decisionUpdates(withDue[1], 'today', MON, settings), { dueDate: MON });
+  assert.deepEqual(decisionUpdates(withDue[0], 'unschedule', MON, settings), { scheduledDate: null, scheduledTime: null, dueDate: null });
+});
+
+test('decisions land on work days, and tasks pushed back too often go to the inbox', async () => {
+  const { findLeftBehind, decisionUpdates, suggestDecision } = await load();
+  const settings = { rollover: { inboxAfter: 3 }, scheduling: { holidays: [{ date: '2026-04-14', name: 'Founders Day' }] } };
+  const [a, e] = findLeftBehind(tasks(), MON, settings);
+
+  assert.equal(suggestDecision(a.task, settings), 'today');
+  assert.equal(suggestDecision(e.task, settings), 'inbox');
+  assert.equal(suggestDecision(e.task, {}), 'today');
+
+  // Tuesday is a holiday, so tomorrow means Wednesday; next week skips the weekend
+  assert.equal(decisionUpdates(a, 'tomorrow', MON, settings).scheduledDate, '2026-04-15');
+  assert.equal(decisionUpdates(a, 'later', '2026-04-11', settings).scheduledDate, '2026-04-20');
+  // Rolled on a Saturday, today means Monday
+  assert.equal(decisionUpdates(a, 'today', '2026-04-11', settings).scheduledDate, MON);
+
+  // Back in the inbox the push-back count starts again, so it isn't sent straight back
+  assert.deepEqual(decisionUpdates(e, 'inbox', MON, settings), { scheduledDate: null, scheduledTime: null, snoozeCount: 0, moveToInbox: true });
+  assert.throws(() => decisionUpdates(a, 'someday', MON, settings), /Unknown rollover decision/);
+});
@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/scheduler.js');
+
+// 2026-04-13 is a Monday
+const MON = '2026-04-13';
+
+function plan(scheduler, tasks, { dates = [MON], settings = {}, busy = {}, nowMinutes = null, replan = false } = {}) {
+  const { candidates, occupied } = scheduler.prepareSchedule(tasks, dates, settings, { nowMinutes, replan });
+  return scheduler.planSchedule({ candidates, allTasks: tasks, occupied, busy, dates, settings, nowMinutes });
+}
+
+const at = (result, id) => result.placements.find(p => p.taskId === id);
+
+test('tasks fill free time around meetings, with a break after each', async () => {
+  const scheduler = await load();
+  const result = plan(scheduler, [
+    { id: 'a', name: 'Report', status: 'todo', priority: 'high', estimatedMinutes: 45 },
+    { id: 'b', name: 'Review', status: 'todo', priority: 'high', estimatedMinutes: 30 },
+  ], { busy: { [MON]: [{ startMinutes: 600, endMinutes: 660 }] } });
+
+  assert.deepEqual([at(result, 'a').start, at(result, 'a').end], ['09:00', '09:45']);
+  // 09:55 + 30 would run into the 10:00 meeting, so it goes after it and its break
+  assert.equal(at(result, 'b').start, '11:10');
+});
+
+test('overdue and higher-priority tasks go first, and nothing before now', async () => {
+  const scheduler = await load();
+  const result = plan(scheduler, [
+    { id: 'low', name: 'Low', status: 'todo', priority: 'low', dueDate: MON },
+    { id: 'urgent', name: 'Urgent', status: 'todo', priority: 'urgent' },
+    { id: 'late', name: 'Late', status: 'todo', priority: 'low', dueDate: '2026-04-10' },
+  ], { nowMinutes: 13 * 60 + 5 });
+
+  assert.deepEqual(result.placements.map(p => p.taskId), ['late', 'low', 'urgent']);
+  assert.equal(at(result, 'late').start, '13:05');
+});
+
+test('blocked tasks go after their blockers, or are left out with a reason', async () => {
+  const scheduler = await load();
+  const result = plan(scheduler, [
+    { id: 'ship', name: 'Ship', status: 'todo', priority: 'urgent', estimatedMinutes: 30, blockedBy: ['spec'] },
+    { id: 'spec', name: 'Spec', status: 'todo', priority: 'low', dueDate: MON, estimatedMinutes: 60 },
+    { id: 'wait', name: 'Wait', status: 'todo', priority: 'high', blockedBy: ['vendor'] },
+    { id: 'vendor', name: 'Vendor reply', status: 'waiting' },
+    { id: 'x', name: 'X', status: 'todo', priority: 'high', blockedBy: ['y'] },
+    { id: 'y', name: 'Y', status: 'todo', priority: 'high', blockedBy: ['x'] },
+  ]);
+
+  assert.equal(at(result, 'spec').end, '10:00');
+  assert.equal(at(result, 'ship').start, '10:10');
+  const reasons = Object.fromEntries(result.unplaced.map(u => [u.taskId, u.reason]));
+  assert.equal(reasons.wait, 'Blocked by "Vendor reply"');
+  assert.match(reasons.x, /block each other/);
+  assert.match(reasons.y, /block each other/);
+});
+
+test('AI tasks run on their own track, alongside meetings and manual work', async () => {
+  const scheduler = await load();
+  const result = plan(scheduler, [
+    { id: 'me', name: 'Write', status: 'todo', priority: 'high', estimatedMinutes: 60 },
+    { id: 'ai1', name: 'Research', status: 'todo', priority: 'high', executionType: 'ai', estimatedMinutes: 30 },
+    { id: 'ai2', name: 'Summarise', status: 'todo', priority: 'high', executionType: 'ai', estimatedMinutes: 30 },
+  ], { busy: { [MON]: [{ startMinutes: 540, endMinutes: 570 }] } });
+
+  assert.equal(at(result, 'me').start, '09:40');
+  assert.deepEqual([at(result, 'ai1').start, at(result, 'ai1').track], ['09:00', 'ai']);
+  assert.equal(at(result, 'ai2').start, '09:30');
+});
+
+test('focus windows are kept for deep work', async () => {
+  const scheduler = await load();
+  const settings = { scheduling: { focusWindows: [{ start: '09:00', end: '11:00' }] } };
+  const result = plan(scheduler, [
+    { id: 'email', name: 'Email', status: 'todo', priority: 'urgent', estimatedMinutes: 15 },
+    { id: 'design', name: 'Design', status: 'todo', priority: 'low', dueDate: MON, estimatedMinutes: 90 },
+    { id: 'hard', name: 'Hard', status: 'todo', priority: 'low', dueDate: MON, estimatedMinutes: 20, complexity: 5 },
+  ], { settings });
+
+  assert.equal(at(result, 'email').start, '11:10');
+  assert.equal(at(result, 'design').start, '09:00');
+  assert.equal(at(result, 'hard').start, '10:40');
+});
+
+test('re-planning makes room for an overrun and moves what has not started', async () => {
+  const scheduler = await load();
+  const tasks = [
+    { id: 'run', name: 'Running', status: 'in-progress', scheduledDate: MON, scheduledTime: '09:00', estimatedMinutes: 60 },
+    { id: 'next', name: 'Next', status: 'todo', scheduledDate: MON, scheduledTime: '10:10', estimatedMinutes: 30 },
+  ];
+  const now = 10 * 60 + 20;
+  assert.deepEqual(scheduler.findOverruns(tasks, MON, now).map(t => t.id), ['run']);
+
+  const prepared = scheduler.prepareSchedule(tasks, [MON], {}, { nowMinutes: now, replan: true });
+  assert.deepEqual(prepared.overruns.map(t => t.id), ['run']);
+  const result = plan(scheduler, tasks, { nowMinutes: now, replan: true });
+  // Running is assumed to need until 10:35, plus the break
+  assert.equal(at(result, 'next').start, '10:45');
+});
+
+test('a week plan covers working days and flags work placed after its due date', async () => {
+  const scheduler = await load();
+  const dates = scheduler.planDates('2026-04-17', 3, {});
+  assert.deepEqual(dates, ['2026-04-17', '2026-04-20', '2026-04-21']);
+
+  const settings = { scheduling: { workStart: '09:00', workEnd: '10:00' } };
+  const result = plan(scheduler, [
+    { id: 'a', name: 'A', status: 'todo', priority: 'high', dueDate: '2026-04-17', estimatedMinutes: 50 },
+    { id: 'b', name: 'B', status: 'todo', priority: 'high', dueDate: '2026-04-17', estimatedMinutes: 50 },
+  ], { dates, settings });
+
+  assert.deepEqual([at(result, 'a').date, at(result, 'a').late], ['2026-04-17', false]);
+  assert.deepEqual([at(result, 'b').date, at(result, 'b').late], ['2026-04-20', true]);
+});
+
+test('per-weekday hours, holidays and vacations shape the working week', async () => {
+  const scheduler = await load();
+  const settings = { scheduling: {
+    dayHours: { 5: { start: '09:00', end: '13:00' } },
+    holidays: [{ date: '2026-04-15', name: 'Founders Day' }],
+    vacations: [{ start: '2026-04-20', end: '2026-04-22', name: 'Lisbon' }],
+  } };
+  const scheduling = scheduler.getSchedulingSettings(settings);
+
+  assert.deepEqual(scheduler.getWorkingHours(scheduling, '2026-04-17'), [{ start: 9 * 60, end: 13 * 60 }]);
+  assert.deepEqual(scheduler.getDayOff(scheduling, '2026-04-15'), { reason: 'holiday', name: 'Founders Day' });
+  assert.deepEqual(scheduler.getDayOff(scheduling, '2026-04-21'), { reason: 'vacation', name: 'Lisbon' });
+  assert.equal(scheduler.getDayOff(scheduling, '2026-04-18').reason, 'weekend');
+  assert.equal(scheduler.getDayOff(scheduling, MON), null);
+
+  // Saturday and Sunday, then three vacation days: the next work day is Thursday
+  assert.equal(scheduler.nextWorkDay(settings, '2026-04-18'), '2026-04-23');
+  assert.equal(scheduler.nextWorkDay(settings, MON), MON);
+  assert.deepEqual(scheduler.planDates(MON, 5, settings), [MON, '2026-04-14', '2026-04-16', '2026-04-17', '2026-04-23']);
+
+  // Nothing is placed on a holiday
+  const result = plan(scheduler, [
+    { id: 'a', name: 'Report', status: 'todo', priority: 'high', estimatedMinutes: 60 },
+  ], { dates: ['2026-04-15', '2026-04-16'], settings });
+  assert.equal(at(result, 'a').date, '2026-04-16');
+});
+
+test('capacity flags days with more scheduled than fits', async () => {
+  const scheduler = await load();
+  const settings = { scheduling: { capacityMinutes: 240, holidays: [{ date: '2026-04-15', name: 'Founders Day' }] } };
+  const tasks = [
+    { id: 'a', status: 'todo', scheduledDate: MON, estimatedMinutes: 180 },
+    { id: 'b', status: 'todo', scheduledDate: MON, estimatedMinutes: 90 },
+    { id: 'c', status: 'done', scheduledDate: MON, estimatedMinutes: 600 },
+    { id: 'd', status: 'todo', scheduledDate: '2026-04-14' },
+    { id: 'e', status: 'todo', scheduledDate: '2026-04-15', estimatedMinutes: 60 },
+  ];
+  const [mon, tue, wed] = scheduler.capacityReport(tasks, [MON, '2026-04-14', '2026-04-15'], settings);
+
+  assert.deepEqual([mon.planned, mon.capacity, mon.over], [270, 240, 30]);
+  assert.equal(scheduler.capacityWarning(mon), '4h 30m scheduled, 30m over the 4h capacity');
+  // Tasks without an estimate count at the default length
+  assert.deepEqual([tue.planned, tue.over], [30, 0]);
+  assert.equal(scheduler.capacityWarning(tue), null);
+  assert.equal(wed.capacity, 0);
+  assert.equal(scheduler.capacityWarning(wed), '1h scheduled on a day off (Founders Day)');
+
+  // Without a capacity set, a day holds its working hours
+  const [plain] = scheduler.capacityReport(tasks, [MON], { scheduling: { workStart: '10:00', workEnd: '14:30' } });
+  assert.equal(plain.capacity, 270);
+  assert.equal(plain.over, 0);
+});
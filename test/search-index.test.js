@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/search-index.js');
+
+function sampleData() {
+  return {
+    projects: [
+      { id: 'inbox', name: 'Inbox', isInbox: true, tasks: [
+        { id: 'i1', name: 'Call the plumber', status: 'todo', tags: [], subtasks: [] },
+      ] },
+      { id: 'p-acme', name: 'Acme Corp', tasks: [
+        { id: 'a1', name: 'Schedule the quarterly review', status: 'todo', tags: ['t-client'], subtasks: [] },
+        { id: 'a2', name: 'Ship invoice', description: 'Reviewed the scheduling options with finance before sending.', status: 'done', tags: [], subtasks: [] },
+        { id: 'a3', name: 'Migrate database', status: 'in-progress', tags: [], subtasks: [{ id: 's1', name: 'Back up replicas' }],
+          learnings: [{ text: 'Vacuum before migrating large tables', addedAt: '2026-04-10T10:00:00' }],
+          timeLog: [{ minutes: 45, notes: 'Paired with Dana on the rollback plan' }] },
+      ] },
+    ],
+    tags: [{ id: 't-client', name: 'Client' }],
+    recapLog: [
+      { id: 'r1', type: 'decision', content: 'Chose Postgres replicas over sharding', date: '2026-04-11', tags: [] },
+    ],
+    savedRecaps: [
+      { id: 'sr1', period: 'week', periodLabel: 'Week of Apr 6', startDate: '2026-04-06', endDate: '2026-04-12', content: 'Finished the migration rollback plan.' },
+    ],
+  };
+}
+
+async function indexed(data = sampleData()) {
+  const { createSearchIndex } = await load();
+  const index = createSearchIndex();
+  index.update(data);
+  return index;
+}
+
+test('word forms meet at the same stem and stop words are ignored', async () => {
+  const { stem, tokenize } = await load();
+  assert.equal(stem('scheduling'), stem('schedule'));
+  assert.equal(stem('scheduled'), stem('schedules'));
+  assert.equal(stem('replicas'), stem('replica'));
+  assert.deepEqual(tokenize('Call the plumber').map(t => t.term), [stem('call'), stem('plumber')]);
+
+  const index = await indexed();
+  assert.deepEqual(index.search('scheduled').map(r => r.taskId), ['a1', 'a2']);
+  assert.deepEqual(index.search('the').map(r => r.id), []);
+});
+
+test('results are ranked, every word must match, and the last word is a prefix', async () => {
+  const index = await indexed();
+  // A match in the name outranks one in the description
+  assert.deepEqual(index.search('schedule review').map(r => r.taskId), ['a1', 'a2']);
+  assert.deepEqual(index.search('schedule plumber'), []);
+  assert.deepEqual(index.search('plum').map(r => r.taskId), ['i1']);
+  assert.deepEqual(index.search('plum', { prefix: false }), []);
+  // Project and tag names count as task text
+  assert.deepEqual(index.search('acme client').map(r => r.taskId), ['a1']);
+});
+
+test('learnings, time logs, subtasks and recaps are searchable, with snippets', async () => {
+  const { segmentsToText } = await load();
+  const index = await indexed();
+
+  const [learning] = index.search('vacuum');
+  assert.equal(learning.taskId, 'a3');
+  assert.equal(learning.snippetField, 'learnings');
+  assert.equal(segmentsToText(learning.snippet), '**Vacuum** before migrating large tables');
+
+  assert.equal(index.search('dana')[0].snippetField, 'timeLog');
+  assert.deepEqual(index.search('replicas').map(r => r.id), ['recap-entry:r1', 'task:a3']);
+  assert.deepEqual(index.search('rollback', { kinds: ['recap-entry', 'saved-recap'] }).map(r => r.id), ['saved-recap:sr1']);
+
+  const [title] = index.search('quarterly');
+  assert.equal(segmentsToText(title.titleSegments), 'Schedule the **quarterly** review');
+  assert.equal(title.snippet, null);
+});
+
+test('update re-indexes only what changed', async () => {
+  const data = sampleData();
+  const index = await indexed(data);
+  assert.equal(index.size(), 6);
+
+  data.projects[1].tasks[0].description = 'Bring the roadmap deck';
+  data.projects[1].tasks[1].status = 'todo';
+  data.projects[0].tasks = [];
+  data.recapLog.push({ id: 'r2', type: 'note', content: 'Roadmap draft shared', date: '2026-04-12', tags: [] });
+  assert.deepEqual(index.update(data), { added: 1, updated: 1, removed: 1 });
+
+  assert.deepEqual(index.search('roadmap').map(r => r.id).sort(), ['recap-entry:r2', 'task:a1']);
+  assert.deepEqual(index.search('plumber'), []);
+  // Status changes are picked up without re-indexing the text
+  assert.equal(index.search('invoice')[0].status, 'todo');
+  assert.deepEqual(index.update(data), { added: 0, updated: 0, removed: 0 });
+});
+
+test('the task filter keeps mid-word matches in names and descriptions', async () => {
+  const { filterTasks } = await load();
+  const data = sampleData();
+  const index = await indexed(data);
+  const tasks = data.projects.flatMap(p => p.tasks);
+  const ids = query => filterTasks(index, tasks, query).map(t => t.id);
+
+  // "port" is inside "report" only, which the index doesn't find
+  data.projects[1].tasks[0].name = 'Schedule the quarterly report';
+  index.update(data);
+  assert.deepEqual(index.search('port'), []);
+  assert.deepEqual(ids('port'), ['a1']);
+  // ...and from the description
+  assert.deepEqual(ids('INANCE'), ['a2']);
+  // Index matches still come through from other fields and word forms
+  assert.deepEqual(ids('migrating'), ['a3']);
+  assert.deepEqual(ids('rollback'), ['a3']);
+  assert.equal(ids('  ').length, tasks.length);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/task-query.js');
+
+const TODAY = '2026-04-13';
+
+function sampleData() {
+  return {
+    projects: [
+      { id: 'inbox', name: 'Inbox', isInbox: true, tasks: [
+        { id: 'i1', name: 'Call plumber', status: 'todo', priority: 'none', tags: [], subtasks: [] },
+      ] },
+      { id: 'p-acme', name: 'Acme Corp', tasks: [
+        { id: 'a1', name: 'Ship invoice', description: 'March hours', status: 'todo', priority: 'urgent', dueDate: '2026-04-15', tags: ['t-urgent'], estimatedMinutes: 30, subtasks: [] },
+        { id: 'a2', name: 'Review contract', status: 'waiting', priority: 'high', dueDate: '2026-04-14', tags: ['t-urgent'], subtasks: [] },
+        { id: 'a3', name: 'Plan Q3', status: 'ready', priority: 'high', dueDate: '2026-05-01', tags: ['t-urgent'], subtasks: [{ id: 's1', name: 'Draft' }] },
+        { id: 'a4', name: 'Old report', status: 'done', priority: 'high', dueDate: '2026-04-10', completedAt: '2026-04-12T15:00:00', tags: ['t-urgent'], subtasks: [] },
+        { id: 'a5', name: 'Tidy backlog', status: 'todo', priority: 'medium', dueDate: '2026-04-01', scheduledDate: TODAY, tags: [], recurrence: { type: 'weekly' }, subtasks: [] },
+      ] },
+    ],
+    tags: [{ id: 't-urgent', name: 'Urgent' }],
+  };
+}
+
+async function ids(query) {
+  const { queryTasks } = await load();
+  const { matches, error } = queryTasks(sampleData(), query, { today: TODAY });
+  assert.equal(error, null, query);
+  return matches.map(m => m.task.id);
+}
+
+test('fields, comparisons and negation combine with AND', async () => {
+  assert.deepEqual(await ids('project:"Acme Corp" priority>=high due<+7d tag:Urgent -status:waiting'), ['a1']);
+  assert.deepEqual(await ids('project:acme-corp'), []);
+  assert.deepEqual(await ids('project:p-acme #urgent'), ['a1', 'a2', 'a3']);
+  assert.deepEqual(await ids('project:inbox'), ['i1']);
+  assert.deepEqual(await ids('status:todo,ready priority<high'), ['i1', 'a5']);
+  assert.deepEqual(await ids('invoice'), ['a1']);
+  assert.deepEqual(await ids('"march hours"'), ['a1']);
+  assert.deepEqual(await ids('-tag:urgent -plumber'), ['a5']);
+  assert.deepEqual(await ids('estimate<=30'), ['a1']);
+  assert.deepEqual(await ids('has:subtasks'), ['a3']);
+  assert.deepEqual(await ids('due:none'), ['i1']);
+});
+
+test('relative dates, is: shortcuts and finished tasks', async () => {
+  assert.deepEqual(await ids('due:tomorrow'), ['a2']);
+  assert.deepEqual(await ids('due>=+2d due<=+1m'), ['a1', 'a3']);
+  assert.deepEqual(await ids('is:overdue'), ['a5']);
+  assert.deepEqual(await ids('is:today is:recurring'), ['a5']);
+  assert.deepEqual(await ids('is:blocked'), ['a2']);
+  // Done tasks only come back when the query asks for them
+  assert.deepEqual(await ids('due<today'), ['a5']);
+  assert.deepEqual(await ids('is:done'), ['a4']);
+  assert.deepEqual(await ids('completed:-1d'), ['a4']);
+  assert.deepEqual(await ids('-status:done'), ['i1', 'a1', 'a2', 'a3', 'a5']);
+
+  const { resolveQueryDate } = await load();
+  assert.equal(resolveQueryDate('+1m', '2026-01-31'), '2026-02-28');
+  assert.equal(resolveQueryDate('-2w', TODAY), '2026-03-30');
+});
+
+test('mistakes in a query are reported instead of matching nothing', async () => {
+  const { parseTaskQuery, queryTasks, findSmartList } = await load();
+  assert.match(parseTaskQuery('priorty:high').error, /Unknown field "priorty"/);
+  assert.match(parseTaskQuery('priority>=critical').error, /priority must be one of/);
+  assert.match(parseTaskQuery('status>todo').error, /status can only be matched with ":"/);
+  assert.match(parseTaskQuery('due<next-week').error, /Can't read "next-week" as a date/);
+  assert.match(parseTaskQuery('tag:').error, /tag: needs a value/);
+  assert.deepEqual(queryTasks(sampleData(), 'is:someday', { today: TODAY }).matches, []);
+
+  const data = { ...sampleData(), smartLists: [{ id: 'l1', name: 'Hot', query: 'priority>=high' }] };
+  assert.equal(findSmartList(data, 'hot').id, 'l1');
+  assert.equal(findSmartList(data, 'cold'), null);
+});
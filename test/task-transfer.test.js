@@ -0,0 +1,174 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const load = () => import('../shared/task-transfer.js');
+
+function sampleData() {
+  return {
+    projects: [
+      { id: 'inbox', name: 'Inbox', isInbox: true, tasks: [] },
+      { id: 'p-work', name: 'Work', tasks: [
+        { id: 't1', name: 'Draft report', description: 'Q2 numbers\nwith charts', status: 'todo', priority: 'high',
+          dueDate: '2026-04-10', scheduledDate: '2026-04-09', scheduledTime: '15:00', estimatedMinutes: 30, tags: ['tag-1'],
+          subtasks: [{ id: 's1', name: 'Outline, then "fill in"', status: 'done', priority: 'none', completedAt: '2026-04-08T10:00:00.000Z' }] },
+        { id: 't2', name: 'Review PR', status: 'done', priority: 'none', completedAt: '2026-04-08T12:00:00.000Z', tags: [], subtasks: [] },
+      ] },
+    ],
+    tags: [{ id: 'tag-1', name: 'Deep Work', color: '#000' }],
+  };
+}
+
+function idGenerator() {
+  let n = 0;
+  return () => `id-${++n}`;
+}
+
+test('Markdown and CSV exports read back into the same tasks', async () => {
+  const transfer = await load();
+  const data = sampleData();
+  const projects = [data.projects[1]];
+
+  const markdown = transfer.exportMarkdown(data, projects);
+  assert.match(markdown, /^# Work\n\n- \[ \] Draft report !high \(due: 2026-04-10\) \(scheduled: 2026-04-09 15:00\) ~30m #Deep-Work\n {2}Q2 numbers\n {2}with charts\n {2}- \[x\] Outline/);
+  assert.match(markdown, /^- \[x\] Review PR$/m);
+
+  const csv = transfer.exportCsv(data, projects);
+  assert.equal(transfer.parseCsv(csv)[2][1], 'Outline, then "fill in"');
+
+  for (const [text, fileName] of [[markdown, 'work.md'], [csv, 'work.csv']]) {
+    const source = transfer.readImportFile(text, fileName);
+    const { items } = transfer.buildImportItems(source);
+    assert.deepEqual(items.map(i => [i.name, i.projectName, i.status]), [['Draft report', 'Work', 'todo'], ['Review PR', 'Work', 'done']], fileName);
+    const [report] = items;
+    assert.deepEqual(
+      [report.priority, report.dueDate, report.scheduledDate, report.scheduledTime, report.estimatedMinutes, report.description],
+      ['high', '2026-04-10', '2026-04-09', '15:00', 30, 'Q2 numbers\nwith charts'],
+    );
+    assert.deepEqual(report.subtasks.map(s => [s.name, s.status]), [['Outline, then "fill in"', 'done']]);
+  }
+});
+
+test('Todoist and TickTick exports are recognised, with their priorities and nesting', async () => {
+  const transfer = await load();
+  const todoist = [
+    'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE',
+    'section,Errands,,,,,,,,',
+    'task,Buy milk @errand @quick,Semi-skimmed,4,1,,,2026-04-12,en,',
+    'task,Check date,,1,2,,,,en,',
+    'task,Call vendor,,2,1,,,every monday,en,',
+  ].join('\n');
+  const fromTodoist = transfer.readImportFile(todoist, 'Groceries.csv');
+  assert.equal(fromTodoist.format, 'todoist');
+  assert.equal(fromTodoist.projectName, 'Groceries');
+  const todoistItems = transfer.buildImportItems(fromTodoist).items;
+  assert.deepEqual(todoistItems.map(i => [i.name, i.priority, i.dueDate, i.tags]), [
+    ['Buy milk', 'urgent', '2026-04-12', ['errand', 'quick']],
+    ['Call vendor', 'medium', null, []],
+  ]);
+  assert.deepEqual(todoistItems[0].subtasks.map(s => s.name), ['Check date']);
+
+  const tickTick = [
+    '"Date: 2026-04-01+0000"',
+    '"Version: 7.1"',
+    '"Status: ',
+    '0 Normal',
+    '1 Completed',
+    '2 Archived"',
+    '"Folder Name","List Name","Title","Kind","Tags","Content","Is Check list","Start Date","Due Date","Reminder","Repeat","Priority","Status","Created Time","Completed Time","Order","Timezone","Is All Day","Is Floating","Column Name","Column Order","View Mode","taskId","parentId"',
+    '"","Home","Fix sink","TEXT","diy, plumbing","Washer is worn","N","","2026-04-10","","","5","0","","","","","true","","","","list","1",""',
+    '"","Home","Buy washer","TEXT","","","N","","","","","0","2","","2026-04-02T10:00:00+0000","","","","","","","list","2","1"',
+  ].join('\n');
+  const fromTickTick = transfer.readImportFile(tickTick, 'TickTick-backup.csv');
+  assert.equal(fromTickTick.format, 'ticktick');
+  const [sink] = transfer.buildImportItems(fromTickTick).items;
+  assert.deepEqual([sink.name, sink.projectName, sink.priority, sink.dueDate, sink.tags, sink.description],
+    ['Fix sink', 'Home', 'high', '2026-04-10', ['diy', 'plumbing'], 'Washer is worn']);
+  assert.deepEqual(sink.subtasks.map(s => [s.name, s.status]), [['Buy washer', 'done']]);
+});
+
+test('timestamps are read as days and times in the zone given', async () => {
+  const { parseDateValue, readImportFile, buildImportItems } = await load();
+  // 02:30 UTC on the 10th is still the evening of the 9th in New York
+  assert.deepEqual(parseDateValue('2026-04-10T02:30:00+0000', 'America/New_York'), { date: '2026-04-09', time: '22:30' });
+  assert.deepEqual(parseDateValue('2026-04-10T02:30:00+0000', 'Asia/Tokyo'), { date: '2026-04-10', time: '11:30' });
+  assert.deepEqual(parseDateValue('2026-04-10', 'America/New_York'), { date: '2026-04-10', time: null });
+
+  const source = readImportFile('Name,Due\nShip it,2026-04-10T03:00:00Z\n', 'ship.csv', { timeZone: 'America/Los_Angeles' });
+  const [item] = buildImportItems(source).items;
+  assert.deepEqual([item.dueDate, item.scheduledTime], ['2026-04-09', '20:00']);
+});
+
+test('CSV separators and quotes are only special where a cell can use them', async () => {
+  const { parseCsv } = await load();
+  // More commas inside the quoted notes than semicolons between cells
+  assert.deepEqual(parseCsv('Name;Notes\nWrite blurb;"one, two, three, four"\n'), [
+    ['Name', 'Notes'],
+    ['Write blurb', 'one, two, three, four'],
+  ]);
+  // A quote mid-cell is text, and doesn't swallow the rest of the row
+  assert.deepEqual(parseCsv('Name,Notes,Due\nBuy 5" floppies,Ask for "the good ones",2026-04-10\nNext,,\n'), [
+    ['Name', 'Notes', 'Due'],
+    ['Buy 5" floppies', 'Ask for "the good ones"', '2026-04-10'],
+    ['Next', '', ''],
+  ]);
+});
+
+test('a generic CSV uses the guessed mapping until a column is remapped', async () => {
+  const transfer = await load();
+  const source = transfer.readImportFile('Title;When;Notes;Prio\nPay rent;4/1/2026;Landlord;P2\n;;;\nNo title row;;;\n', 'sheet.csv');
+  assert.equal(source.format, 'csv');
+  assert.equal(source.headers[source.mapping.name], 'Title');
+  assert.equal(source.mapping.dueDate, null);
+
+  let { items } = transfer.buildImportItems(source);
+  assert.deepEqual(items.map(i => [i.name, i.dueDate, i.priority]), [['Pay rent', null, 'high'], ['No title row', null, 'none']]);
+
+  ({ items } = transfer.buildImportItems(source, { ...source.mapping, dueDate: 1, name: 2 }));
+  assert.deepEqual(items.map(i => [i.name, i.dueDate]), [['Landlord', '2026-04-01']]);
+  assert.equal(transfer.buildImportItems(source, { ...source.mapping, name: 2 }).skipped, 1);
+});
+
+test('imports merge into existing data instead of replacing it', async () => {
+  const transfer = await load();
+  const data = sampleData();
+  const markdown = [
+    '# work',
+    '- [ ] draft report !low',
+    '  - [ ] Outline, then "fill in"',
+    '  - [ ] Add appendix',
+    '- [ ] Book room #deep-work #Travel',
+    '',
+    '# Home',
+    '- [x] Fix sink',
+  ].join('\n');
+  const { items } = transfer.buildImportItems(transfer.readImportFile(markdown, 'notes.md'));
+
+  const preview = transfer.previewImport(data, items);
+  assert.deepEqual(preview.map(e => [e.item.name, e.projectName, e.duplicate, e.newProject, e.newSubtasks]), [
+    ['draft report', 'work', true, false, 1],
+    ['Book room', 'work', false, false, 0],
+    ['Fix sink', 'Home', false, true, 0],
+  ]);
+
+  const result = transfer.mergeImport(data, items, { generateId: idGenerator(), today: '2026-04-01' });
+  assert.deepEqual(result, { added: 2, subtasksAdded: 1, skipped: 1, errors: [] });
+
+  const work = data.projects.find(p => p.id === 'p-work');
+  const report = work.tasks.find(t => t.id === 't1');
+  // The existing task keeps its own fields; only the missing subtask is added
+  assert.equal(report.priority, 'high');
+  assert.deepEqual(report.subtasks.map(s => s.name), ['Outline, then "fill in"', 'Add appendix']);
+  const room = work.tasks.find(t => t.name === 'Book room');
+  assert.deepEqual(room.tags.map(id => data.tags.find(t => t.id === id).name), ['deep-work', 'Travel']);
+  assert.equal(room.scheduledDate, null);
+  assert.equal(data.projects.find(p => p.name === 'Home').tasks[0].status, 'done');
+
+  // Importing the same file again adds nothing
+  assert.deepEqual(transfer.mergeImport(data, items, { generateId: idGenerator(), today: '2026-04-01' }),
+    { added: 0, subtasksAdded: 0, skipped: 3, errors: [] });
+
+  // A chosen project takes everything, whatever the file says
+  const into = transfer.mergeImport(data, items, { projectName: 'Inbox', generateId: idGenerator(), today: '2026-04-01' });
+  assert.equal(into.added, 3);
+  assert.deepEqual(data.projects[0].tasks.map(t => t.name), ['draft report', 'Book room', 'Fix sink']);
+});
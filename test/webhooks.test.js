@@ -0,0 +1,193 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const DataStore = require('../data-store');
+const WebhookDispatcher = require('../webhooks');
+const { TaskEventBus } = require('../task-events');
+const { tempDir } = require('./helpers');
+
+// A stand-in receiver that records deliveries and answers with the next status in `statuses`
+async function serve(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses[Math.min(requests.length - 1, statuses.length - 1)]);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { requests, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => server.close() };
+}
+
+function setup(t) {
+  const dir = tempDir(t, 'webhooks');
+  const dataStore = new DataStore({ filePath: path.join(dir, 'taskflow-data.json') });
+  dataStore.write({
+    projects: [
+      { id: 'p-work', name: 'Work', tasks: [{ id: 't1', name: 'Draft report', status: 'todo', subtasks: [] }] },
+      { id: 'p-home', name: 'Home', tasks: [{ id: 't2', name: 'Fix sink', status: 'todo', subtasks: [] }] },
+    ],
+    settings: {},
+  }, { force: true });
+  return { dir, dataStore };
+}
+
+function mutate(dataStore, source, fn) {
+  const data = dataStore.read();
+  fn(data);
+  dataStore.write(data, { source });
+}
+
+test('the bus turns logged writes from any process into lifecycle events', (t) => {
+  const { dataStore } = setup(t);
+  // History from before the bus existed isn't replayed
+  mutate(dataStore, 'user', data => { data.projects[0].tasks[0].priority = 'high'; });
+  const bus = new TaskEventBus({ log: dataStore.log });
+  const seen = [];
+  bus.on('event', event => seen.push(event.type));
+
+  mutate(dataStore, 'mcp', data => {
+    data.projects[0].tasks.push({ id: 't3', name: 'Call vendor', status: 'todo', subtasks: [] });
+    data.projects[0].tasks[0].status = 'done';
+  });
+  mutate(dataStore, 'api', data => {
+    const task = data.projects[1].tasks[0];
+    task.status = 'waiting';
+    task.blockerInfo = { type: 'person', description: 'Plumber', blockedSince: '2026-04-10T09:00:00.000Z', notes: [] };
+  });
+  // A note on an existing blocker isn't a new block
+  mutate(dataStore, 'mcp', data => { data.projects[1].tasks[0].blockerInfo.notes.push({ note: 'Called' }); });
+  mutate(dataStore, 'user', data => { data.projects[0].tasks.splice(1, 1); });
+
+  const events = bus.poll(dataStore.read());
+  assert.deepEqual(seen, events.map(e => e.type));
+  assert.deepEqual(events.map(e => [e.type, e.task.id, e.source]), [
+    ['task.status_changed', 't1', 'mcp'],
+    ['task.completed', 't1', 'mcp'],
+    ['task.created', 't3', 'mcp'],
+    ['task.status_changed', 't2', 'api'],
+    ['task.blocked', 't2', 'api'],
+    ['task.deleted', 't3', 'user'],
+  ]);
+  assert.equal(events[0].previousStatus, 'todo');
+  assert.deepEqual(events[1].project, { id: 'p-work', name: 'Work' });
+  assert.equal(events[4].blocker.description, 'Plumber');
+  assert.equal(new Set(events.map(e => e.id)).size, events.length);
+
+  assert.deepEqual(bus.poll(dataStore.read()), []);
+  // A bus started from a saved cursor picks up where the last one stopped
+  mutate(dataStore, 'mcp', data => { data.projects[1].tasks[0].status = 'done'; });
+  const resumed = new TaskEventBus({ log: dataStore.log, cursor: bus.cursor });
+  assert.deepEqual(resumed.poll(dataStore.read()).map(e => e.type), ['task.status_changed', 'task.completed']);
+});
+
+test('a bus that is behind still gets the entries kept when the log is compacted', (t) => {
+  const { dataStore } = setup(t);
+  dataStore.log.maxBytes = 6000;
+  const bus = new TaskEventBus({ log: dataStore.log });
+  const statuses = ['in-progress', 'waiting', 'todo'];
+  for (let i = 0; i < 30; i++) {
+    mutate(dataStore, 'mcp', data => { data.projects[1].tasks[0].status = statuses[i % 3]; });
+  }
+  const kept = dataStore.log.readAll();
+  assert.ok(kept.length < 30, 'the log was compacted');
+
+  // Another bus (e.g. after a restart) resumes from a cursor in the middle of what was kept
+  const resumed = new TaskEventBus({ log: dataStore.log, cursor: kept[kept.length - 3].id });
+  assert.equal(resumed.poll(dataStore.read()).length, 2);
+
+  // The first bus's cursor was compacted away, so all of what is left is new to it
+  const events = bus.poll(dataStore.read());
+  assert.equal(events.length, kept.length);
+  assert.deepEqual(events.map(e => e.id.split(':')[0]), kept.map(entry => entry.id));
+  assert.deepEqual(bus.poll(dataStore.read()), []);
+
+  // Compacting with the bus caught up doesn't replay anything
+  dataStore.log.compact();
+  mutate(dataStore, 'mcp', data => { data.projects[0].tasks[0].status = 'done'; });
+  assert.deepEqual(bus.poll(dataStore.read()).map(e => e.type), ['task.status_changed', 'task.completed']);
+});
+
+test('deliveries are signed and only go to webhooks whose filters match', async (t) => {
+  const { dir, dataStore } = setup(t);
+  const server = await serve();
+  try {
+    const webhooks = [
+      { id: 'w-all', url: server.url, events: [], projectIds: [], secret: 's3cret', enabled: true },
+      { id: 'w-home-done', url: server.url, events: ['task.completed'], projectIds: ['p-home'] },
+      { id: 'w-off', url: server.url, enabled: false },
+    ];
+    const dispatcher = new WebhookDispatcher({ dir });
+    const bus = new TaskEventBus({ log: dataStore.log, cursor: dispatcher.getEventCursor() });
+    bus.on('event', event => dispatcher.enqueue(event, WebhookDispatcher.getWebhooks({ settings: { webhooks } })));
+
+    mutate(dataStore, 'mcp', data => { data.projects[0].tasks[0].status = 'done'; });
+    bus.poll(dataStore.read());
+    dispatcher.setEventCursor(bus.cursor);
+    assert.equal(dispatcher.getPendingCount('w-all'), 2);
+    assert.equal(dispatcher.getPendingCount('w-home-done'), 0);
+
+    const records = await dispatcher.deliverDue(WebhookDispatcher.getWebhooks({ settings: { webhooks } }));
+    assert.deepEqual(records.map(r => [r.eventType, r.ok, r.status]), [
+      ['task.status_changed', true, 200], ['task.completed', true, 200],
+    ]);
+    const [first] = server.requests;
+    const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret').update(first.body).digest('hex');
+    assert.equal(first.headers['x-taskflow-signature'], expected);
+    assert.equal(first.headers['x-taskflow-event'], 'task.status_changed');
+    assert.equal(JSON.parse(first.body).task.name, 'Draft report');
+
+    // The queue, log and cursor survive a restart
+    const reloaded = new WebhookDispatcher({ dir });
+    assert.equal(reloaded.getPendingCount(), 0);
+    assert.equal(reloaded.getLog().length, 2);
+    assert.equal(reloaded.getEventCursor(), bus.cursor);
+  } finally {
+    server.close();
+  }
+});
+
+test('failed deliveries are retried with growing delays, then given up', async (t) => {
+  const { dir } = setup(t);
+  const server = await serve([500, 503, 200]);
+  let now = Date.parse('2026-04-10T09:00:00.000Z');
+  try {
+    const webhooks = [{ id: 'w1', url: server.url }];
+    const dispatcher = new WebhookDispatcher({ dir, now: () => now });
+    const event = { id: 'op-1:0', type: 'task.created', task: { id: 't1', name: 'Draft report' }, project: null };
+    dispatcher.enqueue(event, webhooks);
+
+    const [failed] = await dispatcher.deliverDue(webhooks);
+    assert.equal(failed.ok, false);
+    assert.equal(failed.error, 'Receiver returned 500');
+    assert.equal(failed.retryAt, new Date(now + WebhookDispatcher.RETRY_DELAYS_MS[0]).toISOString());
+    // Not due yet
+    assert.deepEqual(await dispatcher.deliverDue(webhooks), []);
+
+    now += WebhookDispatcher.RETRY_DELAYS_MS[0];
+    assert.equal((await dispatcher.deliverDue(webhooks))[0].status, 503);
+    // Retry Now doesn't wait for the next retry time
+    const [sent] = await dispatcher.retryNow(webhooks);
+    assert.deepEqual([sent.ok, sent.attempt], [true, 3]);
+    assert.equal(dispatcher.getPendingCount(), 0);
+    assert.equal(new Set(server.requests.map(r => r.headers['x-taskflow-delivery'])).size, 1);
+  } finally {
+    server.close();
+  }
+
+  const unreachable = new WebhookDispatcher({ dir, now: () => now });
+  const webhooks = [{ id: 'w2', url: 'http://127.0.0.1:9/hook' }];
+  unreachable.enqueue({ id: 'op-2:0', type: 'task.deleted', task: null, project: null }, webhooks);
+  let records = [];
+  for (let i = 0; i < WebhookDispatcher.MAX_ATTEMPTS; i++) {
+    records = await unreachable.retryNow(webhooks);
+  }
+  assert.equal(records[0].gaveUp, true);
+  assert.equal(unreachable.getPendingCount(), 0);
+  assert.equal(unreachable.getLog()[0].attempt, WebhookDispatcher.MAX_ATTEMPTS);
+});
@@ -0,0 +1,252 @@
+/**
+ * Webhooks — POST task lifecycle events to other systems
+ *
+ * The webhooks are in settings.webhooks:
+ *   [{ id, url, events, projectIds, secret, enabled }]
+ * where an empty `events` or `projectIds` list means all of them. Events come
+ * from the TaskEventBus (see task-events.js), so changes made by the app, the
+ * MCP server and the local API are all sent, including ones made while the
+ * app was closed.
+ *
+ * Each delivery is a JSON POST of the event. With a secret, the body is
+ * signed: X-TaskFlow-Signature is "sha256=" plus the hex HMAC-SHA256 of the
+ * raw body. Failed deliveries (network errors and non-2xx answers) are tried
+ * again with growing delays, then given up. The queue, the recent delivery
+ * log and the event bus cursor live in a file next to the data file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const LOG_LIMIT = 200;
+const QUEUE_LIMIT = 1000; // Oldest deliveries are dropped past this, e.g. if a receiver is down for days
+
+function generateDeliveryId() {
+  return `dlv-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+class WebhookDispatcher {
+  constructor(config) {
+    this.statePath = config.statePath || path.join(config.dir, 'taskflow-webhooks.json');
+    this.fetch = config.fetch || ((...args) => fetch(...args));
+    this.now = config.now || (() => Date.now());
+    this.state = this._loadState();
+    this._delivering = null;
+  }
+
+  // Webhooks switched on in the settings
+  static getWebhooks(data) {
+    const webhooks = (data && data.settings && data.settings.webhooks) || [];
+    return webhooks.filter(w => w && w.id && w.url && w.enabled !== false);
+  }
+
+  static matches(webhook, event) {
+    const events = webhook.events || [];
+    if (events.length > 0 && !events.includes(event.type)) return false;
+    const projectIds = webhook.projectIds || [];
+    if (projectIds.length > 0 && !(event.project && projectIds.includes(event.project.id))) return false;
+    return true;
+  }
+
+  static sign(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  // --- State ---
+
+  _loadState() {
+    try {
+      if (fs.existsSync(this.statePath)) {
+        const state = JSON.parse(fs.readFileSync(this.statePath, 'utf-8'));
+        if (state && Array.isArray(state.queue)) {
+          return { eventCursor: null, log: [], ...state };
+        }
+      }
+    } catch (err) {
+      console.error('Error loading webhook state:', err);
+    }
+    return { eventCursor: null, queue: [], log: [] };
+  }
+
+  _saveState() {
+    const dir = path.dirname(this.statePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${this.statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+    fs.renameSync(tmpPath, this.statePath);
+  }
+
+  // Where the event bus got to in the operation log, or null the first time
+  getEventCursor() {
+    return this.state.eventCursor;
+  }
+
+  setEventCursor(cursor) {
+    this.state.eventCursor = cursor;
+    this._saveState();
+  }
+
+  // --- Queue ---
+
+  /**
+   * Queue `event` for each webhook that wants it. Saved with the next
+   * setEventCursor(), so an event is queued once even if the app quits
+   * in between. Returns how many deliveries were queued.
+   */
+  enqueue(event, webhooks) {
+    let queued = 0;
+    for (const webhook of webhooks) {
+      if (!WebhookDispatcher.matches(webhook, event)) continue;
+      this.state.queue.push({ id: generateDeliveryId(), webhookId: webhook.id, event, attempts: 0, nextAttemptAt: 0 });
+      queued++;
+    }
+    if (this.state.queue.length > QUEUE_LIMIT) {
+      this.state.queue.splice(0, this.state.queue.length - QUEUE_LIMIT);
+    }
+    return queued;
+  }
+
+  getPendingCount(webhookId = null) {
+    return this.state.queue.filter(d => !webhookId || d.webhookId === webhookId).length;
+  }
+
+  // Most recent first
+  getLog(limit = 50) {
+    return this.state.log.slice(-limit).reverse();
+  }
+
+  clearLog() {
+    this.state.log = [];
+    this._saveState();
+  }
+
+  // --- Delivery ---
+
+  async _send(webhook, deliveryId, event) {
+    const body = JSON.stringify(event);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TaskFlow-Webhooks',
+      'X-TaskFlow-Event': event.type,
+      'X-TaskFlow-Delivery': deliveryId,
+    };
+    if (webhook.secret) headers['X-TaskFlow-Signature'] = WebhookDispatcher.sign(webhook.secret, body);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+    const started = this.now();
+    try {
+      const response = await this.fetch(webhook.url, { method: 'POST', headers, body, signal: controller.signal });
+      return {
+        ok: response.ok,
+        status: response.status,
+        error: response.ok ? null : `Receiver returned ${response.status}`,
+        durationMs: this.now() - started,
+      };
+    } catch (err) {
+      const error = err.name === 'AbortError' ? `No answer after ${DELIVERY_TIMEOUT_MS / 1000}s` : (err.cause?.message || err.message);
+      return { ok: false, status: null, error, durationMs: this.now() - started };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _record(webhook, delivery, result, extra = {}) {
+    const record = {
+      id: delivery.id,
+      webhookId: webhook.id,
+      url: webhook.url,
+      eventId: delivery.event.id,
+      eventType: delivery.event.type,
+      taskName: delivery.event.task ? delivery.event.task.name : null,
+      attempt: delivery.attempts,
+      ok: result.ok,
+      status: result.status,
+      error: result.error,
+      durationMs: result.durationMs,
+      at: new Date(this.now()).toISOString(),
+      ...extra,
+    };
+    this.state.log.push(record);
+    if (this.state.log.length > LOG_LIMIT) {
+      this.state.log.splice(0, this.state.log.length - LOG_LIMIT);
+    }
+    return record;
+  }
+
+  /**
+   * Send every queued delivery that's due, one at a time. Deliveries for
+   * webhooks that were removed or switched off are dropped. Returns the log
+   * records written. Calls made while a run is going wait for it instead.
+   */
+  deliverDue(webhooks) {
+    if (!this._delivering) {
+      this._delivering = this._deliverDue(webhooks).finally(() => { this._delivering = null; });
+    }
+    return this._delivering;
+  }
+
+  async _deliverDue(webhooks) {
+    const records = [];
+    const byId = new Map(webhooks.map(w => [w.id, w]));
+    const due = this.state.queue.filter(d => d.nextAttemptAt <= this.now());
+
+    for (const delivery of due) {
+      const webhook = byId.get(delivery.webhookId);
+      if (!webhook) {
+        this.state.queue = this.state.queue.filter(d => d !== delivery);
+        continue;
+      }
+
+      delivery.attempts++;
+      const result = await this._send(webhook, delivery.id, delivery.event);
+      let extra = {};
+      if (result.ok || delivery.attempts >= MAX_ATTEMPTS) {
+        this.state.queue = this.state.queue.filter(d => d !== delivery);
+        if (!result.ok) extra = { gaveUp: true };
+      } else {
+        delivery.nextAttemptAt = this.now() + RETRY_DELAYS_MS[delivery.attempts - 1];
+        extra = { retryAt: new Date(delivery.nextAttemptAt).toISOString() };
+      }
+      records.push(this._record(webhook, delivery, result, extra));
+    }
+
+    if (due.length > 0) this._saveState();
+    return records;
+  }
+
+  // Try every queued delivery now instead of waiting for its retry time
+  async retryNow(webhooks) {
+    if (this._delivering) await this._delivering;
+    for (const delivery of this.state.queue) delivery.nextAttemptAt = 0;
+    return this.deliverDue(webhooks);
+  }
+
+  // Send a ping event right away, outside the queue, to check a URL and secret
+  async sendTest(webhook) {
+    const event = {
+      id: `ping-${Date.now()}`,
+      type: 'ping',
+      occurredAt: new Date(this.now()).toISOString(),
+      source: 'user',
+      task: null,
+      project: null,
+    };
+    const delivery = { id: generateDeliveryId(), event, attempts: 1 };
+    const result = await this._send(webhook, delivery.id, event);
+    const record = this._record(webhook, delivery, result);
+    this._saveState();
+    return record;
+  }
+}
+
+WebhookDispatcher.RETRY_DELAYS_MS = RETRY_DELAYS_MS;
+WebhookDispatcher.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = WebhookDispatcher;